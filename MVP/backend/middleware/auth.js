@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret';
+
+// Access tokens are short-lived; the app renews them with a refresh token
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Days the app may be unlocked with a local PIN before an online login is required
+const getOfflineUnlockDays = () => parseInt(process.env.OFFLINE_UNLOCK_DAYS) || 7;
+// Wrong PINs after which the app erases its local data
+const getMaxUnlockAttempts = () => parseInt(process.env.MAX_UNLOCK_ATTEMPTS) || 10;
+
+// Roles allowed to perform each action. Routes declare the permission they need
+// via authorize() rather than listing roles inline.
+const PERMISSIONS = {
+  'patients:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'patients:write': ['asha_worker', 'anm_supervisor'],
+  'patients:merge': ['anm_supervisor'],
+  'visits:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'visits:write': ['asha_worker', 'anm_supervisor'],
+  'followups:read': ['asha_worker', 'anm_supervisor'],
+  'households:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'households:write': ['asha_worker', 'anm_supervisor'],
+  'maternal:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'maternal:write': ['asha_worker', 'anm_supervisor'],
+  'immunization:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'immunization:write': ['asha_worker', 'anm_supervisor'],
+  'audit:read': ['anm_supervisor', 'medical_officer'],
+  'users:read': ['anm_supervisor', 'medical_officer'],
+  'reports:read': ['anm_supervisor', 'medical_officer'],
+  'activityReports:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'activityReports:generate': ['asha_worker', 'anm_supervisor'],
+  // Incentive claims are verified by the worker's own ANM
+  'activityReports:review': ['anm_supervisor'],
+  'alerts:read': ['anm_supervisor', 'medical_officer'],
+  'alerts:manage': ['anm_supervisor', 'medical_officer'],
+  'users:manage': ['anm_supervisor'],
+  'notifications:register': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  'locations:read': ['asha_worker', 'anm_supervisor', 'medical_officer'],
+  // Location master data is maintained by the block office
+  'locations:manage': ['medical_officer']
+};
+
+// Which records each role can see:
+// - assigned_villages: the worker's own villages
+// - supervised_workers: villages of every worker the supervisor oversees
+// - block: everything
+const ROLE_SCOPES = {
+  asha_worker: 'assigned_villages',
+  anm_supervisor: 'supervised_workers',
+  medical_officer: 'block'
+};
+
+const forbidden = (message) => {
+  const error = new Error(message || 'You do not have permission to perform this action');
+  error.name = 'ForbiddenError';
+  error.status = 403;
+  return error;
+};
+
+// Issue the token consumed by authenticateToken. The jwtid lets a single
+// token be revoked before it expires.
+const signToken = (user) => jwt.sign(
+  { userId: user._id, username: user.username, role: user.role },
+  getJwtSecret(),
+  { expiresIn: getAccessTokenTtl(), jwtid: crypto.randomUUID() }
+);
+
+// Store a new refresh token for the user and return the raw token. Pass the
+// family of the token being rotated to keep the chain together.
+const issueRefreshToken = async (user, { family, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+    userAgent
+  });
+
+  return token;
+};
+
+// Access and refresh token pair returned by /login, with the offline unlock policy
+const createSession = async (user, options = {}) => ({
+  token: signToken(user),
+  refreshToken: await issueRefreshToken(user, options),
+  expiresIn: getAccessTokenTtl(),
+  offlineUnlockDays: getOfflineUnlockDays(),
+  maxUnlockAttempts: getMaxUnlockAttempts()
+});
+
+// Add an access token to the revocation list until it would have expired
+const revokeAccessToken = async (token) => {
+  const payload = jwt.verify(token, getJwtSecret(), { ignoreExpiration: true });
+  if (!payload.jti || payload.exp * 1000 < Date.now()) {
+    return;
+  }
+
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { user: payload.userId, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// JWT middleware for protected routes
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, getJwtSecret(), async (err, user) => {
+    // `code` tells the app to renew the token via /auth/refresh and retry
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
+    if (err) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+      const [account, revoked] = await Promise.all([
+        user.userId && User.findById(user.userId),
+        user.jti && RevokedToken.exists({ jti: user.jti })
+      ]);
+
+      if (revoked) {
+        return res.status(401).json({ error: 'Session has been signed out', code: 'TOKEN_REVOKED' });
+      }
+
+      // Deactivated accounts lose access immediately, not when the token expires
+      if (!account || !account.active) {
+        return res.status(401).json({ error: 'Account is inactive or no longer exists' });
+      }
+
+      req.user = user;
+      req.account = account;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+// Resolve the villages visible to an account; null means unrestricted
+const resolveVillageScope = async (account) => {
+  const scope = ROLE_SCOPES[account.role];
+
+  if (scope === 'block') {
+    return null;
+  }
+
+  if (scope === 'supervised_workers') {
+    const workerVillages = await User.find({ supervisor: account._id }).distinct('assignedVillages');
+    return [...new Set([...account.assignedVillages, ...workerVillages])];
+  }
+
+  return account.assignedVillages;
+};
+
+// Require a permission from PERMISSIONS and attach the caller's data scope as req.scope.
+// Must run after authenticateToken.
+const authorize = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.account || !PERMISSIONS[permission].includes(req.account.role)) {
+        return next(forbidden());
+      }
+
+      req.scope = {
+        type: ROLE_SCOPES[req.account.role],
+        villages: await resolveVillageScope(req.account)
+      };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Scopes and records both hold the village's name from the location master
+// data (older records are moved onto it by scripts/migrateVillages.js)
+
+// Mongo filter limiting a query on a village-keyed collection to req.scope
+const scopeFilter = (scope) => (
+  scope.villages ? { village: { $in: scope.villages } } : {}
+);
+
+// Names are compared the way the master data compares them: without case or
+// surrounding spaces
+const villageKey = (village) => String(village ?? '').trim().toLowerCase();
+
+const isVillageInScope = (scope, village) => (
+  !scope.villages || scope.villages.some(name => villageKey(name) === villageKey(village))
+);
+
+module.exports = {
+  signToken,
+  issueRefreshToken,
+  createSession,
+  revokeAccessToken,
+  authenticateToken,
+  authorize,
+  scopeFilter,
+  isVillageInScope,
+  forbidden
+};
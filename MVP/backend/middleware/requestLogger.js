@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids sent by the app are reused so both sides log the same one
+const VALID_REQUEST_ID = /^[\w-]{8,64}$/;
+
+// Give each request a correlation id, returned in the X-Request-Id header, and
+// a req.log bound to it. Logs one line per completed request; query strings are
+// left out since searches carry patient names.
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      userId: req.user?.userId
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
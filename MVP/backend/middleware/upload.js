@@ -0,0 +1,23 @@
+const multer = require('multer');
+
+const { badRequest } = require('../utils/query');
+const { spreadsheetFormat } = require('../utils/spreadsheet');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Accept one CSV or XLSX file in the multipart field `file`, kept in memory
+// as req.file. Other files are rejected with a 400.
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!spreadsheetFormat(file.originalname)) {
+      return cb(badRequest('Upload a .csv or .xlsx file'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+module.exports = {
+  uploadSpreadsheet
+};
@@ -0,0 +1,26 @@
+const { validate, firstError } = require('../../shared/validation');
+
+// 400 with a message per field: { success, error, errors: { field: message } }.
+// `error` repeats the first message for clients that show a single alert.
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  error: firstError(errors),
+  errors: errors
+});
+
+// Check req.body against a shared schema (shared/schemas.js). Valid requests
+// continue with the normalised fields on req.values; with partial, fields
+// left out of the body are not required (PATCH).
+const validateBody = (schema, { partial = false } = {}) => (req, res, next) => {
+  const { values, errors } = validate(schema, req.body, { partial });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  req.values = values;
+  next();
+};
+
+module.exports = {
+  validateBody,
+  validationFailed
+};
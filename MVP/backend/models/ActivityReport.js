@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['draft', 'approved', 'rejected'];
+
+// One line of the claim: an incentive activity, how often the worker did it
+// and, when a rate is configured, what it earns (rates are copied in so an
+// approved report keeps the amounts it was approved with)
+const activitySchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  label: { type: String, required: true },
+  count: { type: Number, required: true, min: 0 },
+  rate: { type: Number, min: 0 },
+  amount: { type: Number, min: 0 }
+}, {
+  _id: false
+});
+
+// A record behind a count, listed for the supervisor to verify
+const entrySchema = new mongoose.Schema({
+  activity: { type: String, required: true },
+  date: { type: Date, required: true },
+  beneficiary: { type: String, trim: true },
+  village: { type: String, trim: true },
+  detail: { type: String, trim: true },
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  child: { type: mongoose.Schema.Types.ObjectId, ref: 'Child' }
+}, {
+  _id: false
+});
+
+// Monthly ASHA activity report for incentive claims, built from the records
+// the worker created that month. Drafts are rebuilt until a supervisor
+// approves them; a rejected report can be rebuilt and reviewed again.
+const activityReportSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar month as YYYY-MM, in REPORT_TIMEZONE
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+  // Worker's villages when the report was built
+  villages: [{
+    type: String,
+    trim: true
+  }],
+  activities: [activitySchema],
+  entries: [entrySchema],
+  // Sum of the amounts of activities with a rate
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  generatedAt: {
+    type: Date,
+    required: true
+  },
+  // Missing when built by the monthly job
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // Supervisor's remark; the reason when rejected
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+activityReportSchema.statics.STATUSES = STATUSES;
+
+activityReportSchema.index({ worker: 1, month: 1 }, { unique: true });
+activityReportSchema.index({ month: 1, status: 1 });
+activityReportSchema.index({ createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ActivityReport', activityReportSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['create', 'read', 'list', 'update', 'delete', 'merge', 'export'];
+const RESOURCES = ['patient', 'visit', 'pregnancy', 'child', 'followup'];
+
+// One changed field: values as they were before and after the change
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+// Append-only record of who touched which patient record. `createdAt` is
+// the time of the action.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the token so entries stay readable if the account changes
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  resource: {
+    type: String,
+    enum: RESOURCES,
+    default: 'patient'
+  },
+  // The patient acted on; list entries use `patients` instead
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Every patient returned by a list request or included in an export
+  patients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  }],
+  // The visit, pregnancy or child, for those entries; the other patient, for merges
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Every pregnancy or child returned by a list request
+  resourceIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Villages of the patients (or of children registered without a mother) at
+  // the time, so supervisors see entries for their area
+  villages: [{
+    type: String,
+    trim: true
+  }],
+  changes: [changeSchema],
+  // Search parameters of a list request or export
+  query: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.statics.ACTIONS = ACTIONS;
+auditLogSchema.statics.RESOURCES = RESOURCES;
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, appendOnly);
+auditLogSchema.pre(
+  ['updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  appendOnly
+);
+
+auditLogSchema.index({ patient: 1, createdAt: -1 });
+auditLogSchema.index({ patients: 1 });
+auditLogSchema.index({ resourceId: 1 });
+auditLogSchema.index({ resourceIds: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ villages: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const { VACCINE_CODES } = require('../utils/immunization');
+
+const immunizationSchema = new mongoose.Schema({
+  vaccine: { type: String, required: true, enum: VACCINE_CODES },
+  date: { type: Date, required: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  _id: false
+});
+
+const childSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dateOfBirth: {
+    type: Date,
+    required: true
+  },
+  gender: {
+    type: String,
+    required: true,
+    enum: ['Male', 'Female', 'Other']
+  },
+  birthWeight: {
+    type: Number,
+    min: 0.3,
+    max: 6
+  },
+  // A child is registered against its mother, its household, or both
+  mother: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  pregnancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pregnancy'
+  },
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
+  // Village name and location, as on Patient
+  village: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  villageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  immunizations: [immunizationSchema],
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+childSchema.index({ village: 1, createdAt: -1, _id: -1 });
+childSchema.index({ mother: 1 });
+childSchema.index({ household: 1 });
+childSchema.index({ village: 1, dateOfBirth: -1 });
+
+module.exports = mongoose.model('Child', childSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const { RATION_CARD_TYPES } = require('../../shared/schemas');
+
+const householdSchema = new mongoose.Schema({
+  // Member patient heading the household; headName is kept for display and for
+  // households created before the head is registered as a patient
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  headName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  landmark: {
+    type: String,
+    trim: true
+  },
+  // Village name and location, as on Patient
+  village: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  villageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  isBPL: {
+    type: Boolean,
+    default: false
+  },
+  rationCardType: {
+    type: String,
+    enum: RATION_CARD_TYPES,
+    default: 'None'
+  },
+  rationCardNumber: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Members are patients pointing at this household (Patient.household)
+householdSchema.virtual('members', {
+  ref: 'Patient',
+  localField: '_id',
+  foreignField: 'household',
+  match: { archived: { $ne: true } }
+});
+
+householdSchema.statics.RATION_CARD_TYPES = RATION_CARD_TYPES;
+
+householdSchema.index({ village: 1, createdAt: -1, _id: -1 });
+householdSchema.index({ headName: 1 });
+
+module.exports = mongoose.model('Household', householdSchema);
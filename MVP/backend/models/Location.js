@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const { LOCATION_TYPES } = require('../../shared/schemas');
+
+// Each level sits under one location of the level above
+const PARENT_TYPES = {
+  block: 'district',
+  phc: 'block',
+  sub_centre: 'phc',
+  village: 'sub_centre'
+};
+
+// Names compare without case, so "Rampur" and "rampur" are the same village
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const locationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: LOCATION_TYPES
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Government (LGD) code, when known
+  code: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Every location above this one, district first, so a subtree is one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }],
+  // Inactive locations stay on existing records but cannot be picked for new ones
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+locationSchema.statics.PARENT_TYPES = PARENT_TYPES;
+locationSchema.statics.NAME_COLLATION = NAME_COLLATION;
+
+locationSchema.index({ parent: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+locationSchema.index({ type: 1, name: 1 }, { collation: NAME_COLLATION });
+locationSchema.index({ ancestors: 1, type: 1 });
+locationSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+module.exports = mongoose.model('Location', locationSchema);
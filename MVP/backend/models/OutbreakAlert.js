@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const { SYNDROMES, ALERT_STATUSES } = require('../../shared/schemas');
+
+// A week in which a syndrome's cases in a village crossed its threshold,
+// raised by the weekly outbreak detector (see utils/surveillance.js).
+// Running the detector again for the same week updates the counts.
+const outbreakAlertSchema = new mongoose.Schema({
+  village: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  syndrome: {
+    type: String,
+    enum: SYNDROMES,
+    required: true
+  },
+  // Monday 00:00 of the week in REPORT_TIMEZONE; weekEnd is exclusive
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  // Patients with the syndrome that week, each counted once
+  cases: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  patients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  }],
+  // Weekly cases in the preceding weeks the week was compared against
+  baseline: {
+    weeks: { type: Number, required: true },
+    mean: { type: Number, required: true },
+    sd: { type: Number, required: true }
+  },
+  // Fewest cases that would have raised the alert
+  threshold: {
+    type: Number,
+    required: true
+  },
+  // Supervisors of the village's workers, who are told about the alert
+  supervisors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  statusUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusUpdatedAt: {
+    type: Date
+  },
+  // Findings of the follow-up, e.g. the suspected source
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+outbreakAlertSchema.statics.STATUSES = ALERT_STATUSES;
+
+outbreakAlertSchema.index({ village: 1, syndrome: 1, weekStart: 1 }, { unique: true });
+outbreakAlertSchema.index({ status: 1, createdAt: -1, _id: -1 });
+outbreakAlertSchema.index({ createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('OutbreakAlert', outbreakAlertSchema);
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 
+const { SYNDROMES } = require('../../shared/schemas');
+
 const patientSchema = new mongoose.Schema({
+  // Id generated on the device so a replayed offline submission is idempotent
+  clientId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  // Worker who registered the patient
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   name: {
     type: String,
     required: true,
@@ -17,18 +31,104 @@ const patientSchema = new mongoose.Schema({
     required: true,
     enum: ['Male', 'Female', 'Other']
   },
+  // Name of the village, copied from the location master data (villageId);
+  // records from before the master data may have free text only
   village: {
     type: String,
     required: true,
     trim: true
   },
+  villageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
   healthIssue: {
     type: String,
     required: true,
     trim: true
+  },
+  // Surveillance syndromes seen at registration, counted by the outbreak detector
+  syndromes: [{
+    type: String,
+    enum: SYNDROMES
+  }],
+  // When they were seen, the week the detector counts them in. Imported records
+  // only have it when the file gives it, so a register typed in later does not
+  // count as that week's cases.
+  syndromesSeenAt: {
+    type: Date
+  },
+  // ABHA (Ayushman Bharat Health Account) identifiers, validated by
+  // shared/abha.js: number as 12-3456-7890-1234, address in lower case
+  abhaNumber: {
+    type: String,
+    trim: true
+  },
+  abhaAddress: {
+    type: String,
+    trim: true
+  },
+  // Set once the ABHA is verified and linked through ABDM; cleared when either
+  // identifier changes
+  abhaLinkedAt: {
+    type: Date
+  },
+  abhaLinkReference: {
+    type: String
+  },
+  // Next scheduled follow-up; set from visits or directly, cleared when a visit
+  // is logged without a new date
+  nextFollowUpDate: {
+    type: Date
+  },
+  followUpReason: {
+    type: String,
+    trim: true
+  },
+  // Soft delete - archived patients are hidden but never removed
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when a supervisor merges this duplicate into another record; the
+  // duplicate is archived and its history moved to mergedInto
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
   }
 }, {
   timestamps: true
 });
 
+// Indexes backing GET /patients search and newest-first cursor pagination
+patientSchema.index({ village: 1, createdAt: -1, _id: -1 });
+patientSchema.index({ archived: 1, createdAt: -1, _id: -1 });
+patientSchema.index({ gender: 1, age: 1 });
+patientSchema.index({ name: 1 });
+patientSchema.index({ household: 1 });
+patientSchema.index({ village: 1, nextFollowUpDate: 1 });
+patientSchema.index({ villageId: 1 });
+// Weekly syndrome counts of the outbreak detector
+patientSchema.index({ syndromes: 1, syndromesSeenAt: 1 });
+// One active patient per ABHA; archived and merged records keep theirs
+patientSchema.index(
+  { abhaNumber: 1 },
+  { unique: true, partialFilterExpression: { abhaNumber: { $type: 'string' }, archived: false } }
+);
+patientSchema.index(
+  { abhaAddress: 1 },
+  { unique: true, partialFilterExpression: { abhaAddress: { $type: 'string' }, archived: false } }
+);
+
 module.exports = mongoose.model('Patient', patientSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const { HIGH_RISK_FLAGS } = require('../utils/pregnancy');
+
+const STATUSES = ['active', 'delivered', 'closed'];
+
+const ancCheckupSchema = new mongoose.Schema({
+  number: { type: Number, required: true, min: 1, max: 4 },
+  windowStart: { type: Date, required: true },
+  dueDate: { type: Date, required: true },
+  completedDate: { type: Date },
+  weight: { type: Number, min: 20, max: 200 },
+  systolic: { type: Number, min: 50, max: 300 },
+  diastolic: { type: Number, min: 30, max: 200 },
+  hb: { type: Number, min: 2, max: 20 },
+  notes: { type: String, trim: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  _id: false
+});
+
+const doseSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['TT1', 'TT2', 'TT_BOOSTER', 'IFA'] },
+  date: { type: Date, required: true },
+  // Tablets handed over for IFA; 1 for TT injections
+  quantity: { type: Number, min: 1, default: 1 },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+const pncVisitSchema = new mongoose.Schema({
+  day: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  completedDate: { type: Date },
+  motherCondition: { type: String, trim: true },
+  babyCondition: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  _id: false
+});
+
+const deliverySchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  place: { type: String, required: true, enum: ['institutional', 'home', 'in_transit'] },
+  facility: { type: String, trim: true },
+  mode: { type: String, enum: ['normal', 'caesarean', 'assisted'] },
+  outcome: { type: String, required: true, enum: ['live_birth', 'still_birth', 'abortion'] },
+  babies: { type: Number, min: 0, max: 5, default: 1 },
+  birthWeight: { type: Number, min: 0.3, max: 6 }, // kg, first baby
+  babyGender: { type: String, enum: ['Male', 'Female', 'Other'] }
+}, {
+  _id: false
+});
+
+const pregnancySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Copied from the patient so pregnancies can be scoped like patients
+  village: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lmp: {
+    type: Date,
+    required: true
+  },
+  edd: {
+    type: Date,
+    required: true
+  },
+  gravida: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 20
+  },
+  parity: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 20
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active'
+  },
+  ancCheckups: [ancCheckupSchema],
+  doses: [doseSchema],
+  // Flags entered by the worker; automatic flags are added from age and readings
+  highRiskFlags: [{
+    type: String,
+    enum: HIGH_RISK_FLAGS
+  }],
+  delivery: deliverySchema,
+  pncVisits: [pncVisitSchema]
+}, {
+  timestamps: true
+});
+
+pregnancySchema.virtual('isHighRisk').get(function () {
+  return this.highRiskFlags.length > 0;
+});
+
+pregnancySchema.set('toJSON', { virtuals: true });
+
+pregnancySchema.statics.STATUSES = STATUSES;
+
+pregnancySchema.index({ patient: 1, status: 1 });
+pregnancySchema.index({ village: 1, status: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Pregnancy', pregnancySchema);
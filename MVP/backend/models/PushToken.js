@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const { PUSH_PLATFORMS } = require('../../shared/schemas');
+
+// Expo push token of a device the user is signed in on. A token belongs to
+// one device, so registering it again moves it to whoever signed in last.
+const pushTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: PUSH_PLATFORMS
+  },
+  // Devices register on every sign-in; tokens not seen for long can be pruned
+  lastRegisteredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pushTokenSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushToken', pushTokenSchema);
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['rotated', 'logout', 'reuse_detected', 'deactivated'];
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only held by the device
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token rotated from the same login shares a family, so replaying an
+  // already-rotated token can revoke the whole chain
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every live token matching the filter (a family or a user)
+refreshTokenSchema.statics.revokeAll = function (filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Expired tokens are removed by MongoDB's TTL monitor
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
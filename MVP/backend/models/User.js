@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const { ROLES } = require('../../shared/schemas');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[6-9]\d{9}$/, 'Phone must be a valid 10-digit mobile number']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES,
+    default: 'asha_worker'
+  },
+  // ANM supervisor overseeing this ASHA worker
+  supervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedVillages: [{
+    type: String,
+    trim: true
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.statics.ROLES = ROLES;
+
+userSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never send the password hash back to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const { SYNDROMES } = require('../../shared/schemas');
+
+// Vitals use field units: BP mmHg, pulse bpm, temperature °F, weight kg,
+// SpO2 %, random blood sugar mg/dL
+const vitalsSchema = new mongoose.Schema({
+  systolic: { type: Number, min: 50, max: 300 },
+  diastolic: { type: Number, min: 30, max: 200 },
+  pulse: { type: Number, min: 20, max: 250 },
+  temperature: { type: Number, min: 90, max: 110 },
+  weight: { type: Number, min: 0.5, max: 300 },
+  spo2: { type: Number, min: 50, max: 100 },
+  bloodSugar: { type: Number, min: 20, max: 600 }
+}, {
+  _id: false
+});
+
+const visitSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  visitDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  complaint: {
+    type: String,
+    trim: true
+  },
+  // Surveillance syndromes seen at the visit, counted by the outbreak detector
+  syndromes: [{
+    type: String,
+    enum: SYNDROMES
+  }],
+  vitals: {
+    type: vitalsSchema,
+    default: () => ({})
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  nextFollowUpDate: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+visitSchema.index({ patient: 1, visitDate: -1 });
+visitSchema.index({ syndromes: 1, visitDate: 1 });
+
+visitSchema.statics.VITAL_FIELDS = Object.keys(vitalsSchema.paths);
+
+module.exports = mongoose.model('Visit', visitSchema);
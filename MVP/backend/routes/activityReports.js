@@ -0,0 +1,254 @@
+const express = require('express');
+
+const ActivityReport = require('../models/ActivityReport');
+const Location = require('../models/Location');
+const User = require('../models/User');
+const { authenticateToken, authorize, forbidden } = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { badRequest, paginate } = require('../utils/query');
+const { withHierarchy } = require('../utils/locations');
+const { getTimezone } = require('../utils/reports');
+const { monthRange, generateActivityReport } = require('../utils/activityReports');
+const { writeActivityReportPdf } = require('../utils/activityReportPdf');
+const { sendNotification } = require('../services/push');
+const messages = require('../services/push/messages');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(value);
+
+// Workers see their own reports, supervisors those of the workers they
+// oversee, medical officers every report
+const reportScopeFilter = async (account) => {
+  if (account.role === 'asha_worker') {
+    return { worker: account._id };
+  }
+  if (account.role === 'anm_supervisor') {
+    return { worker: { $in: await User.find({ supervisor: account._id }).distinct('_id') } };
+  }
+  return {};
+};
+
+const canAccessReport = (account, report) => {
+  if (account.role === 'asha_worker') {
+    return String(report.worker?._id) === String(account._id);
+  }
+  if (account.role === 'anm_supervisor') {
+    return String(report.worker?.supervisor) === String(account._id);
+  }
+  return true;
+};
+
+// Load a report the caller may see, with its worker and reviewer
+const loadReport = async (req, res, next) => {
+  try {
+    const report = await ActivityReport.findById(req.params.id)
+      .populate('worker', 'name username phone supervisor')
+      .populate('reviewedBy', 'name');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity report not found'
+      });
+    }
+
+    if (!canAccessReport(req.account, report)) {
+      return next(forbidden('You do not have access to this report'));
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only drafts are reviewed, and only once the month is over
+const reviewConflict = (report) => {
+  if (report.status !== 'draft') {
+    return report.status === 'approved'
+      ? 'This report is already approved'
+      : 'This report was rejected; it must be generated again before it is reviewed';
+  }
+  if (monthRange(report.month).end > new Date()) {
+    return 'A report can only be reviewed once its month is over';
+  }
+  return null;
+};
+
+const reviewReport = (status) => async (req, res, next) => {
+  try {
+    const conflict = reviewConflict(req.report);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict
+      });
+    }
+
+    req.report.set({
+      status,
+      reviewedBy: req.account._id,
+      reviewedAt: new Date(),
+      reviewNote: req.values.note
+    });
+    await req.report.save();
+    await req.report.populate('reviewedBy', 'name');
+    req.log.info(`Activity report ${status}`, { reportId: req.report._id });
+    sendNotification({ user: req.report.worker._id }, messages.activityReportReviewed(req.report))
+      .catch(error => req.log.warn('Report review notification failed', { reportId: req.report._id, error: error.message }));
+
+    res.json({
+      success: true,
+      report: req.report,
+      message: `Activity report ${status}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /activity-reports - Monthly activity reports, newest first, without
+// their entries. Query: worker, month (YYYY-MM), status, limit, cursor
+router.get('/', authorize('activityReports:read'), async (req, res, next) => {
+  try {
+    const { worker, month, status } = req.query;
+    const conditions = [await reportScopeFilter(req.account)];
+
+    if (worker) {
+      if (!isObjectId(worker)) {
+        throw badRequest('Invalid worker');
+      }
+      conditions.push({ worker });
+    }
+    if (month) {
+      if (!/^\d{4}-\d{2}$/.test(month)) {
+        throw badRequest('month must be given as YYYY-MM');
+      }
+      conditions.push({ month });
+    }
+    if (status) {
+      if (!ActivityReport.STATUSES.includes(status)) {
+        throw badRequest(`status must be one of: ${ActivityReport.STATUSES.join(', ')}`);
+      }
+      conditions.push({ status });
+    }
+
+    const { items, total, nextCursor } = await paginate(ActivityReport, conditions, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      populate: [
+        { path: 'worker', select: 'name username' },
+        { path: 'reviewedBy', select: 'name' }
+      ]
+    });
+    const reports = items.map(report => {
+      const { entries, ...summary } = report.toJSON();
+      return summary;
+    });
+
+    res.json({
+      success: true,
+      reports: reports,
+      count: reports.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /activity-reports - Build (or rebuild) the draft report of a month
+// from the worker's records. Workers build their own; supervisors give the
+// workerId of one of their workers. Approved reports are not rebuilt (409).
+router.post('/', authorize('activityReports:generate'), validateBody(schemas.activityReport), async (req, res, next) => {
+  try {
+    const { month, workerId } = req.values;
+
+    let worker = req.account;
+    if (req.account.role === 'asha_worker') {
+      if (workerId && workerId !== String(req.account._id)) {
+        return next(forbidden('Workers can only generate their own reports'));
+      }
+    } else {
+      if (!workerId) {
+        return validationFailed(res, { workerId: 'Worker is required' });
+      }
+      worker = await User.findOne({ _id: workerId, supervisor: req.account._id, role: 'asha_worker' });
+      if (!worker) {
+        return res.status(404).json({
+          success: false,
+          error: 'Worker not found'
+        });
+      }
+    }
+
+    const { report, created, conflict } = await generateActivityReport(worker, month, {
+      generatedBy: req.account._id
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict
+      });
+    }
+    await report.populate('worker', 'name username');
+    req.log.info('Activity report generated', { reportId: report._id, month });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      report: report,
+      message: 'Activity report generated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /activity-reports/:id - A report with the entries behind its counts
+router.get('/:id', authorize('activityReports:read'), loadReport, (req, res) => {
+  res.json({
+    success: true,
+    report: req.report
+  });
+});
+
+// GET /activity-reports/:id/pdf - The report as a claim form PDF
+router.get('/:id/pdf', authorize('activityReports:read'), loadReport, async (req, res, next) => {
+  try {
+    // Sub-centre, PHC, block and district of the worker's villages
+    const villages = await Location.find({ type: 'village', name: { $in: req.report.villages } })
+      .collation(Location.NAME_COLLATION);
+    const located = await withHierarchy(villages);
+    const hierarchy = {};
+    ['subCentre', 'phc', 'block', 'district'].forEach(key => {
+      hierarchy[key] = [...new Set(located.map(village => village[key]).filter(Boolean))].join(', ');
+    });
+
+    req.log.info('Activity report downloaded', { reportId: req.report._id });
+    writeActivityReportPdf(res, {
+      report: req.report,
+      worker: req.report.worker,
+      hierarchy,
+      reviewer: req.report.reviewedBy,
+      timeZone: getTimezone()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /activity-reports/:id/approve - Approve a draft, with an optional note
+router.post('/:id/approve', authorize('activityReports:review'), loadReport,
+  validateBody(schemas.activityReportReview), reviewReport('approved'));
+
+// POST /activity-reports/:id/reject - Reject a draft; note gives the reason
+router.post('/:id/reject', authorize('activityReports:review'), loadReport,
+  validateBody(schemas.activityReportRejection), reviewReport('rejected'));
+
+module.exports = router;
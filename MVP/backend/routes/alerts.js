@@ -0,0 +1,130 @@
+const express = require('express');
+
+const OutbreakAlert = require('../models/OutbreakAlert');
+const { authenticateToken, authorize, scopeFilter, isVillageInScope, forbidden } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { badRequest, textParamError, paginate } = require('../utils/query');
+const { recordAudit } = require('../utils/audit');
+const { SYNDROMES, schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+// Load an alert in one of the caller's villages, or respond 404/403
+const loadAlert = async (req, res, next) => {
+  try {
+    const alert = await OutbreakAlert.findById(req.params.id)
+      .populate('statusUpdatedBy', 'name');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, alert.village)) {
+      return next(forbidden('You do not have access to this alert'));
+    }
+
+    req.alert = alert;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /alerts - Outbreak alerts in the caller's villages, newest first.
+// Query: status, syndrome, village, limit, cursor
+router.get('/', authorize('alerts:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['status', 'syndrome', 'village', 'limit', 'cursor']);
+    if (paramError) {
+      throw badRequest(paramError);
+    }
+
+    const { status, syndrome, village } = req.query;
+    const conditions = [scopeFilter(req.scope)];
+
+    if (status) {
+      if (!OutbreakAlert.STATUSES.includes(status)) {
+        throw badRequest(`status must be one of: ${OutbreakAlert.STATUSES.join(', ')}`);
+      }
+      conditions.push({ status });
+    }
+    if (syndrome) {
+      if (!SYNDROMES.includes(syndrome)) {
+        throw badRequest(`syndrome must be one of: ${SYNDROMES.join(', ')}`);
+      }
+      conditions.push({ syndrome });
+    }
+    if (village?.trim()) {
+      conditions.push({ village: village.trim() });
+    }
+
+    const { items, total, nextCursor } = await paginate(OutbreakAlert, conditions, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      populate: { path: 'statusUpdatedBy', select: 'name' }
+    });
+
+    res.json({
+      success: true,
+      alerts: items,
+      count: items.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /alerts/:id - An alert with the week's patients
+router.get('/:id', authorize('alerts:read'), loadAlert, async (req, res, next) => {
+  try {
+    await req.alert.populate('patients', 'name age gender village healthIssue syndromes');
+    await recordAudit(req, {
+      action: 'list',
+      patients: req.alert.patients,
+      query: { alert: String(req.alert._id) }
+    });
+
+    res.json({
+      success: true,
+      alert: req.alert
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /alerts/:id - Record the follow-up of an alert: investigating or
+// closed, with a note on the findings
+router.patch('/:id', authorize('alerts:manage'), loadAlert, validateBody(schemas.alertUpdate), async (req, res, next) => {
+  try {
+    const { status, note } = req.values;
+    req.alert.set({
+      status,
+      statusUpdatedBy: req.account._id,
+      statusUpdatedAt: new Date()
+    });
+    if (note !== undefined) {
+      req.alert.note = note;
+    }
+    await req.alert.save();
+    await req.alert.populate('statusUpdatedBy', 'name');
+    req.log.info('Outbreak alert updated', { alertId: req.alert._id, status });
+
+    res.json({
+      success: true,
+      alert: req.alert,
+      message: 'Alert updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { parseDate, textParamError, paginate } = require('../utils/query');
+
+const router = express.Router();
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(value);
+
+const AUDIT_PARAMS = ['patient', 'actor', 'action', 'resource', 'resourceId', 'from', 'to', 'limit', 'cursor'];
+
+// Translate GET /audit query parameters into Mongo conditions.
+// Returns { conditions } or { error } for malformed parameters.
+const buildAuditConditions = (query) => {
+  const paramError = textParamError(query, AUDIT_PARAMS);
+  if (paramError) {
+    return { error: paramError };
+  }
+
+  const { patient, actor, action, resource, resourceId, from, to } = query;
+  const conditions = [];
+
+  if (patient) {
+    if (!isObjectId(patient)) {
+      return { error: 'Invalid patient' };
+    }
+    // Single-record entries and list results that included the patient
+    conditions.push({ $or: [{ patient }, { patients: patient }] });
+  }
+
+  if (resourceId) {
+    if (!isObjectId(resourceId)) {
+      return { error: 'Invalid resourceId' };
+    }
+    // The visit, pregnancy or child itself, or a list that included it
+    conditions.push({ $or: [{ resourceId }, { resourceIds: resourceId }] });
+  }
+
+  if (actor) {
+    if (!isObjectId(actor)) {
+      return { error: 'Invalid actor' };
+    }
+    conditions.push({ actor });
+  }
+
+  if (action) {
+    if (!AuditLog.ACTIONS.includes(action)) {
+      return { error: `Valid action is required (${AuditLog.ACTIONS.join(', ')})` };
+    }
+    conditions.push({ action });
+  }
+
+  if (resource) {
+    if (!AuditLog.RESOURCES.includes(resource)) {
+      return { error: `Valid resource is required (${AuditLog.RESOURCES.join(', ')})` };
+    }
+    conditions.push({ resource });
+  }
+
+  if (from || to) {
+    const createdAt = {};
+    if (from) {
+      createdAt.$gte = parseDate(from);
+      if (!createdAt.$gte) {
+        return { error: 'from must be a valid date' };
+      }
+    }
+    if (to) {
+      createdAt.$lte = parseDate(to);
+      if (!createdAt.$lte) {
+        return { error: 'to must be a valid date' };
+      }
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        createdAt.$lte.setUTCHours(23, 59, 59, 999);
+      }
+    }
+    conditions.push({ createdAt });
+  }
+
+  return { conditions };
+};
+
+router.use(authenticateToken);
+
+// GET /audit - Patient record audit trail within the caller's scope, newest first.
+// Query: patient, actor, action, resource, resourceId, from, to, limit, cursor
+router.get('/', authorize('audit:read'), async (req, res, next) => {
+  try {
+    const { conditions, error } = buildAuditConditions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    // Entries are scoped by the villages of the patients they cover
+    const scope = req.scope.villages ? { villages: { $in: req.scope.villages } } : {};
+
+    const { items: entries, total, nextCursor } = await paginate(AuditLog, [scope, ...conditions], {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      populate: [
+        { path: 'actor', select: 'name username' },
+        { path: 'patient', select: 'name village' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      entries: entries,
+      count: entries.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
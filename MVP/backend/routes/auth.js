@@ -0,0 +1,102 @@
+const express = require('express');
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { issueRefreshToken, signToken, revokeAccessToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const invalidSession = (res, error) => res.status(401).json({
+  success: false,
+  error: error,
+  code: 'REFRESH_FAILED'
+});
+
+// POST /auth/refresh - Exchange a refresh token for a new access token.
+// Refresh tokens are single use: each call rotates it and returns a new one.
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+
+    if (!stored) {
+      const previous = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token being replayed means it leaked; end that whole login
+      if (previous && previous.revokedReason === 'rotated') {
+        await RefreshToken.revokeAll({ family: previous.family }, 'reuse_detected');
+        req.log.warn('Refresh token reuse detected', { userId: previous.user });
+      }
+
+      return invalidSession(res, 'Session expired. Please login again.');
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.active) {
+      await RefreshToken.revokeAll({ user: stored.user }, 'deactivated');
+      return invalidSession(res, 'Account is inactive or no longer exists');
+    }
+
+    const newRefreshToken = await issueRefreshToken(user, {
+      family: stored.family,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      token: signToken(user),
+      refreshToken: newRefreshToken,
+      user: { id: user._id, username: user.username, name: user.name, role: user.role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/logout - Revoke the refresh token's login and the current access
+// token. Works with an expired access token, so it does not require auth.
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+      if (stored) {
+        await RefreshToken.revokeAll({ family: stored.family }, 'logout');
+      }
+    }
+
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    if (accessToken) {
+      try {
+        await revokeAccessToken(accessToken);
+      } catch (error) {
+        // A malformed or foreign token has nothing to revoke
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
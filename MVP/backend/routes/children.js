@@ -0,0 +1,381 @@
+const express = require('express');
+
+const Child = require('../models/Child');
+const Patient = require('../models/Patient');
+const Household = require('../models/Household');
+const Pregnancy = require('../models/Pregnancy');
+const {
+  authenticateToken,
+  authorize,
+  scopeFilter,
+  isVillageInScope,
+  forbidden
+} = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { escapeRegex, textParamError, paginate } = require('../utils/query');
+const { resolveVillage } = require('../utils/locations');
+const { CHILD_FIELDS, diffFields, snapshot, recordAudit } = require('../utils/audit');
+const {
+  MAX_SCHEDULE_AGE_DAYS,
+  findVaccine,
+  buildImmunizationCard
+} = require('../utils/immunization');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error: error
+});
+
+const EDITABLE_FIELDS = ['name', 'dateOfBirth', 'gender', 'birthWeight'];
+
+// Fields from a validated body (req.values) that are stored on the child.
+// Returns { fields } or { errors } when the child is too old for the schedule.
+const childFields = (values) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      fields[field] = values[field] === null ? undefined : values[field];
+    }
+  });
+
+  if (fields.dateOfBirth && Date.now() - fields.dateOfBirth.getTime() > MAX_SCHEDULE_AGE_DAYS * DAY_MS) {
+    return { errors: { dateOfBirth: 'Child is too old for the immunization schedule' } };
+  }
+  return { fields };
+};
+
+// Audit entry for one child, under the mother when there is one
+const auditChild = (req, child, action, changes) => recordAudit(req, {
+  action,
+  resource: 'child',
+  resourceId: child._id,
+  patient: child.mother || undefined,
+  villages: [child.village],
+  changes
+});
+
+const withCard = (child) => ({
+  ...child.toJSON(),
+  card: buildImmunizationCard(child.dateOfBirth, child.immunizations)
+});
+
+// Load a non-archived child within the caller's scope, or respond 404/403
+const loadChild = async (req, res, next) => {
+  try {
+    const child = await Child.findOne({ _id: req.params.id, archived: { $ne: true } })
+      .populate('mother', 'name age village');
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        error: 'Child not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, child.village)) {
+      return next(forbidden('You do not have access to this child'));
+    }
+
+    req.child = child;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /children - Children within the caller's scope, newest first.
+// Query: q (name), village, mother, household, limit, cursor
+router.get('/', authorize('immunization:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['q', 'village', 'mother', 'household', 'limit', 'cursor']);
+    if (paramError) {
+      return badRequest(res, paramError);
+    }
+
+    const { q, village, mother, household } = req.query;
+    const conditions = [scopeFilter(req.scope), { archived: { $ne: true } }];
+
+    if (q?.trim()) {
+      conditions.push({ name: { $regex: escapeRegex(q.trim()), $options: 'i' } });
+    }
+    if (village?.trim()) {
+      conditions.push({ village: village.trim() });
+    }
+    for (const [field, value] of Object.entries({ mother, household })) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!OBJECT_ID.test(value)) {
+        return badRequest(res, `Invalid ${field}`);
+      }
+      conditions.push({ [field]: value });
+    }
+
+    const { items, total, nextCursor } = await paginate(Child, conditions, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      populate: { path: 'mother', select: 'name' }
+    });
+    await recordAudit(req, {
+      action: 'list',
+      resource: 'child',
+      patients: items.map(item => item.mother).filter(Boolean),
+      resourceIds: items.map(item => item._id),
+      villages: items.map(item => item.village),
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      children: items.map(withCard),
+      count: items.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /children - Register a child against a mother (female patient), a
+// household, or both. The village comes from the mother or household when given.
+router.post('/', authorize('immunization:write'), validateBody(schemas.child), async (req, res, next) => {
+  try {
+    const { fields, errors } = childFields(req.values);
+    if (errors) {
+      return validationFailed(res, errors);
+    }
+
+    const { motherId, householdId, pregnancyId } = req.values;
+    let mother = null;
+    let household = null;
+
+    if (motherId) {
+      mother = await Patient.findOne({ _id: motherId, archived: { $ne: true } });
+      if (!mother) {
+        return validationFailed(res, { motherId: 'Mother not found' });
+      }
+      if (mother.gender !== 'Female') {
+        return validationFailed(res, { motherId: 'Mother must be a female patient' });
+      }
+    }
+
+    const householdRef = householdId || mother?.household;
+    if (householdRef) {
+      household = await Household.findById(householdRef);
+      if (!household) {
+        return validationFailed(res, { householdId: 'Household not found' });
+      }
+    }
+
+    if (mother && household && household.village !== mother.village) {
+      return validationFailed(res, { householdId: 'Mother and household must be in the same village' });
+    }
+    let village = mother?.village || household?.village;
+    let villageId = mother?.villageId || household?.villageId;
+    if (!village) {
+      const { location, error } = await resolveVillage(req.values);
+      if (error) {
+        return validationFailed(res, { village: error });
+      }
+      village = location.name;
+      villageId = location._id;
+    }
+    if (!isVillageInScope(req.scope, village)) {
+      return next(forbidden('You do not have access to this village'));
+    }
+
+    if (pregnancyId) {
+      const pregnancy = mother && await Pregnancy.findOne({ _id: pregnancyId, patient: mother._id });
+      if (!pregnancy) {
+        return validationFailed(res, { pregnancyId: 'Pregnancy not found for this mother' });
+      }
+    }
+
+    const child = new Child({
+      ...fields,
+      mother: mother?._id,
+      household: household?._id,
+      pregnancy: pregnancyId || undefined,
+      village,
+      villageId,
+      registeredBy: req.user.userId
+    });
+
+    await child.save();
+    await auditChild(req, child, 'create', diffFields(null, snapshot(child), CHILD_FIELDS));
+    req.log.info('Child registered', { childId: child._id });
+
+    res.status(201).json({
+      success: true,
+      child: withCard(child),
+      message: 'Child registered successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /children/:id - Get a child with their immunization card
+router.get('/:id', authorize('immunization:read'), loadChild, async (req, res, next) => {
+  try {
+    await auditChild(req, req.child, 'read');
+
+    res.json({
+      success: true,
+      child: withCard(req.child)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /children/:id/card - Immunization card: each UIP vaccine as given, due,
+// upcoming or missed for the child's age
+router.get('/:id/card', authorize('immunization:read'), loadChild, async (req, res, next) => {
+  try {
+    const { child } = req;
+    const card = buildImmunizationCard(child.dateOfBirth, child.immunizations);
+    await auditChild(req, child, 'read');
+
+    res.json({
+      success: true,
+      child: {
+        _id: child._id,
+        name: child.name,
+        dateOfBirth: child.dateOfBirth,
+        gender: child.gender,
+        village: child.village,
+        mother: child.mother
+      },
+      card: card,
+      dueCount: card.filter(item => item.status === 'due').length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /children/:id - Update name, date of birth, gender or birth weight
+router.patch('/:id', authorize('immunization:write'), loadChild, validateBody(schemas.child, { partial: true }), async (req, res, next) => {
+  try {
+    const { fields, errors } = childFields(req.values);
+    if (errors) {
+      return validationFailed(res, errors);
+    }
+
+    const { child } = req;
+    const before = snapshot(child);
+    child.set(fields);
+
+    const firstDose = child.immunizations.reduce((earliest, dose) => (
+      !earliest || dose.date < earliest ? dose.date : earliest
+    ), null);
+    if (firstDose && child.dateOfBirth > firstDose) {
+      return validationFailed(res, { dateOfBirth: 'Date of birth cannot be after a recorded vaccination' });
+    }
+
+    await child.save();
+    await auditChild(req, child, 'update', diffFields(before, snapshot(child), CHILD_FIELDS));
+
+    res.json({
+      success: true,
+      child: withCard(child),
+      message: 'Child updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /children/:id - Archive a child record
+router.delete('/:id', authorize('immunization:write'), loadChild, async (req, res, next) => {
+  try {
+    const before = snapshot(req.child);
+    req.child.archived = true;
+    await req.child.save();
+    await auditChild(req, req.child, 'delete', diffFields(before, snapshot(req.child), CHILD_FIELDS));
+
+    res.json({
+      success: true,
+      message: 'Child archived successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /children/:id/immunizations - Record a vaccine as given (date defaults to today)
+router.post('/:id/immunizations', authorize('immunization:write'), loadChild, validateBody(schemas.immunization), async (req, res, next) => {
+  try {
+    const { child } = req;
+    const vaccine = findVaccine(req.values.vaccine);
+
+    if (!vaccine) {
+      return validationFailed(res, { vaccine: 'Unknown vaccine' });
+    }
+
+    if (child.immunizations.some(dose => dose.vaccine === vaccine.code)) {
+      return badRequest(res, `${vaccine.name} has already been recorded`);
+    }
+
+    const date = req.values.date || new Date();
+    if (date < child.dateOfBirth) {
+      return validationFailed(res, { date: 'Vaccination date cannot be before the date of birth' });
+    }
+
+    child.immunizations.push({
+      vaccine: vaccine.code,
+      date,
+      recordedBy: req.user.userId
+    });
+    await child.save();
+    await auditChild(req, child, 'update', diffFields(null, { date }, ['date'], `immunizations.${vaccine.code}.`));
+    req.log.info('Immunization recorded', { childId: child._id, vaccine: vaccine.code });
+
+    res.status(201).json({
+      success: true,
+      child: withCard(child),
+      message: `${vaccine.name} recorded`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /children/:id/immunizations/:vaccine - Undo a vaccine recorded by mistake
+router.delete('/:id/immunizations/:vaccine', authorize('immunization:write'), loadChild, async (req, res, next) => {
+  try {
+    const { child } = req;
+    const index = child.immunizations.findIndex(dose => dose.vaccine === req.params.vaccine);
+
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vaccine not recorded for this child'
+      });
+    }
+
+    const [removed] = child.immunizations.splice(index, 1);
+    await child.save();
+    await auditChild(req, child, 'update', diffFields({ date: removed.date }, null, ['date'], `immunizations.${removed.vaccine}.`));
+
+    res.json({
+      success: true,
+      child: withCard(child),
+      message: 'Vaccination removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+
+const Patient = require('../models/Patient');
+const Visit = require('../models/Visit');
+const { authenticateToken, authorize, scopeFilter, isVillageInScope, forbidden } = require('../middleware/auth');
+const { escapeRegex, paginate, paginateJoined } = require('../utils/query');
+const { recordAudit } = require('../utils/audit');
+const { parseAbhaNumber } = require('../../shared/abha');
+const {
+  FHIR_JSON,
+  PATIENT_ID_SYSTEM,
+  ABHA_NUMBER_SYSTEM,
+  LOINC,
+  GENDER_CODES,
+  OBSERVATIONS,
+  toFhirPatient,
+  toFhirCondition,
+  toFhirEncounter,
+  toFhirObservations,
+  searchBundle,
+  operationOutcome,
+  paramValues,
+  orValues,
+  parseToken,
+  parsePatientReference,
+  parseDateParam
+} = require('../utils/fhir');
+
+const router = express.Router();
+
+const JSON_FORMATS = ['json', 'application/json', 'application/fhir+json'];
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const FHIR_GENDERS = Object.fromEntries(Object.entries(GENDER_CODES).map(([gender, code]) => [code, gender]));
+
+const sendResource = (res, resource, status = 200) => res.status(status).type(FHIR_JSON).json(resource);
+
+const sendOutcome = (res, status, code, diagnostics) => sendResource(res, operationOutcome(code, diagnostics), status);
+
+const notFound = (res, type, id) => sendOutcome(res, 404, 'not-found', `${type}/${id} is not known`);
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// Self and next links of a search page; the next page reuses the query with
+// the cursor of this one
+const pageLinks = (req, nextCursor) => {
+  const self = `${baseUrl(req)}${req.originalUrl.slice(req.baseUrl.length)}`;
+  if (!nextCursor) {
+    return { self };
+  }
+  const query = new URLSearchParams(req.query);
+  query.set('_cursor', nextCursor);
+  return { self, next: `${baseUrl(req)}${req.path}?${query}` };
+};
+
+// Conditions shared by every patient query: in scope and not archived
+const patientScope = (req) => [scopeFilter(req.scope), { archived: { $ne: true } }];
+
+// A non-archived patient within the caller's scope, or null when unknown.
+// Patients outside the scope fail with a 403.
+const findPatient = async (req, id) => {
+  if (!OBJECT_ID.test(id)) {
+    return null;
+  }
+  const patient = await Patient.findOne({ _id: id, archived: { $ne: true } });
+  if (patient && !isVillageInScope(req.scope, patient.village)) {
+    throw forbidden('You do not have access to this patient');
+  }
+  return patient;
+};
+
+// Translate Patient search parameters into Mongo conditions.
+// Returns { conditions } or { error }.
+const buildPatientSearch = (query) => {
+  const conditions = [];
+
+  for (const value of paramValues(query._id)) {
+    const ids = orValues(value);
+    if (!ids.every(id => OBJECT_ID.test(id))) {
+      return { conditions: [{ _id: null }] };
+    }
+    conditions.push({ _id: { $in: ids } });
+  }
+
+  // Our patient id or the ABHA number; a token without a system may be either
+  for (const value of paramValues(query.identifier)) {
+    const tokens = orValues(value).map(parseToken);
+    const ids = tokens
+      .filter(token => (!token.system || token.system === PATIENT_ID_SYSTEM) && OBJECT_ID.test(token.code))
+      .map(token => token.code);
+    const abhaNumbers = tokens
+      .filter(token => !token.system || token.system === ABHA_NUMBER_SYSTEM)
+      .map(token => parseAbhaNumber(token.code).value)
+      .filter(Boolean);
+    conditions.push({ $or: [{ _id: { $in: ids } }, { abhaNumber: { $in: abhaNumbers } }] });
+  }
+
+  // Names match from the start by default, anywhere with :contains, and in
+  // full with :exact
+  [['name', text => `^${escapeRegex(text)}`], ['name:contains', escapeRegex], ['name:exact', text => `^${escapeRegex(text)}$`]]
+    .forEach(([param, pattern]) => {
+      paramValues(query[param]).forEach(value => {
+        const options = param === 'name:exact' ? '' : 'i';
+        conditions.push({ $or: orValues(value).map(text => ({ name: { $regex: pattern(text), $options: options } })) });
+      });
+    });
+
+  for (const param of ['address', 'address-city']) {
+    for (const value of paramValues(query[param])) {
+      conditions.push({
+        $or: orValues(value).map(text => ({ village: { $regex: `^${escapeRegex(text)}`, $options: 'i' } }))
+      });
+    }
+  }
+
+  for (const value of paramValues(query.gender)) {
+    const genders = orValues(value).map(code => FHIR_GENDERS[code]);
+    if (genders.some(gender => !gender)) {
+      return { error: `Unknown gender: ${value}` };
+    }
+    conditions.push({ gender: { $in: genders } });
+  }
+
+  for (const value of paramValues(query._lastUpdated)) {
+    const { condition, error } = parseDateParam('updatedAt', value);
+    if (error) {
+      return { error };
+    }
+    conditions.push(condition);
+  }
+
+  return { conditions };
+};
+
+// Visit search limited to the patient named by the patient/subject parameter,
+// or joined to every patient in the caller's scope: { conditions, join }
+const visitScope = async (req) => {
+  const reference = paramValues(req.query.patient)[0] || paramValues(req.query.subject)[0];
+  if (reference) {
+    const id = parsePatientReference(reference);
+    const patient = id && await findPatient(req, id);
+    return { conditions: [{ patient: patient ? patient._id : null }] };
+  }
+  return {
+    conditions: [],
+    join: { model: Patient, localField: 'patient', conditions: patientScope(req) }
+  };
+};
+
+// Visit conditions for Encounter and Observation searches: scope, _id/encounter
+// and date. Returns { conditions, join } or { error }.
+const buildVisitSearch = async (req, idParam) => {
+  const { conditions, join } = await visitScope(req);
+
+  for (const value of paramValues(req.query[idParam])) {
+    const ids = orValues(value).map(id => id.replace(/^Encounter\//, ''));
+    conditions.push({ _id: { $in: ids.filter(id => OBJECT_ID.test(id)) } });
+  }
+
+  for (const value of paramValues(req.query.date)) {
+    const { condition, error } = parseDateParam('visitDate', value);
+    if (error) {
+      return { error };
+    }
+    conditions.push(condition);
+  }
+
+  return { conditions, join };
+};
+
+// A page of visits, through the patient join when the search has one
+const findVisits = ({ conditions, join }, options) => (
+  join ? paginateJoined(Visit, conditions, { ...options, join }) : paginate(Visit, conditions, options)
+);
+
+// Patients of a page of visits, for the audit entry
+const visitPatients = (visits) => Patient.find({ _id: { $in: visits.map(visit => visit.patient) } }).select('village');
+
+// Only JSON is offered; _format may ask for it explicitly
+router.use((req, res, next) => {
+  const format = typeof req.query._format === 'string' ? req.query._format.replace(/ /g, '+') : undefined;
+  if (format && !JSON_FORMATS.includes(format.split(';')[0].trim())) {
+    return sendOutcome(res, 406, 'not-supported', 'Only JSON is supported (_format=json)');
+  }
+  next();
+});
+
+// GET /fhir/metadata - CapabilityStatement describing this facade
+router.get('/metadata', (req, res) => {
+  const searchParam = (name, type) => ({ name, type });
+  const resource = (type, params, operations) => ({
+    type,
+    interaction: [{ code: 'read' }, { code: 'search-type' }],
+    searchParam: params,
+    ...(operations ? { operation: operations } : {})
+  });
+  const subject = [searchParam('patient', 'reference'), searchParam('subject', 'reference')];
+
+  sendResource(res, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Patient Management MVP' },
+    implementation: { description: 'Read-only FHIR facade', url: baseUrl(req) },
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: { description: 'Bearer access token from POST /login' },
+      resource: [
+        resource('Patient', [
+          searchParam('_id', 'token'),
+          searchParam('identifier', 'token'),
+          searchParam('name', 'string'),
+          searchParam('gender', 'token'),
+          searchParam('address', 'string'),
+          searchParam('address-city', 'string'),
+          searchParam('_lastUpdated', 'date')
+        ], [{ name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' }]),
+        resource('Encounter', [searchParam('_id', 'token'), ...subject, searchParam('date', 'date')]),
+        resource('Observation', [
+          ...subject,
+          searchParam('encounter', 'reference'),
+          searchParam('code', 'token'),
+          searchParam('category', 'token'),
+          searchParam('date', 'date')
+        ]),
+        resource('Condition', [searchParam('_id', 'token'), ...subject, searchParam('clinical-status', 'token')])
+      ]
+    }]
+  });
+});
+
+router.use(authenticateToken);
+
+// GET /fhir/Patient - Search patients in the caller's scope
+router.get('/Patient', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const { conditions, error } = buildPatientSearch(req.query);
+    if (error) {
+      return sendOutcome(res, 400, 'invalid', error);
+    }
+
+    const { items: patients, total, nextCursor } = await paginate(Patient, [...patientScope(req), ...conditions], {
+      limit: req.query._count,
+      cursor: req.query._cursor
+    });
+
+    await recordAudit(req, { action: 'list', patients, query: req.query });
+
+    sendResource(res, searchBundle(baseUrl(req), patients.map(toFhirPatient), {
+      total,
+      links: pageLinks(req, nextCursor)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Patient/:id
+router.get('/Patient/:id', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const patient = await findPatient(req, req.params.id);
+    if (!patient) {
+      return notFound(res, 'Patient', req.params.id);
+    }
+
+    await recordAudit(req, { action: 'read', patient });
+    sendResource(res, toFhirPatient(patient));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Patient/:id/$everything - The patient with their condition, visit
+// encounters and observations
+router.get('/Patient/:id/\\$everything', authorize('visits:read'), async (req, res, next) => {
+  try {
+    const patient = await findPatient(req, req.params.id);
+    if (!patient) {
+      return notFound(res, 'Patient', req.params.id);
+    }
+
+    const visits = await Visit.find({ patient: patient._id })
+      .sort({ visitDate: -1, createdAt: -1 })
+      .populate('worker', 'name');
+
+    await recordAudit(req, { action: 'read', patient });
+    await recordAudit(req, { action: 'read', resource: 'visit', patient });
+
+    const resources = [
+      toFhirPatient(patient),
+      toFhirCondition(patient),
+      ...visits.map(toFhirEncounter),
+      ...visits.flatMap(visit => toFhirObservations(visit))
+    ];
+    sendResource(res, searchBundle(baseUrl(req), resources, {
+      total: resources.length,
+      links: { self: pageLinks(req).self }
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Condition - Health issues of patients in the caller's scope
+router.get('/Condition', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const conditions = [...patientScope(req)];
+
+    const reference = paramValues(req.query.patient)[0] || paramValues(req.query.subject)[0];
+    if (reference) {
+      conditions.push({ _id: parsePatientReference(reference) });
+    }
+    for (const value of paramValues(req.query._id)) {
+      conditions.push({ _id: { $in: orValues(value).filter(id => OBJECT_ID.test(id)) } });
+    }
+    // Every recorded health issue is active
+    for (const value of paramValues(req.query['clinical-status'])) {
+      if (!orValues(value).map(token => parseToken(token).code).includes('active')) {
+        conditions.push({ _id: null });
+      }
+    }
+
+    const { items: patients, total, nextCursor } = await paginate(Patient, conditions, {
+      limit: req.query._count,
+      cursor: req.query._cursor
+    });
+
+    await recordAudit(req, { action: 'list', patients, query: req.query });
+
+    sendResource(res, searchBundle(baseUrl(req), patients.map(toFhirCondition), {
+      total,
+      links: pageLinks(req, nextCursor)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Condition/:id - Shares the patient's id
+router.get('/Condition/:id', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const patient = await findPatient(req, req.params.id);
+    if (!patient) {
+      return notFound(res, 'Condition', req.params.id);
+    }
+
+    await recordAudit(req, { action: 'read', patient });
+    sendResource(res, toFhirCondition(patient));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Encounter - Visits of patients in the caller's scope
+router.get('/Encounter', authorize('visits:read'), async (req, res, next) => {
+  try {
+    const { conditions, join, error } = await buildVisitSearch(req, '_id');
+    if (error) {
+      return sendOutcome(res, 400, 'invalid', error);
+    }
+
+    const { items: visits, total, nextCursor } = await findVisits({ conditions, join }, {
+      limit: req.query._count,
+      cursor: req.query._cursor,
+      populate: { path: 'worker', select: 'name' }
+    });
+
+    await recordAudit(req, { action: 'list', resource: 'visit', patients: await visitPatients(visits), query: req.query });
+
+    sendResource(res, searchBundle(baseUrl(req), visits.map(toFhirEncounter), {
+      total,
+      links: pageLinks(req, nextCursor)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a visit of a patient in the caller's scope, or null when unknown
+const findVisit = async (req, id) => {
+  if (!OBJECT_ID.test(id)) {
+    return null;
+  }
+  const visit = await Visit.findById(id).populate('worker', 'name');
+  const patient = visit && await findPatient(req, String(visit.patient));
+  return patient ? { visit, patient } : null;
+};
+
+// GET /fhir/Encounter/:id
+router.get('/Encounter/:id', authorize('visits:read'), async (req, res, next) => {
+  try {
+    const found = await findVisit(req, req.params.id);
+    if (!found) {
+      return notFound(res, 'Encounter', req.params.id);
+    }
+
+    await recordAudit(req, { action: 'read', resource: 'visit', resourceId: found.visit._id, patient: found.patient });
+    sendResource(res, toFhirEncounter(found.visit));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Observation - Vital signs recorded on visits. Pages are pages of
+// visits, so _count limits the visits the observations come from.
+router.get('/Observation', authorize('visits:read'), async (req, res, next) => {
+  try {
+    const { conditions, join, error } = await buildVisitSearch(req, 'encounter');
+    if (error) {
+      return sendOutcome(res, 400, 'invalid', error);
+    }
+
+    // code and category pick which observations each visit yields
+    let keys = Object.keys(OBSERVATIONS);
+    for (const value of paramValues(req.query.code)) {
+      const tokens = orValues(value).map(parseToken);
+      keys = keys.filter(key => tokens.some(token =>
+        (!token.system || token.system === LOINC) && token.code === OBSERVATIONS[key].code));
+    }
+    for (const value of paramValues(req.query.category)) {
+      const codes = orValues(value).map(token => parseToken(token).code);
+      keys = keys.filter(key => codes.includes(OBSERVATIONS[key].category));
+    }
+    if (keys.length === 0) {
+      conditions.push({ _id: null });
+    } else {
+      conditions.push({
+        $or: keys.flatMap(key => OBSERVATIONS[key].fields.map(field => ({ [`vitals.${field}`]: { $ne: null } })))
+      });
+    }
+
+    const { items: visits, nextCursor } = await findVisits({ conditions, join }, {
+      limit: req.query._count,
+      cursor: req.query._cursor
+    });
+
+    await recordAudit(req, { action: 'list', resource: 'visit', patients: await visitPatients(visits), query: req.query });
+
+    sendResource(res, searchBundle(baseUrl(req), visits.flatMap(visit => toFhirObservations(visit, keys)), {
+      links: pageLinks(req, nextCursor)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /fhir/Observation/:id - Ids are `<visitId>-<vital>`, e.g. `...-bp`
+router.get('/Observation/:id', authorize('visits:read'), async (req, res, next) => {
+  try {
+    const [visitId, key] = req.params.id.split('-');
+    const found = OBSERVATIONS[key] && await findVisit(req, visitId);
+    const observation = found && toFhirObservations(found.visit, [key])[0];
+    if (!observation) {
+      return notFound(res, 'Observation', req.params.id);
+    }
+
+    await recordAudit(req, { action: 'read', resource: 'visit', resourceId: found.visit._id, patient: found.patient });
+    sendResource(res, observation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Anything else under /fhir
+router.use((req, res) => sendOutcome(res, 404, 'not-supported', `${req.method} ${req.path} is not supported`));
+
+// Errors as OperationOutcome rather than the API's usual JSON
+router.use((err, req, res, next) => {
+  if (err.name === 'ForbiddenError') {
+    return sendOutcome(res, 403, 'forbidden', err.message);
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return sendOutcome(res, err.status, 'invalid', err.message);
+  }
+  req.log.error('FHIR request failed', { err });
+  sendOutcome(res, 500, 'exception', 'Internal Server Error');
+});
+
+module.exports = router;
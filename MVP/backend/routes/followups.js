@@ -0,0 +1,207 @@
+const express = require('express');
+
+const Patient = require('../models/Patient');
+const Pregnancy = require('../models/Pregnancy');
+const Child = require('../models/Child');
+const { authenticateToken, authorize, scopeFilter } = require('../middleware/auth');
+const { MAX_SCHEDULE_AGE_DAYS, buildImmunizationCard } = require('../utils/immunization');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// The `days` window: a whole number of days from today (0 = due today), or
+// null when malformed
+const parseWindowDays = (value) => {
+  if (value === undefined) {
+    return DEFAULT_WINDOW_DAYS;
+  }
+  const days = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN;
+  return Number.isNaN(days) ? null : Math.min(days, MAX_WINDOW_DAYS);
+};
+
+const daysPast = (today, date) => Math.floor((today - startOfDay(date)) / DAY_MS);
+
+// First scheduled item not yet done, skipping any missed before the latest
+// completed one (a missed day-3 PNC visit is moot once day 7 is recorded)
+const nextPending = (items) => {
+  const lastDone = items.reduce((last, item, index) => (item.completedDate ? index : last), -1);
+  return items.slice(lastDone + 1).find(item => !item.completedDate);
+};
+
+// The next ANC checkup (once its window opens) or PNC visit still to be done
+// for each pregnancy, as follow-up entries. ANC reminders fire when the
+// window opens but only count as overdue once it has closed.
+const maternalFollowUps = (pregnancies, today, windowEnd) => {
+  const items = [];
+
+  pregnancies.forEach(pregnancy => {
+    if (!pregnancy.patient || pregnancy.patient.archived) {
+      return;
+    }
+
+    const patient = pregnancy.patient;
+    if (pregnancy.status === 'active') {
+      const checkup = nextPending(pregnancy.ancCheckups);
+      if (checkup && checkup.windowStart < windowEnd) {
+        const daysOverdue = daysPast(today, checkup.dueDate);
+        items.push({
+          id: `anc:${pregnancy._id}:${checkup.number}`,
+          kind: 'anc',
+          patientId: patient._id,
+          pregnancyId: pregnancy._id,
+          patientName: patient.name,
+          village: pregnancy.village,
+          reason: `ANC checkup ${checkup.number}`,
+          followUpDate: checkup.windowStart,
+          dueDate: checkup.dueDate,
+          daysOverdue: Math.max(daysOverdue, 0),
+          status: daysOverdue > 0 ? 'overdue' : 'due'
+        });
+      }
+    } else {
+      const visit = nextPending(pregnancy.pncVisits);
+      if (visit && visit.dueDate < windowEnd) {
+        const daysOverdue = daysPast(today, visit.dueDate);
+        items.push({
+          id: `pnc:${pregnancy._id}:${visit.day}`,
+          kind: 'pnc',
+          patientId: patient._id,
+          pregnancyId: pregnancy._id,
+          patientName: patient.name,
+          village: pregnancy.village,
+          reason: `PNC visit (day ${visit.day})`,
+          followUpDate: visit.dueDate,
+          dueDate: visit.dueDate,
+          daysOverdue: Math.max(daysOverdue, 0),
+          status: daysOverdue > 0 ? 'overdue' : 'due'
+        });
+      }
+    }
+  });
+
+  return items;
+};
+
+// One entry per child listing every vaccine that is due or falls due within
+// the window; the reminder date is the earliest of them
+const immunizationFollowUps = (children, today, windowEnd) => children.map(child => {
+  const pending = buildImmunizationCard(child.dateOfBirth, child.immunizations, today)
+    .filter(item => (item.status === 'due' || item.status === 'upcoming') && item.dueDate < windowEnd);
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const followUpDate = pending.reduce((earliest, item) => (item.dueDate < earliest ? item.dueDate : earliest), pending[0].dueDate);
+  const daysOverdue = daysPast(today, followUpDate);
+  return {
+    id: `immunization:${child._id}`,
+    kind: 'immunization',
+    patientId: child.mother,
+    childId: child._id,
+    patientName: child.name,
+    village: child.village,
+    reason: `Vaccines due: ${pending.map(item => item.name).join(', ')}`,
+    followUpDate: followUpDate,
+    dueDate: followUpDate,
+    daysOverdue: Math.max(daysOverdue, 0),
+    status: daysOverdue > 0 ? 'overdue' : 'due'
+  };
+}).filter(Boolean);
+
+router.use(authenticateToken);
+
+// GET /followups - Overdue follow-ups and those due within the next `days` days
+// (default 7) for patients in the caller's scope, soonest first. Includes the
+// next ANC checkup or PNC visit for each pregnancy and vaccines due for each
+// child; `kind` tells them apart.
+router.get('/', authorize('followups:read'), async (req, res, next) => {
+  try {
+    const days = parseWindowDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be a whole number, 0 or more'
+      });
+    }
+    const today = startOfDay(new Date());
+    const windowEnd = new Date(today.getTime() + (days + 1) * DAY_MS);
+
+    const [patients, pregnancies, children] = await Promise.all([
+      Patient.find({
+        ...scopeFilter(req.scope),
+        archived: { $ne: true },
+        nextFollowUpDate: { $ne: null, $lt: windowEnd }
+      })
+        .select('name age gender village healthIssue nextFollowUpDate followUpReason'),
+      Pregnancy.find({
+        ...scopeFilter(req.scope),
+        $or: [
+          { status: 'active', ancCheckups: { $elemMatch: { completedDate: null, windowStart: { $lt: windowEnd } } } },
+          { status: 'delivered', pncVisits: { $elemMatch: { completedDate: null, dueDate: { $lt: windowEnd } } } }
+        ]
+      })
+        .populate('patient', 'name archived'),
+      Child.find({
+        ...scopeFilter(req.scope),
+        archived: { $ne: true },
+        dateOfBirth: { $gt: new Date(today.getTime() - MAX_SCHEDULE_AGE_DAYS * DAY_MS) }
+      })
+        .select('name village mother dateOfBirth immunizations')
+    ]);
+
+    const followUps = patients.map(patient => {
+      const daysOverdue = daysPast(today, patient.nextFollowUpDate);
+      return {
+        id: `follow_up:${patient._id}`,
+        kind: 'follow_up',
+        patientId: patient._id,
+        patientName: patient.name,
+        village: patient.village,
+        reason: patient.followUpReason || patient.healthIssue,
+        followUpDate: patient.nextFollowUpDate,
+        daysOverdue: Math.max(daysOverdue, 0),
+        status: daysOverdue > 0 ? 'overdue' : 'due'
+      };
+    })
+      .concat(maternalFollowUps(pregnancies, today, windowEnd))
+      .concat(immunizationFollowUps(children, today, windowEnd))
+      .sort((a, b) => new Date(a.followUpDate) - new Date(b.followUpDate));
+
+    // Names and reasons are patient data: record every patient, pregnancy and
+    // child listed
+    const listed = new Map();
+    followUps.filter(followUp => followUp.patientId).forEach(followUp => {
+      listed.set(String(followUp.patientId), { _id: followUp.patientId, village: followUp.village });
+    });
+    await recordAudit(req, {
+      action: 'list',
+      resource: 'followup',
+      patients: [...listed.values()],
+      resourceIds: followUps.map(followUp => followUp.pregnancyId || followUp.childId).filter(Boolean),
+      villages: followUps.map(followUp => followUp.village),
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      followUps: followUps,
+      overdueCount: followUps.filter(followUp => followUp.status === 'overdue').length,
+      count: followUps.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
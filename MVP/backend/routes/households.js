@@ -0,0 +1,319 @@
+const express = require('express');
+
+const Household = require('../models/Household');
+const Patient = require('../models/Patient');
+const {
+  authenticateToken,
+  authorize,
+  scopeFilter,
+  isVillageInScope,
+  forbidden
+} = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { escapeRegex, textParamError, paginate } = require('../utils/query');
+const { resolveVillage } = require('../utils/locations');
+const { PATIENT_FIELDS, diffFields, snapshot, recordAudit } = require('../utils/audit');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'name age gender village healthIssue household createdAt';
+
+const EDITABLE_FIELDS = [
+  'headName', 'address', 'landmark', 'village', 'rationCardNumber', 'rationCardType', 'isBPL'
+];
+
+// Fields from a validated body (req.values) that are stored on the household
+const householdFields = (values) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      fields[field] = values[field];
+    }
+  });
+  return fields;
+};
+
+// Load a household within the caller's scope, or respond 404/403
+const loadHousehold = async (req, res, next) => {
+  try {
+    const household = await Household.findById(req.params.id);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        error: 'Household not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, household.village)) {
+      return next(forbidden('You do not have access to this household'));
+    }
+
+    req.household = household;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /households - List households within the caller's scope, newest first.
+// Query: q (head name), village, limit, cursor
+router.get('/', authorize('households:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['q', 'village', 'limit', 'cursor']);
+    if (paramError) {
+      return res.status(400).json({
+        success: false,
+        error: paramError
+      });
+    }
+
+    const { q, village } = req.query;
+    const conditions = [scopeFilter(req.scope)];
+
+    if (q?.trim()) {
+      conditions.push({ headName: { $regex: escapeRegex(q.trim()), $options: 'i' } });
+    }
+    if (village?.trim()) {
+      conditions.push({ village: village.trim() });
+    }
+
+    const { items: households, total, nextCursor } = await paginate(
+      Household,
+      conditions,
+      {
+        limit: req.query.limit,
+        cursor: req.query.cursor,
+        populate: { path: 'members', select: MEMBER_FIELDS }
+      }
+    );
+
+    await recordAudit(req, {
+      action: 'list',
+      patients: households.flatMap(household => household.members),
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      households: households,
+      count: households.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /households - Create a household
+router.post('/', authorize('households:write'), validateBody(schemas.household), async (req, res, next) => {
+  try {
+    const fields = householdFields(req.values);
+
+    const { location, error } = await resolveVillage(req.values);
+    if (error) {
+      return validationFailed(res, { village: error });
+    }
+    fields.village = location.name;
+    fields.villageId = location._id;
+
+    if (!isVillageInScope(req.scope, fields.village)) {
+      return next(forbidden('You can only create households in your assigned villages'));
+    }
+
+    const household = await new Household({
+      ...fields,
+      createdBy: req.user.userId
+    }).save();
+    req.log.info('Household created', { householdId: household._id });
+
+    res.status(201).json({
+      success: true,
+      household: household,
+      message: 'Household created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /households/:id - Get a household with its members
+router.get('/:id', authorize('households:read'), loadHousehold, async (req, res, next) => {
+  try {
+    await req.household.populate({ path: 'members', select: MEMBER_FIELDS });
+    await recordAudit(req, {
+      action: 'list',
+      patients: req.household.members,
+      query: { household: String(req.household._id) }
+    });
+
+    res.json({
+      success: true,
+      household: req.household
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /households/:id - Update household details or its head
+router.patch('/:id', authorize('households:write'), loadHousehold, validateBody(schemas.household, { partial: true }), async (req, res, next) => {
+  try {
+    const fields = householdFields(req.values);
+
+    if (req.values.village !== undefined || req.values.villageId !== undefined) {
+      const { location, error } = await resolveVillage(req.values);
+      if (error) {
+        return validationFailed(res, { village: error });
+      }
+      fields.village = location.name;
+      fields.villageId = location._id;
+    }
+
+    if (fields.village && !isVillageInScope(req.scope, fields.village)) {
+      return next(forbidden('You can only move households to your assigned villages'));
+    }
+
+    // Members keep their own village, so a household with members can't move
+    // without them disagreeing; members are moved one by one instead
+    if (fields.village && fields.village !== req.household.village) {
+      const members = await Patient.countDocuments({ household: req.household._id, archived: { $ne: true } });
+      if (members > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Remove the household\'s members before changing its village'
+        });
+      }
+    }
+
+    // The head must already be a member of this household
+    if (req.values.head !== undefined) {
+      if (req.values.head) {
+        const head = await Patient.findOne({
+          _id: req.values.head,
+          household: req.household._id,
+          archived: { $ne: true }
+        });
+        if (!head) {
+          return validationFailed(res, { head: 'Head of household must be a member of the household' });
+        }
+        fields.head = head._id;
+        fields.headName = head.name;
+      } else {
+        fields.head = null;
+      }
+    }
+
+    req.household.set(fields);
+    const household = await req.household.save();
+
+    res.json({
+      success: true,
+      household: household,
+      message: 'Household updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /households/:id/members - Add a patient to this household, moving them
+// out of any previous one
+router.post('/:id/members', authorize('households:write'), loadHousehold, validateBody(schemas.householdMember), async (req, res, next) => {
+  try {
+    const { patientId } = req.values;
+
+    const patient = await Patient.findOne({ _id: patientId, archived: { $ne: true } });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, patient.village)) {
+      return next(forbidden('You do not have access to this patient'));
+    }
+
+    if (patient.village !== req.household.village) {
+      return res.status(400).json({
+        success: false,
+        error: 'Patient and household must be in the same village'
+      });
+    }
+
+    const before = snapshot(patient);
+    const previousHousehold = patient.household;
+    patient.household = req.household._id;
+    await patient.save();
+
+    // A head who moves out no longer heads their old household
+    if (previousHousehold && !previousHousehold.equals(req.household._id)) {
+      await Household.updateOne(
+        { _id: previousHousehold, head: patient._id },
+        { $unset: { head: 1 } }
+      );
+    }
+
+    req.log.info('Household member added', { patientId: patient._id, householdId: req.household._id });
+
+    await recordAudit(req, {
+      action: 'update',
+      patient,
+      changes: diffFields(before, snapshot(patient), PATIENT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      patient: patient,
+      message: previousHousehold ? 'Patient moved to household' : 'Patient added to household'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /households/:id/members/:patientId - Remove a patient from this household
+router.delete('/:id/members/:patientId', authorize('households:write'), loadHousehold, async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.patientId,
+      household: req.household._id
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient is not a member of this household'
+      });
+    }
+
+    const before = snapshot(patient);
+    patient.household = undefined;
+    await patient.save();
+
+    if (req.household.head?.equals(patient._id)) {
+      req.household.head = undefined;
+      await req.household.save();
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      patient,
+      changes: diffFields(before, snapshot(patient), PATIENT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Patient removed from household'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+
+const Location = require('../models/Location');
+const Patient = require('../models/Patient');
+const Household = require('../models/Household');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { escapeRegex, badRequest, textParamError, paginate } = require('../utils/query');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { LOCATION_COLUMNS, withHierarchy, importLocations } = require('../utils/locations');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+const DEFAULT_VILLAGE_LIMIT = 100;
+const MAX_VILLAGE_LIMIT = 500;
+const MAX_IMPORT_ROWS = 10000;
+
+const EDITABLE_FIELDS = ['name', 'code', 'active'];
+
+// Load a location, or respond 404
+const loadLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    req.location = location;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /locations - List locations, newest first.
+// Query: type, parent, within (any location above), q (name), includeInactive, limit, cursor
+router.get('/', authorize('locations:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['type', 'parent', 'within', 'q', 'includeInactive', 'limit', 'cursor']);
+    if (paramError) {
+      throw badRequest(paramError);
+    }
+
+    const { type, parent, within, q, includeInactive } = req.query;
+    const conditions = [];
+
+    if (type) {
+      if (!Location.LOCATION_TYPES.includes(type)) {
+        throw badRequest(`type must be one of: ${Location.LOCATION_TYPES.join(', ')}`);
+      }
+      conditions.push({ type });
+    }
+    for (const [field, value] of [['parent', parent], ['ancestors', within]]) {
+      if (value) {
+        if (!/^[a-f\d]{24}$/i.test(value)) {
+          throw badRequest('Invalid location id');
+        }
+        conditions.push({ [field]: value });
+      }
+    }
+    if (q?.trim()) {
+      conditions.push({ name: { $regex: escapeRegex(q.trim()), $options: 'i' } });
+    }
+    if (includeInactive !== 'true') {
+      conditions.push({ active: true });
+    }
+
+    const { items, total, nextCursor } = await paginate(Location, conditions, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    const locations = await withHierarchy(items);
+
+    res.json({
+      success: true,
+      locations: locations,
+      count: locations.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /locations/villages - Active villages the caller can register records
+// in, by name, with their sub-centre, PHC, block and district. Query: q, limit
+router.get('/villages', authorize('locations:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['q', 'limit']);
+    if (paramError) {
+      throw badRequest(paramError);
+    }
+
+    const { q } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_VILLAGE_LIMIT, MAX_VILLAGE_LIMIT));
+    const conditions = [{ type: 'village' }, { active: true }];
+
+    // Scopes list village names; the collation matches them without case
+    if (req.scope.villages) {
+      conditions.push({ name: { $in: req.scope.villages } });
+    }
+    if (q?.trim()) {
+      conditions.push({ name: { $regex: escapeRegex(q.trim()), $options: 'i' } });
+    }
+
+    const villages = await Location.find({ $and: conditions })
+      .collation(Location.NAME_COLLATION)
+      .sort({ name: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      villages: await withHierarchy(villages),
+      count: villages.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /locations - Add a location under a parent of the level above
+router.post('/', authorize('locations:manage'), validateBody(schemas.location), async (req, res, next) => {
+  try {
+    const { type, name, code, parent: parentId, active } = req.values;
+    const parentType = Location.PARENT_TYPES[type];
+
+    let parent = null;
+    if (parentType) {
+      parent = parentId && await Location.findById(parentId);
+      if (!parent || parent.type !== parentType) {
+        return validationFailed(res, { parent: `A ${type.replace('_', '-')} must be under a ${parentType.replace('_', '-')}` });
+      }
+    } else if (parentId) {
+      return validationFailed(res, { parent: 'A district has no parent' });
+    }
+
+    const location = await Location.create({
+      type,
+      name,
+      code: code || undefined,
+      parent: parent ? parent._id : undefined,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      active,
+      createdBy: req.user.userId
+    });
+    req.log.info('Location created', { locationId: location._id });
+
+    const [created] = await withHierarchy([location]);
+    res.status(201).json({
+      success: true,
+      location: created,
+      message: 'Location created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /locations/import - Add locations from an uploaded CSV/XLSX file with
+// the columns district, block, phc, subCentre, village and code. Locations
+// that already exist are reused. ?dryRun=true checks the file without saving.
+router.post('/import', authorize('locations:manage'), uploadSpreadsheet, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw badRequest('Upload a .csv or .xlsx file in the "file" field');
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    const rows = await readSpreadsheet(req.file, LOCATION_COLUMNS);
+    if (rows.length === 0) {
+      throw badRequest('The file has no rows to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw badRequest(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    const { created, rows: results } = await importLocations(rows, { dryRun, createdBy: req.user.userId });
+    const failed = results.filter(result => result.status === 'error').length;
+    req.log.info('Locations imported', { dryRun, total: rows.length, created, failed });
+
+    res.json({
+      success: true,
+      dryRun: dryRun,
+      total: rows.length,
+      created: created,
+      failed: failed,
+      rows: results,
+      message: dryRun
+        ? `${rows.length - failed} of ${rows.length} rows are valid; ${created} locations would be added`
+        : `${created} locations added; ${failed} rows failed`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /locations/:id - A location with the names of the locations above it
+router.get('/:id', authorize('locations:read'), loadLocation, async (req, res, next) => {
+  try {
+    const [location] = await withHierarchy([req.location]);
+
+    res.json({
+      success: true,
+      location: location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /locations/:id - Rename, recode or (de)activate a location. Records
+// keep a copy of their village's name, so a village in use cannot be renamed.
+router.patch('/:id', authorize('locations:manage'), loadLocation, validateBody(schemas.location, { partial: true }), async (req, res, next) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.values[field] !== undefined) {
+        fields[field] = req.values[field];
+      }
+    });
+    if (fields.code === null) {
+      fields.code = undefined;
+    }
+
+    const renamed = fields.name && fields.name !== req.location.name;
+    if (renamed && req.location.type === 'village') {
+      const [patients, households] = await Promise.all([
+        Patient.exists({ villageId: req.location._id }),
+        Household.exists({ villageId: req.location._id })
+      ]);
+      if (patients || households) {
+        return res.status(409).json({
+          success: false,
+          error: 'This village already has patients or households and cannot be renamed'
+        });
+      }
+    }
+
+    req.location.set(fields);
+    await req.location.save();
+    req.log.info('Location updated', { locationId: req.location._id });
+
+    const [location] = await withHierarchy([req.location]);
+    res.json({
+      success: true,
+      location: location,
+      message: 'Location updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+
+const PushToken = require('../models/PushToken');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// POST /notifications/devices - Register the Expo push token of the device
+// the caller is signed in on. Sent on every sign-in; a token registered by
+// someone else before moves to the caller.
+router.post('/devices', authorize('notifications:register'), validateBody(schemas.pushDevice), async (req, res, next) => {
+  try {
+    const { token, platform } = req.values;
+
+    await PushToken.findOneAndUpdate(
+      { token },
+      { user: req.account._id, platform, lastRegisteredAt: new Date() },
+      { upsert: true, runValidators: true }
+    );
+    req.log.info('Push token registered', { userId: req.account._id, platform });
+
+    res.json({
+      success: true,
+      message: 'Device registered for notifications'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /notifications/devices/:token - Stop notifications to one of the
+// caller's devices, e.g. on sign-out
+router.delete('/devices/:token', authorize('notifications:register'), async (req, res, next) => {
+  try {
+    const { deletedCount } = await PushToken.deleteOne({ token: req.params.token, user: req.account._id });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered from notifications'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,938 @@
+const express = require('express');
+
+const Patient = require('../models/Patient');
+const Household = require('../models/Household');
+const Visit = require('../models/Visit');
+const Pregnancy = require('../models/Pregnancy');
+const Child = require('../models/Child');
+const {
+  authenticateToken,
+  authorize,
+  scopeFilter,
+  isVillageInScope,
+  forbidden
+} = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { escapeRegex, parseDate, textParamError, paginate } = require('../utils/query');
+const { PATIENT_FIELDS, VISIT_FIELDS, diffFields, snapshot, recordAudit } = require('../utils/audit');
+const { findDuplicateCandidates, matchScore } = require('../utils/duplicates');
+const { readSpreadsheet, writeSpreadsheet } = require('../utils/spreadsheet');
+const { resolveVillage } = require('../utils/locations');
+const { linkAbha } = require('../services/abdm');
+const { validate } = require('../../shared/validation');
+const { GENDERS, schemas } = require('../../shared/schemas');
+const { parseAbhaNumber, parseAbhaAddress } = require('../../shared/abha');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name', 'age', 'gender', 'village', 'healthIssue', 'syndromes', 'syndromesSeenAt', 'nextFollowUpDate',
+  'followUpReason', 'abhaNumber', 'abhaAddress'
+];
+
+// Unique fields, named in the row errors of an import
+const DUPLICATE_KEY_LABELS = {
+  clientId: 'Client id',
+  abhaNumber: 'ABHA number',
+  abhaAddress: 'ABHA address'
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+// List fields (syndromes) are one cell in a spreadsheet, their values
+// separated by ";" or ","
+const LIST_FIELDS = Object.keys(schemas.patient.fields)
+  .filter(field => schemas.patient.fields[field].type === 'array');
+
+const splitListCells = (data) => {
+  const split = { ...data };
+  LIST_FIELDS.forEach(field => {
+    if (typeof split[field] === 'string') {
+      split[field] = split[field].split(/[;,]/).map(value => value.trim()).filter(Boolean);
+    }
+  });
+  return split;
+};
+
+// Exported columns; the headers match the import columns so a file can go back in
+const EXPORT_COLUMNS = [
+  { header: 'id', value: patient => String(patient._id) },
+  { header: 'name', value: patient => patient.name },
+  { header: 'age', value: patient => patient.age },
+  { header: 'gender', value: patient => patient.gender },
+  { header: 'village', value: patient => patient.village },
+  { header: 'household', value: patient => patient.household && String(patient.household) },
+  { header: 'healthIssue', value: patient => patient.healthIssue },
+  { header: 'syndromes', value: patient => patient.syndromes?.join('; ') },
+  { header: 'syndromesSeenAt', value: patient => patient.syndromesSeenAt },
+  { header: 'nextFollowUpDate', value: patient => patient.nextFollowUpDate },
+  { header: 'followUpReason', value: patient => patient.followUpReason },
+  { header: 'abhaNumber', value: patient => patient.abhaNumber },
+  { header: 'abhaAddress', value: patient => patient.abhaAddress },
+  { header: 'registeredAt', value: patient => patient.createdAt }
+];
+
+const SEARCH_PARAMS = [
+  'q', 'village', 'villageId', 'household', 'gender', 'minAge', 'maxAge',
+  'healthIssue', 'addedFrom', 'addedTo', 'abha', 'limit', 'cursor'
+];
+
+// Translate GET /patients query parameters into Mongo conditions.
+// Returns { conditions } or { error } for malformed parameters.
+const buildSearchConditions = (query) => {
+  const paramError = textParamError(query, SEARCH_PARAMS);
+  if (paramError) {
+    return { error: paramError };
+  }
+
+  const { q, village, villageId, household, gender, minAge, maxAge, healthIssue, addedFrom, addedTo, abha } = query;
+  const conditions = [];
+
+  // An ABHA number (with or without hyphens) or ABHA address
+  if (abha?.trim()) {
+    const text = abha.trim();
+    const { value, error } = text.includes('@') ? parseAbhaAddress(text) : parseAbhaNumber(text);
+    if (error) {
+      return { error };
+    }
+    conditions.push(text.includes('@') ? { abhaAddress: value } : { abhaNumber: value });
+  }
+
+  if (q?.trim()) {
+    conditions.push({ name: { $regex: escapeRegex(q.trim()), $options: 'i' } });
+  }
+
+  if (village?.trim()) {
+    conditions.push({ village: village.trim() });
+  }
+
+  if (villageId) {
+    if (!/^[a-f\d]{24}$/i.test(villageId)) {
+      return { error: 'Invalid village id' };
+    }
+    conditions.push({ villageId });
+  }
+
+  if (household) {
+    if (!/^[a-f\d]{24}$/i.test(household)) {
+      return { error: 'Invalid household' };
+    }
+    conditions.push({ household });
+  }
+
+  if (gender) {
+    if (!GENDERS.includes(gender)) {
+      return { error: 'Valid gender is required (Male, Female, Other)' };
+    }
+    conditions.push({ gender });
+  }
+
+  if (minAge !== undefined || maxAge !== undefined) {
+    const age = {};
+    if (minAge !== undefined) {
+      if (isNaN(parseInt(minAge))) {
+        return { error: 'minAge must be a number' };
+      }
+      age.$gte = parseInt(minAge);
+    }
+    if (maxAge !== undefined) {
+      if (isNaN(parseInt(maxAge))) {
+        return { error: 'maxAge must be a number' };
+      }
+      age.$lte = parseInt(maxAge);
+    }
+    conditions.push({ age });
+  }
+
+  if (healthIssue?.trim()) {
+    conditions.push({ healthIssue: { $regex: escapeRegex(healthIssue.trim()), $options: 'i' } });
+  }
+
+  if (addedFrom || addedTo) {
+    const createdAt = {};
+    if (addedFrom) {
+      createdAt.$gte = parseDate(addedFrom);
+      if (!createdAt.$gte) {
+        return { error: 'addedFrom must be a valid date' };
+      }
+    }
+    if (addedTo) {
+      createdAt.$lte = parseDate(addedTo);
+      if (!createdAt.$lte) {
+        return { error: 'addedTo must be a valid date' };
+      }
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(addedTo)) {
+        createdAt.$lte.setUTCHours(23, 59, 59, 999);
+      }
+    }
+    conditions.push({ createdAt });
+  }
+
+  return { conditions };
+};
+
+// Fields from a validated body (req.values) that are stored on the patient.
+// Clearing the follow-up date also clears its reason.
+const patientFields = (values) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      fields[field] = values[field];
+    }
+  });
+  if (fields.nextFollowUpDate === null) {
+    fields.followUpReason = null;
+  }
+  return fields;
+};
+
+// Check that a household exists in the patient's village. Returns an error
+// message, or null when the household is valid (or not given).
+const checkHousehold = async (householdId, village) => {
+  if (!householdId) {
+    return null;
+  }
+
+  const household = await Household.findById(householdId);
+  if (!household) {
+    return 'Household not found';
+  }
+
+  if (household.village !== village) {
+    return 'Patient and household must be in the same village';
+  }
+
+  return null;
+};
+
+// The patient an offline submission created. A record merged since then
+// resolves to the patient it was merged into.
+const findSyncedPatient = async (clientId) => {
+  let patient = await Patient.findOne({ clientId });
+  while (patient?.mergedInto) {
+    patient = await Patient.findById(patient.mergedInto);
+  }
+  return patient;
+};
+
+// Verify and link the patient's ABHA through the ABDM adapter (see
+// services/abdm). Resolves to { linked, reason }, with unavailable set when the
+// gateway failed rather than the details; nothing is thrown, so the save it
+// follows still succeeds.
+const linkPatientAbha = async (req, patient) => {
+  try {
+    const result = await linkAbha(patient);
+    if (!result.linked) {
+      return { linked: false, reason: result.reason };
+    }
+
+    // ABDM may return the identifier the worker did not enter
+    const registered = await Patient.exists({
+      _id: { $ne: patient._id },
+      archived: { $ne: true },
+      $or: ['abhaNumber', 'abhaAddress']
+        .filter(field => result[field])
+        .map(field => ({ [field]: result[field] }))
+    });
+    if (registered) {
+      return { linked: false, reason: 'This ABHA is already registered to another patient' };
+    }
+
+    const before = snapshot(patient);
+    patient.set({
+      abhaNumber: result.abhaNumber,
+      abhaAddress: result.abhaAddress,
+      abhaLinkedAt: new Date(),
+      abhaLinkReference: result.reference
+    });
+    await patient.save();
+    req.log.info('ABHA linked', { patientId: patient._id });
+
+    await recordAudit(req, {
+      action: 'update',
+      patient,
+      changes: diffFields(before, snapshot(patient), PATIENT_FIELDS)
+    });
+    return { linked: true };
+  } catch (error) {
+    req.log.warn('ABHA linking failed', { patientId: patient._id, error: { name: error.name, code: error.code } });
+    return {
+      linked: false,
+      reason: error.name === 'AbdmError' ? error.message : 'ABHA could not be linked; try again later',
+      unavailable: true
+    };
+  }
+};
+
+// Load a non-archived patient within the caller's scope, or respond 404/403
+const loadPatient = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ _id: req.params.id, archived: { $ne: true } });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, patient.village)) {
+      return next(forbidden('You do not have access to this patient'));
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Checks a validated registration (req.values of POST /patients, or one imported
+// row) must pass before it is saved. Returns { fields } to save, or the reason it
+// was refused: { forbidden }, { errors } by field, or { candidates } (with the
+// fields) when it looks like an existing patient and was not sent with confirmedNew.
+const checkRegistration = async (req, values) => {
+  const fields = patientFields(values);
+
+  const { location, error } = await resolveVillage(values);
+  if (error) {
+    return { errors: { village: error } };
+  }
+  fields.village = location.name;
+  fields.villageId = location._id;
+
+  if (!isVillageInScope(req.scope, fields.village)) {
+    return { forbidden: 'You can only register patients in your assigned villages' };
+  }
+
+  const householdError = await checkHousehold(values.household, fields.village);
+  if (householdError) {
+    return { errors: { household: householdError } };
+  }
+
+  if (!values.confirmedNew) {
+    const candidates = await findDuplicateCandidates({ ...fields, household: values.household });
+    if (candidates.length > 0) {
+      return { fields, candidates };
+    }
+  }
+
+  return { fields };
+};
+
+// Save a registration that passed checkRegistration and record its audit entry
+const createPatient = async (req, values, fields) => {
+  const savedPatient = await new Patient({
+    ...fields,
+    household: values.household || undefined,
+    clientId: values.clientId || undefined,
+    registeredBy: req.user.userId
+  }).save();
+  req.log.info('Patient created', { patientId: savedPatient._id });
+
+  await recordAudit(req, {
+    action: 'create',
+    patient: savedPatient,
+    changes: diffFields(null, snapshot(savedPatient), PATIENT_FIELDS)
+  });
+
+  if (savedPatient.household && values.isHeadOfHousehold) {
+    await Household.updateOne(
+      { _id: savedPatient.household },
+      { head: savedPatient._id, headName: savedPatient.name }
+    );
+  }
+
+  return savedPatient;
+};
+
+router.use(authenticateToken);
+
+// POST /patients - Add new patient
+router.post('/', authorize('patients:write'), validateBody(schemas.patient), async (req, res, next) => {
+  try {
+    const { clientId } = req.values;
+
+    // Replayed offline submission - return the record that was already created
+    if (clientId) {
+      const existingPatient = await findSyncedPatient(clientId);
+      if (existingPatient) {
+        req.log.info('Patient already synced', { patientId: existingPatient._id });
+        await recordAudit(req, { action: 'read', patient: existingPatient });
+        return res.status(200).json({
+          success: true,
+          patient: existingPatient,
+          message: 'Patient already exists'
+        });
+      }
+    }
+
+    const { fields, forbidden: refused, errors, candidates } = await checkRegistration(req, req.values);
+
+    if (refused) {
+      return next(forbidden(refused));
+    }
+
+    if (errors) {
+      return validationFailed(res, errors);
+    }
+
+    // Likely duplicates go back to the worker, who either opens one of them or
+    // resubmits with confirmedNew
+    if (candidates) {
+      await recordAudit(req, {
+        action: 'list',
+        patients: candidates.map(candidate => candidate.patient),
+        query: { duplicateCheck: true }
+      });
+      return res.status(409).json({
+        success: false,
+        error: 'Possible duplicate patients found',
+        code: 'DUPLICATE_CANDIDATES',
+        candidates: candidates.map(({ patient, score }) => ({ ...patient.toObject(), score }))
+      });
+    }
+
+    // Syndromes recorded now were seen now, unless the app says when
+    if (fields.syndromes?.length && !fields.syndromesSeenAt) {
+      fields.syndromesSeenAt = new Date();
+    }
+
+    const savedPatient = await createPatient(req, req.values, fields);
+    const abhaLink = savedPatient.abhaNumber || savedPatient.abhaAddress
+      ? await linkPatientAbha(req, savedPatient)
+      : undefined;
+    
+    res.status(201).json({
+      success: true,
+      patient: savedPatient,
+      abhaLink: abhaLink,
+      message: 'Patient added successfully'
+    });
+  } catch (error) {
+    // Concurrent replay of the same offline submission lost the race
+    if (error.code === 11000 && req.values.clientId) {
+      const existingPatient = await findSyncedPatient(req.values.clientId).catch(() => null);
+      if (existingPatient) {
+        return recordAudit(req, { action: 'read', patient: existingPatient })
+          .then(() => res.status(200).json({
+            success: true,
+            patient: existingPatient,
+            message: 'Patient already exists'
+          }))
+          .catch(next);
+      }
+    }
+    next(error);
+  }
+});
+
+// POST /patients/import - Register patients from an uploaded CSV/XLSX file
+// (multipart field `file`, one patient per row, headers named like the POST
+// /patients fields). Each row is checked like POST /patients; rows that fail are
+// reported by line number and the rest are saved. With ?dryRun=true nothing is
+// saved and the report shows what would happen.
+router.post('/import', authorize('patients:write'), uploadSpreadsheet, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return validationFailed(res, { file: 'Upload a .csv or .xlsx file' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const rows = await readSpreadsheet(req.file, Object.keys(schemas.patient.fields));
+    if (rows.length === 0) {
+      return validationFailed(res, { file: 'The file has no patient rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return validationFailed(res, { file: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+    }
+
+    const results = [];
+    // Rows already accepted, so the same person twice in one file is caught too
+    const accepted = [];
+
+    for (const { row, data } of rows) {
+      const { values, errors: rowErrors } = validate(schemas.patient, splitListCells(data));
+      if (rowErrors) {
+        results.push({ row, status: 'error', errors: rowErrors });
+        continue;
+      }
+
+      const existingPatient = values.clientId && await findSyncedPatient(values.clientId);
+      if (existingPatient) {
+        results.push({ row, status: 'exists', patientId: existingPatient._id });
+        continue;
+      }
+
+      const { fields, forbidden: refused, errors, candidates } = await checkRegistration(req, values);
+      if (refused || errors) {
+        results.push({ row, status: 'error', errors: errors || { village: refused } });
+        continue;
+      }
+
+      // Compared once the village is resolved, as the accepted rows are
+      const earlierRow = !values.confirmedNew &&
+        accepted.find(item => matchScore({ ...fields, household: values.household }, item.fields) !== null);
+      if (earlierRow) {
+        results.push({ row, status: 'error', errors: { name: `Possible duplicate of row ${earlierRow.row}` } });
+        continue;
+      }
+      if (candidates) {
+        results.push({
+          row,
+          status: 'error',
+          errors: { name: 'Possible duplicate of an existing patient; set confirmedNew to true to import anyway' },
+          candidates: candidates.map(({ patient, score }) => ({ patientId: patient._id, score }))
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ row, status: 'valid' });
+      } else {
+        try {
+          const savedPatient = await createPatient(req, values, fields);
+          results.push({ row, status: 'created', patientId: savedPatient._id });
+        } catch (error) {
+          // The same clientId or ABHA on two rows, or an ABHA already registered
+          if (error.code !== 11000) {
+            throw error;
+          }
+          const field = Object.keys(error.keyValue || {})[0] || 'clientId';
+          results.push({ row, status: 'error', errors: { [field]: `${DUPLICATE_KEY_LABELS[field] || field} is already used` } });
+          continue;
+        }
+      }
+      accepted.push({ row, fields: { ...fields, household: values.household } });
+    }
+
+    const failed = results.filter(result => result.status === 'error').length;
+    req.log.info('Patients imported', { dryRun, rows: rows.length, accepted: accepted.length, failed });
+
+    res.json({
+      success: true,
+      dryRun: dryRun,
+      total: rows.length,
+      valid: accepted.length,
+      created: dryRun ? 0 : accepted.length,
+      failed: failed,
+      rows: results,
+      message: dryRun
+        ? `${accepted.length} of ${rows.length} rows can be imported`
+        : `${accepted.length} of ${rows.length} patients imported`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /patients/export - Download the caller's patients as a spreadsheet.
+// Query: format (csv or xlsx, default csv) and the GET /patients filters
+router.get('/export', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be csv or xlsx'
+      });
+    }
+
+    const { conditions, error } = buildSearchConditions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const filter = { $and: [scopeFilter(req.scope), { archived: { $ne: true } }, ...conditions] };
+
+    // The audit entry lists every exported patient and is stored before any
+    // data is sent
+    const patients = await Patient.find(filter).select('_id village').lean();
+    await recordAudit(req, { action: 'export', patients, query: req.query });
+    req.log.info('Patients exported', { format, count: patients.length });
+
+    await writeSpreadsheet(res, {
+      format,
+      filename: `patients-${new Date().toISOString().slice(0, 10)}`,
+      columns: EXPORT_COLUMNS,
+      records: Patient.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor()
+    });
+  } catch (error) {
+    // Once the download has started the error can only end the response
+    if (res.headersSent) {
+      req.log.error('Patient export failed', { err: error });
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// GET /patients - Search patients within the caller's scope, newest first.
+// Query: q, village, villageId, household, gender, minAge, maxAge, healthIssue, addedFrom, addedTo, abha, limit, cursor
+router.get('/', authorize('patients:read'), async (req, res, next) => {
+  try {
+    const { conditions, error } = buildSearchConditions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const { items: patients, total, nextCursor } = await paginate(
+      Patient,
+      [scopeFilter(req.scope), { archived: { $ne: true } }, ...conditions],
+      { limit: req.query.limit, cursor: req.query.cursor }
+    );
+
+    await recordAudit(req, { action: 'list', patients, query: req.query });
+    
+    res.json({
+      success: true,
+      patients: patients,
+      count: patients.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /patients/:id - Get a single patient
+router.get('/:id', authorize('patients:read'), loadPatient, async (req, res, next) => {
+  try {
+    await recordAudit(req, { action: 'read', patient: req.patient });
+
+    res.json({
+      success: true,
+      patient: req.patient
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared by PUT (every required field sent) and PATCH (only the fields sent)
+const updatePatient = async (req, res, next) => {
+  try {
+    const fields = patientFields(req.values);
+
+    if (req.values.village !== undefined || req.values.villageId !== undefined) {
+      const { location, error } = await resolveVillage(req.values);
+      if (error) {
+        return validationFailed(res, { village: error });
+      }
+      fields.village = location.name;
+      fields.villageId = location._id;
+    }
+
+    if (fields.village && !isVillageInScope(req.scope, fields.village)) {
+      return next(forbidden('You can only move patients to your assigned villages'));
+    }
+
+    // Household changes are validated against the village the patient ends up in
+    if (req.values.household !== undefined) {
+      fields.household = req.values.household;
+    }
+    const householdId = fields.household !== undefined ? fields.household : req.patient.household;
+    const householdError = await checkHousehold(householdId, fields.village || req.patient.village);
+    if (householdError) {
+      return validationFailed(res, { household: householdError });
+    }
+
+    const before = snapshot(req.patient);
+    req.patient.set(fields);
+
+    if (req.patient.isModified('syndromes') && req.values.syndromesSeenAt === undefined) {
+      req.patient.syndromesSeenAt = req.patient.syndromes.length > 0 ? new Date() : null;
+    }
+
+    // A changed ABHA must be linked again
+    const abhaChanged = req.patient.isModified('abhaNumber') || req.patient.isModified('abhaAddress');
+    if (abhaChanged) {
+      req.patient.set({ abhaLinkedAt: null, abhaLinkReference: null });
+    }
+
+    const villageChanged = req.patient.isModified('village');
+    const savedPatient = await req.patient.save();
+    req.log.info('Patient updated', { patientId: savedPatient._id });
+
+    // Pregnancies and the children registered to the mother keep a copy of
+    // the village for scoping, so they move with her
+    if (villageChanged) {
+      await Promise.all([
+        Pregnancy.updateMany({ patient: savedPatient._id }, { village: savedPatient.village }),
+        Child.updateMany(
+          { mother: savedPatient._id },
+          { village: savedPatient.village, villageId: savedPatient.villageId }
+        )
+      ]);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      patient: savedPatient,
+      changes: diffFields(before, snapshot(savedPatient), PATIENT_FIELDS)
+    });
+
+    const abhaLink = abhaChanged && (savedPatient.abhaNumber || savedPatient.abhaAddress)
+      ? await linkPatientAbha(req, savedPatient)
+      : undefined;
+
+    res.json({
+      success: true,
+      patient: savedPatient,
+      abhaLink: abhaLink,
+      message: 'Patient updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT /patients/:id - Replace a patient's details
+router.put('/:id', authorize('patients:write'), loadPatient, validateBody(schemas.patient), updatePatient);
+
+// PATCH /patients/:id - Update some of a patient's details
+router.patch('/:id', authorize('patients:write'), loadPatient, validateBody(schemas.patient, { partial: true }), updatePatient);
+
+// DELETE /patients/:id - Archive a patient (soft delete, the record is kept)
+router.delete('/:id', authorize('patients:write'), loadPatient, async (req, res, next) => {
+  try {
+    const before = snapshot(req.patient);
+    req.patient.set({
+      archived: true,
+      archivedAt: new Date(),
+      archivedBy: req.user.userId
+    });
+    await req.patient.save();
+    req.log.info('Patient archived', { patientId: req.patient._id });
+
+    await recordAudit(req, {
+      action: 'delete',
+      patient: req.patient,
+      changes: diffFields(before, snapshot(req.patient), ['archived'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Patient archived successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /patients/:id/abha/link - Verify and link the patient's ABHA again,
+// e.g. after the gateway was unreachable at registration
+router.post('/:id/abha/link', authorize('patients:write'), loadPatient, async (req, res, next) => {
+  try {
+    if (!req.patient.abhaNumber && !req.patient.abhaAddress) {
+      return validationFailed(res, { abhaNumber: 'Add an ABHA number or address first' });
+    }
+
+    const { linked, reason, unavailable } = await linkPatientAbha(req, req.patient);
+    if (!linked) {
+      return res.status(unavailable ? 503 : 409).json({
+        success: false,
+        error: reason
+      });
+    }
+
+    res.json({
+      success: true,
+      patient: req.patient,
+      message: 'ABHA linked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /patients/:id/merge - Merge a duplicate record into this patient. The
+// duplicate's visits, pregnancies and children move to this patient, fields this
+// patient lacks are copied over, and the duplicate is archived. A merge that
+// failed part way can be sent again to finish it.
+router.post('/:id/merge', authorize('patients:merge'), loadPatient, validateBody(schemas.patientMerge), async (req, res, next) => {
+  try {
+    const primary = req.patient;
+    const { duplicateId } = req.values;
+
+    if (String(primary._id) === duplicateId) {
+      return validationFailed(res, { duplicateId: 'A patient cannot be merged into itself' });
+    }
+
+    // Includes a duplicate already archived into this patient by an unfinished merge
+    const duplicate = await Patient.findOne({
+      _id: duplicateId,
+      $or: [{ archived: { $ne: true } }, { mergedInto: primary._id }]
+    });
+    if (!duplicate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Duplicate patient not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, duplicate.village)) {
+      return next(forbidden('You do not have access to the duplicate patient'));
+    }
+
+    // Two open pregnancies cannot both belong to one patient; close one first
+    const activePregnancies = await Pregnancy.countDocuments({
+      patient: { $in: [primary._id, duplicate._id] },
+      status: 'active'
+    });
+    if (activePregnancies > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Both patients have an active pregnancy. Close one before merging.'
+      });
+    }
+
+    const before = snapshot(primary);
+    const duplicateBefore = snapshot(duplicate);
+    const fields = {};
+    if (!primary.household && duplicate.household) {
+      fields.household = duplicate.household;
+    }
+    // Keep the earlier of the two pending follow-ups
+    if (duplicate.nextFollowUpDate &&
+      (!primary.nextFollowUpDate || duplicate.nextFollowUpDate < primary.nextFollowUpDate)) {
+      fields.nextFollowUpDate = duplicate.nextFollowUpDate;
+      fields.followUpReason = duplicate.followUpReason;
+    }
+    // Take over the duplicate's ABHA when the primary has none
+    if (!primary.abhaNumber && !primary.abhaAddress && (duplicate.abhaNumber || duplicate.abhaAddress)) {
+      ['abhaNumber', 'abhaAddress', 'abhaLinkedAt', 'abhaLinkReference'].forEach(field => {
+        fields[field] = duplicate[field];
+      });
+    }
+
+    // No transaction (that would need MongoDB to run as a replica set): each
+    // step can be repeated, and a failure part way leaves the duplicate's
+    // records on one patient or the other, never lost. Sending the merge again
+    // finishes it.
+    const visits = await Visit.updateMany({ patient: duplicate._id }, { patient: primary._id });
+    const pregnancies = await Pregnancy.updateMany(
+      { patient: duplicate._id },
+      { patient: primary._id, village: primary.village }
+    );
+    const children = await Child.updateMany(
+      { mother: duplicate._id },
+      { mother: primary._id, village: primary.village, villageId: primary.villageId }
+    );
+    await Household.updateMany({ head: duplicate._id }, { head: primary._id, headName: primary.name });
+
+    // The duplicate is archived before the primary takes its fields, so its
+    // ABHA is free under the unique indexes
+    if (!duplicate.archived) {
+      duplicate.set({
+        archived: true,
+        archivedAt: new Date(),
+        archivedBy: req.user.userId,
+        mergedInto: primary._id
+      });
+      await duplicate.save();
+    }
+
+    primary.set(fields);
+    await primary.save();
+    req.log.info('Patients merged', { patientId: primary._id, duplicateId: duplicate._id });
+
+    await recordAudit(req, {
+      action: 'merge',
+      patient: primary,
+      resourceId: duplicate._id,
+      changes: diffFields(before, snapshot(primary), PATIENT_FIELDS)
+    });
+    await recordAudit(req, {
+      action: 'merge',
+      patient: duplicate,
+      resourceId: primary._id,
+      changes: diffFields(duplicateBefore, snapshot(duplicate), ['archived', 'mergedInto'])
+    });
+
+    res.json({
+      success: true,
+      patient: primary,
+      moved: {
+        visits: visits.modifiedCount,
+        pregnancies: pregnancies.modifiedCount,
+        children: children.modifiedCount
+      },
+      message: 'Patients merged successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /patients/:id/visits - Visit history, newest first
+router.get('/:id/visits', authorize('visits:read'), loadPatient, async (req, res, next) => {
+  try {
+    const visits = await Visit.find({ patient: req.patient._id })
+      .sort({ visitDate: -1, createdAt: -1 })
+      .populate('worker', 'name username');
+
+    await recordAudit(req, { action: 'read', resource: 'visit', patient: req.patient });
+
+    res.json({
+      success: true,
+      visits: visits,
+      count: visits.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /patients/:id/visits - Record a visit
+router.post('/:id/visits', authorize('visits:write'), loadPatient, validateBody(schemas.visit), async (req, res, next) => {
+  try {
+    const visit = await new Visit({
+      ...req.values,
+      visitDate: req.values.visitDate || new Date(),
+      patient: req.patient._id,
+      worker: req.user.userId
+    }).save();
+    req.log.info('Visit recorded', { visitId: visit._id, patientId: req.patient._id });
+
+    // The visit completes any pending follow-up and sets the next one, if given
+    const before = snapshot(req.patient);
+    req.patient.set({
+      nextFollowUpDate: visit.nextFollowUpDate || null,
+      followUpReason: visit.nextFollowUpDate ? (visit.complaint || req.patient.healthIssue) : null
+    });
+    await req.patient.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      resource: 'visit',
+      resourceId: visit._id,
+      patient: req.patient,
+      changes: diffFields(null, snapshot(visit), VISIT_FIELDS)
+    });
+    const followUpChanges = diffFields(before, snapshot(req.patient), PATIENT_FIELDS);
+    if (followUpChanges.length > 0) {
+      await recordAudit(req, { action: 'update', patient: req.patient, changes: followUpChanges });
+    }
+
+    res.status(201).json({
+      success: true,
+      visit: visit,
+      patient: req.patient,
+      message: 'Visit recorded successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
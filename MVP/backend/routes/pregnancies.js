@@ -0,0 +1,416 @@
+const express = require('express');
+
+const Pregnancy = require('../models/Pregnancy');
+const Patient = require('../models/Patient');
+const {
+  authenticateToken,
+  authorize,
+  scopeFilter,
+  isVillageInScope,
+  forbidden
+} = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { textParamError, paginate } = require('../utils/query');
+const {
+  PREGNANCY_FIELDS,
+  ANC_FIELDS,
+  PNC_FIELDS,
+  DELIVERY_FIELDS,
+  diffFields,
+  snapshot,
+  recordAudit
+} = require('../utils/audit');
+const { schemas } = require('../../shared/schemas');
+const {
+  PNC_DAYS,
+  computeEdd,
+  gestationalWeeks,
+  buildAncSchedule,
+  buildPncSchedule,
+  deriveRiskFlags
+} = require('../utils/pregnancy');
+
+const router = express.Router();
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error: error
+});
+
+// Combine worker-entered flags with those implied by age and readings
+const refreshRiskFlags = (pregnancy, patient, manualFlags = pregnancy.highRiskFlags) => {
+  const derived = deriveRiskFlags({
+    age: patient.age,
+    parity: pregnancy.parity,
+    ancCheckups: pregnancy.ancCheckups
+  });
+  pregnancy.highRiskFlags = [...new Set([...manualFlags, ...derived])];
+};
+
+// Audit entry for one pregnancy, under its mother
+const auditPregnancy = (req, pregnancy, action, changes) => recordAudit(req, {
+  action,
+  resource: 'pregnancy',
+  resourceId: pregnancy._id,
+  patient: pregnancy.patient || undefined,
+  villages: [pregnancy.village],
+  changes
+});
+
+const withGestation = (pregnancy) => ({
+  ...pregnancy.toJSON(),
+  gestationalWeeks: pregnancy.status === 'active' ? gestationalWeeks(pregnancy.lmp) : null
+});
+
+// Load a pregnancy within the caller's scope, or respond 404/403
+const loadPregnancy = async (req, res, next) => {
+  try {
+    const pregnancy = await Pregnancy.findById(req.params.id)
+      .populate('patient', 'name age gender village');
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pregnancy record not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, pregnancy.village)) {
+      return next(forbidden('You do not have access to this pregnancy record'));
+    }
+
+    req.pregnancy = pregnancy;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireStatus = (status) => (req, res, next) => {
+  if (req.pregnancy.status !== status) {
+    return badRequest(res, `This pregnancy is ${req.pregnancy.status}`);
+  }
+  next();
+};
+
+router.use(authenticateToken);
+
+// GET /pregnancies - Pregnancies within the caller's scope, newest first.
+// Query: status, patient, highRisk=true, limit, cursor
+router.get('/', authorize('maternal:read'), async (req, res, next) => {
+  try {
+    const paramError = textParamError(req.query, ['status', 'patient', 'highRisk', 'limit', 'cursor']);
+    if (paramError) {
+      return badRequest(res, paramError);
+    }
+
+    const { status, patient, highRisk } = req.query;
+    const conditions = [scopeFilter(req.scope)];
+
+    if (status) {
+      if (!Pregnancy.STATUSES.includes(status)) {
+        return badRequest(res, `status must be one of: ${Pregnancy.STATUSES.join(', ')}`);
+      }
+      conditions.push({ status });
+    }
+    if (patient) {
+      if (!/^[a-f\d]{24}$/i.test(patient)) {
+        return badRequest(res, 'Invalid patient');
+      }
+      conditions.push({ patient });
+    }
+    if (highRisk === 'true') {
+      conditions.push({ 'highRiskFlags.0': { $exists: true } });
+    }
+
+    const { items, total, nextCursor } = await paginate(Pregnancy, conditions, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      populate: { path: 'patient', select: 'name age gender village' }
+    });
+    await recordAudit(req, {
+      action: 'list',
+      resource: 'pregnancy',
+      patients: items.map(item => item.patient).filter(Boolean),
+      resourceIds: items.map(item => item._id),
+      villages: items.map(item => item.village),
+      query: req.query
+    });
+
+    res.json({
+      success: true,
+      pregnancies: items.map(withGestation),
+      count: items.length,
+      total: total,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /pregnancies - Register a pregnancy for a female patient
+router.post('/', authorize('maternal:write'), validateBody(schemas.pregnancy), async (req, res, next) => {
+  try {
+    const { patientId, lmp, gravida, parity, highRiskFlags = [] } = req.values;
+
+    const patient = await Patient.findOne({ _id: patientId, archived: { $ne: true } });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (!isVillageInScope(req.scope, patient.village)) {
+      return next(forbidden('You do not have access to this patient'));
+    }
+
+    if (patient.gender !== 'Female') {
+      return badRequest(res, 'Pregnancies can only be registered for female patients');
+    }
+
+    const existing = await Pregnancy.findOne({ patient: patient._id, status: 'active' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'This patient already has an active pregnancy',
+        pregnancyId: existing._id
+      });
+    }
+
+    const pregnancy = new Pregnancy({
+      patient: patient._id,
+      village: patient.village,
+      registeredBy: req.user.userId,
+      lmp,
+      edd: computeEdd(lmp),
+      gravida,
+      parity,
+      ancCheckups: buildAncSchedule(lmp)
+    });
+    refreshRiskFlags(pregnancy, patient, highRiskFlags);
+
+    await pregnancy.save();
+    await pregnancy.populate('patient', 'name age gender village');
+    await auditPregnancy(req, pregnancy, 'create', diffFields(null, snapshot(pregnancy), PREGNANCY_FIELDS));
+    req.log.info('Pregnancy registered', { pregnancyId: pregnancy._id, patientId: patient._id });
+
+    res.status(201).json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: 'Pregnancy registered successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /pregnancies/:id - Get a pregnancy record
+router.get('/:id', authorize('maternal:read'), loadPregnancy, async (req, res, next) => {
+  try {
+    await auditPregnancy(req, req.pregnancy, 'read');
+
+    res.json({
+      success: true,
+      pregnancy: withGestation(req.pregnancy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /pregnancies/:id - Correct LMP, gravida/parity or risk flags, or close
+// the record (status: 'closed') when the pregnancy ends without a delivery
+router.patch('/:id', authorize('maternal:write'), loadPregnancy, validateBody(schemas.pregnancyUpdate, { partial: true }), async (req, res, next) => {
+  try {
+    const { pregnancy } = req;
+    const { lmp, gravida, parity, highRiskFlags, status } = req.values;
+    const before = snapshot(pregnancy);
+
+    if (lmp) {
+      pregnancy.lmp = lmp;
+      pregnancy.edd = computeEdd(lmp);
+      // Completed checkups keep their readings; only the windows move
+      const schedule = buildAncSchedule(lmp);
+      pregnancy.ancCheckups.forEach(checkup => {
+        const window = schedule.find(item => item.number === checkup.number);
+        checkup.windowStart = window.windowStart;
+        checkup.dueDate = window.dueDate;
+      });
+    }
+
+    if (gravida !== undefined) {
+      pregnancy.gravida = gravida;
+    }
+    if (parity !== undefined) {
+      pregnancy.parity = parity;
+    }
+    if (pregnancy.parity >= pregnancy.gravida) {
+      return validationFailed(res, { parity: 'Parity must be less than gravida' });
+    }
+
+    if (status !== undefined) {
+      if (pregnancy.status !== 'active') {
+        return validationFailed(res, { status: 'Only an active pregnancy can be closed' });
+      }
+      pregnancy.status = 'closed';
+    }
+
+    refreshRiskFlags(pregnancy, pregnancy.patient, highRiskFlags);
+    await pregnancy.save();
+    await auditPregnancy(req, pregnancy, 'update', diffFields(before, snapshot(pregnancy), PREGNANCY_FIELDS));
+
+    res.json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: 'Pregnancy updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /pregnancies/:id/anc/:number - Record ANC checkup 1-4
+router.post('/:id/anc/:number', authorize('maternal:write'), loadPregnancy, requireStatus('active'), validateBody(schemas.ancCheckup), async (req, res, next) => {
+  try {
+    const { pregnancy } = req;
+    const checkup = pregnancy.ancCheckups.find(item => item.number === parseInt(req.params.number));
+
+    if (!checkup) {
+      return badRequest(res, 'ANC checkup number must be 1 to 4');
+    }
+
+    const { date = new Date(), notes, ...readings } = req.values;
+    if (date < pregnancy.lmp) {
+      return validationFailed(res, { date: 'Checkup date cannot be before LMP' });
+    }
+
+    const before = snapshot(pregnancy);
+    const checkupBefore = checkup.toObject();
+    checkup.set({
+      ...readings,
+      completedDate: date,
+      notes: notes !== undefined ? notes : checkup.notes,
+      recordedBy: req.user.userId
+    });
+
+    refreshRiskFlags(pregnancy, pregnancy.patient);
+    await pregnancy.save();
+    await auditPregnancy(req, pregnancy, 'update', [
+      ...diffFields(checkupBefore, checkup.toObject(), ANC_FIELDS, `anc.${checkup.number}.`),
+      ...diffFields(before, snapshot(pregnancy), PREGNANCY_FIELDS)
+    ]);
+    req.log.info('ANC checkup recorded', { pregnancyId: pregnancy._id, checkup: checkup.number });
+
+    res.json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: `ANC checkup ${checkup.number} recorded`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /pregnancies/:id/doses - Record a TT injection or IFA tablets
+router.post('/:id/doses', authorize('maternal:write'), loadPregnancy, validateBody(schemas.dose), async (req, res, next) => {
+  try {
+    const { pregnancy } = req;
+    const { type, quantity, date = new Date() } = req.values;
+
+    if (type !== 'IFA' && pregnancy.doses.some(dose => dose.type === type)) {
+      return validationFailed(res, { type: `${type} has already been recorded` });
+    }
+
+    const dose = {
+      type,
+      date,
+      quantity: type === 'IFA' ? quantity : 1,
+      recordedBy: req.user.userId
+    };
+    pregnancy.doses.push(dose);
+    await pregnancy.save();
+    await auditPregnancy(req, pregnancy, 'update', diffFields(null, dose, ['date', 'quantity'], `doses.${type}.`));
+
+    res.status(201).json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: `${type} recorded`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /pregnancies/:id/delivery - Record the delivery outcome and start PNC
+router.post('/:id/delivery', authorize('maternal:write'), loadPregnancy, requireStatus('active'), validateBody(schemas.delivery), async (req, res, next) => {
+  try {
+    const { pregnancy } = req;
+    const { date, outcome, babies } = req.values;
+    const before = snapshot(pregnancy);
+
+    if (date < pregnancy.lmp) {
+      return validationFailed(res, { date: 'Delivery date cannot be before LMP' });
+    }
+
+    pregnancy.delivery = {
+      ...req.values,
+      babies: babies !== undefined ? babies : (outcome === 'live_birth' ? 1 : 0)
+    };
+    pregnancy.status = 'delivered';
+    // Mothers need postnatal visits whatever the outcome
+    pregnancy.pncVisits = buildPncSchedule(date);
+
+    await pregnancy.save();
+    await auditPregnancy(req, pregnancy, 'update', [
+      ...diffFields(null, pregnancy.delivery.toObject(), DELIVERY_FIELDS, 'delivery.'),
+      ...diffFields(before, snapshot(pregnancy), PREGNANCY_FIELDS)
+    ]);
+    req.log.info('Delivery recorded', { pregnancyId: pregnancy._id });
+
+    res.json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: 'Delivery recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /pregnancies/:id/pnc/:day - Record a postnatal visit (day 1, 3, 7, 14, 21, 28 or 42)
+router.post('/:id/pnc/:day', authorize('maternal:write'), loadPregnancy, requireStatus('delivered'), validateBody(schemas.pncVisit), async (req, res, next) => {
+  try {
+    const { pregnancy } = req;
+    const visit = pregnancy.pncVisits.find(item => item.day === parseInt(req.params.day));
+
+    if (!visit) {
+      return badRequest(res, `PNC visit day must be one of ${PNC_DAYS.join(', ')}`);
+    }
+
+    const { date = new Date(), ...observations } = req.values;
+    if (date < pregnancy.delivery.date) {
+      return validationFailed(res, { date: 'PNC visit cannot be before the delivery' });
+    }
+
+    const visitBefore = visit.toObject();
+    visit.set({
+      ...observations,
+      completedDate: date,
+      recordedBy: req.user.userId
+    });
+    await pregnancy.save();
+    await auditPregnancy(req, pregnancy, 'update', diffFields(visitBefore, visit.toObject(), PNC_FIELDS, `pnc.${visit.day}.`));
+
+    res.json({
+      success: true,
+      pregnancy: withGestation(pregnancy),
+      message: `PNC day ${visit.day} visit recorded`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
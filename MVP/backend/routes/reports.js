@@ -0,0 +1,233 @@
+const express = require('express');
+
+const Patient = require('../models/Patient');
+const { authenticateToken, authorize, scopeFilter } = require('../middleware/auth');
+const { parseDate, badRequest } = require('../utils/query');
+const { villageIdsWithin } = require('../utils/locations');
+const reports = require('../utils/reports');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_VILLAGE_LIMIT = 100;
+const MAX_LIMIT = 100;
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(value);
+
+const BARE_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// A from or to parameter. A bare date is a whole day in REPORT_TIMEZONE: from
+// starts at its midnight there and to ends just before the next one.
+const parseRangeDate = (value, { endOfDay = false } = {}) => {
+  const date = parseDate(value);
+  const bare = BARE_DATE.exec(value);
+  if (!date || !bare) {
+    return date;
+  }
+  const [year, month, day] = bare.slice(1).map(Number);
+  return endOfDay
+    ? new Date(reports.startOfZoneDay(year, month - 1, day + 1).getTime() - 1)
+    : reports.startOfZoneDay(year, month - 1, day);
+};
+
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT) => (
+  Math.max(1, Math.min(parseInt(value) || defaultLimit, MAX_LIMIT))
+);
+
+// Translate the report query (from, to, location, interval) into the $match
+// conditions of each kind of report, on top of the caller's scope:
+// - registered: patients registered between from and to
+// - overdue: patients whose follow-up fell due between from and to and before today
+// Throws a 400 error for malformed parameters.
+const buildReportFilters = async (req) => {
+  const { from, to, location, interval } = req.query;
+  const base = [scopeFilter(req.scope), { archived: { $ne: true } }];
+
+  const range = {};
+  if (from) {
+    range.$gte = parseRangeDate(from);
+    if (!range.$gte) {
+      throw badRequest('from must be a valid date');
+    }
+  }
+  if (to) {
+    range.$lte = parseRangeDate(to, { endOfDay: true });
+    if (!range.$lte) {
+      throw badRequest('to must be a valid date');
+    }
+  }
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    throw badRequest('from must be before to');
+  }
+
+  // Any location: a village, or every village under a sub-centre, PHC, block
+  // or district. Records are matched by villageId.
+  if (location) {
+    const villageIds = isObjectId(location) && await villageIdsWithin(location);
+    if (!villageIds) {
+      throw badRequest('location must be the id of a location');
+    }
+    base.push({ villageId: { $in: villageIds } });
+  }
+
+  if (interval && !reports.INTERVALS.includes(interval)) {
+    throw badRequest(`interval must be one of: ${reports.INTERVALS.join(', ')}`);
+  }
+
+  const registered = [...base];
+  if (from || to) {
+    registered.push({ createdAt: range });
+  }
+
+  return {
+    registered,
+    overdue: [...base, { nextFollowUpDate: { ...range, $lt: reports.startOfDay(new Date()) } }],
+    interval: interval || reports.defaultInterval(range.$gte, range.$lte),
+    filters: {
+      from: range.$gte || null,
+      to: range.$lte || null,
+      location: location || null
+    }
+  };
+};
+
+router.use(authenticateToken);
+
+// GET /reports/summary - Every dashboard report at once for the caller's
+// villages. Query: from, to, location, interval
+router.get('/summary', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, overdue, interval, filters } = await buildReportFilters(req);
+
+    const [patients, registrations, workers, healthIssues, overdueFollowUps, pyramid, villages] = await Promise.all([
+      Patient.countDocuments({ $and: registered }),
+      reports.registrationsOverTime(registered, { interval }),
+      reports.patientsPerWorker(registered, { limit: DEFAULT_LIMIT }),
+      reports.topHealthIssues(registered, { limit: DEFAULT_LIMIT }),
+      reports.overdueFollowUps(overdue),
+      reports.ageGenderPyramid(registered),
+      reports.patientsPerVillage(registered, { limit: DEFAULT_VILLAGE_LIMIT })
+    ]);
+
+    res.json({
+      success: true,
+      filters: filters,
+      totals: {
+        patients: patients,
+        overdueFollowUps: overdueFollowUps.total
+      },
+      registrations: { interval, periods: registrations },
+      workers: workers,
+      healthIssues: healthIssues,
+      overdueFollowUps: overdueFollowUps,
+      pyramid: pyramid,
+      villages: villages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/registrations - Registrations per day, week or month.
+// Query: from, to, location, interval
+router.get('/registrations', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, interval, filters } = await buildReportFilters(req);
+    const periods = await reports.registrationsOverTime(registered, { interval });
+
+    res.json({
+      success: true,
+      filters: filters,
+      interval: interval,
+      periods: periods
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/workers - Patients registered per worker. Query: from, to, location, limit
+router.get('/workers', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, filters } = await buildReportFilters(req);
+    const workers = await reports.patientsPerWorker(registered, { limit: parseLimit(req.query.limit) });
+
+    res.json({
+      success: true,
+      filters: filters,
+      workers: workers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/health-issues - Most common health issues. Query: from, to, location, limit
+router.get('/health-issues', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, filters } = await buildReportFilters(req);
+    const healthIssues = await reports.topHealthIssues(registered, { limit: parseLimit(req.query.limit) });
+
+    res.json({
+      success: true,
+      filters: filters,
+      healthIssues: healthIssues
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/follow-ups/overdue - Overdue follow-ups per village; from and
+// to limit the due date. Query: from, to, location
+router.get('/follow-ups/overdue', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { overdue, filters } = await buildReportFilters(req);
+    const { total, byVillage } = await reports.overdueFollowUps(overdue);
+
+    res.json({
+      success: true,
+      filters: filters,
+      total: total,
+      byVillage: byVillage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/pyramid - Patients by age band and gender. Query: from, to, location
+router.get('/pyramid', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, filters } = await buildReportFilters(req);
+    const bands = await reports.ageGenderPyramid(registered);
+
+    res.json({
+      success: true,
+      filters: filters,
+      bands: bands
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /reports/villages - Patients per village by gender. Query: from, to, location, limit
+router.get('/villages', authorize('reports:read'), async (req, res, next) => {
+  try {
+    const { registered, filters } = await buildReportFilters(req);
+    const villages = await reports.patientsPerVillage(registered, {
+      limit: parseLimit(req.query.limit, DEFAULT_VILLAGE_LIMIT)
+    });
+
+    res.json({
+      success: true,
+      filters: filters,
+      villages: villages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticateToken, authorize, forbidden } = require('../middleware/auth');
+const { validateBody, validationFailed } = require('../middleware/validate');
+const { resolveVillage } = require('../utils/locations');
+const { sendNotification } = require('../services/push');
+const messages = require('../services/push/messages');
+const { schemas } = require('../../shared/schemas');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Supervisors only see and manage the workers they oversee
+const userScopeFilter = (account) => (
+  account.role === 'anm_supervisor' ? { supervisor: account._id } : {}
+);
+
+// Scopes match village names exactly, so store the names from the master
+// data; each entry may be a village id or name
+const resolveVillageNames = async (entries) => {
+  const villageNames = [];
+  for (const entry of (entries || []).map(village => String(village).trim()).filter(Boolean)) {
+    const { location, error } = await resolveVillage(
+      /^[a-f\d]{24}$/i.test(entry) ? { villageId: entry } : { village: entry }
+    );
+    if (error) {
+      return { error };
+    }
+    villageNames.push(location.name);
+  }
+  return { villageNames: [...new Set(villageNames)] };
+};
+
+// GET /users - List user accounts
+router.get('/', authorize('users:read'), async (req, res, next) => {
+  try {
+    const users = await User.find(userScopeFilter(req.account)).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      users: users,
+      count: users.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /users - Register a new ASHA worker under the calling supervisor
+router.post('/', authorize('users:manage'), validateBody(schemas.user), async (req, res, next) => {
+  try {
+    const { username, name, phone, role, assignedVillages } = req.values;
+
+    // Supervisor and officer accounts are provisioned by the block office
+    if (role && role !== 'asha_worker') {
+      return next(forbidden('Supervisors can only register ASHA worker accounts'));
+    }
+
+    const { villageNames, error } = await resolveVillageNames(assignedVillages);
+    if (error) {
+      return validationFailed(res, { assignedVillages: error });
+    }
+
+    const user = new User({
+      username,
+      name,
+      phone,
+      // Passwords are hashed exactly as sent
+      passwordHash: await User.hashPassword(req.body.password),
+      role: 'asha_worker',
+      supervisor: req.account._id,
+      assignedVillages: villageNames
+    });
+
+    const savedUser = await user.save();
+    req.log.info('User registered', { userId: savedUser._id, by: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      user: savedUser,
+      message: 'User registered successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /users/:id/deactivate - Revoke a user's access without deleting history
+router.patch('/:id/deactivate', authorize('users:manage'), async (req, res, next) => {
+  try {
+    if (req.params.id === String(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...userScopeFilter(req.account) },
+      { active: false },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Stop the worker's devices from renewing their access tokens
+    await RefreshToken.revokeAll({ user: user._id }, 'deactivated');
+
+    req.log.info('User deactivated', { userId: user._id, by: req.user.userId });
+
+    res.json({
+      success: true,
+      user: user,
+      message: 'User deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /users/:id/villages - Change the villages a worker is assigned to.
+// The worker is notified on their devices.
+router.patch('/:id/villages', authorize('users:manage'), validateBody(schemas.userVillages), async (req, res, next) => {
+  try {
+    const { villageNames, error } = await resolveVillageNames(req.values.assignedVillages);
+    if (error) {
+      return validationFailed(res, { assignedVillages: error });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...userScopeFilter(req.account) },
+      { assignedVillages: villageNames },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    req.log.info('User villages changed', { userId: user._id, by: req.user.userId });
+    sendNotification({ user: user._id }, messages.assignmentChanged(user))
+      .catch(error => req.log.warn('Assignment notification failed', { userId: user._id, error: error.message }));
+
+    res.json({
+      success: true,
+      user: user,
+      message: 'Assigned villages updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /users/:id/activate - Restore a deactivated user
+router.patch('/:id/activate', authorize('users:manage'), async (req, res, next) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...userScopeFilter(req.account) },
+      { active: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: user,
+      message: 'User activated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
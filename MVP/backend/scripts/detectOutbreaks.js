@@ -0,0 +1,64 @@
+// Weekly job: counts each watched syndrome per village for the last complete
+// week (Monday to Sunday) and raises an outbreak alert wherever a count
+// crosses its threshold over the village's baseline. See utils/surveillance.js
+// for the thresholds and SURVEILLANCE_* settings.
+// Usage: npm run detect-outbreaks -- [YYYY-MM-DD]
+// With a date it checks the week containing that day. Schedule it with cron,
+// e.g. `0 3 * * 1 cd /path/to/backend && npm run detect-outbreaks`.
+// New alerts are pushed to the village's supervisors, with a notice to its
+// ASHA workers; see services/push for PUSH_ADAPTER and EXPO_PUSH_URL.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { getSurveillanceConfig, startOfWeek, previousWeek, runOutbreakDetection } = require('../utils/surveillance');
+const { sendNotification } = require('../services/push');
+const messages = require('../services/push/messages');
+
+// A push failure is reported but does not fail the run: the alert is stored
+// and listed in the app either way
+const notify = async (target, message) => {
+  try {
+    const { recipients, sent } = await sendNotification(target, message);
+    console.log(`  pushed to ${sent} devices of ${recipients} users`);
+  } catch (error) {
+    console.warn(`  push failed: ${error.message}`);
+  }
+};
+
+const run = async () => {
+  let weekStart = previousWeek();
+  if (process.argv[2]) {
+    const day = new Date(`${process.argv[2]}T12:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(process.argv[2]) || isNaN(day.getTime())) {
+      throw new Error('Date must be given as YYYY-MM-DD');
+    }
+    weekStart = startOfWeek(day);
+  }
+
+  const config = getSurveillanceConfig();
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-management');
+  console.log('Connected to MongoDB');
+  console.log(`Watching ${Object.keys(config.thresholds).join(', ')} against ${config.baselineWeeks} baseline weeks`);
+
+  const { weekEnd, alerts } = await runOutbreakDetection(weekStart, config);
+  for (const { alert, created } of alerts) {
+    console.log(`${created ? '✓ New' : '- Updated'} alert: ${alert.syndrome} in ${alert.village}, ` +
+      `${alert.cases} cases (threshold ${alert.threshold}, baseline mean ${alert.baseline.mean})`);
+    // Re-runs for the same week update the alert without notifying again
+    if (created) {
+      if (alert.supervisors.length > 0) {
+        await notify({ users: alert.supervisors }, messages.outbreakAlert(alert));
+      }
+      await notify({ village: alert.village }, messages.outbreakNotice(alert));
+    }
+  }
+
+  console.log(`Checked ${weekStart.toISOString()} to ${weekEnd.toISOString()}: ${alerts.length} alerts`);
+};
+
+run()
+  .catch(err => {
+    console.error('Outbreak detection failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
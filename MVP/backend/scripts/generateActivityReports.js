@@ -0,0 +1,46 @@
+// Monthly job: builds the draft activity report of every active ASHA worker
+// for a month, so supervisors find them waiting on the 1st. Reports already
+// approved are left alone; drafts and rejected reports are rebuilt.
+// Usage: npm run activity-reports -- [YYYY-MM]
+// Without a month it builds last month's reports. Schedule it with cron, e.g.
+// `0 2 1 * * cd /path/to/backend && npm run activity-reports`.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { previousMonth, generateActivityReport } = require('../utils/activityReports');
+const { validate } = require('../../shared/validation');
+const { schemas } = require('../../shared/schemas');
+
+const run = async () => {
+  const { values, errors } = validate(schemas.activityReport, { month: process.argv[2] || previousMonth() });
+  if (errors) {
+    throw new Error(errors.month);
+  }
+  const { month } = values;
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-management');
+  console.log('Connected to MongoDB');
+
+  const workers = await User.find({ role: 'asha_worker', active: true }).sort({ name: 1 });
+  let generated = 0;
+  for (const worker of workers) {
+    const { report, conflict } = await generateActivityReport(worker, month);
+    if (conflict) {
+      console.log(`- ${worker.username}: already approved`);
+      continue;
+    }
+    generated += 1;
+    const counts = report.activities.map(activity => `${activity.code} ${activity.count}`).join(', ');
+    console.log(`✓ ${worker.username}: ${counts}`);
+  }
+
+  console.log(`Generated ${generated} activity reports for ${month} (${workers.length - generated} already approved)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Activity report generation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,42 @@
+// Imports the location master data (district → block → PHC → sub-centre →
+// village) from a CSV or XLSX file with the columns district, block, phc,
+// subCentre, village and code. Locations that already exist are reused, so the
+// file can be imported again after adding rows.
+// Usage: npm run import-locations -- [file] [--dry-run]
+// Without a file it imports scripts/data/locations.csv, the demo villages.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { LOCATION_COLUMNS, importLocations } = require('../utils/locations');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, 'data', 'locations.csv');
+
+const run = async () => {
+  const rows = await readSpreadsheet({ originalname: file, buffer: fs.readFileSync(file) }, LOCATION_COLUMNS);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-management');
+  console.log('Connected to MongoDB');
+
+  const { created, rows: results } = await importLocations(rows, { dryRun });
+  results
+    .filter(result => result.status === 'error')
+    .forEach(result => console.log(`✗ Row ${result.row}: ${Object.values(result.errors).join('; ')}`));
+
+  const failed = results.filter(result => result.status === 'error').length;
+  console.log(`${dryRun ? 'Would add' : 'Added'} ${created} locations from ${rows.length} rows (${failed} failed)`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Import failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,49 @@
+// Moves records with free-text village names from before the location master
+// data onto their village, so "Rampur", "rampur " and a misspelling count as
+// one place and match the workers' scopes. Names that match no village (or more
+// than one) are listed and left unchanged; map them with --map and run again.
+// Import the locations first (npm run import-locations).
+// Usage: npm run migrate-villages -- [--dry-run] [--map "Raampur=Rampur" ...]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { migrateVillageNames } = require('../utils/locations');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const aliases = {};
+args.forEach((arg, index) => {
+  if (arg === '--map') {
+    const [name, village] = (args[index + 1] || '').split('=');
+    if (!name?.trim() || !village?.trim()) {
+      throw new Error('--map needs "old name=village name"');
+    }
+    aliases[name.trim()] = village.trim();
+  }
+});
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-management');
+  console.log('Connected to MongoDB');
+
+  const { updated, unmatched } = await migrateVillageNames({ aliases, dryRun });
+  Object.entries(updated).forEach(([label, count]) => {
+    console.log(`${dryRun ? 'Would update' : 'Updated'} ${count} ${label}`);
+  });
+  unmatched.forEach(({ name, error, records }) => {
+    console.log(`✗ "${name}" (${records} records): ${error}`);
+  });
+
+  if (unmatched.length > 0) {
+    console.log(`${unmatched.length} names were not matched; add them with --map "name=village" or to the location list`);
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
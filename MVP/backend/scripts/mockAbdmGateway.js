@@ -0,0 +1,102 @@
+// Local stand-in for the ABDM gateway API used by services/abdm/gatewayAdapter.js,
+// so ABHA linking can be developed and tested without ABDM sandbox access.
+// Usage: npm run mock-abdm, then start the backend with
+// ABDM_GATEWAY_URL=http://localhost:4010 (MOCK_ABDM_PORT changes the port).
+// Accounts live in memory; POST /abha/accounts adds more. Tests require the
+// module and serve `app` themselves.
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+const { verhoeffDigit, formatAbhaNumber, parseAbhaNumber, parseAbhaAddress } = require('../../shared/abha');
+
+const PORT = process.env.MOCK_ABDM_PORT || 4010;
+const TOKEN_TTL_SECONDS = 600;
+
+const abhaNumber = (digits) => formatAbhaNumber(digits + verhoeffDigit(digits));
+
+const accounts = [
+  { abhaNumber: abhaNumber('9100000000001'), abhaAddress: 'sunita.devi@sbx', name: 'Sunita Devi', gender: 'F', yearOfBirth: 1992 },
+  { abhaNumber: abhaNumber('9100000000002'), abhaAddress: 'ramesh.kumar@sbx', name: 'Ramesh Kumar', gender: 'M', yearOfBirth: 1980 },
+  { abhaNumber: abhaNumber('9100000000003'), abhaAddress: 'lakshmi.bai@sbx', name: 'Lakshmi Bai', gender: 'F', yearOfBirth: 1958 }
+];
+const tokens = new Map();
+// Link requests received, newest last
+const links = [];
+
+const findAccount = ({ abhaNumber: number, abhaAddress: address }) => accounts.find(account =>
+  (number && account.abhaNumber === number) || (address && account.abhaAddress === address));
+
+const app = express();
+app.use(express.json());
+
+// POST /sessions - Exchange client credentials for an access token
+app.post('/sessions', (req, res) => {
+  const { clientId, clientSecret } = req.body;
+  if (process.env.ABDM_CLIENT_ID &&
+    (clientId !== process.env.ABDM_CLIENT_ID || clientSecret !== process.env.ABDM_CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'Invalid client credentials' });
+  }
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+  res.json({ accessToken, expiresIn: TOKEN_TTL_SECONDS });
+});
+
+app.use('/abha', (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!tokens.has(token) || tokens.get(token) < Date.now()) {
+    return res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+  next();
+});
+
+// POST /abha/verify - Look up an account by ABHA number or address
+app.post('/abha/verify', (req, res) => {
+  const account = findAccount(req.body);
+  if (!account) {
+    return res.status(404).json({ error: 'ABHA account not found' });
+  }
+  res.json(account);
+});
+
+// POST /abha/link - Link an account to a patient record of the caller
+app.post('/abha/link', (req, res) => {
+  const account = findAccount(req.body);
+  if (!account || !req.body.referenceNumber) {
+    return res.status(404).json({ error: 'ABHA account not found' });
+  }
+  const linkReference = `LINK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  links.push({ ...req.body, linkReference });
+  if (require.main === module) {
+    console.log(`Linked ${account.abhaAddress} to patient ${req.body.referenceNumber} (${linkReference})`);
+  }
+  res.json({ linkReference });
+});
+
+// POST /abha/accounts - Add a test account: { abhaNumber, abhaAddress, name, gender, yearOfBirth }
+app.post('/abha/accounts', (req, res) => {
+  const number = parseAbhaNumber(String(req.body.abhaNumber || ''));
+  const address = parseAbhaAddress(String(req.body.abhaAddress || ''));
+  if (number.error || address.error) {
+    return res.status(400).json({ error: number.error || address.error });
+  }
+  const account = { ...req.body, abhaNumber: number.value, abhaAddress: address.value };
+  accounts.push(account);
+  res.status(201).json(account);
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock ABDM gateway on http://localhost:${PORT}`);
+    accounts.forEach(account => {
+      console.log(`✓ ${account.abhaNumber} / ${account.abhaAddress}: ${account.name}, ${account.gender}, ${account.yearOfBirth}`);
+    });
+  });
+}
+
+module.exports = {
+  app,
+  accounts,
+  tokens,
+  links
+};
@@ -0,0 +1,65 @@
+// Local stand-in for the Expo push API used by services/push/expoAdapter.js,
+// so server notifications can be developed and tested without sending to
+// real devices.
+// Usage: npm run mock-push, then start the backend with
+// EXPO_PUSH_URL=http://localhost:4020/--/api/v2/push/send (MOCK_PUSH_PORT
+// changes the port). Tokens containing "unregistered" are answered with
+// DeviceNotRegistered, as Expo does for uninstalled apps. The backend tests
+// mount the exported app themselves.
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_PUSH_PORT || 4020;
+
+const received = [];
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+// POST /--/api/v2/push/send - Accept one message or a list; one ticket each
+app.post('/--/api/v2/push/send', (req, res) => {
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  if (messages.length > 100) {
+    return res.status(400).json({ errors: [{ code: 'PUSH_TOO_MANY_NOTIFICATIONS', message: 'At most 100 messages per request' }] });
+  }
+
+  const data = messages.map(message => {
+    if (!/^Expo(nent)?PushToken\[[^\]]+\]$/.test(message.to || '')) {
+      return { status: 'error', message: `"${message.to}" is not a valid Expo push token`, details: { error: 'DeviceNotRegistered' } };
+    }
+    if (message.to.includes('unregistered')) {
+      return { status: 'error', message: `"${message.to}" is not a registered push notification recipient`, details: { error: 'DeviceNotRegistered' } };
+    }
+    const id = crypto.randomUUID();
+    received.push({ id, receivedAt: new Date().toISOString(), ...message });
+    if (require.main === module) {
+      console.log(`→ ${message.to}: ${message.title} [${message.data?.type}]`);
+    }
+    return { status: 'ok', id };
+  });
+
+  res.json({ data });
+});
+
+// GET /messages - Messages delivered so far, oldest first
+app.get('/messages', (req, res) => {
+  res.json({ messages: received });
+});
+
+// DELETE /messages - Forget delivered messages
+app.delete('/messages', (req, res) => {
+  received.length = 0;
+  res.status(204).end();
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock Expo push service on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  received
+};
@@ -0,0 +1,64 @@
+// Seeds the local database with demo accounts so the app can be used out of the box.
+// Usage: npm run seed
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const DEMO_PASSWORD = process.env.DEMO_PASSWORD || 'password123';
+
+const demoUsers = [
+  {
+    username: process.env.DEMO_USERNAME || 'asha_worker',
+    name: 'Demo ASHA Worker',
+    phone: '9000000001',
+    role: 'asha_worker',
+    assignedVillages: ['Rampur', 'Sitapur']
+  },
+  {
+    username: 'anm_supervisor',
+    name: 'Demo ANM Supervisor',
+    phone: '9000000002',
+    role: 'anm_supervisor',
+    assignedVillages: []
+  },
+  {
+    username: 'medical_officer',
+    name: 'Demo Block Medical Officer',
+    phone: '9000000003',
+    role: 'medical_officer',
+    assignedVillages: []
+  }
+];
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-management');
+  console.log('Connected to MongoDB');
+
+  const passwordHash = await User.hashPassword(DEMO_PASSWORD);
+
+  const seeded = {};
+  for (const demoUser of demoUsers) {
+    // Upsert so re-running the script resets the demo accounts instead of failing
+    seeded[demoUser.role] = await User.findOneAndUpdate(
+      { username: demoUser.username },
+      { ...demoUser, passwordHash, active: true },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    console.log(`✓ ${demoUser.role}: ${demoUser.username} / ${DEMO_PASSWORD}`);
+  }
+
+  // The demo ASHA worker reports to the demo ANM supervisor
+  await User.updateOne(
+    { _id: seeded.asha_worker._id },
+    { supervisor: seeded.anm_supervisor._id }
+  );
+};
+
+seed()
+  .then(() => console.log('Seeding complete'))
+  .catch(err => {
+    console.error('Seeding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
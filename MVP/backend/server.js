@@ -1,19 +1,42 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
 require('dotenv').config();
 
-const Patient = require('./models/Patient');
+const User = require('./models/User');
+const logger = require('./utils/logger');
+const { createSession } = require('./middleware/auth');
+const { requestLogger, REQUEST_ID_HEADER } = require('./middleware/requestLogger');
+const { validateBody } = require('./middleware/validate');
+const { schemas } = require('../shared/schemas');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const patientRoutes = require('./routes/patients');
+const householdRoutes = require('./routes/households');
+const followUpRoutes = require('./routes/followups');
+const pregnancyRoutes = require('./routes/pregnancies');
+const childRoutes = require('./routes/children');
+const auditRoutes = require('./routes/audit');
+const fhirRoutes = require('./routes/fhir');
+const locationRoutes = require('./routes/locations');
+const reportRoutes = require('./routes/reports');
+const activityReportRoutes = require('./routes/activityReports');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Request ids and structured request logging. Bodies are never logged: they
+// carry patient data. Record access goes to the audit log.
+app.use(requestLogger);
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: '*', // Allow all origins for development
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER],
   credentials: true
 }));
 
@@ -21,29 +44,41 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-  }
-  next();
-});
+// Errors that are the client's fault; the rest are logged with their stack
+const isClientError = (err) => (
+  ['ValidationError', 'ForbiddenError', 'JsonWebTokenError', 'CastError', 'MulterError'].includes(err.name) ||
+  err.code === 11000 ||
+  (err.status >= 400 && err.status < 500)
+);
 
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', err);
+  const log = req.log || logger;
+  if (isClientError(err)) {
+    // Messages can quote submitted values, so only the error's type is logged
+    log.warn('Request rejected', { error: { name: err.name, code: err.code, status: err.status } });
+  } else {
+    log.error('Request failed', { err });
+  }
   
-  // Mongoose validation error
+  // Mongoose validation error, keyed by field like the request schemas' errors
   if (err.name === 'ValidationError') {
-    const errors = Object.values(err.errors).map(e => e.message);
+    const errors = Object.fromEntries(Object.values(err.errors).map(e => [e.path, e.message]));
     return res.status(400).json({
       success: false,
       error: 'Validation Error',
-      details: errors
+      errors: errors
     });
   }
   
+  // Authenticated but not permitted (see authorize in middleware/auth.js)
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      success: false,
+      error: err.message
+    });
+  }
+
   // JWT error
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -52,6 +87,31 @@ const errorHandler = (err, req, res, next) => {
     });
   }
   
+  // Malformed ObjectId in a route parameter
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid ${err.path}`
+    });
+  }
+
+  // Rejected file upload, e.g. too large (see middleware/upload.js)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      error: err.code === 'LIMIT_FILE_SIZE' ? 'The file is too large' : err.message
+    });
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {}).join(', ');
+    return res.status(409).json({
+      success: false,
+      error: `A record with this ${fields || 'value'} already exists`
+    });
+  }
+
   // MongoDB connection error
   if (err.name === 'MongoServerError') {
     return res.status(500).json({
@@ -72,159 +132,92 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/patient-m
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
-.catch(err => console.error('MongoDB connection error:', err));
-
-// JWT middleware for protected routes
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
+.then(() => logger.info('Connected to MongoDB'))
+.catch(err => logger.error('MongoDB connection error', { err }));
 
 // Routes
 
-// POST /login - Dummy authentication
-app.post('/login', (req, res, next) => {
+// POST /login - Authenticate against registered user accounts
+app.post('/login', validateBody(schemas.login), async (req, res, next) => {
   try {
-    console.log('Login attempt:', { username: req.body.username });
-    
-    const { username, password } = req.body;
-    
-    // Input validation
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Username and password are required'
-      });
-    }
-    
-    const HARDCODED_USERNAME = process.env.HARDCODED_USERNAME || 'asha_worker';
-    const HARDCODED_PASSWORD = process.env.HARDCODED_PASSWORD || 'password123';
-    
-    console.log('Expected credentials:', { username: HARDCODED_USERNAME });
-
-    if (username === HARDCODED_USERNAME && password === HARDCODED_PASSWORD) {
-      const token = jwt.sign(
-        { username: username, role: 'asha_worker' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: '24h' }
-      );
-      
-      console.log('Login successful for:', username);
-
-      res.json({
-        success: true,
-        token: token,
-        user: { username: username, role: 'asha_worker' }
-      });
-    } else {
-      console.log('Login failed - Invalid credentials for:', username);
-      res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
-    }
-  } catch (error) {
-    console.error('Login error:', error);
-    next(error);
-  }
-});
+    const { username } = req.values;
+    const { password } = req.body;
 
-// POST /patients - Add new patient (protected)
-app.post('/patients', authenticateToken, async (req, res, next) => {
-  try {
-    console.log('Adding patient:', req.body);
-    const { name, age, gender, village, healthIssue } = req.body;
+    const user = await User.findOne({ username: username.toLowerCase() }).select('+passwordHash');
+    const passwordMatches = user ? await user.comparePassword(password) : false;
 
-    // Enhanced validation
-    if (!name?.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Patient name is required'
-      });
-    }
-    
-    if (!age || isNaN(parseInt(age)) || parseInt(age) <= 0 || parseInt(age) > 150) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid age is required (1-150)'
-      });
-    }
-    
-    if (!gender || !['Male', 'Female', 'Other'].includes(gender)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid gender is required (Male, Female, Other)'
-      });
-    }
-    
-    if (!village?.trim()) {
-      return res.status(400).json({
+    if (!passwordMatches) {
+      req.log.info('Login failed', { reason: 'invalid_credentials' });
+      return res.status(401).json({
         success: false,
-        error: 'Village name is required'
+        error: 'Invalid credentials'
       });
     }
-    
-    if (!healthIssue?.trim()) {
-      return res.status(400).json({
+
+    if (!user.active) {
+      req.log.info('Login failed', { reason: 'deactivated', userId: user._id });
+      return res.status(403).json({
         success: false,
-        error: 'Health issue description is required'
+        error: 'This account has been deactivated. Please contact your supervisor.'
       });
     }
 
-    const patient = new Patient({
-      name: name.trim(),
-      age: parseInt(age),
-      gender,
-      village: village.trim(),
-      healthIssue: healthIssue.trim()
-    });
+    const session = await createSession(user, { userAgent: req.get('user-agent') });
 
-    const savedPatient = await patient.save();
-    console.log('Patient saved successfully:', savedPatient._id);
-    
-    res.status(201).json({
-      success: true,
-      patient: savedPatient,
-      message: 'Patient added successfully'
-    });
-  } catch (error) {
-    console.error('Error saving patient:', error);
-    next(error);
-  }
-});
+    req.log.info('Login successful', { userId: user._id });
 
-// GET /patients - Get all patients (protected)
-app.get('/patients', authenticateToken, async (req, res, next) => {
-  try {
-    console.log('Fetching patients for user:', req.user.username);
-    const patients = await Patient.find().sort({ createdAt: -1 });
-    
-    console.log(`Found ${patients.length} patients`);
-    
     res.json({
       success: true,
-      patients: patients,
-      count: patients.length
+      ...session,
+      user: { id: user._id, username: user.username, name: user.name, role: user.role }
     });
   } catch (error) {
-    console.error('Error fetching patients:', error);
     next(error);
   }
 });
 
+// Token refresh and logout
+app.use('/auth', authRoutes);
+
+// User management (supervisors only)
+app.use('/users', userRoutes);
+
+// Location master data: district, block, PHC, sub-centre and village
+app.use('/locations', locationRoutes);
+
+// Patient records (role and village scoped)
+app.use('/patients', patientRoutes);
+
+// Households grouping patients (role and village scoped)
+app.use('/households', householdRoutes);
+
+// Due and overdue patient follow-ups
+app.use('/followups', followUpRoutes);
+
+// Maternal health: pregnancies with ANC, doses, delivery and PNC
+app.use('/pregnancies', pregnancyRoutes);
+
+// Children and their UIP immunization cards
+app.use('/children', childRoutes);
+
+// Audit trail of patient record access and changes (supervisors)
+app.use('/audit', auditRoutes);
+
+// Aggregated dashboard indicators (supervisors and medical officers)
+app.use('/reports', reportRoutes);
+
+// Monthly ASHA activity reports for incentive claims, reviewed by supervisors
+app.use('/activity-reports', activityReportRoutes);
+
+// Outbreak alerts raised by the weekly syndromic surveillance job
+app.use('/alerts', alertRoutes);
+
+// Push notification devices of the signed-in user
+app.use('/notifications', notificationRoutes);
+
+// Read-only FHIR R4 view of patients, visits and health issues
+app.use('/fhir', fhirRoutes);
+
 // Health check endpoint with database status
 app.get('/health', async (req, res) => {
   try {
@@ -261,11 +254,11 @@ app.use(errorHandler);
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+  logger.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
-    console.log('HTTP server closed');
+    logger.info('HTTP server closed');
     mongoose.connection.close(false, () => {
-      console.log('MongoDB connection closed.');
+      logger.info('MongoDB connection closed');
       process.exit(0);
     });
   });
@@ -273,13 +266,53 @@ process.on('SIGTERM', () => {
 
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📍 Local: http://localhost:${PORT}`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔑 Demo credentials: asha_worker / password123`);
-  console.log(`\n📊 Available endpoints:`);
-  console.log(`   POST /login - Authenticate user`);
-  console.log(`   POST /patients - Add patient (auth required)`);
-  console.log(`   GET /patients - List patients (auth required)`);
-  console.log(`   GET /health - Health check`);
+  logger.info('Server running', {
+    port: PORT,
+    healthCheck: `http://localhost:${PORT}/health`,
+    demoAccount: 'asha_worker / password123 (run "npm run seed" first)'
+  });
+  logger.debug('Available endpoints', {
+    endpoints: [
+      'POST /login - Authenticate user',
+      'POST /auth/refresh - Renew an access token with a refresh token',
+      'POST /auth/logout - Revoke the current session',
+      'GET/POST /users - Manage user accounts (supervisor only)',
+      'PATCH /users/:id/deactivate - Deactivate a user (supervisor only)',
+      'PATCH /users/:id/villages - Change a worker\'s assigned villages (supervisor only)',
+      'GET /locations/villages - Villages the caller can register records in (auth required)',
+      'GET /locations - Browse the location master data (auth required)',
+      'POST/PATCH /locations - Manage the location master data (medical officer)',
+      'POST /locations/import - Import locations from a CSV/XLSX file (medical officer)',
+      'POST /patients - Add patient (auth required)',
+      'GET /patients - List patients (auth required)',
+      'POST /patients/import - Import patients from a CSV/XLSX file (auth required)',
+      'GET /patients/export - Download patients as CSV/XLSX (auth required)',
+      'GET/PUT/PATCH/DELETE /patients/:id - View, edit or archive a patient (auth required)',
+      'GET/POST /patients/:id/visits - Visit history and new visits (auth required)',
+      'POST /patients/:id/abha/link - Verify and link the patient\'s ABHA (auth required)',
+      'POST /patients/:id/merge - Merge a duplicate patient record (supervisor)',
+      'GET /followups - Due and overdue follow-ups, ANC/PNC visits and vaccines (auth required)',
+      'GET/POST /pregnancies - List or register pregnancies (auth required)',
+      'POST /pregnancies/:id/anc|doses|delivery|pnc - Record maternal care (auth required)',
+      'GET/POST /children - List or register children (auth required)',
+      'GET /children/:id/card - Immunization card (auth required)',
+      'POST /children/:id/immunizations - Mark a vaccine as given (auth required)',
+      'GET /audit - Patient record audit trail (supervisor only)',
+      'GET /reports/summary - Dashboard indicators by date range and location (supervisor or medical officer)',
+      'GET /reports/registrations|workers|health-issues|follow-ups/overdue|pyramid|villages - One dashboard report (supervisor or medical officer)',
+      'GET/POST /households - List or create households (auth required)',
+      'POST /households/:id/members - Add or move a patient into a household (auth required)',
+      'GET/POST /activity-reports - List or generate monthly ASHA activity reports (auth required)',
+      'GET /activity-reports/:id/pdf - Activity report as a claim form PDF (auth required)',
+      'POST /activity-reports/:id/approve|reject - Review an activity report (supervisor)',
+      'GET /alerts - Outbreak alerts in the caller\'s villages (supervisor or medical officer)',
+      'GET/PATCH /alerts/:id - View an alert or record its follow-up (supervisor or medical officer)',
+      'POST /notifications/devices - Register the device\'s push token (auth required)',
+      'DELETE /notifications/devices/:token - Stop push notifications to a device (auth required)',
+      'GET /fhir/metadata - FHIR R4 CapabilityStatement',
+      'GET /fhir/Patient|Encounter|Observation|Condition - FHIR R4 read and search (auth required)',
+      'GET /fhir/Patient/:id/$everything - Everything about one patient as a FHIR Bundle (auth required)',
+      'GET /health - Health check'
+    ]
+  });
 });
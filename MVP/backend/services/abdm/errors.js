@@ -0,0 +1,10 @@
+// Failures of the ABDM integration whose message can be shown to the worker
+const abdmError = (message) => {
+  const error = new Error(message);
+  error.name = 'AbdmError';
+  return error;
+};
+
+module.exports = {
+  abdmError
+};
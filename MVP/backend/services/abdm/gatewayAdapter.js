@@ -0,0 +1,101 @@
+// ABDM adapter over HTTP. ABDM_GATEWAY_URL points at a service exposing:
+//   POST /sessions     { clientId, clientSecret } -> { accessToken, expiresIn }
+//   POST /abha/verify  { abhaNumber?, abhaAddress? } -> the ABHA account, or 404
+//   POST /abha/link    { abhaNumber, abhaAddress, referenceNumber, display } -> { linkReference }
+// scripts/mockAbdmGateway.js serves the same API for development and tests.
+
+const { abdmError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+let session = null;
+
+const getConfig = () => {
+  if (!process.env.ABDM_GATEWAY_URL) {
+    throw abdmError('ABHA linking is not configured on this server');
+  }
+  return {
+    url: process.env.ABDM_GATEWAY_URL.replace(/\/$/, ''),
+    clientId: process.env.ABDM_CLIENT_ID,
+    clientSecret: process.env.ABDM_CLIENT_SECRET,
+    timeout: parseInt(process.env.ABDM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+};
+
+const post = async (config, path, body, accessToken) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+  try {
+    return await fetch(`${config.url}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } catch (error) {
+    throw abdmError('The ABDM gateway could not be reached; try again later');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// Access token for the gateway, renewed a minute before it expires
+const getAccessToken = async (config) => {
+  if (session && session.expiresAt > Date.now()) {
+    return session.accessToken;
+  }
+  const response = await post(config, '/sessions', {
+    clientId: config.clientId,
+    clientSecret: config.clientSecret
+  });
+  if (!response.ok) {
+    throw abdmError('The ABDM gateway rejected this server\'s credentials');
+  }
+  const { accessToken, expiresIn } = await response.json();
+  session = { accessToken, expiresAt: Date.now() + (expiresIn - 60) * 1000 };
+  return accessToken;
+};
+
+// POST with the session token, retrying once with a new token if it has expired
+const authorizedPost = async (path, body) => {
+  const config = getConfig();
+  let response = await post(config, path, body, await getAccessToken(config));
+  if (response.status === 401) {
+    session = null;
+    response = await post(config, path, body, await getAccessToken(config));
+  }
+  return response;
+};
+
+const verify = async ({ abhaNumber, abhaAddress }) => {
+  const response = await authorizedPost('/abha/verify', { abhaNumber, abhaAddress });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw abdmError(`ABHA verification failed (gateway status ${response.status})`);
+  }
+  return response.json();
+};
+
+const link = async ({ abhaNumber, abhaAddress, patientId, name }) => {
+  const response = await authorizedPost('/abha/link', {
+    abhaNumber,
+    abhaAddress,
+    referenceNumber: patientId,
+    display: name
+  });
+  if (!response.ok) {
+    throw abdmError(`ABHA linking failed (gateway status ${response.status})`);
+  }
+  const { linkReference } = await response.json();
+  return { reference: linkReference };
+};
+
+module.exports = {
+  verify,
+  link
+};
@@ -0,0 +1,105 @@
+// ABHA verification and linking through a pluggable ABDM adapter.
+//
+// An adapter is an object with two async methods:
+//   verify({ abhaNumber, abhaAddress })
+//     The ABHA account for either identifier, as { abhaNumber, abhaAddress,
+//     name, gender ('M' | 'F' | 'O'), yearOfBirth }, or null when none exists
+//   link({ abhaNumber, abhaAddress, patientId, name })
+//     Links the account to our patient record; resolves to { reference }
+// Both throw when the gateway cannot be reached.
+//
+// ABDM_ADAPTER picks the adapter: 'gateway' (HTTP, see gatewayAdapter.js; the
+// default when ABDM_GATEWAY_URL is set) or 'disabled'. setAbdmAdapter() plugs
+// in any other implementation.
+
+const { nameSimilarity } = require('../../utils/duplicates');
+const { abdmError } = require('./errors');
+const gatewayAdapter = require('./gatewayAdapter');
+
+// Ages are often estimated, so the ABHA year of birth may differ a little
+const YEAR_OF_BIRTH_TOLERANCE = 2;
+const MIN_NAME_SIMILARITY = 0.75;
+
+const GENDER_CODES = { Male: 'M', Female: 'F', Other: 'O' };
+
+const disabledAdapter = {
+  verify: async () => {
+    throw abdmError('ABHA linking is not configured on this server');
+  },
+  link: async () => {
+    throw abdmError('ABHA linking is not configured on this server');
+  }
+};
+
+const ADAPTERS = {
+  gateway: gatewayAdapter,
+  disabled: disabledAdapter
+};
+
+let pluggedAdapter = null;
+
+const setAbdmAdapter = (adapter) => {
+  pluggedAdapter = adapter;
+};
+
+const getAbdmAdapter = () => {
+  if (pluggedAdapter) {
+    return pluggedAdapter;
+  }
+  const name = process.env.ABDM_ADAPTER || (process.env.ABDM_GATEWAY_URL ? 'gateway' : 'disabled');
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown ABDM_ADAPTER: ${name}`);
+  }
+  return ADAPTERS[name];
+};
+
+// Which of the patient's details disagree with the ABHA account, or null
+const findMismatch = (patient, account) => {
+  if (account.gender && account.gender !== GENDER_CODES[patient.gender]) {
+    return 'gender';
+  }
+  const birthYear = patient.createdAt.getFullYear() - patient.age;
+  if (account.yearOfBirth && Math.abs(account.yearOfBirth - birthYear) > YEAR_OF_BIRTH_TOLERANCE) {
+    return 'age';
+  }
+  if (account.name && nameSimilarity(account.name, patient.name) < MIN_NAME_SIMILARITY) {
+    return 'name';
+  }
+  return null;
+};
+
+// Verify the patient's ABHA number or address and link it to the record when
+// the account's name, gender and year of birth agree with the patient.
+// Resolves to { linked: true, reference, abhaNumber, abhaAddress } (both
+// identifiers, as ABDM knows them) or { linked: false, reason }.
+const linkAbha = async (patient) => {
+  const adapter = getAbdmAdapter();
+  const account = await adapter.verify({ abhaNumber: patient.abhaNumber, abhaAddress: patient.abhaAddress });
+  if (!account) {
+    return { linked: false, reason: 'No ABHA account was found for these details' };
+  }
+
+  const mismatch = findMismatch(patient, account);
+  if (mismatch) {
+    return { linked: false, reason: `The ABHA account's ${mismatch} does not match this patient` };
+  }
+
+  const { reference } = await adapter.link({
+    abhaNumber: account.abhaNumber,
+    abhaAddress: account.abhaAddress,
+    patientId: String(patient._id),
+    name: patient.name
+  });
+  return {
+    linked: true,
+    reference,
+    abhaNumber: account.abhaNumber || patient.abhaNumber,
+    abhaAddress: account.abhaAddress || patient.abhaAddress
+  };
+};
+
+module.exports = {
+  setAbdmAdapter,
+  getAbdmAdapter,
+  linkAbha
+};
@@ -0,0 +1,54 @@
+// Push adapter over the Expo push API (https://docs.expo.dev/push-notifications/sending-notifications/).
+// EXPO_PUSH_URL overrides the endpoint, e.g. scripts/mockPushServer.js for
+// development and tests; EXPO_ACCESS_TOKEN is sent when push security is
+// enabled for the project.
+
+const DEFAULT_URL = 'https://exp.host/--/api/v2/push/send';
+const DEFAULT_TIMEOUT_MS = 10000;
+// Expo accepts at most 100 messages per request
+const CHUNK_SIZE = 100;
+
+const getConfig = () => ({
+  url: process.env.EXPO_PUSH_URL || DEFAULT_URL,
+  accessToken: process.env.EXPO_ACCESS_TOKEN,
+  timeout: parseInt(process.env.PUSH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+});
+
+const postChunk = async (config, messages) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+  try {
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        ...(config.accessToken ? { Authorization: `Bearer ${config.accessToken}` } : {})
+      },
+      body: JSON.stringify(messages),
+      signal: controller.signal
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !Array.isArray(body.data)) {
+      throw new Error(`Expo push request failed with status ${response.status}`);
+    }
+    return body.data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// One ticket per message, in order: { status: 'ok', id } or
+// { status: 'error', message, details: { error } }
+const send = async (messages) => {
+  const config = getConfig();
+  const tickets = [];
+  for (let index = 0; index < messages.length; index += CHUNK_SIZE) {
+    tickets.push(...await postChunk(config, messages.slice(index, index + CHUNK_SIZE)));
+  }
+  return tickets;
+};
+
+module.exports = {
+  send
+};
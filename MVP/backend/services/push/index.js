@@ -0,0 +1,98 @@
+// Push notifications to workers' and supervisors' devices through a pluggable
+// transport.
+//
+// An adapter is an object with one async method:
+//   send(messages)
+//     Delivers Expo push messages ({ to, title, body, data, sound, channelId,
+//     priority }) and resolves to one ticket per message, in order:
+//     { status: 'ok' } or { status: 'error', message, details: { error } }.
+//     Throws when the push service cannot be reached.
+//
+// PUSH_ADAPTER picks the adapter: 'expo' (HTTP, see expoAdapter.js; the
+// default) or 'disabled'. setPushAdapter() plugs in any other implementation.
+
+const PushToken = require('../../models/PushToken');
+const User = require('../../models/User');
+const expoAdapter = require('./expoAdapter');
+
+const disabledAdapter = {
+  send: async (messages) => messages.map(() => ({ status: 'error', message: 'Push notifications are disabled' }))
+};
+
+const ADAPTERS = {
+  expo: expoAdapter,
+  disabled: disabledAdapter
+};
+
+let pluggedAdapter = null;
+
+const setPushAdapter = (adapter) => {
+  pluggedAdapter = adapter;
+};
+
+const getPushAdapter = () => {
+  if (pluggedAdapter) {
+    return pluggedAdapter;
+  }
+  const name = process.env.PUSH_ADAPTER || 'expo';
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown PUSH_ADAPTER: ${name}`);
+  }
+  return ADAPTERS[name];
+};
+
+// Active users a target names:
+//   { user } or { users }  - those accounts
+//   { village }            - the ASHA workers assigned to the village
+//   { supervisor }         - every ASHA worker under the supervisor
+const resolveRecipients = async (target) => {
+  let conditions;
+  if (target.user || target.users) {
+    conditions = { _id: { $in: target.users || [target.user] } };
+  } else if (target.village) {
+    conditions = { role: 'asha_worker', assignedVillages: target.village };
+  } else if (target.supervisor) {
+    conditions = { role: 'asha_worker', supervisor: target.supervisor };
+  } else {
+    throw new Error('A notification target needs a user, users, village or supervisor');
+  }
+  return User.find({ ...conditions, active: true }).distinct('_id');
+};
+
+// Send a message ({ type, title, body, data, channelId, priority }) to every
+// registered device of the target's users. data.type tells the app which
+// screen to open. Tokens Expo reports as no longer registered are removed.
+// Resolves to { recipients, sent, failed }.
+const sendNotification = async (target, { type, title, body, data = {}, channelId, priority = 'default' }) => {
+  const recipients = await resolveRecipients(target);
+  const tokens = await PushToken.find({ user: { $in: recipients } }).distinct('token');
+  if (tokens.length === 0) {
+    return { recipients: recipients.length, sent: 0, failed: 0 };
+  }
+
+  const messages = tokens.map(token => ({
+    to: token,
+    title,
+    body,
+    data: { ...data, type },
+    sound: 'default',
+    channelId,
+    priority
+  }));
+  const tickets = await getPushAdapter().send(messages);
+
+  const unregistered = tokens.filter((token, index) => tickets[index]?.details?.error === 'DeviceNotRegistered');
+  if (unregistered.length > 0) {
+    await PushToken.deleteMany({ token: { $in: unregistered } });
+  }
+
+  const sent = tickets.filter(ticket => ticket?.status === 'ok').length;
+  return { recipients: recipients.length, sent, failed: tokens.length - sent };
+};
+
+module.exports = {
+  setPushAdapter,
+  getPushAdapter,
+  resolveRecipients,
+  sendNotification
+};
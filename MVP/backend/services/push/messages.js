@@ -0,0 +1,53 @@
+// Push messages the backend sends. Each builder returns the message for
+// sendNotification(); `type` (and the ids in `data`) tell the app's
+// notification handler which screen to open. channelId names one of the
+// Android channels set up in frontend/services/notificationService.js.
+
+const syndromeName = (syndrome) => syndrome.replace(/_/g, ' ');
+
+// To the supervisors responsible for the village
+const outbreakAlert = (alert) => ({
+  type: 'outbreak_alert',
+  title: `Outbreak alert: ${syndromeName(alert.syndrome)} in ${alert.village}`,
+  body: `${alert.cases} cases this week against an alert level of ${alert.threshold}. Tap to review the patients.`,
+  data: { alertId: String(alert._id) },
+  channelId: 'outbreak-alerts',
+  priority: 'high'
+});
+
+// To the ASHA workers of the village, who look out for further cases
+const outbreakNotice = (alert) => ({
+  type: 'outbreak_notice',
+  title: `More ${syndromeName(alert.syndrome)} cases than usual in ${alert.village}`,
+  body: 'Record the syndrome on every visit and tell your ANM about new cases.',
+  data: { village: alert.village, syndrome: alert.syndrome },
+  channelId: 'outbreak-alerts',
+  priority: 'high'
+});
+
+const assignmentChanged = (user) => ({
+  type: 'assignment_changed',
+  title: 'Your villages have changed',
+  body: user.assignedVillages.length > 0
+    ? `You are now assigned to ${user.assignedVillages.join(', ')}.`
+    : 'You are no longer assigned to any village. Contact your ANM.',
+  data: { villages: user.assignedVillages },
+  channelId: 'system-alerts'
+});
+
+const activityReportReviewed = (report) => ({
+  type: 'activity_report_reviewed',
+  title: `Activity report for ${report.month} ${report.status}`,
+  body: report.status === 'approved'
+    ? 'Your incentive claim has been approved.'
+    : `Your supervisor sent it back: ${report.reviewNote}`,
+  data: { reportId: String(report._id), status: report.status },
+  channelId: 'system-alerts'
+});
+
+module.exports = {
+  outbreakAlert,
+  outbreakNotice,
+  assignmentChanged,
+  activityReportReviewed
+};
@@ -0,0 +1,231 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const express = require('express');
+
+const { startApp, signIn, objectId } = require('./helpers');
+const Patient = require('../models/Patient');
+const AuditLog = require('../models/AuditLog');
+const patientRoutes = require('../routes/patients');
+const { linkAbha } = require('../services/abdm');
+const mockGateway = require('../scripts/mockAbdmGateway');
+
+// An address nothing listens on
+const UNREACHABLE_URL = 'http://127.0.0.1:9';
+
+const [sunita] = mockGateway.accounts;
+
+const patientFor = (fields = {}) => new Patient({
+  name: 'Sunita Devi',
+  age: 32,
+  gender: 'Female',
+  village: 'Rampur',
+  healthIssue: 'Anaemia',
+  abhaNumber: sunita.abhaNumber,
+  createdAt: new Date('2024-03-01T09:30:00Z'),
+  updatedAt: new Date('2024-03-01T09:30:00Z'),
+  ...fields
+});
+
+// The mock gateway, with one path answering with an error status instead
+const failingGateway = (path, status) => {
+  const app = express();
+  app.post(path, (req, res) => res.status(status).json({ error: 'Gateway failure' }));
+  app.use(mockGateway.app);
+  return app;
+};
+
+let gateway;
+
+before(async () => {
+  gateway = await startApp('/', mockGateway.app);
+});
+
+after(() => gateway.close());
+
+beforeEach(() => {
+  process.env.ABDM_GATEWAY_URL = gateway.url;
+  delete process.env.ABDM_ADAPTER;
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('linkAbha', () => {
+  it('links a matching account and returns both identifiers', async () => {
+    const patient = patientFor();
+
+    const result = await linkAbha(patient);
+
+    assert.equal(result.linked, true);
+    assert.match(result.reference, /^LINK-/);
+    assert.equal(result.abhaNumber, sunita.abhaNumber);
+    assert.equal(result.abhaAddress, sunita.abhaAddress);
+    assert.equal(mockGateway.links.at(-1).referenceNumber, String(patient._id));
+  });
+
+  it('verifies by ABHA address too', async () => {
+    const result = await linkAbha(patientFor({ abhaNumber: undefined, abhaAddress: sunita.abhaAddress }));
+
+    assert.equal(result.linked, true);
+    assert.equal(result.abhaNumber, sunita.abhaNumber);
+  });
+
+  it('refuses an account whose details do not match the patient', async () => {
+    const linksBefore = mockGateway.links.length;
+
+    assert.deepEqual(await linkAbha(patientFor({ gender: 'Male' })), {
+      linked: false,
+      reason: 'The ABHA account\'s gender does not match this patient'
+    });
+    assert.match((await linkAbha(patientFor({ age: 60 }))).reason, /age/);
+    assert.match((await linkAbha(patientFor({ name: 'Ramesh Kumar' }))).reason, /name/);
+    assert.equal(mockGateway.links.length, linksBefore);
+  });
+
+  it('reports ABHA details the gateway does not know', async () => {
+    const result = await linkAbha(patientFor({ abhaNumber: undefined, abhaAddress: 'nobody@sbx' }));
+
+    assert.deepEqual(result, { linked: false, reason: 'No ABHA account was found for these details' });
+  });
+
+  it('renews an expired gateway token and retries', async () => {
+    await linkAbha(patientFor());
+    mockGateway.tokens.clear();
+
+    assert.equal((await linkAbha(patientFor())).linked, true);
+  });
+
+  it('fails with a worker-facing error when the gateway is unreachable', async () => {
+    process.env.ABDM_GATEWAY_URL = UNREACHABLE_URL;
+
+    await assert.rejects(linkAbha(patientFor()), {
+      name: 'AbdmError',
+      message: 'The ABDM gateway could not be reached; try again later'
+    });
+  });
+
+  it('fails when the gateway rejects the server\'s credentials', async () => {
+    const rejecting = await startApp('/', failingGateway('/sessions', 401));
+    process.env.ABDM_GATEWAY_URL = rejecting.url;
+    mockGateway.tokens.clear();
+
+    try {
+      await assert.rejects(linkAbha(patientFor()), {
+        name: 'AbdmError',
+        message: 'The ABDM gateway rejected this server\'s credentials'
+      });
+    } finally {
+      await rejecting.close();
+    }
+  });
+
+  it('fails with the gateway status when verification or linking errors', async () => {
+    for (const [path, message] of [
+      ['/abha/verify', 'ABHA verification failed (gateway status 500)'],
+      ['/abha/link', 'ABHA linking failed (gateway status 502)']
+    ]) {
+      const failing = await startApp('/', failingGateway(path, path === '/abha/verify' ? 500 : 502));
+      process.env.ABDM_GATEWAY_URL = failing.url;
+      try {
+        await assert.rejects(linkAbha(patientFor()), { name: 'AbdmError', message });
+      } finally {
+        await failing.close();
+      }
+    }
+  });
+
+  it('is disabled when no gateway is configured', async () => {
+    delete process.env.ABDM_GATEWAY_URL;
+
+    await assert.rejects(linkAbha(patientFor()), {
+      name: 'AbdmError',
+      message: 'ABHA linking is not configured on this server'
+    });
+  });
+});
+
+describe('POST /patients/:id/abha/link', () => {
+  let app;
+  let audits;
+
+  before(async () => {
+    app = await startApp('/patients', patientRoutes);
+  });
+
+  after(() => app.close());
+
+  // The stored patient, loaded by the route and saved in place
+  const stubPatient = (patient, { registeredTo = null } = {}) => {
+    audits = [];
+    mock.method(Patient, 'findOne', async () => patient);
+    mock.method(Patient, 'exists', async () => registeredTo);
+    mock.method(AuditLog, 'create', async (entry) => audits.push(entry));
+    return mock.method(patient, 'save', async function () {
+      return this;
+    });
+  };
+
+  const linkRequest = (patient, headers) => fetch(`${app.url}/${patient._id}/abha/link`, { method: 'POST', headers });
+
+  it('links the ABHA, stores both identifiers and audits the change', async () => {
+    const { headers } = signIn();
+    const patient = patientFor();
+    const save = stubPatient(patient);
+
+    const response = await linkRequest(patient, headers);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.patient.abhaAddress, sunita.abhaAddress);
+    assert.match(body.patient.abhaLinkReference, /^LINK-/);
+    assert.ok(body.patient.abhaLinkedAt);
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual(audits[0].changes.map(change => change.field), ['abhaAddress', 'abhaLinkedAt']);
+  });
+
+  it('refuses an ABHA already registered to another patient', async () => {
+    const { headers } = signIn();
+    const patient = patientFor();
+    const save = stubPatient(patient, { registeredTo: { _id: objectId() } });
+
+    const response = await linkRequest(patient, headers);
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error, 'This ABHA is already registered to another patient');
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('answers 409 when the account does not match the patient', async () => {
+    const { headers } = signIn();
+    const patient = patientFor({ gender: 'Male' });
+    stubPatient(patient);
+
+    const response = await linkRequest(patient, headers);
+
+    assert.equal(response.status, 409);
+    assert.match((await response.json()).error, /gender/);
+  });
+
+  it('answers 503 with the gateway error and leaves the patient unchanged', async () => {
+    const { headers } = signIn();
+    const patient = patientFor();
+    const save = stubPatient(patient);
+    process.env.ABDM_GATEWAY_URL = UNREACHABLE_URL;
+
+    const response = await linkRequest(patient, headers);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error, 'The ABDM gateway could not be reached; try again later');
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(audits.length, 0);
+  });
+
+  it('asks for an ABHA number or address first', async () => {
+    const { headers } = signIn();
+    const patient = patientFor({ abhaNumber: undefined });
+    stubPatient(patient);
+
+    const response = await linkRequest(patient, headers);
+
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const { describe, it, afterEach } = require('node:test');
+
+const { monthRange, previousMonth } = require('../utils/activityReports');
+
+afterEach(() => {
+  delete process.env.REPORT_TIMEZONE;
+});
+
+describe('previousMonth', () => {
+  it('is the month before the current one in the report timezone', () => {
+    // 20:00 UTC on 29 February is already 1 March in India
+    const now = new Date('2024-02-29T20:00:00Z');
+
+    process.env.REPORT_TIMEZONE = 'Asia/Kolkata';
+    assert.equal(previousMonth(now), '2024-02');
+
+    process.env.REPORT_TIMEZONE = 'UTC';
+    assert.equal(previousMonth(now), '2024-01');
+  });
+
+  it('goes back across the new year', () => {
+    process.env.REPORT_TIMEZONE = 'Asia/Kolkata';
+
+    assert.equal(previousMonth(new Date('2024-12-31T19:00:00Z')), '2024-12');
+    assert.equal(previousMonth(new Date('2024-12-31T18:00:00Z')), '2024-11');
+  });
+});
+
+describe('monthRange', () => {
+  it('runs from midnight on the first to midnight on the next first in the report timezone', () => {
+    process.env.REPORT_TIMEZONE = 'Asia/Kolkata';
+
+    const { start, end } = monthRange('2024-12');
+
+    assert.equal(start.toISOString(), '2024-11-30T18:30:00.000Z');
+    assert.equal(end.toISOString(), '2024-12-31T18:30:00.000Z');
+  });
+});
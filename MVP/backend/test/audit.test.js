@@ -0,0 +1,274 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+
+const { startApp, signIn, queryResult, objectId } = require('./helpers');
+const Patient = require('../models/Patient');
+const Pregnancy = require('../models/Pregnancy');
+const Child = require('../models/Child');
+const Location = require('../models/Location');
+const AuditLog = require('../models/AuditLog');
+const pregnancyRoutes = require('../routes/pregnancies');
+const childRoutes = require('../routes/children');
+const followUpRoutes = require('../routes/followups');
+const auditRoutes = require('../routes/audit');
+const { computeEdd, buildAncSchedule } = require('../utils/pregnancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mother = new Patient({
+  name: 'Sunita Devi',
+  age: 26,
+  gender: 'Female',
+  village: 'Rampur',
+  healthIssue: 'Pregnancy'
+});
+
+const pregnancyFor = () => {
+  const lmp = new Date(Date.now() - 70 * DAY_MS);
+  const pregnancy = new Pregnancy({
+    patient: mother._id,
+    village: 'Rampur',
+    lmp,
+    edd: computeEdd(lmp),
+    gravida: 2,
+    parity: 1,
+    ancCheckups: buildAncSchedule(lmp)
+  });
+  pregnancy.patient = mother;
+  return pregnancy;
+};
+
+const childFor = (fields = {}) => new Child({
+  name: 'Baby Devi',
+  dateOfBirth: new Date(Date.now() - 20 * DAY_MS),
+  gender: 'Female',
+  village: 'Rampur',
+  ...fields
+});
+
+let audits;
+
+beforeEach(() => {
+  audits = [];
+  mock.method(AuditLog, 'create', async (entry) => audits.push(entry));
+});
+
+afterEach(() => mock.restoreAll());
+
+const send = (url, method, headers, body) => fetch(url, {
+  method,
+  headers: { ...headers, 'Content-Type': 'application/json' },
+  body: body && JSON.stringify(body)
+});
+
+describe('pregnancy audit entries', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/pregnancies', pregnancyRoutes);
+  });
+
+  after(() => app.close());
+
+  const stubPregnancy = (pregnancy) => {
+    mock.method(Pregnancy, 'findById', () => queryResult(pregnancy));
+    mock.method(pregnancy, 'save', async function () {
+      return this;
+    });
+  };
+
+  it('records reading a pregnancy under the mother', async () => {
+    const { headers } = signIn();
+    const pregnancy = pregnancyFor();
+    stubPregnancy(pregnancy);
+
+    const response = await fetch(`${app.url}/${pregnancy._id}`, { headers });
+
+    assert.equal(response.status, 200);
+    assert.equal(audits.length, 1);
+    assert.equal(audits[0].action, 'read');
+    assert.equal(audits[0].resource, 'pregnancy');
+    assert.equal(String(audits[0].resourceId), String(pregnancy._id));
+    assert.equal(String(audits[0].patient), String(mother._id));
+    assert.deepEqual(audits[0].villages, ['Rampur']);
+  });
+
+  it('records the readings of an ANC checkup', async () => {
+    const { headers } = signIn();
+    const pregnancy = pregnancyFor();
+    stubPregnancy(pregnancy);
+
+    const response = await send(`${app.url}/${pregnancy._id}/anc/1`, 'POST', headers, { hb: 9.5, systolic: 118, diastolic: 76 });
+
+    assert.equal(response.status, 200);
+    assert.equal(audits[0].action, 'update');
+    const fields = audits[0].changes.map(change => change.field);
+    assert.ok(fields.includes('anc.1.hb'));
+    assert.ok(fields.includes('anc.1.completedDate'));
+    assert.deepEqual(audits[0].changes.find(change => change.field === 'anc.1.hb'), { field: 'anc.1.hb', from: null, to: 9.5 });
+  });
+
+  it('records the pregnancies a list returned', async () => {
+    const { headers } = signIn();
+    const pregnancy = pregnancyFor();
+    mock.method(Pregnancy, 'find', () => queryResult([pregnancy]));
+    mock.method(Pregnancy, 'countDocuments', async () => 1);
+
+    const response = await fetch(`${app.url}?status=active`, { headers });
+
+    assert.equal(response.status, 200);
+    assert.equal(audits[0].action, 'list');
+    assert.deepEqual(audits[0].resourceIds.map(String), [String(pregnancy._id)]);
+    assert.deepEqual(audits[0].patients.map(String), [String(mother._id)]);
+    assert.deepEqual(audits[0].query, { status: 'active' });
+  });
+});
+
+describe('child audit entries', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/children', childRoutes);
+  });
+
+  after(() => app.close());
+
+  it('records a child registered without a mother under its village', async () => {
+    const { headers } = signIn();
+    mock.method(Child.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(Location, 'findOne', async () => ({ _id: objectId(), name: 'Rampur' }));
+
+    const response = await send(app.url, 'POST', headers, {
+      name: 'Baby Devi',
+      dateOfBirth: new Date(Date.now() - 20 * DAY_MS).toISOString().slice(0, 10),
+      gender: 'Female',
+      villageId: String(objectId())
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(audits[0].action, 'create');
+    assert.equal(audits[0].resource, 'child');
+    assert.equal(audits[0].patient, undefined);
+    assert.deepEqual(audits[0].villages, ['Rampur']);
+    assert.ok(audits[0].changes.some(change => change.field === 'name' && change.to === 'Baby Devi'));
+  });
+
+  it('records vaccines given and removed', async () => {
+    const { headers } = signIn();
+    const child = childFor({ mother: mother._id });
+    mock.method(Child, 'findOne', () => queryResult(child));
+    mock.method(child, 'save', async function () {
+      return this;
+    });
+
+    await send(`${app.url}/${child._id}/immunizations`, 'POST', headers, { vaccine: 'BCG' });
+    await send(`${app.url}/${child._id}/immunizations/BCG`, 'DELETE', headers);
+
+    assert.deepEqual(audits.map(entry => entry.changes[0].field), ['immunizations.BCG.date', 'immunizations.BCG.date']);
+    assert.equal(audits[0].changes[0].from, null);
+    assert.equal(audits[1].changes[0].to, null);
+    assert.equal(String(audits[0].patient), String(mother._id));
+  });
+
+  it('records reading the immunization card', async () => {
+    const { headers } = signIn();
+    const child = childFor();
+    mock.method(Child, 'findOne', () => queryResult(child));
+
+    const response = await fetch(`${app.url}/${child._id}/card`, { headers });
+
+    assert.equal(response.status, 200);
+    assert.equal(audits[0].action, 'read');
+    assert.equal(String(audits[0].resourceId), String(child._id));
+  });
+});
+
+describe('follow-up audit entries', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/followups', followUpRoutes);
+  });
+
+  after(() => app.close());
+
+  it('records every patient, pregnancy and child listed', async () => {
+    const { headers } = signIn();
+    const patient = new Patient({
+      name: 'Ramesh Kumar',
+      age: 54,
+      gender: 'Male',
+      village: 'Rampur',
+      healthIssue: 'Hypertension',
+      nextFollowUpDate: new Date()
+    });
+    const pregnancy = pregnancyFor();
+    const child = childFor({ mother: mother._id });
+    mock.method(Patient, 'find', () => queryResult([patient]));
+    mock.method(Pregnancy, 'find', () => queryResult([pregnancy]));
+    mock.method(Child, 'find', () => queryResult([child]));
+
+    const response = await fetch(`${app.url}?days=30`, { headers });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.count, 3);
+    assert.equal(audits.length, 1);
+    assert.equal(audits[0].action, 'list');
+    assert.equal(audits[0].resource, 'followup');
+    assert.deepEqual(audits[0].patients.map(String).sort(), [String(patient._id), String(mother._id)].sort());
+    assert.deepEqual(audits[0].resourceIds.map(String).sort(), [String(pregnancy._id), String(child._id)].sort());
+    assert.deepEqual(audits[0].villages, ['Rampur']);
+  });
+});
+
+describe('GET /audit', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/audit', auditRoutes);
+  });
+
+  after(() => app.close());
+
+  it('rejects repeated or nested filters before querying', async () => {
+    const { headers } = signIn({ role: 'medical_officer', assignedVillages: [] });
+    const find = mock.method(AuditLog, 'find', () => queryResult([]));
+
+    for (const query of ['action=read&action=list', 'patient[$ne]=x', 'from[$gt]=2024-01-01', 'resource=patient&resource=visit']) {
+      const response = await fetch(`${app.url}?${query}`, { headers });
+
+      assert.equal(response.status, 400, query);
+      assert.match((await response.json()).error, /must be given once, as text/);
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('rejects dates that are not on the calendar', async () => {
+    const { headers } = signIn({ role: 'medical_officer', assignedVillages: [] });
+    const find = mock.method(AuditLog, 'find', () => queryResult([]));
+
+    for (const query of ['from=2024-02-31', 'to=2023-02-29', 'from=2024-04-31T10:00:00Z']) {
+      const response = await fetch(`${app.url}?${query}`, { headers });
+
+      assert.equal(response.status, 400, query);
+      assert.match((await response.json()).error, /must be a valid date/);
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('finds the entries of a pregnancy or child, including lists', async () => {
+    const { headers } = signIn({ role: 'medical_officer', assignedVillages: [] });
+    const find = mock.method(AuditLog, 'find', () => queryResult([]));
+    mock.method(AuditLog, 'countDocuments', async () => 0);
+    const id = objectId();
+
+    const response = await fetch(`${app.url}?resourceId=${id}`, { headers });
+
+    assert.equal(response.status, 200);
+    const filter = JSON.stringify(find.mock.calls[0].arguments[0]);
+    assert.ok(filter.includes(`{"$or":[{"resourceId":"${id}"},{"resourceIds":"${id}"}]}`));
+  });
+});
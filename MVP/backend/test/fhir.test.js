@@ -0,0 +1,177 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const FhirValidator = require('@asymmetrik/fhir-json-schema-validator');
+
+const { startApp, signIn, queryResult, objectId } = require('./helpers');
+const Patient = require('../models/Patient');
+const Visit = require('../models/Visit');
+const AuditLog = require('../models/AuditLog');
+const fhirRoutes = require('../routes/fhir');
+const {
+  toFhirPatient,
+  toFhirCondition,
+  toFhirEncounter,
+  toFhirObservations,
+  searchBundle,
+  OBSERVATIONS,
+  operationOutcome
+} = require('../utils/fhir');
+
+// The official FHIR R4 JSON schema
+const validator = new FhirValidator();
+
+const assertValidR4 = (resource) => {
+  assert.deepEqual(validator.validate(resource), [], `${resource.resourceType} is not valid R4`);
+};
+
+const created = new Date('2024-03-01T09:30:00Z');
+
+const patient = new Patient({
+  name: 'Sunita Devi',
+  age: 32,
+  gender: 'Female',
+  village: 'Rampur',
+  healthIssue: 'Anaemia',
+  abhaNumber: '91-5520-4427-3810',
+  createdAt: created,
+  updatedAt: created
+});
+
+const visit = () => ({
+  _id: objectId(),
+  patient: patient._id,
+  worker: { _id: objectId(), name: 'Asha Worker' },
+  visitDate: new Date('2024-03-08T10:00:00Z'),
+  complaint: 'Tiredness',
+  vitals: { systolic: 128, diastolic: 84, pulse: 78, temperature: 98.6, weight: 52, spo2: 97, bloodSugar: 110 },
+  createdAt: created,
+  updatedAt: created
+});
+
+describe('FHIR resources', () => {
+  it('builds R4 Patient resources', () => {
+    const resource = toFhirPatient(patient);
+
+    assertValidR4(resource);
+    assert.equal(resource.gender, 'female');
+    assert.equal(resource.birthDate, '1992');
+    assertValidR4(toFhirPatient(new Patient({ ...patient.toObject(), _id: objectId(), abhaNumber: undefined, gender: 'Other' })));
+  });
+
+  it('builds R4 Condition resources', () => {
+    assertValidR4(toFhirCondition(patient));
+  });
+
+  it('builds R4 Encounter resources', () => {
+    const resource = toFhirEncounter(visit());
+
+    assertValidR4(resource);
+    assert.equal(resource.subject.reference, `Patient/${patient._id}`);
+    assertValidR4(toFhirEncounter({ ...visit(), complaint: undefined, worker: objectId() }));
+  });
+
+  it('builds an R4 Observation for every recorded vital', () => {
+    const observations = toFhirObservations(visit());
+
+    assert.equal(observations.length, Object.keys(OBSERVATIONS).length);
+    observations.forEach(assertValidR4);
+  });
+
+  it('wraps resources in an R4 searchset Bundle', () => {
+    const bundle = searchBundle('http://localhost/fhir', [toFhirPatient(patient), toFhirEncounter(visit())], {
+      total: 2,
+      links: { self: 'http://localhost/fhir/Patient', next: null }
+    });
+
+    assertValidR4(bundle);
+    assert.deepEqual(bundle.link, [{ relation: 'self', url: 'http://localhost/fhir/Patient' }]);
+    assert.equal(bundle.entry[0].fullUrl, `http://localhost/fhir/Patient/${patient._id}`);
+  });
+
+  it('reports errors as R4 OperationOutcomes', () => {
+    assertValidR4(operationOutcome('invalid', 'Unknown gender: x'));
+  });
+});
+
+describe('GET /fhir/Encounter', () => {
+  let app;
+  let pipelines;
+
+  before(async () => {
+    app = await startApp('/fhir', fhirRoutes);
+  });
+
+  after(() => app.close());
+
+  afterEach(() => mock.restoreAll());
+
+  const stubVisits = (visits) => {
+    pipelines = [];
+    mock.method(Visit, 'aggregate', async (pipeline) => {
+      pipelines.push(pipeline);
+      const counting = pipeline.some(stage => stage.$count);
+      return counting ? [{ total: visits.length }] : visits;
+    });
+    mock.method(Visit, 'populate', async (docs) => docs);
+    mock.method(Patient, 'find', () => queryResult([patient]));
+    mock.method(AuditLog, 'create', async (entry) => entry);
+  };
+
+  it('joins visits to the patients in scope instead of listing their ids', async () => {
+    const { headers } = signIn();
+    stubVisits([visit()]);
+    const distinct = mock.method(Patient, 'distinct', async () => []);
+
+    const response = await fetch(`${app.url}/Encounter?_count=10`, { headers });
+    const bundle = await response.json();
+
+    assert.equal(response.status, 200);
+    assertValidR4(bundle);
+    assert.equal(bundle.total, 1);
+    assert.equal(bundle.entry[0].resource.resourceType, 'Encounter');
+    assert.equal(distinct.mock.callCount(), 0);
+
+    const lookups = pipelines.map(pipeline => pipeline.find(stage => stage.$lookup)?.$lookup);
+    assert.equal(lookups.length, 2);
+    lookups.forEach(lookup => {
+      assert.equal(lookup.from, Patient.collection.name);
+      assert.equal(lookup.localField, 'patient');
+      assert.deepEqual(lookup.pipeline[0].$match.$and[0], { village: { $in: ['Rampur'] } });
+    });
+    assert.ok(!JSON.stringify(pipelines).includes('"patient":{"$in"'));
+  });
+
+  it('pages visits with the cursor and casts ids in the match', async () => {
+    const { headers } = signIn();
+    const visits = [visit(), visit(), visit()];
+    stubVisits(visits);
+    const wanted = visits[0]._id;
+
+    const response = await fetch(`${app.url}/Encounter?_count=2&_id=${wanted}`, { headers });
+    const bundle = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(bundle.entry.length, 2);
+    assert.ok(bundle.link.some(link => link.relation === 'next'));
+    const match = pipelines[0][0].$match.$and[0]._id.$in[0];
+    assert.ok(match.equals(wanted));
+  });
+
+  it('searches one patient\'s visits without the join', async () => {
+    const { headers } = signIn();
+    mock.method(Patient, 'findOne', async () => patient);
+    mock.method(Visit, 'find', () => queryResult([visit()]));
+    mock.method(Visit, 'countDocuments', async () => 1);
+    mock.method(Patient, 'find', () => queryResult([patient]));
+    mock.method(AuditLog, 'create', async (entry) => entry);
+    const aggregate = mock.method(Visit, 'aggregate', async () => []);
+
+    const response = await fetch(`${app.url}/Encounter?patient=Patient/${patient._id}`, { headers });
+    const bundle = await response.json();
+
+    assert.equal(response.status, 200);
+    assertValidR4(bundle);
+    assert.equal(bundle.total, 1);
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+});
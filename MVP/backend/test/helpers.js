@@ -0,0 +1,64 @@
+// Shared setup for route tests. There is no database: tests stub the model
+// statics a route calls with node:test's mock.method.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { signToken } = require('../middleware/auth');
+const { requestLogger } = require('../middleware/requestLogger');
+
+// Serve router at path on a free port. Resolves to { url, close }.
+const startApp = (path, router) => new Promise((resolve) => {
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use(path, router);
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  });
+
+  const server = app.listen(0, () => resolve({
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(done => server.close(done))
+  }));
+});
+
+// An active account that authenticateToken accepts, and the Authorization
+// header for it. Stubs User.findById and RevokedToken.exists.
+const signIn = (fields = {}) => {
+  const account = new User({
+    username: 'asha_worker',
+    name: 'Asha Worker',
+    role: 'asha_worker',
+    assignedVillages: ['Rampur'],
+    active: true,
+    ...fields
+  });
+  mock.method(User, 'findById', async (id) => (String(id) === String(account._id) ? account : null));
+  mock.method(RevokedToken, 'exists', async () => null);
+  return { account, headers: { Authorization: `Bearer ${signToken(account)}` } };
+};
+
+// A query that resolves to result, for stubs of chained model calls such as
+// Patient.find(...).select(...)
+const queryResult = (result) => {
+  const query = Promise.resolve(result);
+  ['select', 'populate', 'sort', 'limit', 'lean', 'collation'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  startApp,
+  signIn,
+  queryResult,
+  objectId
+};
@@ -0,0 +1,171 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+
+const { startApp, signIn, queryResult, objectId } = require('./helpers');
+const Location = require('../models/Location');
+const Patient = require('../models/Patient');
+const Household = require('../models/Household');
+const Child = require('../models/Child');
+const Pregnancy = require('../models/Pregnancy');
+const OutbreakAlert = require('../models/OutbreakAlert');
+const User = require('../models/User');
+const locationRoutes = require('../routes/locations');
+const { migrateVillageNames } = require('../utils/locations');
+const { isVillageInScope } = require('../middleware/auth');
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /locations', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/locations', locationRoutes);
+  });
+
+  after(() => app.close());
+
+  it('rejects repeated or nested query params', async () => {
+    const { headers } = signIn();
+    const find = mock.method(Location, 'find', () => queryResult([]));
+
+    for (const path of ['/?q=a&q=b', '/?q[x]=1', '/?type[$ne]=village', '/?includeInactive=true&includeInactive=true', '/villages?q=a&q=b']) {
+      const response = await fetch(`${app.url}${path}`, { headers });
+
+      assert.equal(response.status, 400, path);
+      assert.match((await response.json()).error, /must be given once, as text/);
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe('migrateVillageNames', () => {
+  const rampur = { _id: objectId(), type: 'village', name: 'Rampur', active: true };
+  const sonpur = { _id: objectId(), type: 'village', name: 'Sonpur', active: true };
+
+  const matches = (record, filter) => Object.entries(filter).every(([field, value]) => (
+    value === null ? record[field] == null : record[field] === value
+  ));
+
+  // Model statics the migration calls, over records kept in memory
+  const stubCollection = (model, records) => {
+    mock.method(model, 'distinct', async (field, filter) => (
+      [...new Set(records.filter(record => matches(record, filter)).map(record => record[field]))]
+    ));
+    mock.method(model, 'countDocuments', async (filter) => records.filter(record => matches(record, filter)).length);
+    mock.method(model, 'updateMany', async (filter, { $set }) => {
+      const found = records.filter(record => matches(record, filter));
+      found.forEach(record => Object.assign(record, $set));
+      return { modifiedCount: found.length };
+    });
+    mock.method(model, 'find', async (filter) => records.filter(record => matches(record, filter)));
+    mock.method(model, 'updateOne', async ({ _id }, { $set }) => {
+      Object.assign(records.find(record => record._id === _id), $set);
+    });
+    return records;
+  };
+
+  const stubData = ({ patients = [], households = [], children = [], pregnancies = [], alerts = [], users = [] }) => {
+    mock.method(Location, 'find', (filter) => queryResult(
+      [rampur, sonpur].filter(village => village.name.toLowerCase() === filter.name.toLowerCase())
+    ));
+    const data = {
+      patients: stubCollection(Patient, patients),
+      households: stubCollection(Household, households),
+      children: stubCollection(Child, children),
+      pregnancies: stubCollection(Pregnancy, pregnancies),
+      alerts: stubCollection(OutbreakAlert, alerts)
+    };
+    users.forEach(user => {
+      user.save = mock.fn(async () => user);
+    });
+    mock.method(User, 'find', async () => users);
+    return { ...data, users };
+  };
+
+  it('moves differently written names onto the village', async () => {
+    const data = stubData({
+      patients: [
+        { _id: 1, village: 'Rampur' },
+        { _id: 2, village: 'rampur ' },
+        { _id: 3, village: 'RAMPUR' }
+      ],
+      pregnancies: [{ _id: 4, village: 'rampur ' }],
+      users: [{ assignedVillages: ['rampur ', 'Rampur', 'Sonpur'] }]
+    });
+
+    const { updated, unmatched } = await migrateVillageNames();
+
+    assert.deepEqual(unmatched, []);
+    assert.equal(updated.patients, 3);
+    data.patients.forEach(patient => {
+      assert.equal(patient.village, 'Rampur');
+      assert.equal(patient.villageId, rampur._id);
+    });
+    assert.equal(data.pregnancies[0].village, 'Rampur');
+    assert.deepEqual(data.users[0].assignedVillages, ['Rampur', 'Sonpur']);
+    assert.equal(data.users[0].save.mock.callCount(), 1);
+  });
+
+  it('reports names it cannot match and leaves them unchanged', async () => {
+    const data = stubData({
+      patients: [{ _id: 1, village: 'Raampur' }, { _id: 2, village: 'Raampur' }],
+      users: [{ assignedVillages: ['Raampur'] }]
+    });
+
+    const { updated, unmatched } = await migrateVillageNames();
+
+    assert.equal(updated.patients, 0);
+    assert.deepEqual(unmatched, [{
+      name: 'Raampur',
+      error: 'Raampur is not in the village list; choose one from the list',
+      records: 3
+    }]);
+    assert.equal(data.patients[0].village, 'Raampur');
+    assert.equal(data.users[0].save.mock.callCount(), 0);
+  });
+
+  it('maps misspellings given as aliases', async () => {
+    const data = stubData({ households: [{ _id: 1, village: 'Raampur' }] });
+
+    const { unmatched } = await migrateVillageNames({ aliases: { raampur: 'Rampur' } });
+
+    assert.deepEqual(unmatched, []);
+    assert.deepEqual(data.households[0], { _id: 1, village: 'Rampur', villageId: rampur._id });
+  });
+
+  it('leaves records already linked to a village alone', async () => {
+    const linked = { _id: 1, village: 'Old name', villageId: sonpur._id };
+    const data = stubData({ children: [linked] });
+
+    const { updated, unmatched } = await migrateVillageNames();
+
+    assert.equal(updated.children, 0);
+    assert.deepEqual(unmatched, []);
+    assert.equal(data.children[0].village, 'Old name');
+  });
+
+  it('counts without saving in a dry run', async () => {
+    const data = stubData({
+      patients: [{ _id: 1, village: 'rampur' }],
+      users: [{ assignedVillages: ['sonpur'] }]
+    });
+
+    const { updated } = await migrateVillageNames({ dryRun: true });
+
+    assert.equal(updated.patients, 1);
+    assert.equal(updated.users, 1);
+    assert.equal(data.patients[0].village, 'rampur');
+    assert.equal(Patient.updateMany.mock.callCount(), 0);
+    assert.deepEqual(data.users[0].assignedVillages, ['sonpur']);
+  });
+});
+
+describe('isVillageInScope', () => {
+  it('matches village names without case or surrounding spaces', () => {
+    const scope = { villages: ['Rampur'] };
+
+    assert.equal(isVillageInScope(scope, 'rampur '), true);
+    assert.equal(isVillageInScope(scope, 'Sonpur'), false);
+    assert.equal(isVillageInScope({ villages: null }, 'Sonpur'), true);
+  });
+});
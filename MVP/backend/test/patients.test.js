@@ -0,0 +1,207 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+
+const { startApp, signIn, queryResult, objectId } = require('./helpers');
+const Patient = require('../models/Patient');
+const Visit = require('../models/Visit');
+const Household = require('../models/Household');
+const Pregnancy = require('../models/Pregnancy');
+const Child = require('../models/Child');
+const Location = require('../models/Location');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const patientRoutes = require('../routes/patients');
+
+const rampur = { _id: objectId(), type: 'village', name: 'Rampur', active: true };
+const sonpur = { _id: objectId(), type: 'village', name: 'Sonpur', active: true };
+
+// A patient as loaded from the database
+const patientFor = (fields = {}) => Patient.hydrate(new Patient({
+  name: 'Sunita Devi',
+  age: 26,
+  gender: 'Female',
+  village: 'Rampur',
+  villageId: rampur._id,
+  healthIssue: 'Anaemia',
+  ...fields
+}).toObject());
+
+let app;
+
+before(async () => {
+  app = await startApp('/patients', patientRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  mock.method(AuditLog, 'create', async (entry) => entry);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /patients', () => {
+  it('rejects added dates that are not on the calendar', async () => {
+    const { headers } = signIn();
+    const find = mock.method(Patient, 'find', () => queryResult([]));
+
+    for (const query of ['addedFrom=2024-02-30', 'addedTo=2024-06-31', 'addedFrom=March 2024']) {
+      const response = await fetch(`${app.url}?${query}`, { headers });
+
+      assert.equal(response.status, 400, query);
+      assert.match((await response.json()).error, /must be a valid date/);
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('keeps a whole added day', async () => {
+    const { headers } = signIn();
+    const find = mock.method(Patient, 'find', () => queryResult([]));
+    mock.method(Patient, 'countDocuments', async () => 0);
+
+    const response = await fetch(`${app.url}?addedFrom=2024-02-29&addedTo=2024-02-29`, { headers });
+
+    assert.equal(response.status, 200);
+    const filter = JSON.stringify(find.mock.calls[0].arguments[0]);
+    assert.ok(filter.includes('{"createdAt":{"$gte":"2024-02-29T00:00:00.000Z","$lte":"2024-02-29T23:59:59.999Z"}}'));
+  });
+});
+
+describe('PATCH /patients/:id', () => {
+  // The stored patient and the village ids the master data knows
+  const stubPatient = (patient) => {
+    mock.method(Patient, 'findOne', async () => patient);
+    mock.method(Location, 'findOne', async ({ _id }) => [rampur, sonpur].find(village => String(village._id) === String(_id)) || null);
+    mock.method(patient, 'save', async function () {
+      return this;
+    });
+    return {
+      pregnancies: mock.method(Pregnancy, 'updateMany', async () => ({ modifiedCount: 1 })),
+      children: mock.method(Child, 'updateMany', async () => ({ modifiedCount: 2 }))
+    };
+  };
+
+  const patch = (patient, headers, body) => fetch(`${app.url}/${patient._id}`, {
+    method: 'PATCH',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('moves the patient\'s pregnancies and children to her new village', async () => {
+    const { headers } = signIn({ assignedVillages: ['Rampur', 'Sonpur'] });
+    const patient = patientFor();
+    const { pregnancies, children } = stubPatient(patient);
+
+    const response = await patch(patient, headers, { villageId: String(sonpur._id) });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).patient.village, 'Sonpur');
+    assert.deepEqual(pregnancies.mock.calls[0].arguments, [{ patient: patient._id }, { village: 'Sonpur' }]);
+    const [filter, update] = children.mock.calls[0].arguments;
+    assert.deepEqual(filter, { mother: patient._id });
+    assert.equal(update.village, 'Sonpur');
+    assert.equal(String(update.villageId), String(sonpur._id));
+  });
+
+  it('leaves them alone when the village stays the same', async () => {
+    const { headers } = signIn();
+    const patient = patientFor();
+    const { pregnancies, children } = stubPatient(patient);
+
+    const response = await patch(patient, headers, { healthIssue: 'Anaemia, improving' });
+
+    assert.equal(response.status, 200);
+    assert.equal(pregnancies.mock.callCount(), 0);
+    assert.equal(children.mock.callCount(), 0);
+  });
+});
+
+describe('POST /patients/:id/merge', () => {
+  // Both patients as stored, with each step of the merge recorded in order
+  const stubMerge = (primary, duplicate) => {
+    const steps = [];
+    mock.method(Patient, 'findOne', async (filter) => {
+      if (String(filter._id) === String(primary._id)) {
+        return primary;
+      }
+      const archivedInto = filter.$or?.[1]?.mergedInto;
+      return !duplicate.archived || String(duplicate.mergedInto) === String(archivedInto) ? duplicate : null;
+    });
+    mock.method(Pregnancy, 'countDocuments', async () => 0);
+    for (const [model, name] of [[Visit, 'visits'], [Pregnancy, 'pregnancies'], [Child, 'children'], [Household, 'households']]) {
+      mock.method(model, 'updateMany', async (filter, update, options) => {
+        steps.push({ name, filter, update, options });
+        return { modifiedCount: 1 };
+      });
+    }
+    for (const [patient, name] of [[primary, 'primary'], [duplicate, 'duplicate']]) {
+      mock.method(patient, 'save', async function (options) {
+        steps.push({ name, options });
+        return this;
+      });
+    }
+    return steps;
+  };
+
+  const merge = (primary, duplicate) => {
+    const { headers } = signIn({ role: 'anm_supervisor', assignedVillages: ['Rampur', 'Sonpur'] });
+    mock.method(User, 'find', () => ({ distinct: async () => [] }));
+    return fetch(`${app.url}/${primary._id}/merge`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ duplicateId: String(duplicate._id) })
+    });
+  };
+
+  it('moves the records, then archives the duplicate, then updates this patient, without a transaction', async () => {
+    const primary = patientFor();
+    const duplicate = patientFor({ abhaNumber: '91-5520-4427-3810' });
+    const steps = stubMerge(primary, duplicate);
+
+    const response = await merge(primary, duplicate);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(steps.map(step => step.name), ['visits', 'pregnancies', 'children', 'households', 'duplicate', 'primary']);
+    assert.ok(steps.every(step => step.options === undefined));
+    assert.equal(String(duplicate.mergedInto), String(primary._id));
+    assert.equal(body.patient.abhaNumber, '91-5520-4427-3810');
+    const children = steps.find(step => step.name === 'children');
+    assert.equal(children.update.village, 'Rampur');
+    assert.equal(String(children.update.villageId), String(rampur._id));
+  });
+
+  it('finishes a merge that failed after archiving the duplicate when sent again', async () => {
+    const primary = patientFor();
+    const duplicate = patientFor({ abhaNumber: '91-5520-4427-3810' });
+    stubMerge(primary, duplicate);
+    mock.method(primary, 'save', async () => {
+      throw new Error('connection lost');
+    });
+
+    assert.equal((await merge(primary, duplicate)).status, 500);
+    assert.equal(duplicate.archived, true);
+
+    // The primary as still stored
+    mock.restoreAll();
+    mock.method(AuditLog, 'create', async (entry) => entry);
+    primary.abhaNumber = undefined;
+    const steps = stubMerge(primary, duplicate);
+
+    const response = await merge(primary, duplicate);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(steps.map(step => step.name), ['visits', 'pregnancies', 'children', 'households', 'primary']);
+    assert.equal((await response.json()).patient.abhaNumber, '91-5520-4427-3810');
+  });
+
+  it('does not merge a duplicate archived for another reason', async () => {
+    const primary = patientFor();
+    const duplicate = patientFor({ archived: true });
+    stubMerge(primary, duplicate);
+
+    const response = await merge(primary, duplicate);
+
+    assert.equal(response.status, 404);
+  });
+});
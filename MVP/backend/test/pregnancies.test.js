@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+
+const { startApp, signIn, queryResult } = require('./helpers');
+const Pregnancy = require('../models/Pregnancy');
+const AuditLog = require('../models/AuditLog');
+const pregnancyRoutes = require('../routes/pregnancies');
+
+describe('GET /pregnancies', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/pregnancies', pregnancyRoutes);
+  });
+
+  after(() => app.close());
+
+  afterEach(() => mock.restoreAll());
+
+  const list = (query) => {
+    const { headers } = signIn();
+    const find = mock.method(Pregnancy, 'find', () => queryResult([]));
+    mock.method(Pregnancy, 'countDocuments', async () => 0);
+    mock.method(AuditLog, 'create', async (entry) => entry);
+    return { find, response: fetch(`${app.url}?${query}`, { headers }) };
+  };
+
+  it('filters by a known status', async () => {
+    const { find, response } = list('status=delivered');
+
+    assert.equal((await response).status, 200);
+    assert.ok(JSON.stringify(find.mock.calls[0].arguments[0]).includes('{"status":"delivered"}'));
+  });
+
+  it('rejects unknown statuses and query operators', async () => {
+    for (const query of ['status=lost', 'status[$ne]=active', 'status=active&status=closed']) {
+      const { find, response } = list(query);
+      const result = await response;
+
+      assert.equal(result.status, 400, query);
+      assert.match((await result.json()).error, /status must/);
+      assert.equal(find.mock.callCount(), 0);
+      mock.restoreAll();
+    }
+  });
+});
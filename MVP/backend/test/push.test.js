@@ -0,0 +1,210 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const express = require('express');
+
+const { startApp, signIn, objectId } = require('./helpers');
+const User = require('../models/User');
+const PushToken = require('../models/PushToken');
+const notificationRoutes = require('../routes/notifications');
+const { sendNotification, setPushAdapter } = require('../services/push');
+const mockPush = require('../scripts/mockPushServer');
+
+const SEND_PATH = '--/api/v2/push/send';
+
+// An address nothing listens on
+const UNREACHABLE_URL = 'http://127.0.0.1:9/--/api/v2/push/send';
+
+const reminder = {
+  type: 'patient_reminder',
+  title: 'Follow-up due',
+  body: 'Sunita Devi is due for a follow-up visit',
+  data: { patientId: 'patient-1' },
+  channelId: 'patient-reminders'
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('sendNotification', () => {
+  let server;
+  let removed;
+
+  before(async () => {
+    server = await startApp('/', mockPush.app);
+  });
+
+  after(() => {
+    delete process.env.EXPO_PUSH_URL;
+    setPushAdapter(null);
+    return server.close();
+  });
+
+  beforeEach(() => {
+    process.env.EXPO_PUSH_URL = `${server.url}${SEND_PATH}`;
+    mockPush.received.length = 0;
+    setPushAdapter(null);
+  });
+
+  // The target resolves to one active user with these devices
+  const stubDevices = (tokens) => {
+    removed = [];
+    mock.method(User, 'find', () => ({ distinct: async () => [objectId()] }));
+    mock.method(PushToken, 'find', () => ({ distinct: async () => tokens }));
+    return mock.method(PushToken, 'deleteMany', async (filter) => {
+      removed.push(...filter.token.$in);
+      return { deletedCount: filter.token.$in.length };
+    });
+  };
+
+  it('delivers to every registered device of the target', async () => {
+    stubDevices(['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+
+    const result = await sendNotification({ village: 'Rampur' }, reminder);
+
+    assert.deepEqual(result, { recipients: 1, sent: 2, failed: 0 });
+    assert.deepEqual(mockPush.received.map(message => message.to), ['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+    assert.deepEqual(mockPush.received[0].data, { patientId: 'patient-1', type: 'patient_reminder' });
+    assert.equal(mockPush.received[0].channelId, 'patient-reminders');
+    assert.deepEqual(removed, []);
+  });
+
+  it('removes tokens the push service no longer recognises', async () => {
+    stubDevices(['ExponentPushToken[phone]', 'ExponentPushToken[unregistered-tablet]']);
+
+    const result = await sendNotification({ user: objectId() }, reminder);
+
+    assert.deepEqual(result, { recipients: 1, sent: 1, failed: 1 });
+    assert.deepEqual(removed, ['ExponentPushToken[unregistered-tablet]']);
+  });
+
+  it('keeps tokens that failed for other reasons', async () => {
+    const deleteMany = stubDevices(['ExponentPushToken[phone]']);
+    setPushAdapter({
+      send: async (messages) => messages.map(() => ({ status: 'error', message: 'Rate exceeded', details: { error: 'MessageRateExceeded' } }))
+    });
+
+    const result = await sendNotification({ user: objectId() }, reminder);
+
+    assert.deepEqual(result, { recipients: 1, sent: 0, failed: 1 });
+    assert.equal(deleteMany.mock.callCount(), 0);
+  });
+
+  it('sends nothing when the target has no devices', async () => {
+    stubDevices([]);
+    const send = mock.fn(async () => []);
+    setPushAdapter({ send });
+
+    assert.deepEqual(await sendNotification({ supervisor: objectId() }, reminder), { recipients: 1, sent: 0, failed: 0 });
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('fails without removing tokens when the push service errors', async () => {
+    const deleteMany = stubDevices(['ExponentPushToken[phone]']);
+    const failing = express();
+    failing.post(`/${SEND_PATH}`, (req, res) => res.status(500).json({ errors: [{ code: 'INTERNAL_SERVER_ERROR' }] }));
+    const failingServer = await startApp('/', failing);
+    process.env.EXPO_PUSH_URL = `${failingServer.url}${SEND_PATH}`;
+
+    try {
+      await assert.rejects(sendNotification({ user: objectId() }, reminder), {
+        message: 'Expo push request failed with status 500'
+      });
+    } finally {
+      await failingServer.close();
+    }
+    assert.equal(deleteMany.mock.callCount(), 0);
+  });
+
+  it('fails when the push service cannot be reached', async () => {
+    stubDevices(['ExponentPushToken[phone]']);
+    process.env.EXPO_PUSH_URL = UNREACHABLE_URL;
+
+    await assert.rejects(sendNotification({ user: objectId() }, reminder));
+  });
+
+  it('passes on errors from a plugged-in adapter', async () => {
+    const deleteMany = stubDevices(['ExponentPushToken[phone]']);
+    setPushAdapter({
+      send: async () => {
+        throw new Error('Push gateway offline');
+      }
+    });
+
+    await assert.rejects(sendNotification({ user: objectId() }, reminder), { message: 'Push gateway offline' });
+    assert.equal(deleteMany.mock.callCount(), 0);
+  });
+
+  it('needs a target', async () => {
+    await assert.rejects(sendNotification({}, reminder), {
+      message: 'A notification target needs a user, users, village or supervisor'
+    });
+  });
+});
+
+describe('/notifications/devices', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/notifications', notificationRoutes);
+  });
+
+  after(() => app.close());
+
+  const register = (headers, body) => fetch(`${app.url}/devices`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('registers the device to the caller, moving it from anyone before', async () => {
+    const { account, headers } = signIn();
+    const upsert = mock.method(PushToken, 'findOneAndUpdate', async () => null);
+
+    const response = await register(headers, { token: 'ExponentPushToken[phone]', platform: 'android' });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { token: 'ExponentPushToken[phone]' });
+    assert.equal(String(update.user), String(account._id));
+    assert.equal(update.platform, 'android');
+    assert.ok(update.lastRegisteredAt instanceof Date);
+    assert.equal(options.upsert, true);
+  });
+
+  it('rejects tokens that are not Expo push tokens', async () => {
+    const { headers } = signIn();
+    const upsert = mock.method(PushToken, 'findOneAndUpdate', async () => null);
+
+    const response = await register(headers, { token: 'not-a-token', platform: 'android' });
+
+    assert.equal(response.status, 400);
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+
+  it('rejects unknown platforms', async () => {
+    const { headers } = signIn();
+    mock.method(PushToken, 'findOneAndUpdate', async () => null);
+
+    const response = await register(headers, { token: 'ExponentPushToken[phone]', platform: 'blackberry' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('requires a signed-in user', async () => {
+    const response = await register({}, { token: 'ExponentPushToken[phone]' });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('unregisters only the caller\'s own devices', async () => {
+    const { account, headers } = signIn();
+    const deleteOne = mock.method(PushToken, 'deleteOne', async () => ({ deletedCount: 0 }));
+
+    const response = await fetch(`${app.url}/devices/${encodeURIComponent('ExponentPushToken[phone]')}`, { method: 'DELETE', headers });
+
+    assert.equal(response.status, 404);
+    const [filter] = deleteOne.mock.calls[0].arguments;
+    assert.equal(filter.token, 'ExponentPushToken[phone]');
+    assert.equal(String(filter.user), String(account._id));
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+
+const { startApp, signIn } = require('./helpers');
+const reports = require('../utils/reports');
+const reportRoutes = require('../routes/reports');
+
+describe('report days', () => {
+  it('start at midnight in the report timezone', () => {
+    assert.equal(reports.startOfZoneDay(2024, 2, 1, 'Asia/Kolkata').toISOString(), '2024-02-29T18:30:00.000Z');
+    assert.equal(reports.startOfZoneDay(2024, 2, 1, 'UTC').toISOString(), '2024-03-01T00:00:00.000Z');
+  });
+
+  it('find the day an instant falls on there', () => {
+    // 20:00 UTC on 1 March is already 2 March in India
+    const instant = new Date('2024-03-01T20:00:00Z');
+
+    assert.equal(reports.startOfDay(instant, 'Asia/Kolkata').toISOString(), '2024-03-01T18:30:00.000Z');
+    assert.equal(reports.startOfDay(instant, 'UTC').toISOString(), '2024-03-01T00:00:00.000Z');
+  });
+});
+
+describe('GET /reports/registrations', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/reports', reportRoutes);
+  });
+
+  after(() => {
+    delete process.env.REPORT_TIMEZONE;
+    return app.close();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const registrations = async (query) => {
+    const { headers } = signIn({ role: 'medical_officer', assignedVillages: [] });
+    const pipeline = mock.method(reports, 'registrationsOverTime', async () => []);
+
+    const response = await fetch(`${app.url}/registrations?${query}`, { headers });
+    return { response, body: await response.json(), conditions: pipeline.mock.calls[0]?.arguments[0] };
+  };
+
+  it('reads bare from and to dates as whole days in REPORT_TIMEZONE', async () => {
+    process.env.REPORT_TIMEZONE = 'Asia/Kolkata';
+
+    const { body, conditions } = await registrations('from=2024-03-01&to=2024-03-31');
+
+    assert.equal(body.filters.from, '2024-02-29T18:30:00.000Z');
+    assert.equal(body.filters.to, '2024-03-31T18:29:59.999Z');
+    const range = conditions.find(condition => condition.createdAt).createdAt;
+    assert.equal(range.$gte.toISOString(), '2024-02-29T18:30:00.000Z');
+    assert.equal(range.$lte.toISOString(), '2024-03-31T18:29:59.999Z');
+  });
+
+  it('follows a different REPORT_TIMEZONE', async () => {
+    process.env.REPORT_TIMEZONE = 'UTC';
+
+    const { body } = await registrations('from=2024-03-01&to=2024-03-01');
+
+    assert.equal(body.filters.from, '2024-03-01T00:00:00.000Z');
+    assert.equal(body.filters.to, '2024-03-01T23:59:59.999Z');
+  });
+
+  it('keeps full timestamps as given', async () => {
+    const { body } = await registrations('from=2024-03-01T06:00:00Z&to=2024-03-02T06:00:00Z');
+
+    assert.equal(body.filters.from, '2024-03-01T06:00:00.000Z');
+    assert.equal(body.filters.to, '2024-03-02T06:00:00.000Z');
+  });
+
+  it('rejects dates that do not exist', async () => {
+    const { response, body } = await registrations('to=2024-02-30');
+
+    assert.equal(response.status, 400);
+    assert.equal(body.error, 'to must be a valid date');
+  });
+});
@@ -0,0 +1,188 @@
+const assert = require('node:assert/strict');
+const { describe, it, afterEach, mock } = require('node:test');
+
+const { queryResult, objectId } = require('./helpers');
+const Patient = require('../models/Patient');
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const {
+  evaluateWeek,
+  detectOutbreaks,
+  startOfWeek,
+  shiftWeeks,
+  countWeeklyCases,
+  villageSupervisors
+} = require('../utils/surveillance');
+
+const RULES = { minCases: 5, sdMultiplier: 2 };
+
+afterEach(() => mock.restoreAll());
+
+describe('evaluateWeek', () => {
+  it('alerts when a week rises above a flat baseline and reaches minCases', () => {
+    assert.deepEqual(evaluateWeek([2, 2, 2, 2, 8], RULES), {
+      cases: 8,
+      baseline: { weeks: 4, mean: 2, sd: 0 },
+      threshold: 5,
+      alert: true
+    });
+  });
+
+  it('alerts at the threshold itself but not below it', () => {
+    assert.equal(evaluateWeek([2, 2, 2, 2, 5], RULES).alert, true);
+    assert.equal(evaluateWeek([2, 2, 2, 2, 4], RULES).alert, false);
+  });
+
+  it('needs minCases however quiet the baseline was', () => {
+    const result = evaluateWeek([0, 0, 0, 0, 4], RULES);
+
+    assert.equal(result.threshold, 5);
+    assert.equal(result.alert, false);
+  });
+
+  it('raises the threshold with a noisy baseline', () => {
+    // Mean 4, standard deviation 2: more than 4 + 2 * 2 cases
+    const result = evaluateWeek([2, 6, 2, 6, 8], RULES);
+
+    assert.deepEqual(result.baseline, { weeks: 4, mean: 4, sd: 2 });
+    assert.equal(result.threshold, 9);
+    assert.equal(result.alert, false);
+    assert.equal(evaluateWeek([2, 6, 2, 6, 9], RULES).alert, true);
+  });
+
+  it('falls back to minCases without baseline weeks', () => {
+    assert.deepEqual(evaluateWeek([5], RULES), {
+      cases: 5,
+      baseline: { weeks: 0, mean: 0, sd: 0 },
+      threshold: 5,
+      alert: true
+    });
+    assert.equal(evaluateWeek([4], RULES).alert, false);
+  });
+
+  it('alerts on a single case of a syndrome with minCases 1', () => {
+    assert.equal(evaluateWeek([0, 0, 0, 0, 1], { minCases: 1, sdMultiplier: 2 }).alert, true);
+  });
+});
+
+describe('detectOutbreaks', () => {
+  it('only evaluates watched syndromes, each with its own minimum', () => {
+    const config = { thresholds: { fever: 5, jaundice: 2 }, sdMultiplier: 2 };
+    const series = [
+      { village: 'Rampur', syndrome: 'fever', counts: [1, 1, 1, 1, 4] },
+      { village: 'Rampur', syndrome: 'jaundice', counts: [0, 0, 0, 0, 2] },
+      { village: 'Rampur', syndrome: 'cough', counts: [0, 0, 0, 0, 40] }
+    ];
+
+    const alerts = detectOutbreaks(series, config);
+
+    assert.deepEqual(alerts.map(alert => alert.syndrome), ['jaundice']);
+    assert.equal(alerts[0].threshold, 2);
+  });
+});
+
+describe('countWeeklyCases', () => {
+  // Monday 11 March 2024, midnight in Asia/Kolkata
+  const weekStart = startOfWeek(new Date('2024-03-13T06:00:00Z'), 'Asia/Kolkata');
+  const config = { thresholds: { fever: 5, diarrhoea: 5 }, baselineWeeks: 2 };
+  const inWeek = (weeks, hours = 30) => new Date(shiftWeeks(weekStart, weeks).getTime() + hours * 60 * 60 * 1000);
+
+  const stubCases = (patients, visits) => {
+    const patientFind = mock.method(Patient, 'find', () => queryResult(patients));
+    const visitFind = mock.method(Visit, 'find', () => queryResult(visits));
+    return { patientFind, visitFind };
+  };
+
+  it('counts each patient once a week per syndrome, oldest week first', async () => {
+    const sunita = objectId();
+    const ramesh = objectId();
+    const lakshmi = objectId();
+    stubCases([
+      { _id: sunita, village: 'Rampur', syndromes: ['fever'], syndromesSeenAt: inWeek(0) },
+      { _id: lakshmi, village: 'Rampur', syndromes: ['fever'], syndromesSeenAt: inWeek(-2) }
+    ], [
+      // Seen again in the same week: still one case
+      { patient: { _id: sunita, village: 'Rampur' }, syndromes: ['fever', 'diarrhoea'], visitDate: inWeek(0, 50) },
+      { patient: { _id: ramesh, village: 'Rampur' }, syndromes: ['fever'], visitDate: inWeek(0, 100) },
+      { patient: { _id: ramesh, village: 'Rampur' }, syndromes: ['fever'], visitDate: inWeek(-1) }
+    ]);
+
+    const series = await countWeeklyCases(weekStart, config);
+
+    const fever = series.find(item => item.syndrome === 'fever');
+    assert.deepEqual(fever.counts, [1, 1, 2]);
+    assert.deepEqual(fever.patients.sort(), [String(sunita), String(ramesh)].sort());
+    assert.deepEqual(series.find(item => item.syndrome === 'diarrhoea').counts, [0, 0, 1]);
+  });
+
+  it('dates registrations by when the syndromes were seen, not when the record was created', async () => {
+    const { patientFind, visitFind } = stubCases([], []);
+
+    await countWeeklyCases(weekStart, config);
+
+    const [patientFilter] = patientFind.mock.calls[0].arguments;
+    assert.deepEqual(patientFilter.syndromesSeenAt, { $gte: shiftWeeks(weekStart, -2), $lt: shiftWeeks(weekStart, 1) });
+    assert.equal(patientFilter.createdAt, undefined);
+    assert.deepEqual(patientFilter.syndromes, { $in: ['fever', 'diarrhoea'] });
+    assert.ok(visitFind.mock.calls[0].arguments[0].visitDate);
+  });
+
+  it('leaves out archived patients and places without cases this week', async () => {
+    stubCases([
+      { _id: objectId(), village: 'Sonpur', syndromes: ['fever'], syndromesSeenAt: inWeek(-1) }
+    ], [
+      { patient: { _id: objectId(), village: 'Rampur', archived: true }, syndromes: ['fever'], visitDate: inWeek(0) },
+      { patient: null, syndromes: ['fever'], visitDate: inWeek(0) }
+    ]);
+
+    assert.deepEqual(await countWeeklyCases(weekStart, config), []);
+  });
+
+  it('returns nothing for an empty window', async () => {
+    stubCases([], []);
+
+    assert.deepEqual(await countWeeklyCases(weekStart, config), []);
+  });
+});
+
+describe('villageSupervisors', () => {
+  const supervisor = objectId();
+  const workersSupervisor = objectId();
+  const inactiveSupervisor = objectId();
+
+  // User.find(filter).distinct(field) over a few accounts
+  const users = [
+    { _id: supervisor, role: 'anm_supervisor', assignedVillages: ['Rampur'], active: true },
+    { _id: workersSupervisor, role: 'anm_supervisor', assignedVillages: [], active: true },
+    { _id: inactiveSupervisor, role: 'anm_supervisor', assignedVillages: [], active: false },
+    { _id: objectId(), role: 'asha_worker', assignedVillages: ['Rampur'], active: true, supervisor: workersSupervisor },
+    { _id: objectId(), role: 'asha_worker', assignedVillages: ['Rampur'], active: true, supervisor: inactiveSupervisor },
+    { _id: objectId(), role: 'asha_worker', assignedVillages: ['Rampur'], active: false, supervisor: objectId() }
+  ];
+
+  const matches = (user, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '_id') {
+      return condition.$in.some(id => id.equals(user._id));
+    }
+    if (field === 'assignedVillages') {
+      return user.assignedVillages.includes(condition);
+    }
+    if (condition && condition.$ne === null) {
+      return user[field] != null;
+    }
+    return user[field] === condition;
+  });
+
+  it('only includes active supervisors, of active workers', async () => {
+    const filters = [];
+    mock.method(User, 'find', (filter) => {
+      filters.push(filter);
+      return { distinct: async (field) => users.filter(user => matches(user, filter)).map(user => user[field]) };
+    });
+
+    const ids = await villageSupervisors('Rampur');
+
+    assert.deepEqual(ids.map(String).sort(), [String(supervisor), String(workersSupervisor)].sort());
+    assert.ok(filters.every(filter => filter.active === true));
+  });
+});
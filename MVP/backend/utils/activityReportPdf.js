@@ -0,0 +1,173 @@
+// PDF of a monthly ASHA activity report in the layout of the state ASHA
+// incentive claim form: particulars, claim table, beneficiary annexure and
+// the ASHA / ANM / MO-IC signature blocks
+
+const PDFDocument = require('pdfkit');
+
+const { ACTIVITIES } = require('./activityReports');
+
+const MARGIN = 40;
+const ROW_PADDING = 4;
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+const CLAIM_COLUMNS = [
+  { header: 'S.No.', width: 40 },
+  { header: 'Activity', width: 255 },
+  { header: 'Number', width: 70, align: 'right' },
+  { header: 'Rate (Rs.)', width: 70, align: 'right' },
+  { header: 'Amount (Rs.)', width: 80, align: 'right' }
+];
+
+const ENTRY_COLUMNS = [
+  { header: 'S.No.', width: 40 },
+  { header: 'Date', width: 70 },
+  { header: 'Beneficiary', width: 150 },
+  { header: 'Village', width: 110 },
+  { header: 'Details', width: 145 }
+];
+
+const STATUS_LABELS = {
+  draft: 'DRAFT - not yet verified',
+  approved: 'APPROVED',
+  rejected: 'REJECTED'
+};
+
+const formatDate = (date, timeZone) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone })
+  : '');
+
+const formatMonth = (month) => new Date(`${month}-15T00:00:00Z`)
+  .toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// One table row; starts a new page (repeating the header) when it does not fit
+const drawRow = (doc, columns, values, { bold = false, header } = {}) => {
+  doc.font(bold ? BOLD_FONT : FONT).fontSize(9);
+  const height = Math.max(...columns.map((column, index) => (
+    doc.heightOfString(String(values[index] ?? ''), { width: column.width - 2 * ROW_PADDING })
+  ))) + 2 * ROW_PADDING;
+
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+    if (header) {
+      drawRow(doc, columns, header, { bold: true });
+    }
+    doc.font(bold ? BOLD_FONT : FONT).fontSize(9);
+  }
+
+  const top = doc.y;
+  let x = MARGIN;
+  columns.forEach((column, index) => {
+    doc.rect(x, top, column.width, height).stroke();
+    doc.text(String(values[index] ?? ''), x + ROW_PADDING, top + ROW_PADDING, {
+      width: column.width - 2 * ROW_PADDING,
+      align: column.align || 'left'
+    });
+    x += column.width;
+  });
+  doc.x = MARGIN;
+  doc.y = top + height;
+};
+
+const drawTable = (doc, columns, rows) => {
+  const header = columns.map(column => column.header);
+  drawRow(doc, columns, header, { bold: true });
+  rows.forEach(row => drawRow(doc, columns, row.values, { bold: row.bold, header }));
+};
+
+const particular = (doc, label, value) => {
+  doc.font(BOLD_FONT).fontSize(10).text(`${label}: `, { continued: true });
+  doc.font(FONT).text(value || '-');
+};
+
+// Write the PDF of report to res. worker is { name, phone }, hierarchy the
+// { subCentre, phc, block, district } names of the worker's villages and
+// reviewer the { name } of the supervisor who reviewed it.
+const writeActivityReportPdf = (res, { report, worker, hierarchy = {}, reviewer, timeZone }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `ASHA activity report ${report.month}` } });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="asha-activity-${report.month}.pdf"`);
+  doc.pipe(res);
+
+  doc.font(BOLD_FONT).fontSize(13).text('National Health Mission', { align: 'center' });
+  doc.fontSize(12).text('ASHA Monthly Activity and Incentive Claim Form', { align: 'center' });
+  doc.font(FONT).fontSize(10).text(`Month: ${formatMonth(report.month)}`, { align: 'center' });
+  doc.moveDown();
+
+  particular(doc, 'Name of ASHA', worker.name);
+  particular(doc, 'Mobile number', worker.phone);
+  particular(doc, 'Village(s)', report.villages.join(', '));
+  particular(doc, 'Sub-centre', hierarchy.subCentre);
+  particular(doc, 'PHC', hierarchy.phc);
+  particular(doc, 'Block', hierarchy.block);
+  particular(doc, 'District', hierarchy.district);
+  particular(doc, 'Status', STATUS_LABELS[report.status]);
+  doc.moveDown();
+
+  drawTable(doc, CLAIM_COLUMNS, [
+    ...report.activities.map((activity, index) => ({
+      values: [index + 1, activity.label, activity.count, activity.rate ?? '-', activity.amount ?? '-']
+    })),
+    { values: ['', 'Total amount claimed', '', '', report.totalAmount], bold: true }
+  ]);
+  doc.moveDown();
+
+  doc.font(FONT).fontSize(9).text(
+    `Counts are taken from the records entered by the ASHA in ${formatMonth(report.month)}. ` +
+    `Generated on ${formatDate(report.generatedAt, timeZone)}.`
+  );
+  doc.moveDown(2);
+
+  // Signature blocks side by side
+  const signatureTop = doc.y;
+  const signatureWidth = (doc.page.width - 2 * MARGIN) / 3;
+  const reviewLine = report.status === 'draft'
+    ? ''
+    : `${report.status === 'approved' ? 'Approved' : 'Rejected'} by ${reviewer?.name || '-'} on ${formatDate(report.reviewedAt, timeZone)}`;
+  [
+    ['Signature of ASHA', worker.name],
+    ['Verified by ANM', reviewLine],
+    ['Approved by MO-IC / BCM', '']
+  ].forEach(([label, line], index) => {
+    const x = MARGIN + index * signatureWidth;
+    doc.font(FONT).fontSize(9)
+      .text('____________________', x, signatureTop + 20, { width: signatureWidth - 10 })
+      .text(label, x, doc.y, { width: signatureWidth - 10 })
+      .text(line, x, doc.y, { width: signatureWidth - 10 });
+  });
+  doc.x = MARGIN;
+  if (report.reviewNote) {
+    doc.moveDown();
+    doc.font(BOLD_FONT).fontSize(9).text('Remarks: ', { continued: true });
+    doc.font(FONT).text(report.reviewNote);
+  }
+
+  // Annexure: the records behind each count
+  doc.addPage();
+  doc.font(BOLD_FONT).fontSize(11).text('Annexure: Beneficiary details', { align: 'center' });
+  doc.moveDown(0.5);
+  ACTIVITIES.forEach(({ code, label }) => {
+    const entries = report.entries.filter(entry => entry.activity === code);
+    if (entries.length === 0) {
+      return;
+    }
+    if (doc.y + 60 > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+    doc.moveDown(0.5);
+    doc.font(BOLD_FONT).fontSize(10).text(`${label} (${entries.length})`);
+    doc.moveDown(0.3);
+    drawTable(doc, ENTRY_COLUMNS, entries.map((entry, index) => ({
+      values: [index + 1, formatDate(entry.date, timeZone), entry.beneficiary, entry.village, entry.detail]
+    })));
+  });
+  if (report.entries.length === 0) {
+    doc.font(FONT).fontSize(10).text('No activities recorded this month.');
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  writeActivityReportPdf
+};
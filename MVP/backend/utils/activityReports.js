@@ -0,0 +1,206 @@
+// Monthly ASHA activity reports: counting what a worker did in a month from
+// the records they created, for incentive claims
+
+const ActivityReport = require('../models/ActivityReport');
+const Patient = require('../models/Patient');
+const Pregnancy = require('../models/Pregnancy');
+const Child = require('../models/Child');
+const { gestationalWeeks } = require('./pregnancy');
+const { findVaccine } = require('./immunization');
+const { getTimezone, zoneOffset, startOfZoneDay } = require('./reports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claim lines in the order of the state claim form
+const ACTIVITIES = [
+  { code: 'registrations', label: 'New beneficiaries registered' },
+  { code: 'ancRegistrations', label: 'Pregnant women registered for ANC' },
+  { code: 'earlyAncRegistrations', label: 'ANC registrations within 12 weeks' },
+  { code: 'ancCheckups', label: 'ANC checkups completed' },
+  { code: 'institutionalDeliveries', label: 'Institutional deliveries' },
+  { code: 'immunizations', label: 'Vaccine doses given to children' },
+  { code: 'fullImmunizations', label: 'Children fully immunized by 1 year' }
+];
+
+const EARLY_ANC_WEEKS = 12;
+
+// Doses a child must have by the first birthday to count as fully immunized
+const FULL_IMMUNIZATION_VACCINES = ['BCG', 'OPV1', 'OPV2', 'OPV3', 'PENTA1', 'PENTA2', 'PENTA3', 'MR1'];
+
+// Incentive rates differ between states, so they are configured as
+// ASHA_INCENTIVE_RATES=ancCheckups=100,institutionalDeliveries=300 (rupees);
+// activities without a rate are counted but not priced
+const getIncentiveRates = () => {
+  const rates = {};
+  (process.env.ASHA_INCENTIVE_RATES || '').split(',').forEach(pair => {
+    const [code, amount] = pair.split('=').map(part => part && part.trim());
+    const rate = Number(amount);
+    if (ACTIVITIES.some(activity => activity.code === code) && amount && rate >= 0) {
+      rates[code] = rate;
+    }
+  });
+  return rates;
+};
+
+// { start, end } of a YYYY-MM month in REPORT_TIMEZONE; end is exclusive
+const monthRange = (month) => {
+  const [year, number] = month.split('-').map(Number);
+  const timeZone = getTimezone();
+  return {
+    start: startOfZoneDay(year, number - 1, 1, timeZone),
+    end: startOfZoneDay(year, number, 1, timeZone)
+  };
+};
+
+// The month before the current one in REPORT_TIMEZONE as YYYY-MM, the one the
+// monthly job builds
+const previousMonth = (now = new Date()) => {
+  const local = new Date(now.getTime() + zoneOffset(now, getTimezone()));
+  const date = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() - 1, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// A child counts as fully immunized in the month its last first-year dose
+// (MR-1) is given, if that is before the first birthday and every other
+// first-year dose is recorded
+const isFullyImmunized = (child) => {
+  const givenOn = {};
+  child.immunizations.forEach(dose => {
+    givenOn[dose.vaccine] = dose.date;
+  });
+  return FULL_IMMUNIZATION_VACCINES.every(code => givenOn[code]) &&
+    givenOn.MR1 - child.dateOfBirth < 365 * DAY_MS;
+};
+
+// Counts and supporting entries of a worker's activity in a YYYY-MM month:
+// - registrations: patients they registered (not archived or merged since)
+// - ancRegistrations / earlyAncRegistrations: pregnancies they registered,
+//   and those registered within 12 weeks of the LMP
+// - ancCheckups: ANC checkups they recorded
+// - institutionalDeliveries: institutional deliveries of pregnancies they registered
+// - immunizations / fullImmunizations: vaccine doses they recorded, and
+//   children those doses completed the first-year schedule for
+// Returns { activities: [{ code, label, count, rate, amount }], entries, totalAmount }
+const buildActivityReport = async (workerId, month) => {
+  const { start, end } = monthRange(month);
+  const inMonth = { $gte: start, $lt: end };
+  const isInMonth = (date) => date >= start && date < end;
+  const isWorker = (userId) => String(userId) === String(workerId);
+
+  const [patients, pregnancies, ancPregnancies, deliveries, children] = await Promise.all([
+    Patient.find({ registeredBy: workerId, createdAt: inMonth, archived: { $ne: true } })
+      .select('name village createdAt').lean(),
+    Pregnancy.find({ registeredBy: workerId, createdAt: inMonth })
+      .populate('patient', 'name archived').lean(),
+    Pregnancy.find({ ancCheckups: { $elemMatch: { recordedBy: workerId, completedDate: inMonth } } })
+      .populate('patient', 'name archived').lean(),
+    Pregnancy.find({ registeredBy: workerId, 'delivery.place': 'institutional', 'delivery.date': inMonth })
+      .populate('patient', 'name archived').lean(),
+    Child.find({ immunizations: { $elemMatch: { recordedBy: workerId, date: inMonth } }, archived: { $ne: true } })
+      .select('name village dateOfBirth immunizations').lean()
+  ]);
+  const active = (pregnancy) => pregnancy.patient && !pregnancy.patient.archived;
+
+  const entries = [];
+  const add = (activity, date, record, detail) => entries.push({
+    activity,
+    date,
+    beneficiary: record.name,
+    village: record.village,
+    detail,
+    patient: record.patient,
+    child: record.child
+  });
+
+  patients.forEach(patient => {
+    add('registrations', patient.createdAt, { ...patient, patient: patient._id });
+  });
+
+  pregnancies.filter(active).forEach(pregnancy => {
+    const weeks = gestationalWeeks(pregnancy.lmp, pregnancy.createdAt);
+    const record = { name: pregnancy.patient.name, village: pregnancy.village, patient: pregnancy.patient._id };
+    add('ancRegistrations', pregnancy.createdAt, record, `${weeks} weeks`);
+    if (weeks <= EARLY_ANC_WEEKS) {
+      add('earlyAncRegistrations', pregnancy.createdAt, record, `${weeks} weeks`);
+    }
+  });
+
+  ancPregnancies.filter(active).forEach(pregnancy => {
+    pregnancy.ancCheckups
+      .filter(checkup => isWorker(checkup.recordedBy) && checkup.completedDate && isInMonth(checkup.completedDate))
+      .forEach(checkup => {
+        add('ancCheckups', checkup.completedDate,
+          { name: pregnancy.patient.name, village: pregnancy.village, patient: pregnancy.patient._id },
+          `ANC ${checkup.number}`);
+      });
+  });
+
+  deliveries.filter(active).forEach(pregnancy => {
+    add('institutionalDeliveries', pregnancy.delivery.date,
+      { name: pregnancy.patient.name, village: pregnancy.village, patient: pregnancy.patient._id },
+      pregnancy.delivery.facility);
+  });
+
+  children.forEach(child => {
+    const record = { name: child.name, village: child.village, child: child._id };
+    child.immunizations
+      .filter(dose => isWorker(dose.recordedBy) && isInMonth(dose.date))
+      .forEach(dose => {
+        add('immunizations', dose.date, record, findVaccine(dose.vaccine)?.name || dose.vaccine);
+        if (dose.vaccine === 'MR1' && isFullyImmunized(child)) {
+          add('fullImmunizations', dose.date, record);
+        }
+      });
+  });
+
+  const order = ACTIVITIES.map(activity => activity.code);
+  entries.sort((a, b) => (order.indexOf(a.activity) - order.indexOf(b.activity)) || (a.date - b.date));
+
+  const rates = getIncentiveRates();
+  const activities = ACTIVITIES.map(({ code, label }) => {
+    const count = entries.filter(entry => entry.activity === code).length;
+    const rate = rates[code];
+    return rate === undefined
+      ? { code, label, count }
+      : { code, label, count, rate, amount: count * rate };
+  });
+
+  return {
+    activities,
+    entries,
+    totalAmount: activities.reduce((sum, activity) => sum + (activity.amount || 0), 0)
+  };
+};
+
+// Build (or rebuild) a worker's report for a month as a draft. An approved
+// report is never rebuilt. Returns { report, created } or { conflict }.
+const generateActivityReport = async (worker, month, { generatedBy } = {}) => {
+  const existing = await ActivityReport.findOne({ worker: worker._id, month });
+  if (existing && existing.status === 'approved') {
+    return { conflict: `The report for ${month} is already approved` };
+  }
+
+  const built = await buildActivityReport(worker._id, month);
+  const report = existing || new ActivityReport({ worker: worker._id, month });
+  report.set({
+    ...built,
+    villages: worker.assignedVillages,
+    status: 'draft',
+    generatedAt: new Date(),
+    generatedBy,
+    reviewedBy: undefined,
+    reviewedAt: undefined,
+    reviewNote: undefined
+  });
+  await report.save();
+
+  return { report, created: !existing };
+};
+
+module.exports = {
+  ACTIVITIES,
+  monthRange,
+  previousMonth,
+  buildActivityReport,
+  generateActivityReport
+};
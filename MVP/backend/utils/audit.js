@@ -0,0 +1,94 @@
+// Helpers for writing the patient audit trail (see models/AuditLog.js)
+
+const mongoose = require('mongoose');
+
+const AuditLog = require('../models/AuditLog');
+
+// Patient fields whose changes are recorded field by field. Archiving is
+// recorded as a change to `archived`.
+const PATIENT_FIELDS = [
+  'name', 'age', 'gender', 'village', 'healthIssue', 'syndromes', 'household',
+  'nextFollowUpDate', 'followUpReason', 'abhaNumber', 'abhaAddress', 'abhaLinkedAt'
+];
+const VISIT_FIELDS = ['visitDate', 'complaint', 'syndromes', 'vitals', 'notes', 'nextFollowUpDate'];
+const PREGNANCY_FIELDS = ['lmp', 'edd', 'gravida', 'parity', 'status', 'highRiskFlags'];
+// Fields of a recorded ANC checkup, PNC visit or delivery, stored as e.g.
+// `anc.2.hb` or `delivery.outcome`
+const ANC_FIELDS = ['completedDate', 'weight', 'systolic', 'diastolic', 'hb', 'notes'];
+const PNC_FIELDS = ['completedDate', 'motherCondition', 'babyCondition', 'notes'];
+const DELIVERY_FIELDS = ['date', 'place', 'facility', 'mode', 'outcome', 'babies', 'birthWeight', 'babyGender'];
+const CHILD_FIELDS = ['name', 'dateOfBirth', 'gender', 'birthWeight', 'mother', 'household', 'village', 'archived'];
+
+// Plain, comparable form of a stored value
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return String(value);
+  }
+  return value;
+};
+
+// Changed fields between two plain objects (either may be null, for a
+// create or delete) as [{ field, from, to }]. prefix names the part of a
+// record the objects are, e.g. 'anc.2.'.
+const diffFields = (before, after, fields, prefix = '') => fields
+  .map(field => ({
+    field: `${prefix}${field}`,
+    from: normalize(before?.[field]),
+    to: normalize(after?.[field])
+  }))
+  .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+// Snapshot of a document for diffFields, taken before it is modified
+const snapshot = (doc) => (doc ? doc.toObject({ depopulate: true }) : null);
+
+// Append an entry for the authenticated request. Resolves once it is stored, so
+// routes can await it before responding; a failed write fails the request.
+// Pregnancy, child and follow-up entries name the mothers or patients in
+// patient/patients, the records in resourceId/resourceIds, and the records'
+// own villages in villages (a child may have no mother on record).
+const recordAudit = (req, { action, patient, patients, resource, resourceId, resourceIds, villages: recordVillages, changes, query }) => {
+  const subjects = patient ? [patient] : (patients || []);
+  // A patient moved between villages stays visible to both areas' supervisors
+  const villages = [
+    ...subjects.map(item => item.village),
+    ...(recordVillages || []),
+    ...(changes || []).filter(change => change.field === 'village').map(change => change.from)
+  ];
+
+  return AuditLog.create({
+    actor: req.user.userId,
+    actorUsername: req.user.username,
+    role: req.user.role,
+    action,
+    resource,
+    patient: patient?._id,
+    patients: patient ? [] : subjects.map(item => item._id),
+    resourceId,
+    resourceIds,
+    villages: [...new Set(villages.filter(Boolean))],
+    changes,
+    query,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip
+  });
+};
+
+module.exports = {
+  PATIENT_FIELDS,
+  VISIT_FIELDS,
+  PREGNANCY_FIELDS,
+  ANC_FIELDS,
+  PNC_FIELDS,
+  DELIVERY_FIELDS,
+  CHILD_FIELDS,
+  diffFields,
+  snapshot,
+  recordAudit
+};
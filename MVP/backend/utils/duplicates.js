@@ -0,0 +1,108 @@
+// Fuzzy matching of a new registration against the patients already in its
+// village, so the same person registered under a variant spelling ("Sunita
+// Devi" / "Sunitha Devi") is caught before a second record is created
+
+const Patient = require('../models/Patient');
+const { escapeRegex } = require('./query');
+
+const DEFAULT_AGE_TOLERANCE = 3;
+const MIN_NAME_SIMILARITY = 0.75;
+const HOUSEHOLD_BONUS = 0.1;
+const MAX_CANDIDATES = 5;
+
+const CANDIDATE_FIELDS = 'name age gender village household healthIssue registeredBy createdAt';
+
+// Ages are often estimated, so registrations within DUPLICATE_AGE_TOLERANCE
+// years of each other can be the same person
+const getAgeTolerance = () => {
+  const tolerance = parseInt(process.env.DUPLICATE_AGE_TOLERANCE);
+  return Number.isInteger(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_AGE_TOLERANCE;
+};
+
+// Spelling variants common when Indian names are written in Latin script
+const PHONETIC_RULES = [
+  [/th/g, 't'], [/dh/g, 'd'], [/bh/g, 'b'], [/kh/g, 'k'], [/gh/g, 'g'],
+  [/jh/g, 'j'], [/ph/g, 'f'], [/sh/g, 's'], [/ch/g, 'c'],
+  [/w/g, 'v'], [/z/g, 'j'], [/q/g, 'k'], [/y/g, 'i'],
+  [/ee|ii/g, 'i'], [/oo|uu/g, 'u'],
+  [/(.)\1+/g, '$1']
+];
+
+// Comparable form of a name: lower case, letters only, phonetic variants
+// folded and words sorted so "Devi Sunita" matches "Sunita Devi"
+const normalizeName = (name) => name
+  .normalize('NFD')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => PHONETIC_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), word))
+  .sort()
+  .join(' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (item, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for names that normalise to the same form, falling towards 0 with each edit
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  const length = Math.max(left.length, right.length);
+  return length === 0 ? 0 : 1 - levenshtein(left, right) / length;
+};
+
+const sameVillage = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Score from 0 to 1 for two registrations that could be the same person, or
+// null when they cannot be: gender and village must match, ages must be within
+// the tolerance and names must be similar. Sharing a household raises the score.
+const matchScore = (fields, other) => {
+  if (fields.gender !== other.gender || !sameVillage(fields.village, other.village) ||
+    Math.abs(fields.age - other.age) > getAgeTolerance()) {
+    return null;
+  }
+  const similarity = nameSimilarity(fields.name, other.name);
+  if (similarity < MIN_NAME_SIMILARITY) {
+    return null;
+  }
+  const sameHousehold = !!fields.household && String(fields.household) === String(other.household);
+  return Math.round(Math.min(1, similarity + (sameHousehold ? HOUSEHOLD_BONUS : 0)) * 100) / 100;
+};
+
+// Existing patients that are likely the person described by fields (a validated
+// registration), best match first, as [{ patient, score }]
+const findDuplicateCandidates = async (fields) => {
+  const tolerance = getAgeTolerance();
+  const patients = await Patient.find({
+    archived: { $ne: true },
+    gender: fields.gender,
+    age: { $gte: fields.age - tolerance, $lte: fields.age + tolerance },
+    village: { $regex: `^${escapeRegex(fields.village.trim())}$`, $options: 'i' }
+  }).select(CANDIDATE_FIELDS);
+
+  return patients
+    .map(patient => ({ patient, score: matchScore(fields, patient) }))
+    .filter(candidate => candidate.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+};
+
+module.exports = {
+  normalizeName,
+  nameSimilarity,
+  matchScore,
+  findDuplicateCandidates
+};
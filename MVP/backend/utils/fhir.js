@@ -0,0 +1,241 @@
+// Mapping of our records to FHIR R4 resources (https://hl7.org/fhir/R4), and
+// parsing of FHIR search parameters into Mongo conditions
+
+const FHIR_JSON = 'application/fhir+json';
+
+// System of the identifier carrying our own patient id
+const PATIENT_ID_SYSTEM = 'urn:patient-management:patient-id';
+// System of the patient's ABHA number, as in the ABDM FHIR profiles
+const ABHA_NUMBER_SYSTEM = 'https://healthid.abdm.gov.in';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+const GENDER_CODES = { Male: 'male', Female: 'female', Other: 'other' };
+
+const quantity = (value, unit, code) => ({ value, unit, system: UCUM, code });
+
+// One Observation per vital sign recorded on a visit, keyed by the suffix of
+// its id (`<visitId>-<key>`). Blood pressure is a single panel of two components.
+const OBSERVATIONS = {
+  bp: {
+    code: '85354-9',
+    display: 'Blood pressure panel with all children optional',
+    category: 'vital-signs',
+    fields: ['systolic', 'diastolic'],
+    components: [
+      { field: 'systolic', code: '8480-6', display: 'Systolic blood pressure', unit: 'mmHg', ucum: 'mm[Hg]' },
+      { field: 'diastolic', code: '8462-4', display: 'Diastolic blood pressure', unit: 'mmHg', ucum: 'mm[Hg]' }
+    ]
+  },
+  pulse: { code: '8867-4', display: 'Heart rate', category: 'vital-signs', fields: ['pulse'], unit: 'beats/minute', ucum: '/min' },
+  temperature: { code: '8310-5', display: 'Body temperature', category: 'vital-signs', fields: ['temperature'], unit: '°F', ucum: '[degF]' },
+  weight: { code: '29463-7', display: 'Body weight', category: 'vital-signs', fields: ['weight'], unit: 'kg', ucum: 'kg' },
+  spo2: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', category: 'vital-signs', fields: ['spo2'], unit: '%', ucum: '%' },
+  bloodSugar: { code: '2339-0', display: 'Glucose [Mass/volume] in Blood', category: 'laboratory', fields: ['bloodSugar'], unit: 'mg/dL', ucum: 'mg/dL' }
+};
+
+// Id of a reference that may or may not be populated
+const refId = (value) => String(value?._id || value);
+
+const toFhirPatient = (patient) => ({
+  resourceType: 'Patient',
+  id: String(patient._id),
+  meta: { lastUpdated: patient.updatedAt.toISOString() },
+  identifier: [
+    { system: PATIENT_ID_SYSTEM, value: String(patient._id) },
+    ...(patient.abhaNumber ? [{ type: { text: 'ABHA number' }, system: ABHA_NUMBER_SYSTEM, value: patient.abhaNumber }] : [])
+  ],
+  active: !patient.archived,
+  name: [{ text: patient.name }],
+  gender: GENDER_CODES[patient.gender],
+  // Only an age is recorded, so the year of birth is estimated from it
+  birthDate: String(patient.createdAt.getFullYear() - patient.age),
+  address: [{ use: 'home', text: patient.village }]
+});
+
+// The health issue recorded at registration, as the patient's one Condition.
+// It shares the patient's id.
+const toFhirCondition = (patient) => ({
+  resourceType: 'Condition',
+  id: String(patient._id),
+  meta: { lastUpdated: patient.updatedAt.toISOString() },
+  clinicalStatus: {
+    coding: [{ system: CONDITION_CLINICAL, code: 'active', display: 'Active' }]
+  },
+  category: [{
+    coding: [{ system: CONDITION_CATEGORY, code: 'problem-list-item', display: 'Problem List Item' }]
+  }],
+  code: { text: patient.healthIssue },
+  subject: { reference: `Patient/${patient._id}` },
+  recordedDate: patient.createdAt.toISOString()
+});
+
+const toFhirEncounter = (visit) => {
+  const encounter = {
+    resourceType: 'Encounter',
+    id: String(visit._id),
+    meta: { lastUpdated: visit.updatedAt.toISOString() },
+    status: 'finished',
+    class: { system: ACT_CODE, code: 'HH', display: 'home health' },
+    subject: { reference: `Patient/${refId(visit.patient)}` },
+    period: { start: visit.visitDate.toISOString() }
+  };
+  if (visit.complaint) {
+    encounter.reasonCode = [{ text: visit.complaint }];
+  }
+  if (visit.worker?.name) {
+    encounter.participant = [{ individual: { display: visit.worker.name } }];
+  }
+  return encounter;
+};
+
+// Observations for a visit's recorded vitals; keys limits them to some OBSERVATIONS
+const toFhirObservations = (visit, keys = Object.keys(OBSERVATIONS)) => {
+  const vitals = visit.vitals || {};
+  return keys
+    .filter(key => OBSERVATIONS[key].fields.some(field => vitals[field] !== undefined && vitals[field] !== null))
+    .map(key => {
+      const definition = OBSERVATIONS[key];
+      const observation = {
+        resourceType: 'Observation',
+        id: `${visit._id}-${key}`,
+        meta: { lastUpdated: visit.updatedAt.toISOString() },
+        status: 'final',
+        category: [{
+          coding: [{ system: OBSERVATION_CATEGORY, code: definition.category }]
+        }],
+        code: {
+          coding: [{ system: LOINC, code: definition.code, display: definition.display }],
+          text: definition.display
+        },
+        subject: { reference: `Patient/${refId(visit.patient)}` },
+        encounter: { reference: `Encounter/${visit._id}` },
+        effectiveDateTime: visit.visitDate.toISOString()
+      };
+      if (definition.components) {
+        observation.component = definition.components
+          .filter(component => vitals[component.field] !== undefined && vitals[component.field] !== null)
+          .map(component => ({
+            code: { coding: [{ system: LOINC, code: component.code, display: component.display }] },
+            valueQuantity: quantity(vitals[component.field], component.unit, component.ucum)
+          }));
+      } else {
+        observation.valueQuantity = quantity(vitals[definition.fields[0]], definition.unit, definition.ucum);
+      }
+      return observation;
+    });
+};
+
+// Searchset Bundle of resources. links holds the self and next URLs.
+const searchBundle = (base, resources, { total, links = {} } = {}) => {
+  const bundle = {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    timestamp: new Date().toISOString()
+  };
+  if (total !== undefined) {
+    bundle.total = total;
+  }
+  bundle.link = Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([relation, url]) => ({ relation, url }));
+  bundle.entry = resources.map(resource => ({
+    fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' }
+  }));
+  return bundle;
+};
+
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'error', code, diagnostics }]
+});
+
+// Parameters may be repeated (?date=ge2024-01-01&date=lt2024-02-01) and each
+// may list alternatives separated by commas
+const paramValues = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string' && item.length > 0);
+
+const orValues = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Token `system|code` or `code` as { system, code }; system is undefined when
+// not given
+const parseToken = (value) => {
+  const index = value.indexOf('|');
+  return index === -1
+    ? { code: value }
+    : { system: value.slice(0, index), code: value.slice(index + 1) };
+};
+
+// Patient id from a reference parameter: `id`, `Patient/id` or a full URL
+const parsePatientReference = (value) => {
+  const match = /^(?:(?:.*\/)?Patient\/)?([a-f\d]{24})$/i.exec(value);
+  return match ? match[1] : null;
+};
+
+const DATE_PARAM = /^(eq|gt|ge|lt|le)?(\d{4})(?:-(\d{2})(?:-(\d{2})(T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+// Mongo condition on field for a FHIR date parameter such as `ge2024-01-01`.
+// The value's precision sets the range it covers: `2024-03` is all of March.
+// Returns { condition } or { error }.
+const parseDateParam = (field, value) => {
+  const match = DATE_PARAM.exec(value);
+  if (!match) {
+    return { error: `Invalid date parameter: ${value}` };
+  }
+  const [, prefix = 'eq', year, month, day, time] = match;
+
+  let start;
+  let end;
+  if (time) {
+    start = new Date(`${year}-${month}-${day}${time}`);
+    end = new Date(start.getTime() + 1);
+  } else if (day) {
+    start = new Date(Date.UTC(year, month - 1, day));
+    end = new Date(Date.UTC(year, month - 1, Number(day) + 1));
+  } else if (month) {
+    start = new Date(Date.UTC(year, month - 1, 1));
+    end = new Date(Date.UTC(year, month, 1));
+  } else {
+    start = new Date(Date.UTC(year, 0, 1));
+    end = new Date(Date.UTC(Number(year) + 1, 0, 1));
+  }
+  if (isNaN(start.getTime())) {
+    return { error: `Invalid date parameter: ${value}` };
+  }
+
+  const ranges = {
+    eq: { $gte: start, $lt: end },
+    gt: { $gte: end },
+    ge: { $gte: start },
+    lt: { $lt: start },
+    le: { $lt: end }
+  };
+  return { condition: { [field]: ranges[prefix] } };
+};
+
+module.exports = {
+  FHIR_JSON,
+  PATIENT_ID_SYSTEM,
+  ABHA_NUMBER_SYSTEM,
+  LOINC,
+  GENDER_CODES,
+  OBSERVATIONS,
+  toFhirPatient,
+  toFhirCondition,
+  toFhirEncounter,
+  toFhirObservations,
+  searchBundle,
+  operationOutcome,
+  paramValues,
+  orValues,
+  parseToken,
+  parsePatientReference,
+  parseDateParam
+};
@@ -0,0 +1,99 @@
+// Child immunization schedule (national Universal Immunization Programme)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const weeks = (count) => count * 7;
+const months = (count) => Math.round(count * 30.44);
+const years = (count) => Math.round(count * 365.25);
+
+// dueDays: age at which the dose falls due
+// maxDays: oldest age at which it may still be given; after that it is missed
+// after/gapDays: earlier dose in the series and the minimum interval since it
+// JE (endemic districts only) and vitamin A supplementation are not tracked here.
+const UIP_SCHEDULE = [
+  { code: 'BCG', name: 'BCG', ageLabel: 'Birth', dueDays: 0, maxDays: years(1) },
+  { code: 'OPV0', name: 'OPV-0', ageLabel: 'Birth', dueDays: 0, maxDays: 15 },
+  { code: 'HEPB0', name: 'Hepatitis B birth dose', ageLabel: 'Birth', dueDays: 0, maxDays: 1 },
+  { code: 'OPV1', name: 'OPV-1', ageLabel: '6 weeks', dueDays: weeks(6), maxDays: years(5) },
+  { code: 'PENTA1', name: 'Pentavalent-1', ageLabel: '6 weeks', dueDays: weeks(6), maxDays: years(1) },
+  { code: 'ROTA1', name: 'Rotavirus-1', ageLabel: '6 weeks', dueDays: weeks(6), maxDays: years(1) },
+  { code: 'FIPV1', name: 'fIPV-1', ageLabel: '6 weeks', dueDays: weeks(6), maxDays: years(1) },
+  { code: 'PCV1', name: 'PCV-1', ageLabel: '6 weeks', dueDays: weeks(6), maxDays: years(1) },
+  { code: 'OPV2', name: 'OPV-2', ageLabel: '10 weeks', dueDays: weeks(10), maxDays: years(5), after: 'OPV1', gapDays: 28 },
+  { code: 'PENTA2', name: 'Pentavalent-2', ageLabel: '10 weeks', dueDays: weeks(10), maxDays: years(1), after: 'PENTA1', gapDays: 28 },
+  { code: 'ROTA2', name: 'Rotavirus-2', ageLabel: '10 weeks', dueDays: weeks(10), maxDays: years(1), after: 'ROTA1', gapDays: 28 },
+  { code: 'OPV3', name: 'OPV-3', ageLabel: '14 weeks', dueDays: weeks(14), maxDays: years(5), after: 'OPV2', gapDays: 28 },
+  { code: 'PENTA3', name: 'Pentavalent-3', ageLabel: '14 weeks', dueDays: weeks(14), maxDays: years(1), after: 'PENTA2', gapDays: 28 },
+  { code: 'ROTA3', name: 'Rotavirus-3', ageLabel: '14 weeks', dueDays: weeks(14), maxDays: years(1), after: 'ROTA2', gapDays: 28 },
+  { code: 'FIPV2', name: 'fIPV-2', ageLabel: '14 weeks', dueDays: weeks(14), maxDays: years(1), after: 'FIPV1', gapDays: 56 },
+  { code: 'PCV2', name: 'PCV-2', ageLabel: '14 weeks', dueDays: weeks(14), maxDays: years(1), after: 'PCV1', gapDays: 56 },
+  { code: 'MR1', name: 'Measles-Rubella-1', ageLabel: '9 months', dueDays: months(9), maxDays: years(5) },
+  { code: 'PCV_BOOSTER', name: 'PCV booster', ageLabel: '9 months', dueDays: months(9), maxDays: years(1), after: 'PCV2', gapDays: 56 },
+  { code: 'MR2', name: 'Measles-Rubella-2', ageLabel: '16-24 months', dueDays: months(16), maxDays: years(5), after: 'MR1', gapDays: 28 },
+  { code: 'DPT_B1', name: 'DPT booster-1', ageLabel: '16-24 months', dueDays: months(16), maxDays: years(7), after: 'PENTA3', gapDays: 180 },
+  { code: 'OPV_BOOSTER', name: 'OPV booster', ageLabel: '16-24 months', dueDays: months(16), maxDays: years(5), after: 'OPV3', gapDays: 180 },
+  { code: 'DPT_B2', name: 'DPT booster-2', ageLabel: '5-6 years', dueDays: years(5), maxDays: years(7), after: 'DPT_B1', gapDays: 180 },
+  { code: 'TD10', name: 'Td (10 years)', ageLabel: '10 years', dueDays: years(10), maxDays: years(11) },
+  { code: 'TD16', name: 'Td (16 years)', ageLabel: '16 years', dueDays: years(16), maxDays: years(17) }
+];
+
+const VACCINE_CODES = UIP_SCHEDULE.map(vaccine => vaccine.code);
+
+// Children older than this have nothing left on the schedule
+const MAX_SCHEDULE_AGE_DAYS = Math.max(...UIP_SCHEDULE.map(vaccine => vaccine.maxDays));
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const findVaccine = (code) => UIP_SCHEDULE.find(vaccine => vaccine.code === code);
+
+// Immunization card for a child: every scheduled vaccine with its status
+// - given: recorded (givenDate)
+// - missed: not given and the child is now past the last age for it
+// - due: the due age is reached and any earlier dose in the series is given
+// - upcoming: not due yet
+const buildImmunizationCard = (dateOfBirth, immunizations = [], on = new Date()) => {
+  const givenOn = {};
+  immunizations.forEach(dose => {
+    givenOn[dose.vaccine] = dose.date;
+  });
+
+  return UIP_SCHEDULE.map(({ code, name, ageLabel, dueDays, maxDays, after, gapDays }) => {
+    const lastDate = addDays(dateOfBirth, maxDays);
+    let dueDate = addDays(dateOfBirth, dueDays);
+
+    if (after && givenOn[after]) {
+      const earliest = addDays(givenOn[after], gapDays);
+      if (earliest > dueDate) {
+        dueDate = earliest;
+      }
+    }
+
+    let status;
+    if (givenOn[code]) {
+      status = 'given';
+    } else if (on > lastDate || dueDate > lastDate) {
+      status = 'missed';
+    } else if (on >= dueDate && (!after || givenOn[after])) {
+      status = 'due';
+    } else {
+      status = 'upcoming';
+    }
+
+    return {
+      vaccine: code,
+      name,
+      ageLabel,
+      dueDate,
+      lastDate,
+      givenDate: givenOn[code] || null,
+      status
+    };
+  });
+};
+
+module.exports = {
+  UIP_SCHEDULE,
+  VACCINE_CODES,
+  MAX_SCHEDULE_AGE_DAYS,
+  findVaccine,
+  buildImmunizationCard
+};
@@ -0,0 +1,314 @@
+// Location master data (district → block → PHC → sub-centre → village): finding
+// the village a record belongs to, and importing the hierarchy from a sheet
+
+const mongoose = require('mongoose');
+
+const Location = require('../models/Location');
+const Patient = require('../models/Patient');
+const Household = require('../models/Household');
+const Child = require('../models/Child');
+const Pregnancy = require('../models/Pregnancy');
+const OutbreakAlert = require('../models/OutbreakAlert');
+const User = require('../models/User');
+
+// Sheet columns of a location import, one row per path from the district down.
+// code is the government code of the last location on the row.
+const LOCATION_COLUMNS = ['district', 'block', 'phc', 'subCentre', 'village', 'code'];
+const LEVELS = [
+  { column: 'district', type: 'district', label: 'District' },
+  { column: 'block', type: 'block', label: 'Block' },
+  { column: 'phc', type: 'phc', label: 'PHC' },
+  { column: 'subCentre', type: 'sub_centre', label: 'Sub-centre' },
+  { column: 'village', type: 'village', label: 'Village' }
+];
+const MAX_NAME_LENGTH = 100;
+
+// Key of each ancestor's name on a location with its hierarchy
+const HIERARCHY_KEYS = { district: 'district', block: 'block', phc: 'phc', sub_centre: 'subCentre' };
+
+// The village a record is in, from the villageId and village fields of a
+// validated body: the id when given, otherwise the one active village with
+// that name. Returns { location } or { error } for the village field.
+const resolveVillage = async ({ villageId, village }) => {
+  if (villageId) {
+    const location = await Location.findOne({ _id: villageId, type: 'village', active: true });
+    return location ? { location } : { error: 'Village not found; choose one from the list' };
+  }
+
+  const matches = await Location.find({ type: 'village', name: village.trim(), active: true })
+    .collation(Location.NAME_COLLATION)
+    .limit(2);
+  if (matches.length === 0) {
+    return { error: `${village.trim()} is not in the village list; choose one from the list` };
+  }
+  if (matches.length > 1) {
+    return { error: `More than one village is called ${village.trim()}; choose one from the list` };
+  }
+  return { location: matches[0] };
+};
+
+// Ids of the villages at or under a location, active or not, or null when
+// there is no such location
+const villageIdsWithin = async (locationId) => {
+  const location = await Location.findById(locationId).select('type');
+  if (!location) {
+    return null;
+  }
+  if (location.type === 'village') {
+    return [location._id];
+  }
+  return Location.find({ type: 'village', ancestors: location._id }).distinct('_id');
+};
+
+// Plain objects of locations with the names of the locations above them, e.g.
+// { _id, type, name, code, active, parent, district, block, phc, subCentre }
+const withHierarchy = async (locations) => {
+  const ancestorIds = [...new Set(locations.flatMap(location => location.ancestors.map(String)))];
+  const ancestors = await Location.find({ _id: { $in: ancestorIds } }).select('type name').lean();
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+
+  return locations.map(location => {
+    const item = {
+      _id: location._id,
+      type: location.type,
+      name: location.name,
+      code: location.code,
+      active: location.active,
+      parent: location.parent
+    };
+    location.ancestors.forEach(id => {
+      const ancestor = byId.get(String(id));
+      if (ancestor) {
+        item[HIERARCHY_KEYS[ancestor.type]] = ancestor.name;
+      }
+    });
+    return item;
+  });
+};
+
+// The names on a sheet row as [{ column, type, name }] from the district
+// down, or { errors } when a level is missing above a filled one or a name is
+// too long
+const rowPath = (data) => {
+  const path = [];
+  const errors = {};
+  let gap = null;
+
+  LEVELS.forEach((level) => {
+    const { column, type, label } = level;
+    const name = data[column] === undefined ? '' : String(data[column]).trim();
+    if (!name) {
+      gap = gap || level;
+      return;
+    }
+    if (gap) {
+      errors[gap.column] = `${gap.label} is required when ${label} is given`;
+    } else if (name.length > MAX_NAME_LENGTH) {
+      errors[column] = `${label} must be at most ${MAX_NAME_LENGTH} characters`;
+    } else {
+      path.push({ column, type, name });
+    }
+  });
+
+  if (path.length === 0 && Object.keys(errors).length === 0) {
+    errors.district = 'District is required';
+  }
+  return Object.keys(errors).length > 0 ? { errors } : { path };
+};
+
+// Create the locations named on sheet rows (see LOCATION_COLUMNS), reusing
+// those that already exist, so the same sheet can be imported again. With
+// dryRun nothing is saved. Returns { created, rows: [{ row, status, locationId,
+// errors }] } where status is 'created' (or 'valid' in a dry run) when the row
+// adds a location, 'exists' when it adds nothing, or 'error'.
+const importLocations = async (rows, { dryRun = false, createdBy } = {}) => {
+  // Locations seen so far by parent and name, including unsaved dry-run ones
+  const known = new Map();
+  let created = 0;
+
+  // { location, isNew }, or { error } when the name is taken by another level
+  const findOrCreate = async ({ column, type, name }, parent, code) => {
+    const key = `${parent ? parent._id : ''}|${name.toLowerCase()}`;
+    if (known.has(key)) {
+      return { location: known.get(key), isNew: false };
+    }
+
+    let location = parent?.unsaved
+      ? null
+      : await Location.findOne({ parent: parent ? parent._id : null, name }).collation(Location.NAME_COLLATION);
+    if (location && location.type !== type) {
+      return { error: { [column]: `${name} already exists here as a ${location.type}` } };
+    }
+
+    const isNew = !location;
+    if (isNew) {
+      const fields = {
+        type,
+        name,
+        code: code || undefined,
+        parent: parent ? parent._id : undefined,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        createdBy
+      };
+      location = dryRun
+        ? { ...fields, _id: new mongoose.Types.ObjectId(), unsaved: true }
+        : await Location.create(fields);
+      created += 1;
+    }
+    known.set(key, location);
+    return { location, isNew };
+  };
+
+  const results = [];
+  for (const { row, data } of rows) {
+    const { path, errors } = rowPath(data);
+    if (errors) {
+      results.push({ row, status: 'error', errors });
+      continue;
+    }
+
+    const code = data.code === undefined ? '' : String(data.code).trim();
+    let parent = null;
+    let added = false;
+    let rowErrors = null;
+    try {
+      for (const [index, level] of path.entries()) {
+        const result = await findOrCreate(level, parent, index === path.length - 1 ? code : '');
+        if (result.error) {
+          rowErrors = result.error;
+          break;
+        }
+        added = added || result.isNew;
+        parent = result.location;
+      }
+    } catch (error) {
+      // The code of a new location is already used
+      if (error.code !== 11000) {
+        throw error;
+      }
+      rowErrors = { code: 'Code is already used by another location' };
+    }
+    if (rowErrors) {
+      results.push({ row, status: 'error', errors: rowErrors });
+      continue;
+    }
+
+    results.push({
+      row,
+      status: added ? (dryRun ? 'valid' : 'created') : 'exists',
+      locationId: parent._id
+    });
+  }
+
+  return { created, rows: results };
+};
+
+// Collections that keep a copy of their village's name, and whether they also
+// store its villageId
+const VILLAGE_COPIES = [
+  { model: Patient, label: 'patients', withId: true },
+  { model: Household, label: 'households', withId: true },
+  { model: Child, label: 'children', withId: true },
+  { model: Pregnancy, label: 'pregnancies', withId: false },
+  { model: OutbreakAlert, label: 'alerts', withId: false }
+];
+
+// Move records with free-text village names from before the master data onto
+// their village: the name becomes the location's name and records that keep a
+// villageId get it. User scopes are renamed the same way. aliases maps a
+// misspelt name to the village's name, e.g. { Raampur: 'Rampur' }; other names
+// are looked up like a typed village, ignoring case and surrounding spaces.
+// Records already linked to a village are left alone, so it can be run again.
+// With dryRun nothing is saved. Returns { updated: { patients, ... },
+// unmatched: [{ name, error, records }] }.
+const migrateVillageNames = async ({ aliases = {}, dryRun = false } = {}) => {
+  const aliasFor = new Map(Object.entries(aliases).map(([name, village]) => [name.trim().toLowerCase(), village]));
+  const resolved = new Map();
+  const unmatched = new Map();
+
+  // The village a legacy name stands for, or null (noting why) when there is none
+  const villageFor = async (name) => {
+    if (!resolved.has(name)) {
+      const village = aliasFor.get(name.trim().toLowerCase()) || name;
+      const { location, error } = village.trim()
+        ? await resolveVillage({ village })
+        : { error: 'The village name is empty' };
+      resolved.set(name, location || null);
+      if (error) {
+        unmatched.set(name, { name, error, records: 0 });
+      }
+    }
+    return resolved.get(name);
+  };
+
+  const updated = { users: 0 };
+  for (const { model, label, withId } of VILLAGE_COPIES) {
+    updated[label] = 0;
+    const legacy = withId ? { villageId: null } : {};
+    for (const name of await model.distinct('village', legacy)) {
+      const location = await villageFor(name);
+      const filter = { ...legacy, village: name };
+      if (!location) {
+        unmatched.get(name).records += await model.countDocuments(filter);
+        continue;
+      }
+
+      const fields = withId ? { village: location.name, villageId: location._id } : { village: location.name };
+      if (!withId && name === location.name) {
+        continue;
+      }
+      if (dryRun) {
+        updated[label] += await model.countDocuments(filter);
+        continue;
+      }
+      if (model === OutbreakAlert) {
+        // A week's alert may already exist under the village's name; keep both
+        // rather than fail on the unique index
+        for (const alert of await model.find(filter)) {
+          try {
+            await model.updateOne({ _id: alert._id }, { $set: fields });
+            updated[label] += 1;
+          } catch (error) {
+            if (error.code !== 11000) {
+              throw error;
+            }
+          }
+        }
+        continue;
+      }
+      const { modifiedCount } = await model.updateMany(filter, { $set: fields });
+      updated[label] += modifiedCount;
+    }
+  }
+
+  for (const user of await User.find({ 'assignedVillages.0': { $exists: true } })) {
+    const villages = [];
+    for (const name of user.assignedVillages) {
+      const location = await villageFor(name);
+      if (!location) {
+        unmatched.get(name).records += 1;
+      }
+      villages.push(location ? location.name : name);
+    }
+    const renamed = [...new Set(villages)];
+    if (renamed.join('|') === user.assignedVillages.join('|')) {
+      continue;
+    }
+    updated.users += 1;
+    if (!dryRun) {
+      user.assignedVillages = renamed;
+      await user.save();
+    }
+  }
+
+  return { updated, unmatched: [...unmatched.values()] };
+};
+
+module.exports = {
+  LOCATION_COLUMNS,
+  resolveVillage,
+  villageIdsWithin,
+  withHierarchy,
+  importLocations,
+  migrateVillageNames
+};
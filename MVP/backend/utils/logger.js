@@ -0,0 +1,87 @@
+// Structured JSON logger. One line per entry on stdout (stderr for errors):
+// { time, level, msg, requestId?, ...fields }. Patient fields and credentials
+// are replaced with "[REDACTED]" wherever they appear in the logged fields.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names that are never written to the log, at any depth
+const DEFAULT_REDACT_FIELDS = [
+  // Credentials
+  'password', 'passwordHash', 'token', 'refreshToken', 'authorization', 'username',
+  // Patient details
+  'name', 'age', 'gender', 'phone', 'healthIssue', 'complaint', 'notes', 'vitals',
+  'followUpReason', 'headName', 'patientName', 'dateOfBirth', 'lmp', 'riskFlags',
+  'abhaNumber', 'abhaAddress'
+];
+
+const REDACTED = '[REDACTED]';
+
+const getLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// LOG_REDACT_FIELDS adds comma-separated field names to the defaults
+const getRedactFields = () => new Set([
+  ...DEFAULT_REDACT_FIELDS,
+  ...(process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+].map(field => field.toLowerCase()));
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status,
+  stack: error.stack
+});
+
+const redact = (value, redactFields, depth = 0) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, redactFields, depth + 1));
+  }
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString(); // ObjectId
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redactFields.has(key.toLowerCase()) ? REDACTED : redact(item, redactFields, depth + 1)
+  ]));
+};
+
+const write = (level, bindings, msg, fields = {}) => {
+  if (LEVELS[level] < getLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact({ ...bindings, ...fields }, getRedactFields())
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.error) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+// Loggers carry bound fields (e.g. the request id) into every entry
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+});
+
+module.exports = createLogger();
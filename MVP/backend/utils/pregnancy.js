@@ -0,0 +1,80 @@
+// Maternal health schedule rules (MoHFW ANC/PNC guidelines)
+
+const { HIGH_RISK_FLAGS } = require('../../shared/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280; // Naegele's rule: EDD = LMP + 280 days
+
+// Recommended window for each of the four ANC checkups, in weeks since LMP
+const ANC_WINDOWS = [
+  { number: 1, fromWeek: 0, toWeek: 12 },
+  { number: 2, fromWeek: 14, toWeek: 26 },
+  { number: 3, fromWeek: 28, toWeek: 34 },
+  { number: 4, fromWeek: 36, toWeek: 40 }
+];
+
+// Home-based postnatal care visits, in days after delivery
+const PNC_DAYS = [1, 3, 7, 14, 21, 28, 42];
+
+// Thresholds used to raise high-risk flags automatically from checkup readings
+const HIGH_RISK_RULES = {
+  minAge: 18,
+  maxAge: 35,
+  systolic: 140,
+  diastolic: 90,
+  severeAnaemiaHb: 7
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const computeEdd = (lmp) => addDays(lmp, PREGNANCY_DAYS);
+
+const gestationalWeeks = (lmp, on = new Date()) => Math.floor((new Date(on) - new Date(lmp)) / (7 * DAY_MS));
+
+const buildAncSchedule = (lmp) => ANC_WINDOWS.map(({ number, fromWeek, toWeek }) => ({
+  number,
+  windowStart: addDays(lmp, fromWeek * 7),
+  dueDate: addDays(lmp, toWeek * 7)
+}));
+
+const buildPncSchedule = (deliveryDate) => PNC_DAYS.map(day => ({
+  day,
+  dueDate: addDays(deliveryDate, day)
+}));
+
+// Flags implied by the mother's age, history and recorded checkups
+const deriveRiskFlags = ({ age, parity, ancCheckups = [] }) => {
+  const flags = [];
+
+  if (age < HIGH_RISK_RULES.minAge) {
+    flags.push('age_below_18');
+  }
+  if (age > HIGH_RISK_RULES.maxAge) {
+    flags.push('age_above_35');
+  }
+  if (parity >= 4) {
+    flags.push('grand_multipara');
+  }
+
+  const readings = ancCheckups.filter(checkup => checkup.completedDate);
+  if (readings.some(checkup => checkup.systolic >= HIGH_RISK_RULES.systolic ||
+    checkup.diastolic >= HIGH_RISK_RULES.diastolic)) {
+    flags.push('hypertension');
+  }
+  if (readings.some(checkup => checkup.hb && checkup.hb < HIGH_RISK_RULES.severeAnaemiaHb)) {
+    flags.push('severe_anaemia');
+  }
+
+  return flags;
+};
+
+module.exports = {
+  ANC_WINDOWS,
+  PNC_DAYS,
+  HIGH_RISK_FLAGS,
+  computeEdd,
+  gestationalWeeks,
+  buildAncSchedule,
+  buildPncSchedule,
+  deriveRiskFlags
+};
@@ -0,0 +1,153 @@
+// Helpers shared by list endpoints: search text, dates and cursor pagination
+
+const mongoose = require('mongoose');
+
+const { parseDateValue } = require('../../shared/validation');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A date or ISO timestamp query parameter, or null when it is malformed or
+// not on the calendar (2024-02-30 is not rolled over to March)
+const parseDate = (value) => parseDateValue(value);
+
+// Express parses `?q=a&q=b` and `?q[x]=1` into arrays and objects. Search
+// parameters are single text values; returns an error message for the first
+// of `names` that is not, or null.
+const textParamError = (query, names) => {
+  const name = names.find(key => query[key] !== undefined && typeof query[key] !== 'string');
+  return name ? `${name} must be given once, as text` : null;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Cursors are opaque to clients: base64 of the last item's sort key
+const encodeCursor = (doc) => Buffer.from(JSON.stringify({
+  createdAt: doc.createdAt.toISOString(),
+  id: String(doc._id)
+})).toString('base64');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id)) {
+      return null;
+    }
+    return { createdAt: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const pageSizeOf = (limit) => Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+// conditions plus the position of the cursor, when there is one
+const pageConditionsOf = (conditions, cursor) => {
+  if (!cursor) {
+    return conditions;
+  }
+  const position = decodeCursor(cursor);
+  if (!position) {
+    throw badRequest('Invalid cursor');
+  }
+  return [
+    ...conditions,
+    {
+      $or: [
+        { createdAt: { $lt: position.createdAt } },
+        { createdAt: position.createdAt, _id: { $lt: position.id } }
+      ]
+    }
+  ];
+};
+
+// Page through Model newest first. conditions is a list of Mongo filters that are
+// ANDed together; total counts every match, not just this page.
+const paginate = async (Model, conditions, { limit, cursor, populate } = {}) => {
+  const pageSize = pageSizeOf(limit);
+
+  let query = Model.find({ $and: pageConditionsOf(conditions, cursor) })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1); // One extra record tells us whether another page exists
+  if (populate) {
+    query = query.populate(populate);
+  }
+
+  const [results, total] = await Promise.all([
+    query,
+    Model.countDocuments({ $and: conditions })
+  ]);
+
+  const hasMore = results.length > pageSize;
+  const items = hasMore ? results.slice(0, pageSize) : results;
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+};
+
+// Aggregation stages are not cast by mongoose, so ids given as text are cast
+// with Model's schema first
+const castMatch = (Model, conditions) => (
+  conditions.length > 0 ? new mongoose.Query().cast(Model, { $and: conditions }) : {}
+);
+
+// paginate, keeping only records whose referenced document matches join:
+// { model, localField, conditions }. The match is a $lookup, so a scope that
+// covers many referenced documents is never sent as a list of their ids.
+const paginateJoined = async (Model, conditions, { limit, cursor, populate, join }) => {
+  const pageSize = pageSizeOf(limit);
+  const joinStages = [
+    {
+      $lookup: {
+        from: join.model.collection.name,
+        localField: join.localField,
+        foreignField: '_id',
+        pipeline: [{ $match: castMatch(join.model, join.conditions) }, { $project: { _id: 1 } }],
+        as: '_joined'
+      }
+    },
+    { $match: { '_joined.0': { $exists: true } } }
+  ];
+
+  const [results, counts] = await Promise.all([
+    Model.aggregate([
+      { $match: castMatch(Model, pageConditionsOf(conditions, cursor)) },
+      { $sort: { createdAt: -1, _id: -1 } },
+      ...joinStages,
+      { $limit: pageSize + 1 }, // One extra record tells us whether another page exists
+      { $project: { _joined: 0 } }
+    ]),
+    Model.aggregate([{ $match: castMatch(Model, conditions) }, ...joinStages, { $count: 'total' }])
+  ]);
+
+  const hasMore = results.length > pageSize;
+  const items = (hasMore ? results.slice(0, pageSize) : results).map(doc => Model.hydrate(doc));
+  if (populate) {
+    await Model.populate(items, populate);
+  }
+
+  return {
+    items,
+    total: counts[0]?.total || 0,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  parseDate,
+  textParamError,
+  badRequest,
+  paginate,
+  paginateJoined
+};
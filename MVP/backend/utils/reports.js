@@ -0,0 +1,214 @@
+// Aggregation pipelines behind the /reports dashboard. Each report takes the
+// $match conditions of the caller's scope and filters (see routes/reports.js)
+// and returns plain counts; no patient names leave these pipelines.
+
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Five-year age bands up to 80+, the grouping used in NHM population pyramids
+const AGE_BOUNDARIES = [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 151];
+
+// Report days, weeks and months start at midnight in this timezone
+const getTimezone = () => process.env.REPORT_TIMEZONE || DEFAULT_TIMEZONE;
+
+// Difference between the wall clock in timeZone and UTC at date, in ms
+const zoneOffset = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+};
+
+// Midnight in timeZone at the start of a calendar day; days past the end of
+// the month roll over, so day + 1 gives the next midnight
+const startOfZoneDay = (year, monthIndex, day, timeZone = getTimezone()) => {
+  const wallClock = Date.UTC(year, monthIndex, day);
+  return new Date(wallClock - zoneOffset(new Date(wallClock), timeZone));
+};
+
+// Midnight in timeZone starting the day that date falls on there
+const startOfDay = (date, timeZone = getTimezone()) => {
+  const local = new Date(date.getTime() + zoneOffset(date, timeZone));
+  return startOfZoneDay(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), timeZone);
+};
+
+const ageBandLabel = (lower, upper) => (upper > 150 ? `${lower}+` : `${lower}-${upper - 1}`);
+
+const matchStage = (conditions) => ({ $match: conditions.length > 0 ? { $and: conditions } : {} });
+
+// Days for a short range, weeks up to about six months, months beyond that
+const defaultInterval = (from, to) => {
+  if (!from) {
+    return 'month';
+  }
+  const days = ((to || new Date()) - from) / DAY_MS;
+  if (days <= 31) {
+    return 'day';
+  }
+  return days <= 183 ? 'week' : 'month';
+};
+
+// Registrations per day, week (from Monday) or month, oldest first. Periods
+// without registrations are left out.
+const registrationsOverTime = async (conditions, { interval }) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: '$createdAt', unit: interval, timezone: getTimezone(), startOfWeek: 'monday' }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({ period: row._id, count: row.count }));
+};
+
+// Patients registered by each worker, most first
+const patientsPerWorker = async (conditions, { limit }) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    { $group: { _id: '$registeredBy', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'worker' } },
+    { $project: { count: 1, worker: { $arrayElemAt: ['$worker', 0] } } }
+  ]);
+
+  return rows.map(row => ({
+    workerId: row._id,
+    name: row.worker ? row.worker.name : 'Unknown',
+    role: row.worker ? row.worker.role : null,
+    count: row.count
+  }));
+};
+
+// Most common health issues, most first. Issues are free text, so they are
+// counted without case or surrounding spaces and labelled as first written.
+const topHealthIssues = async (conditions, { limit }) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$healthIssue' } } },
+        label: { $first: { $trim: { input: '$healthIssue' } } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({ healthIssue: row.label, count: row.count }));
+};
+
+// Patients whose next follow-up date is before today, in total and per
+// village with the oldest missed date. conditions must already limit
+// nextFollowUpDate to overdue dates.
+const overdueFollowUps = async (conditions) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    {
+      $group: {
+        _id: '$village',
+        count: { $sum: 1 },
+        oldestDueDate: { $min: '$nextFollowUpDate' }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    byVillage: rows.map(row => ({ village: row._id, count: row.count, oldestDueDate: row.oldestDueDate }))
+  };
+};
+
+// Patients by five-year age band and gender, youngest band first, with
+// every band present so the pyramid has no gaps
+const ageGenderPyramid = async (conditions) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    {
+      $bucket: {
+        groupBy: '$age',
+        boundaries: AGE_BOUNDARIES,
+        default: 'unknown',
+        output: {
+          male: { $sum: { $cond: [{ $eq: ['$gender', 'Male'] }, 1, 0] } },
+          female: { $sum: { $cond: [{ $eq: ['$gender', 'Female'] }, 1, 0] } },
+          other: { $sum: { $cond: [{ $eq: ['$gender', 'Other'] }, 1, 0] } }
+        }
+      }
+    }
+  ]);
+
+  const byLower = new Map(rows.map(row => [row._id, row]));
+  return AGE_BOUNDARIES.slice(0, -1).map((lower, index) => {
+    const row = byLower.get(lower);
+    return {
+      band: ageBandLabel(lower, AGE_BOUNDARIES[index + 1]),
+      male: row ? row.male : 0,
+      female: row ? row.female : 0,
+      other: row ? row.other : 0
+    };
+  });
+};
+
+// Patients per village by gender, most first
+const patientsPerVillage = async (conditions, { limit }) => {
+  const rows = await Patient.aggregate([
+    matchStage(conditions),
+    {
+      $group: {
+        _id: '$village',
+        count: { $sum: 1 },
+        male: { $sum: { $cond: [{ $eq: ['$gender', 'Male'] }, 1, 0] } },
+        female: { $sum: { $cond: [{ $eq: ['$gender', 'Female'] }, 1, 0] } },
+        other: { $sum: { $cond: [{ $eq: ['$gender', 'Other'] }, 1, 0] } }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    village: row._id,
+    count: row.count,
+    male: row.male,
+    female: row.female,
+    other: row.other
+  }));
+};
+
+module.exports = {
+  INTERVALS,
+  getTimezone,
+  zoneOffset,
+  startOfZoneDay,
+  startOfDay,
+  defaultInterval,
+  registrationsOverTime,
+  patientsPerWorker,
+  topHealthIssues,
+  overdueFollowUps,
+  ageGenderPyramid,
+  patientsPerVillage
+};
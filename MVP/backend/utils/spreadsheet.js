@@ -0,0 +1,140 @@
+// Reading uploaded CSV/XLSX files into rows and streaming rows out as CSV/XLSX
+
+const { once } = require('events');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// 'csv' or 'xlsx' from a file name, or null for anything else
+const spreadsheetFormat = (filename) => {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return FORMATS[extension] ? extension : null;
+};
+
+// Headers are matched loosely, so "Health Issue" and "healthissue" both read
+// as the healthIssue column
+const headerKey = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain value of an XLSX cell: formulas give their result, rich text and
+// hyperlinks their text. Dates stay Date objects.
+const cellValue = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+  if (value.richText) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if (value.text !== undefined) {
+    return value.text;
+  }
+  return value.result;
+};
+
+// Rows of an uploaded file (multer's req.file) as [{ row, data }], where row is
+// the line number in the sheet and data maps each known column to its value.
+// columns lists the accepted column names; other columns are ignored. CSV
+// values are left as text for the request schemas to parse.
+const readSpreadsheet = async (file, columns) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (spreadsheetFormat(file.originalname) === 'csv') {
+    worksheet = await workbook.csv.read(Readable.from([file.buffer]), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet || worksheet.rowCount === 0) {
+    return [];
+  }
+
+  const keys = Object.fromEntries(columns.map(column => [headerKey(column), column]));
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, index) => {
+    headers[index] = keys[headerKey(cellValue(cell.value))];
+  });
+
+  const rows = [];
+  worksheet.eachRow((sheetRow, row) => {
+    if (row === 1) {
+      return;
+    }
+    const data = {};
+    sheetRow.eachCell((cell, index) => {
+      const value = cellValue(cell.value);
+      if (headers[index] && value !== undefined && value !== '') {
+        data[headers[index]] = value;
+      }
+    });
+    if (Object.keys(data).length > 0) {
+      rows.push({ row, data });
+    }
+  });
+  return rows;
+};
+
+// Text of one exported value. Dates are written as ISO strings, and text that
+// a spreadsheet would run as a formula is prefixed with a quote.
+const exportValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  const text = String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+const csvCell = (value) => {
+  const text = exportValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stream records (any async iterable) to res as a download. columns is a list
+// of { header, value(record) }.
+const writeSpreadsheet = async (res, { format, filename, columns, records }) => {
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    const writeLine = async (values) => {
+      if (!res.write(`${values.map(csvCell).join(',')}\r\n`)) {
+        await once(res, 'drain');
+      }
+    };
+    await writeLine(columns.map(column => column.header));
+    for await (const record of records) {
+      await writeLine(columns.map(column => column.value(record)));
+    }
+    res.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet('Export');
+  worksheet.addRow(columns.map(column => column.header)).commit();
+  for await (const record of records) {
+    worksheet.addRow(columns.map(column => {
+      const value = column.value(record);
+      return value instanceof Date || typeof value === 'number' ? value : exportValue(value);
+    })).commit();
+  }
+  worksheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  spreadsheetFormat,
+  readSpreadsheet,
+  writeSpreadsheet
+};
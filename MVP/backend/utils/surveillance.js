@@ -0,0 +1,216 @@
+// Syndromic surveillance: weekly cases of each syndrome per village, compared
+// against the same village's preceding weeks to spot outbreaks early, in the
+// manner of the IDSP weekly S form
+
+const OutbreakAlert = require('../models/OutbreakAlert');
+const Patient = require('../models/Patient');
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const { getTimezone, zoneOffset } = require('./reports');
+const { SYNDROMES } = require('../../shared/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Fewest weekly cases in one village that can raise an alert. Syndromes that
+// need a response to a single case (AFP, fever with bleeding or altered
+// sensorium) alert on one.
+const DEFAULT_THRESHOLDS = {
+  fever: 5,
+  fever_rash: 2,
+  fever_bleeding: 1,
+  fever_altered_sensorium: 1,
+  cough: 5,
+  diarrhoea: 5,
+  bloody_diarrhoea: 3,
+  jaundice: 2,
+  acute_flaccid_paralysis: 1,
+  animal_bite: 3,
+  unusual_symptoms: 2
+};
+const DEFAULT_BASELINE_WEEKS = 4;
+const DEFAULT_SD_MULTIPLIER = 2;
+
+// SURVEILLANCE_THRESHOLDS=fever=5,diarrhoea=3,jaundice=2 picks the syndromes
+// the detector watches and their minimum weekly cases; the others are still
+// recorded but raise no alerts. SURVEILLANCE_BASELINE_WEEKS sets how many
+// preceding weeks make the baseline, SURVEILLANCE_SD_MULTIPLIER how many
+// standard deviations above its mean a week must be.
+const getSurveillanceConfig = () => {
+  let thresholds = { ...DEFAULT_THRESHOLDS };
+  if (process.env.SURVEILLANCE_THRESHOLDS) {
+    thresholds = {};
+    process.env.SURVEILLANCE_THRESHOLDS.split(',').forEach(pair => {
+      const [syndrome, value] = pair.split('=').map(part => part && part.trim());
+      const minCases = Number(value);
+      if (SYNDROMES.includes(syndrome) && Number.isInteger(minCases) && minCases >= 1) {
+        thresholds[syndrome] = minCases;
+      }
+    });
+  }
+
+  const baselineWeeks = parseInt(process.env.SURVEILLANCE_BASELINE_WEEKS);
+  const sdMultiplier = Number(process.env.SURVEILLANCE_SD_MULTIPLIER);
+  return {
+    thresholds,
+    baselineWeeks: baselineWeeks >= 1 ? baselineWeeks : DEFAULT_BASELINE_WEEKS,
+    sdMultiplier: process.env.SURVEILLANCE_SD_MULTIPLIER && sdMultiplier >= 0 ? sdMultiplier : DEFAULT_SD_MULTIPLIER
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Compare the last of a series of weekly counts (oldest first) with the weeks
+// before it. The week alerts when it reaches minCases and exceeds the
+// baseline mean by more than sdMultiplier standard deviations.
+// Returns { cases, baseline: { weeks, mean, sd }, threshold, alert }.
+const evaluateWeek = (counts, { minCases, sdMultiplier }) => {
+  const cases = counts[counts.length - 1];
+  const previous = counts.slice(0, -1);
+  const mean = previous.length > 0 ? previous.reduce((sum, count) => sum + count, 0) / previous.length : 0;
+  const variance = previous.length > 0
+    ? previous.reduce((sum, count) => sum + (count - mean) ** 2, 0) / previous.length
+    : 0;
+  const sd = Math.sqrt(variance);
+  const threshold = Math.max(minCases, Math.floor(mean + sdMultiplier * sd) + 1);
+
+  return {
+    cases,
+    baseline: { weeks: previous.length, mean: round(mean), sd: round(sd) },
+    threshold,
+    alert: cases >= threshold
+  };
+};
+
+// The alerts among weekly case series [{ village, syndrome, counts }] of the
+// syndromes config watches. Returns the series that alert with the result of
+// evaluateWeek.
+const detectOutbreaks = (series, config) => series
+  .filter(({ syndrome }) => config.thresholds[syndrome] !== undefined)
+  .map(item => ({
+    ...item,
+    ...evaluateWeek(item.counts, { minCases: config.thresholds[item.syndrome], sdMultiplier: config.sdMultiplier })
+  }))
+  .filter(result => result.alert);
+
+// Monday 00:00 in REPORT_TIMEZONE of the week date falls in
+const startOfWeek = (date, timeZone = getTimezone()) => {
+  const local = new Date(date.getTime() + zoneOffset(date, timeZone));
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  const wallClock = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday);
+  return new Date(wallClock - zoneOffset(new Date(wallClock), timeZone));
+};
+
+// Start of the week `weeks` weeks after (or before) weekStart; the noon shift
+// keeps a daylight saving change from landing in the wrong week
+const shiftWeeks = (weekStart, weeks) => startOfWeek(new Date(weekStart.getTime() + weeks * WEEK_MS + DAY_MS / 2));
+
+// Start of the last complete week, the one the weekly job checks
+const previousWeek = (now = new Date()) => shiftWeeks(startOfWeek(now), -1);
+
+// Weekly counts of patients with each watched syndrome per village, for the
+// week starting weekStart and the baseline weeks before it. A patient counts
+// once a week per syndrome, whether seen at registration or at a visit; cases
+// are dated by when they were seen, never by when the record was created.
+// Returns [{ village, syndrome, counts, patients }] for the village and
+// syndrome pairs with cases in the checked week; patients are that week's.
+const countWeeklyCases = async (weekStart, { thresholds, baselineWeeks }) => {
+  const starts = [];
+  for (let week = -baselineWeeks; week <= 0; week += 1) {
+    starts.push(shiftWeeks(weekStart, week));
+  }
+  const end = shiftWeeks(weekStart, 1);
+  const syndromes = Object.keys(thresholds);
+  const inWindow = { $gte: starts[0], $lt: end };
+
+  const [patients, visits] = await Promise.all([
+    Patient.find({ syndromes: { $in: syndromes }, syndromesSeenAt: inWindow, archived: { $ne: true } })
+      .select('village syndromes syndromesSeenAt').lean(),
+    Visit.find({ syndromes: { $in: syndromes }, visitDate: inWindow })
+      .select('patient syndromes visitDate')
+      .populate('patient', 'village archived').lean()
+  ]);
+
+  const cases = [
+    ...patients.map(patient => ({ patient: patient._id, village: patient.village, syndromes: patient.syndromes, date: patient.syndromesSeenAt })),
+    ...visits
+      .filter(visit => visit.patient && !visit.patient.archived)
+      .map(visit => ({ patient: visit.patient._id, village: visit.patient.village, syndromes: visit.syndromes, date: visit.visitDate }))
+  ];
+
+  // village|syndrome -> one set of patient ids per week, oldest first
+  const weekly = new Map();
+  cases.forEach(({ patient, village, syndromes: seen, date }) => {
+    const week = starts.filter(start => start <= date).length - 1;
+    seen.filter(syndrome => syndromes.includes(syndrome)).forEach(syndrome => {
+      const key = `${village}|${syndrome}`;
+      if (!weekly.has(key)) {
+        weekly.set(key, { village, syndrome, weeks: starts.map(() => new Set()) });
+      }
+      weekly.get(key).weeks[week].add(String(patient));
+    });
+  });
+
+  return [...weekly.values()]
+    .filter(({ weeks }) => weeks[baselineWeeks].size > 0)
+    .map(({ village, syndrome, weeks }) => ({
+      village,
+      syndrome,
+      counts: weeks.map(week => week.size),
+      patients: [...weeks[baselineWeeks]]
+    }));
+};
+
+// Active supervisors responsible for a village: those assigned to it and those
+// of the active workers who cover it
+const villageSupervisors = async (village) => {
+  const [assigned, ofWorkers] = await Promise.all([
+    User.find({ role: 'anm_supervisor', assignedVillages: village, active: true }).distinct('_id'),
+    User.find({ role: 'asha_worker', assignedVillages: village, active: true, supervisor: { $ne: null } }).distinct('supervisor')
+  ]);
+  const activeOfWorkers = ofWorkers.length > 0
+    ? await User.find({ _id: { $in: ofWorkers }, role: 'anm_supervisor', active: true }).distinct('_id')
+    : [];
+  return [...new Map([...assigned, ...activeOfWorkers].map(id => [String(id), id])).values()];
+};
+
+// Check the week starting weekStart and record an alert for every village and
+// syndrome over its threshold. An alert already raised for the week keeps its
+// status and gets the latest counts.
+// Returns { weekStart, weekEnd, alerts: [{ alert, created }] }.
+const runOutbreakDetection = async (weekStart, config = getSurveillanceConfig()) => {
+  const weekEnd = shiftWeeks(weekStart, 1);
+  const series = await countWeeklyCases(weekStart, config);
+  const detections = detectOutbreaks(series, config);
+
+  const alerts = [];
+  for (const detection of detections) {
+    const existing = await OutbreakAlert.findOne({ village: detection.village, syndrome: detection.syndrome, weekStart });
+    const alert = existing || new OutbreakAlert({ village: detection.village, syndrome: detection.syndrome, weekStart });
+    alert.set({
+      weekEnd,
+      cases: detection.cases,
+      patients: detection.patients,
+      baseline: detection.baseline,
+      threshold: detection.threshold,
+      supervisors: await villageSupervisors(detection.village)
+    });
+    await alert.save();
+    alerts.push({ alert, created: !existing });
+  }
+
+  return { weekStart, weekEnd, alerts };
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getSurveillanceConfig,
+  evaluateWeek,
+  detectOutbreaks,
+  startOfWeek,
+  shiftWeeks,
+  previousWeek,
+  countWeeklyCases,
+  villageSupervisors,
+  runOutbreakDetection
+};
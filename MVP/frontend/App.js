@@ -4,9 +4,24 @@ import { createStackNavigator } from '@react-navigation/stack';
 import { StatusBar } from 'expo-status-bar';
 
 import LoginScreen from './screens/LoginScreen';
+import SetPinScreen from './screens/SetPinScreen';
 import PatientListScreen from './screens/PatientListScreen';
 import AddPatientScreen from './screens/AddPatientScreen';
+import PatientDetailScreen from './screens/PatientDetailScreen';
+import PatientHistoryScreen from './screens/PatientHistoryScreen';
+import AddVisitScreen from './screens/AddVisitScreen';
+import RegisterPregnancyScreen from './screens/RegisterPregnancyScreen';
+import PregnancyDetailScreen from './screens/PregnancyDetailScreen';
+import RecordDeliveryScreen from './screens/RecordDeliveryScreen';
+import RegisterChildScreen from './screens/RegisterChildScreen';
+import ImmunizationCardScreen from './screens/ImmunizationCardScreen';
+import DashboardScreen from './screens/DashboardScreen';
+import ActivityReportsScreen from './screens/ActivityReportsScreen';
+import ActivityReportScreen from './screens/ActivityReportScreen';
+import AlertsScreen from './screens/AlertsScreen';
+import OutbreakAlertScreen from './screens/OutbreakAlertScreen';
 import NotificationService from './services/notificationService';
+import { navigationRef, flushPendingNavigation } from './services/navigation';
 
 const Stack = createStackNavigator();
 
@@ -31,7 +46,7 @@ export default function App() {
   }, []);
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef} onReady={flushPendingNavigation}>
       <StatusBar style="auto" />
       <Stack.Navigator
         initialRouteName="Login"
@@ -48,7 +63,13 @@ export default function App() {
         <Stack.Screen 
           name="Login" 
           component={LoginScreen} 
-          options={{ headerShown: false }}
+          // No swipe-back past a re-login prompt
+          options={{ headerShown: false, gestureEnabled: false }}
+        />
+        <Stack.Screen 
+          name="SetPin" 
+          component={SetPinScreen} 
+          options={{ headerShown: false, gestureEnabled: false }}
         />
         <Stack.Screen 
           name="PatientList" 
@@ -63,6 +84,71 @@ export default function App() {
           component={AddPatientScreen} 
           options={{ title: 'Add Patient' }}
         />
+        <Stack.Screen 
+          name="PatientDetail" 
+          component={PatientDetailScreen} 
+          options={{ title: 'Patient Details' }}
+        />
+        <Stack.Screen 
+          name="PatientHistory" 
+          component={PatientHistoryScreen} 
+          options={{ title: 'Record History' }}
+        />
+        <Stack.Screen 
+          name="AddVisit" 
+          component={AddVisitScreen} 
+          options={{ title: 'Record Visit' }}
+        />
+        <Stack.Screen 
+          name="RegisterPregnancy" 
+          component={RegisterPregnancyScreen} 
+          options={{ title: 'Register Pregnancy' }}
+        />
+        <Stack.Screen 
+          name="PregnancyDetail" 
+          component={PregnancyDetailScreen} 
+          options={{ title: 'Maternal Care' }}
+        />
+        <Stack.Screen 
+          name="RecordDelivery" 
+          component={RecordDeliveryScreen} 
+          options={{ title: 'Record Delivery' }}
+        />
+        <Stack.Screen 
+          name="RegisterChild" 
+          component={RegisterChildScreen} 
+          options={{ title: 'Register Child' }}
+        />
+        <Stack.Screen 
+          name="ImmunizationCard" 
+          component={ImmunizationCardScreen} 
+          options={{ title: 'Immunization Card' }}
+        />
+        <Stack.Screen 
+          name="Dashboard" 
+          component={DashboardScreen} 
+          options={{ title: 'Dashboard' }}
+        />
+        <Stack.Screen 
+          name="ActivityReports" 
+          component={ActivityReportsScreen} 
+          options={{ title: 'Activity Reports' }}
+        />
+        <Stack.Screen 
+          name="ActivityReport" 
+          component={ActivityReportScreen} 
+          options={{ title: 'Activity Report' }}
+        />
+        <Stack.Screen 
+          name="Alerts" 
+          component={AlertsScreen} 
+          options={{ title: 'Outbreak Alerts' }}
+        />
+        <Stack.Screen 
+          name="OutbreakAlert" 
+          component={OutbreakAlertScreen} 
+          options={{ title: 'Outbreak Alert' }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,6 @@
+const crypto = require('crypto');
+
+module.exports = {
+  getRandomBytes: (length) => new Uint8Array(crypto.randomBytes(length)),
+  randomUUID: () => crypto.randomUUID(),
+};
@@ -0,0 +1,15 @@
+// In-memory stand-in for the OS keystore. `__items` holds what was stored,
+// and the mocks record the options each call was made with.
+const items = new Map();
+
+module.exports = {
+  __items: items,
+  WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY',
+  getItemAsync: jest.fn(async (key) => (items.has(key) ? items.get(key) : null)),
+  setItemAsync: jest.fn(async (key, value) => {
+    items.set(key, value);
+  }),
+  deleteItemAsync: jest.fn(async (key) => {
+    items.delete(key);
+  }),
+};
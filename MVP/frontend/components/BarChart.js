@@ -0,0 +1,63 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Horizontal bar chart drawn with plain views: one row per item with its
+// label, a bar scaled to the largest value and the value itself.
+// items: [{ key, label, value }]
+const BarChart = ({ items, color = '#007AFF', emptyText = 'No data' }) => {
+  if (!items || items.length === 0) {
+    return <Text style={styles.emptyText}>{emptyText}</Text>;
+  }
+
+  const max = Math.max(...items.map(item => item.value), 1);
+
+  return (
+    <View>
+      {items.map(item => (
+        <View key={item.key} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{item.label}</Text>
+          <View style={styles.track}>
+            <View style={[styles.bar, { width: `${(item.value / max) * 100}%`, backgroundColor: color }]} />
+          </View>
+          <Text style={styles.value}>{item.value}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  label: {
+    width: 100,
+    fontSize: 13,
+    color: '#333',
+  },
+  track: {
+    flex: 1,
+    height: 14,
+    marginHorizontal: 8,
+  },
+  bar: {
+    height: 14,
+    borderRadius: 3,
+    minWidth: 2,
+  },
+  value: {
+    width: 40,
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'right',
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 14,
+    paddingVertical: 8,
+  },
+});
+
+export default BarChart;
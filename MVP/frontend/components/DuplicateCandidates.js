@@ -0,0 +1,184 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+
+// Modal listing existing patients that look like the one being registered
+// (the server's 409 duplicate candidates). The worker either picks one with
+// onSelect or confirms a new person with onConfirmNew.
+const DuplicateCandidates = ({ visible, candidates, saving, onSelect, onConfirmNew, onClose }) => {
+  const renderCandidate = ({ item }) => (
+    <TouchableOpacity
+      style={styles.candidateRow}
+      onPress={() => onSelect(item)}
+      disabled={saving}
+    >
+      <View style={styles.candidateHeader}>
+        <Text style={styles.candidateName}>{item.name}</Text>
+        <Text style={styles.matchBadge}>{Math.round(item.score * 100)}% match</Text>
+      </View>
+      <Text style={styles.candidateMeta}>
+        {item.age} years • {item.gender} • {item.village}
+      </Text>
+      <Text style={styles.candidateMeta}>{item.healthIssue}</Text>
+      <Text style={styles.candidateDate}>
+        Registered {new Date(item.createdAt).toLocaleDateString()}
+      </Text>
+      <Text style={styles.linkText}>Use this patient</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Possible Duplicates</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton} disabled={saving}>
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.content}>
+            <Text style={styles.hint}>
+              These patients are already registered with a similar name, age and village.
+              If one of them is this person, open their record instead of adding a new one.
+            </Text>
+
+            <FlatList
+              data={candidates || []}
+              renderItem={renderCandidate}
+              keyExtractor={(item) => item._id}
+              style={styles.list}
+            />
+
+            <TouchableOpacity
+              style={[styles.button, saving && styles.buttonDisabled]}
+              onPress={onConfirmNew}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.buttonText}>This is a new person</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    minHeight: '60%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  list: {
+    flex: 1,
+  },
+  candidateRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  candidateHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  candidateName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+  },
+  matchBadge: {
+    fontSize: 12,
+    color: '#FF9500',
+    fontWeight: '600',
+  },
+  candidateMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  candidateDate: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 6,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default DuplicateCandidates;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+// Message shown under a form input, from the shared request schemas or the
+// server's field errors. Renders nothing when the field is valid.
+const FieldError = ({ message }) => (message ? <Text style={styles.error}>{message}</Text> : null);
+
+const styles = StyleSheet.create({
+  error: {
+    color: '#FF3B30',
+    fontSize: 13,
+    marginTop: 4,
+  },
+});
+
+export default FieldError;
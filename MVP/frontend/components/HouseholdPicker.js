@@ -0,0 +1,411 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  Switch,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import ApiService from '../services/api';
+import FieldError from './FieldError';
+import VillagePicker from './VillagePicker';
+import { validate } from '../../shared/validation';
+import { RATION_CARD_TYPES, schemas } from '../../shared/schemas';
+
+const emptyHousehold = (village, villageId) => ({
+  headName: '',
+  address: '',
+  landmark: '',
+  village: village || '',
+  villageId: villageId,
+  isBPL: false,
+  rationCardType: 'None',
+  rationCardNumber: '',
+});
+
+// Modal for choosing an existing household in a village or creating a new one.
+// Calls onSelect with the chosen household.
+const HouseholdPicker = ({ visible, village, villageId, onSelect, onClose }) => {
+  const [mode, setMode] = useState('search');
+  const [searchText, setSearchText] = useState('');
+  const [households, setHouseholds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [newHousehold, setNewHousehold] = useState(emptyHousehold(village));
+  const [errors, setErrors] = useState({});
+  const [showVillagePicker, setShowVillagePicker] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setMode('search');
+    setNewHousehold(emptyHousehold(village, villageId));
+    setErrors({});
+  }, [visible, village, villageId]);
+
+  useEffect(() => {
+    if (!visible || mode !== 'search') {
+      return;
+    }
+    const timeoutId = setTimeout(fetchHouseholds, 400);
+    return () => clearTimeout(timeoutId);
+  }, [visible, mode, searchText, village]);
+
+  const fetchHouseholds = async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getHouseholds({
+        q: searchText.trim(),
+        village: village?.trim(),
+        limit: 50,
+      });
+      setHouseholds(response.households || []);
+    } catch (error) {
+      console.warn('Failed to load households:', error);
+      setHouseholds([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setNewHousehold(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleVillageSelect = (selected) => {
+    setNewHousehold(prev => ({
+      ...prev,
+      village: selected.name,
+      villageId: selected._id,
+    }));
+    setErrors(prev => ({ ...prev, village: undefined }));
+    setShowVillagePicker(false);
+  };
+
+  const handleCreate = async () => {
+    const { errors: formErrors } = validate(schemas.household, newHousehold);
+    setErrors(formErrors || {});
+    if (formErrors) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await ApiService.createHousehold(newHousehold);
+      if (response.success) {
+        onSelect(response.household);
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to create household');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderHousehold = ({ item }) => (
+    <TouchableOpacity style={styles.householdRow} onPress={() => onSelect(item)}>
+      <Text style={styles.householdName}>{item.headName}</Text>
+      <Text style={styles.householdMeta}>
+        {[item.landmark || item.address, item.village].filter(Boolean).join(' • ')}
+        {' • '}{item.members?.length || 0} members
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>
+              {mode === 'search' ? 'Select Household' : 'New Household'}
+            </Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {mode === 'search' ? (
+            <View style={styles.content}>
+              <TextInput
+                style={styles.input}
+                placeholder="Search by head of household"
+                value={searchText}
+                onChangeText={setSearchText}
+                autoCorrect={false}
+              />
+              {!village?.trim() && (
+                <Text style={styles.hint}>Select the village first to narrow the list.</Text>
+              )}
+
+              {loading ? (
+                <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />
+              ) : (
+                <FlatList
+                  data={households}
+                  renderItem={renderHousehold}
+                  keyExtractor={(item) => item._id}
+                  style={styles.list}
+                  ListEmptyComponent={
+                    <Text style={styles.emptyText}>No households found</Text>
+                  }
+                />
+              )}
+
+              <TouchableOpacity style={styles.button} onPress={() => setMode('create')}>
+                <Text style={styles.buttonText}>+ Create New Household</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.content}>
+              <TextInput
+                style={[styles.input, errors.headName && styles.inputError]}
+                placeholder="Head of household name *"
+                value={newHousehold.headName}
+                onChangeText={(value) => updateField('headName', value)}
+              />
+              <FieldError message={errors.headName} />
+              <TouchableOpacity
+                style={[styles.input, errors.village && styles.inputError]}
+                onPress={() => setShowVillagePicker(true)}
+              >
+                <Text style={newHousehold.village ? styles.inputText : styles.placeholderText}>
+                  {newHousehold.village || 'Village *'}
+                </Text>
+              </TouchableOpacity>
+              <FieldError message={errors.village} />
+              <TextInput
+                style={styles.input}
+                placeholder="Address"
+                value={newHousehold.address}
+                onChangeText={(value) => updateField('address', value)}
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="Landmark"
+                value={newHousehold.landmark}
+                onChangeText={(value) => updateField('landmark', value)}
+              />
+
+              <View style={styles.switchRow}>
+                <Text style={styles.label}>Below Poverty Line (BPL)</Text>
+                <Switch
+                  value={newHousehold.isBPL}
+                  onValueChange={(value) => updateField('isBPL', value)}
+                />
+              </View>
+
+              <Text style={styles.label}>Ration Card</Text>
+              <View style={styles.pickerContainer}>
+                <Picker
+                  selectedValue={newHousehold.rationCardType}
+                  onValueChange={(value) => updateField('rationCardType', value)}
+                >
+                  {RATION_CARD_TYPES.map(type => (
+                    <Picker.Item key={type} label={type} value={type} />
+                  ))}
+                </Picker>
+              </View>
+              {newHousehold.rationCardType !== 'None' && (
+                <TextInput
+                  style={styles.input}
+                  placeholder="Ration card number"
+                  value={newHousehold.rationCardNumber}
+                  onChangeText={(value) => updateField('rationCardNumber', value)}
+                />
+              )}
+
+              <View style={styles.actions}>
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton]}
+                  onPress={() => setMode('search')}
+                  disabled={saving}
+                >
+                  <Text style={styles.secondaryButtonText}>Back</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.actionButton, saving && styles.buttonDisabled]}
+                  onPress={handleCreate}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="white" />
+                  ) : (
+                    <Text style={styles.buttonText}>Create</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+        </View>
+      </View>
+
+      <VillagePicker
+        visible={showVillagePicker}
+        onSelect={handleVillageSelect}
+        onClose={() => setShowVillagePicker(false)}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    minHeight: '60%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 15,
+    marginBottom: 10,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  inputText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  placeholderText: {
+    fontSize: 15,
+    color: '#999',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 10,
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  list: {
+    flex: 1,
+  },
+  householdRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  householdName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  householdMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginVertical: 20,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  actionButton: {
+    flex: 1,
+  },
+  secondaryButton: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default HouseholdPicker;
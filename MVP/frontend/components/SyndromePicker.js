@@ -0,0 +1,75 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { SYNDROMES } from '../../shared/schemas';
+
+// Wording of the IDSP S form syndromes, as the worker reads them
+export const SYNDROME_LABELS = {
+  fever: 'Fever',
+  fever_rash: 'Fever with rash',
+  fever_bleeding: 'Fever with bleeding',
+  fever_altered_sensorium: 'Fever with confusion / fits',
+  cough: 'Cough over 2 weeks',
+  diarrhoea: 'Loose watery stools',
+  bloody_diarrhoea: 'Blood in stools',
+  jaundice: 'Jaundice',
+  acute_flaccid_paralysis: 'Sudden weakness of limbs (AFP)',
+  animal_bite: 'Dog / animal bite',
+  unusual_symptoms: 'Unusual symptoms',
+};
+
+// Multi-select chips for the surveillance syndromes of a registration or visit.
+// selected is a list of syndrome codes; onChange receives the new list.
+const SyndromePicker = ({ selected, onChange, disabled }) => {
+  const toggle = (syndrome) => {
+    onChange(selected.includes(syndrome)
+      ? selected.filter(item => item !== syndrome)
+      : [...selected, syndrome]);
+  };
+
+  return (
+    <View style={styles.chips}>
+      {SYNDROMES.map(syndrome => (
+        <TouchableOpacity
+          key={syndrome}
+          style={[styles.chip, selected.includes(syndrome) && styles.chipActive]}
+          onPress={() => toggle(syndrome)}
+          disabled={disabled}
+        >
+          <Text style={[styles.chipText, selected.includes(syndrome) && styles.chipTextActive]}>
+            {SYNDROME_LABELS[syndrome]}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+});
+
+export default SyndromePicker;
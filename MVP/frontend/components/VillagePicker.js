@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+
+// Sub-centre and PHC of a village, to tell villages with the same name apart
+const villageMeta = (village) => [village.subCentre, village.phc].filter(Boolean).join(' • ');
+
+// Modal for choosing one of the worker's villages from the location master
+// data. Calls onSelect with the chosen village ({ _id, name, subCentre, ... }).
+const VillagePicker = ({ visible, onSelect, onClose }) => {
+  const [searchText, setSearchText] = useState('');
+  const [villages, setVillages] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setSearchText('');
+    fetchVillages();
+  }, [visible]);
+
+  // A worker has only a few villages, so the whole list is loaded (and kept
+  // for offline use) and searched on the device
+  const fetchVillages = async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getVillages();
+      setVillages(response.villages || []);
+    } catch (error) {
+      console.warn('Failed to load villages:', error);
+      setVillages([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const search = searchText.trim().toLowerCase();
+  const matches = search
+    ? villages.filter(village => (
+      village.name.toLowerCase().includes(search) || villageMeta(village).toLowerCase().includes(search)
+    ))
+    : villages;
+
+  const renderVillage = ({ item }) => (
+    <TouchableOpacity style={styles.villageRow} onPress={() => onSelect(item)}>
+      <Text style={styles.villageName}>{item.name}</Text>
+      {!!villageMeta(item) && (
+        <Text style={styles.villageMeta}>{villageMeta(item)}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Select Village</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.content}>
+            <TextInput
+              style={styles.input}
+              placeholder="Search villages"
+              value={searchText}
+              onChangeText={setSearchText}
+              autoCorrect={false}
+            />
+
+            {loading ? (
+              <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />
+            ) : (
+              <FlatList
+                data={matches}
+                renderItem={renderVillage}
+                keyExtractor={(item) => item._id}
+                style={styles.list}
+                keyboardShouldPersistTaps="handled"
+                ListEmptyComponent={
+                  <Text style={styles.emptyText}>
+                    {villages.length === 0
+                      ? 'No villages are assigned to you. Ask your supervisor to assign your villages.'
+                      : 'No villages match your search'}
+                  </Text>
+                }
+              />
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    minHeight: '60%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 15,
+    marginBottom: 10,
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  list: {
+    flex: 1,
+  },
+  villageRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  villageName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  villageMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginVertical: 20,
+  },
+});
+
+export default VillagePicker;
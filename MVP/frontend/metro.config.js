@@ -0,0 +1,9 @@
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// The request schemas in ../shared are used by both the app and the backend
+config.watchFolders = [path.resolve(__dirname, '../shared')];
+
+module.exports = config;
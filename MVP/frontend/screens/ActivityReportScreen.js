@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+
+const STATUS_LABELS = {
+  draft: 'Draft - awaiting review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+const formatMonth = (month) => new Date(`${month}-15T00:00:00`)
+  .toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// One monthly activity report: the claim lines, the records behind them and
+// its review. Supervisors approve or reject drafts here; drafts and rejected
+// reports can be rebuilt from the latest records.
+const ActivityReportScreen = ({ route }) => {
+  const { reportId } = route.params;
+  const [report, setReport] = useState(null);
+  const [role, setRole] = useState(null);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchReport = async () => {
+    try {
+      const response = await ApiService.getActivityReport(reportId);
+      if (response.success) {
+        setReport(response.report);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the report');
+    }
+  };
+
+  useEffect(() => {
+    ApiService.getSessionUser().then(user => setRole(user?.role || null));
+    fetchReport().finally(() => setLoading(false));
+  }, [reportId]);
+
+  const handleRebuild = async () => {
+    setSaving(true);
+    try {
+      const response = await ApiService.generateActivityReport(
+        report.month,
+        role === 'anm_supervisor' ? report.worker._id : undefined
+      );
+      if (response.success) {
+        await fetchReport();
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update the report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (decision) => {
+    if (decision === 'reject' && !note.trim()) {
+      Alert.alert('Reason required', 'Enter the reason for rejecting the report');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await ApiService.reviewActivityReport(reportId, decision, note.trim() || undefined);
+      if (response.success) {
+        setReport(response.report);
+        setNote('');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to review the report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !report) {
+    return (
+      <View style={styles.loadingContainer}>
+        {loading
+          ? <ActivityIndicator size="large" color="#007AFF" />
+          : <Text style={styles.emptyText}>Report not available</Text>}
+      </View>
+    );
+  }
+
+  const canReview = role === 'anm_supervisor' && report.status === 'draft';
+  const canRebuild = role !== 'medical_officer' && report.status !== 'approved';
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{formatMonth(report.month)}</Text>
+        <Text style={styles.subtitle}>{report.worker?.name} • {report.villages.join(', ')}</Text>
+        <Text style={[styles.status, styles[`status_${report.status}`]]}>
+          {STATUS_LABELS[report.status]}
+        </Text>
+        {report.reviewedAt && (
+          <Text style={styles.meta}>
+            Reviewed by {report.reviewedBy?.name || 'supervisor'} on {formatDate(report.reviewedAt)}
+          </Text>
+        )}
+        {!!report.reviewNote && <Text style={styles.reviewNote}>{report.reviewNote}</Text>}
+        <Text style={styles.meta}>Prepared on {formatDate(report.generatedAt)}</Text>
+      </View>
+
+      <View style={styles.section}>
+        {report.activities.map(activity => {
+          const entries = report.entries.filter(entry => entry.activity === activity.code);
+          const isExpanded = expanded === activity.code;
+          return (
+            <View key={activity.code}>
+              <TouchableOpacity
+                style={styles.activityRow}
+                onPress={() => setExpanded(isExpanded ? null : activity.code)}
+                disabled={entries.length === 0}
+              >
+                <Text style={styles.activityLabel}>{activity.label}</Text>
+                <Text style={styles.activityCount}>{activity.count}</Text>
+                <Text style={styles.activityAmount}>
+                  {activity.amount !== undefined ? `Rs. ${activity.amount}` : ''}
+                </Text>
+              </TouchableOpacity>
+              {isExpanded && entries.map((entry, index) => (
+                <Text key={`${activity.code}-${index}`} style={styles.entry}>
+                  {formatDate(entry.date)} • {entry.beneficiary} ({entry.village}){entry.detail ? ` • ${entry.detail}` : ''}
+                </Text>
+              ))}
+            </View>
+          );
+        })}
+        {report.totalAmount > 0 && (
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Total claim</Text>
+            <Text style={styles.totalAmount}>Rs. {report.totalAmount}</Text>
+          </View>
+        )}
+        <Text style={styles.hint}>Tap a line to see the records behind it</Text>
+      </View>
+
+      {canReview && (
+        <View style={styles.section}>
+          <TextInput
+            style={styles.input}
+            placeholder="Note (required to reject)"
+            value={note}
+            onChangeText={setNote}
+            multiline
+            maxLength={500}
+          />
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.approveButton, saving && styles.buttonDisabled]}
+              onPress={() => handleReview('approve')}
+              disabled={saving}
+            >
+              <Text style={styles.buttonText}>Approve</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.rejectButton, saving && styles.buttonDisabled]}
+              onPress={() => handleReview('reject')}
+              disabled={saving}
+            >
+              <Text style={styles.buttonText}>Reject</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {canRebuild && (
+        <TouchableOpacity
+          style={[styles.button, styles.rebuildButton, saving && styles.buttonDisabled]}
+          onPress={handleRebuild}
+          disabled={saving}
+        >
+          {saving
+            ? <ActivityIndicator size="small" color="white" />
+            : <Text style={styles.buttonText}>Update from latest records</Text>}
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    paddingBottom: 30,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  status: {
+    alignSelf: 'flex-start',
+    fontSize: 13,
+    fontWeight: '600',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+    marginTop: 10,
+  },
+  status_draft: {
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+  },
+  status_approved: {
+    color: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  status_rejected: {
+    color: '#FF3B30',
+    backgroundColor: '#fdecea',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  reviewNote: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 6,
+    fontStyle: 'italic',
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    margin: 15,
+    marginBottom: 0,
+    padding: 15,
+  },
+  activityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  activityLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  activityCount: {
+    width: 40,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'right',
+  },
+  activityAmount: {
+    width: 80,
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'right',
+  },
+  entry: {
+    fontSize: 13,
+    color: '#666',
+    paddingVertical: 4,
+    paddingLeft: 10,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingTop: 12,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  totalAmount: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#28a745',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 15,
+    minHeight: 60,
+    marginBottom: 10,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  approveButton: {
+    backgroundColor: '#28a745',
+    marginRight: 10,
+  },
+  rejectButton: {
+    backgroundColor: '#FF3B30',
+  },
+  rebuildButton: {
+    backgroundColor: '#007AFF',
+    margin: 15,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 15,
+  },
+});
+
+export default ActivityReportScreen;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import ApiService from '../services/api';
+
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  draft: 'Awaiting review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+// Supervisors filter their workers' reports by status
+const STATUS_FILTERS = [
+  { id: null, label: 'All' },
+  { id: 'draft', label: 'Awaiting review' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+];
+
+const formatMonth = (month) => new Date(`${month}-15T00:00:00`)
+  .toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+// YYYY-MM of the month `offset` months before the current one
+const monthBefore = (offset) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - offset);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Monthly activity reports: a worker's own, or those of a supervisor's workers
+const ActivityReportsScreen = ({ navigation }) => {
+  const [role, setRole] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [generating, setGenerating] = useState(null);
+
+  const isWorker = role === 'asha_worker';
+
+  useEffect(() => {
+    ApiService.getSessionUser().then(user => setRole(user?.role || null));
+  }, []);
+
+  const fetchReports = async () => {
+    try {
+      const response = await ApiService.getActivityReports({ status, limit: PAGE_SIZE });
+      if (response.success) {
+        setReports(response.reports || []);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load activity reports');
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchReports().finally(() => setLoading(false));
+  }, [status]);
+
+  useEffect(() => {
+    // Reviews and refreshed drafts change the list
+    const unsubscribe = navigation.addListener('focus', fetchReports);
+    return unsubscribe;
+  }, [navigation, status]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchReports();
+    setRefreshing(false);
+  };
+
+  const fetchMore = async () => {
+    if (!nextCursor || loadingMore || loading || refreshing) {
+      return;
+    }
+
+    setLoadingMore(true);
+    try {
+      const response = await ApiService.getActivityReports({ status, limit: PAGE_SIZE, cursor: nextCursor });
+      if (response.success) {
+        setReports(prev => [...prev, ...(response.reports || [])]);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      console.warn('Failed to load more activity reports:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleGenerate = async (month) => {
+    setGenerating(month);
+    try {
+      const response = await ApiService.generateActivityReport(month);
+      if (response.success) {
+        navigation.navigate('ActivityReport', { reportId: response.report._id });
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to generate the report');
+    } finally {
+      setGenerating(null);
+    }
+  };
+
+  const renderReport = ({ item }) => (
+    <TouchableOpacity
+      style={styles.reportCard}
+      onPress={() => navigation.navigate('ActivityReport', { reportId: item._id })}
+    >
+      <View style={styles.reportHeader}>
+        <Text style={styles.reportMonth}>{formatMonth(item.month)}</Text>
+        <Text style={[styles.statusBadge, styles[`status_${item.status}`]]}>
+          {STATUS_LABELS[item.status]}
+        </Text>
+      </View>
+      {!isWorker && <Text style={styles.reportWorker}>{item.worker?.name}</Text>}
+      <Text style={styles.reportCounts}>
+        {item.activities.filter(activity => activity.count > 0)
+          .map(activity => `${activity.label}: ${activity.count}`).join(' • ') || 'No activities recorded'}
+      </Text>
+      {item.totalAmount > 0 && (
+        <Text style={styles.reportAmount}>Claim: Rs. {item.totalAmount}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  if (loading && reports.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {isWorker ? (
+        <View style={styles.generateSection}>
+          <Text style={styles.generateTitle}>Prepare a report from your records</Text>
+          <View style={styles.generateRow}>
+            {[monthBefore(1), monthBefore(0)].map(month => (
+              <TouchableOpacity
+                key={month}
+                style={[styles.generateButton, generating && styles.buttonDisabled]}
+                onPress={() => handleGenerate(month)}
+                disabled={!!generating}
+              >
+                {generating === month
+                  ? <ActivityIndicator size="small" color="white" />
+                  : <Text style={styles.generateButtonText}>{formatMonth(month)}</Text>}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      ) : (
+        <View style={styles.filterRow}>
+          {STATUS_FILTERS.map(filter => (
+            <TouchableOpacity
+              key={filter.label}
+              style={[styles.chip, status === filter.id && styles.chipActive]}
+              onPress={() => setStatus(filter.id)}
+            >
+              <Text style={[styles.chipText, status === filter.id && styles.chipTextActive]}>
+                {filter.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <FlatList
+        data={reports}
+        renderItem={renderReport}
+        keyExtractor={(item) => item._id}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            {isWorker ? 'No reports yet' : 'No reports from your workers'}
+          </Text>
+        }
+        onEndReached={fetchMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator size="small" color="#007AFF" style={styles.listFooter} />
+        ) : null}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  generateSection: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  generateTitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  generateRow: {
+    flexDirection: 'row',
+  },
+  generateButton: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  generateButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: 'white',
+    padding: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 4,
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  listContainer: {
+    padding: 15,
+    flexGrow: 1,
+  },
+  listFooter: {
+    paddingVertical: 15,
+  },
+  reportCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  reportHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  reportMonth: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  reportWorker: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 4,
+  },
+  reportCounts: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 6,
+  },
+  reportAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#28a745',
+    marginTop: 6,
+  },
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  status_draft: {
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+  },
+  status_approved: {
+    color: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  status_rejected: {
+    color: '#FF3B30',
+    backgroundColor: '#fdecea',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 40,
+    fontSize: 15,
+  },
+});
+
+export default ActivityReportsScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -8,65 +8,149 @@ import {
   StyleSheet,
   ScrollView,
   ActivityIndicator,
+  Switch,
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import ApiService from '../services/api';
+import HouseholdPicker from '../components/HouseholdPicker';
+import VillagePicker from '../components/VillagePicker';
+import DuplicateCandidates from '../components/DuplicateCandidates';
+import FieldError from '../components/FieldError';
+import SyndromePicker from '../components/SyndromePicker';
 import NotificationService from '../services/notificationService';
+import { validate } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
 
-const AddPatientScreen = ({ navigation }) => {
-  const [patientData, setPatientData] = useState({
+const AddPatientScreen = ({ navigation, route }) => {
+  // When opened from PatientDetailScreen the form edits an existing patient
+  const editingPatient = route?.params?.patient;
+  const isEditing = !!editingPatient;
+  // When opened from an offline registration the server flagged as a possible
+  // duplicate, the form resubmits that entry
+  const pendingPatient = route?.params?.pendingPatient;
+  const formPatient = editingPatient || pendingPatient;
+
+  const [patientData, setPatientData] = useState(formPatient ? {
+    name: formPatient.name,
+    age: String(formPatient.age),
+    gender: formPatient.gender,
+    village: formPatient.village,
+    villageId: formPatient.villageId,
+    healthIssue: formPatient.healthIssue,
+    syndromes: formPatient.syndromes || [],
+    abhaNumber: formPatient.abhaNumber || '',
+    abhaAddress: formPatient.abhaAddress || '',
+  } : {
     name: '',
     age: '',
     gender: 'Male',
     village: '',
+    villageId: undefined,
     healthIssue: '',
+    syndromes: [],
+    abhaNumber: '',
+    abhaAddress: '',
   });
+  // Edited patients carry only the household id; show a placeholder until changed
+  const [household, setHousehold] = useState(
+    formPatient?.household ? { _id: formPatient.household, headName: 'Linked household' } : null
+  );
+  const [isHeadOfHousehold, setIsHeadOfHousehold] = useState(!!pendingPatient?.isHeadOfHousehold);
+  const [showHouseholdPicker, setShowHouseholdPicker] = useState(false);
+  const [showVillagePicker, setShowVillagePicker] = useState(false);
+  const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Possible duplicates returned by the server, shown until the worker decides
+  const [candidates, setCandidates] = useState(pendingPatient?.duplicateCandidates || null);
+
+  const handleHouseholdSelect = (selected) => {
+    setHousehold(selected);
+    // Members always live in the household's village
+    setVillage(selected.village, selected.villageId);
+    setShowHouseholdPicker(false);
+  };
+
+  const handleVillageSelect = (selected) => {
+    setVillage(selected.name, selected._id);
+    setShowVillagePicker(false);
+  };
+
+  const clearHousehold = () => {
+    setHousehold(null);
+    setIsHeadOfHousehold(false);
+  };
+
+  useEffect(() => {
+    if (isEditing) {
+      navigation.setOptions({ title: 'Edit Patient' });
+    }
+  }, [navigation, isEditing]);
 
   const updateField = (field, value) => {
     setPatientData(prev => ({
       ...prev,
       [field]: value,
     }));
+    // Editing a field clears its error until the next submit
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  // Villages come from the master data; older households may only have a name
+  const setVillage = (village, villageId) => {
+    setPatientData(prev => ({ ...prev, village, villageId }));
+    setErrors(prev => ({ ...prev, village: undefined }));
   };
 
   const validateForm = () => {
-    const { name, age, village, healthIssue } = patientData;
-    
-    if (!name.trim()) {
-      Alert.alert('Error', 'Please enter patient name');
-      return false;
-    }
-    
-    if (!age.trim() || isNaN(parseInt(age)) || parseInt(age) <= 0) {
-      Alert.alert('Error', 'Please enter a valid age');
-      return false;
-    }
-    
-    if (!village.trim()) {
-      Alert.alert('Error', 'Please enter village name');
-      return false;
-    }
-    
-    if (!healthIssue.trim()) {
-      Alert.alert('Error', 'Please enter health issue');
-      return false;
+    const { errors: formErrors } = validate(schemas.patient, patientData);
+    setErrors(formErrors || {});
+    return !formErrors;
+  };
+
+  // Field errors from the server are shown inline; anything else as an alert
+  const showError = (error, fallback) => {
+    if (error.fieldErrors) {
+      setErrors(error.fieldErrors);
+      return;
     }
-    
-    return true;
+    Alert.alert('Error', error.message || fallback);
   };
 
-  const handleSubmit = async () => {
+  // A registration or edit that could not link the patient's ABHA still
+  // succeeds; say why so the worker can check the details or retry later
+  const abhaLinkNote = (abhaLink) => (
+    abhaLink && !abhaLink.linked ? `\n\nABHA not linked: ${abhaLink.reason}` : ''
+  );
+
+  // confirmedNew registers the patient even if it looks like a duplicate
+  const handleSubmit = async (confirmedNew = false) => {
     if (!validateForm()) {
       return;
     }
 
+    if (isEditing) {
+      await handleUpdate();
+      return;
+    }
+
     setLoading(true);
     
     try {
-      const response = await ApiService.addPatient(patientData);
+      const response = await ApiService.addPatient({
+        ...patientData,
+        household: household?._id,
+        isHeadOfHousehold: household ? isHeadOfHousehold : undefined,
+        clientId: pendingPatient?.clientId,
+        confirmedNew: confirmedNew || undefined,
+      });
       
       if (response.success) {
+        setCandidates(null);
+        // The outbox entry is done; "Add Another" starts a fresh registration
+        if (pendingPatient) {
+          navigation.setParams({ pendingPatient: undefined });
+        }
+
         // Send automatic notification for successful patient addition
         try {
           await NotificationService.notifyPatientAdded(patientData.name, patientData.village);
@@ -77,19 +161,27 @@ const AddPatientScreen = ({ navigation }) => {
         }
         
         Alert.alert(
-          'Success', 
-          'Patient added successfully!',
+          response.queued ? 'Saved Offline' : 'Success',
+          response.queued
+            ? 'No connection to the server. The patient is saved on this device and will sync automatically.'
+            : `Patient added successfully!${abhaLinkNote(response.abhaLink)}`,
           [
             {
               text: 'Add Another',
               onPress: () => {
+                // Keep the household so the rest of the family can be added quickly
                 setPatientData({
                   name: '',
                   age: '',
                   gender: 'Male',
-                  village: '',
+                  village: household ? household.village : '',
+                  villageId: household ? household.villageId : undefined,
                   healthIssue: '',
+                  syndromes: [],
+                  abhaNumber: '',
+                  abhaAddress: '',
                 });
+                setIsHeadOfHousehold(false);
               },
             },
             {
@@ -102,7 +194,55 @@ const AddPatientScreen = ({ navigation }) => {
         Alert.alert('Error', response.error || 'Failed to add patient');
       }
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to add patient');
+      if (error.candidates) {
+        setCandidates(error.candidates);
+      } else {
+        showError(error, 'Failed to add patient');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The person is already registered: open their record instead, adding them
+  // to the household chosen on this form
+  const handleUseExisting = async (existing) => {
+    setLoading(true);
+    try {
+      if (household && String(existing.household) !== household._id) {
+        await ApiService.addHouseholdMember(household._id, existing._id);
+      }
+      if (pendingPatient) {
+        await ApiService.removePendingPatient(pendingPatient.clientId);
+      }
+      setCandidates(null);
+      navigation.replace('PatientDetail', { patient: existing });
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to link the existing patient');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    setLoading(true);
+
+    try {
+      const response = await ApiService.updatePatient(editingPatient._id, {
+        ...patientData,
+        age: parseInt(patientData.age),
+        household: household ? household._id : null,
+      });
+
+      if (response.success) {
+        Alert.alert('Success', `Patient updated successfully!${abhaLinkNote(response.abhaLink)}`, [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else {
+        Alert.alert('Error', response.error || 'Failed to update patient');
+      }
+    } catch (error) {
+      showError(error, 'Failed to update patient');
     } finally {
       setLoading(false);
     }
@@ -111,28 +251,30 @@ const AddPatientScreen = ({ navigation }) => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Add New Patient</Text>
+        <Text style={styles.title}>{isEditing ? 'Edit Patient' : 'Add New Patient'}</Text>
       </View>
 
       <View style={styles.form}>
         <Text style={styles.label}>Patient Name *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, errors.name && styles.inputError]}
           placeholder="Enter patient name"
           value={patientData.name}
           onChangeText={(value) => updateField('name', value)}
           editable={!loading}
         />
+        <FieldError message={errors.name} />
 
         <Text style={styles.label}>Age *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, errors.age && styles.inputError]}
           placeholder="Enter age"
           value={patientData.age}
           onChangeText={(value) => updateField('age', value)}
           keyboardType="numeric"
           editable={!loading}
         />
+        <FieldError message={errors.age} />
 
         <Text style={styles.label}>Gender *</Text>
         <View style={styles.pickerContainer}>
@@ -147,19 +289,62 @@ const AddPatientScreen = ({ navigation }) => {
             <Picker.Item label="Other" value="Other" />
           </Picker>
         </View>
+        <FieldError message={errors.gender} />
 
         <Text style={styles.label}>Village *</Text>
-        <TextInput
-          style={styles.input}
-          placeholder="Enter village name"
-          value={patientData.village}
-          onChangeText={(value) => updateField('village', value)}
-          editable={!loading}
-        />
+        <TouchableOpacity
+          style={[styles.input, errors.village && styles.inputError]}
+          onPress={() => setShowVillagePicker(true)}
+          disabled={loading}
+        >
+          <Text style={patientData.village ? styles.inputText : styles.placeholderText}>
+            {patientData.village || 'Select village'}
+          </Text>
+        </TouchableOpacity>
+        <FieldError message={errors.village} />
+
+        <Text style={styles.label}>Household</Text>
+        {household ? (
+          <View style={styles.householdCard}>
+            <View style={styles.householdInfo}>
+              <Text style={styles.householdName}>{household.headName}</Text>
+              {!!household.village && (
+                <Text style={styles.householdMeta}>
+                  {[household.landmark || household.address, household.village].filter(Boolean).join(' • ')}
+                </Text>
+              )}
+            </View>
+            <TouchableOpacity onPress={() => setShowHouseholdPicker(true)} disabled={loading}>
+              <Text style={styles.linkText}>Change</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={clearHousehold} disabled={loading}>
+              <Text style={[styles.linkText, styles.removeText]}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={styles.householdButton}
+            onPress={() => setShowHouseholdPicker(true)}
+            disabled={loading}
+          >
+            <Text style={styles.linkText}>Select or create household</Text>
+          </TouchableOpacity>
+        )}
+        <FieldError message={errors.household} />
+        {household && !isEditing && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Head of household</Text>
+            <Switch
+              value={isHeadOfHousehold}
+              onValueChange={setIsHeadOfHousehold}
+              disabled={loading}
+            />
+          </View>
+        )}
 
         <Text style={styles.label}>Health Issue *</Text>
         <TextInput
-          style={[styles.input, styles.textArea]}
+          style={[styles.input, styles.textArea, errors.healthIssue && styles.inputError]}
           placeholder="Describe the health issue"
           value={patientData.healthIssue}
           onChangeText={(value) => updateField('healthIssue', value)}
@@ -167,19 +352,76 @@ const AddPatientScreen = ({ navigation }) => {
           numberOfLines={3}
           editable={!loading}
         />
+        <FieldError message={errors.healthIssue} />
+
+        <Text style={styles.label}>Symptoms seen (for disease surveillance)</Text>
+        <SyndromePicker
+          selected={patientData.syndromes}
+          onChange={(value) => updateField('syndromes', value)}
+          disabled={loading}
+        />
+        <FieldError message={errors.syndromes} />
+
+        <Text style={styles.label}>ABHA Number</Text>
+        <TextInput
+          style={[styles.input, errors.abhaNumber && styles.inputError]}
+          placeholder="14-digit ABHA number (optional)"
+          value={patientData.abhaNumber}
+          onChangeText={(value) => updateField('abhaNumber', value)}
+          keyboardType="number-pad"
+          maxLength={17}
+          editable={!loading}
+        />
+        <FieldError message={errors.abhaNumber} />
+
+        <Text style={styles.label}>ABHA Address</Text>
+        <TextInput
+          style={[styles.input, errors.abhaAddress && styles.inputError]}
+          placeholder="e.g. name@abdm (optional)"
+          value={patientData.abhaAddress}
+          onChangeText={(value) => updateField('abhaAddress', value)}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="email-address"
+          editable={!loading}
+        />
+        <FieldError message={errors.abhaAddress} />
 
         <TouchableOpacity
           style={[styles.button, loading && styles.buttonDisabled]}
-          onPress={handleSubmit}
+          onPress={() => handleSubmit()}
           disabled={loading}
         >
           {loading ? (
             <ActivityIndicator color="white" />
           ) : (
-            <Text style={styles.buttonText}>Add Patient</Text>
+            <Text style={styles.buttonText}>{isEditing ? 'Save Changes' : 'Add Patient'}</Text>
           )}
         </TouchableOpacity>
       </View>
+
+      <VillagePicker
+        visible={showVillagePicker}
+        onSelect={handleVillageSelect}
+        onClose={() => setShowVillagePicker(false)}
+      />
+
+      <HouseholdPicker
+        visible={showHouseholdPicker}
+        village={patientData.village}
+        villageId={patientData.villageId}
+        onSelect={handleHouseholdSelect}
+        onClose={() => setShowHouseholdPicker(false)}
+      />
+
+      <DuplicateCandidates
+        visible={!!candidates}
+        candidates={candidates}
+        saving={loading}
+        onSelect={handleUseExisting}
+        onConfirmNew={() => handleSubmit(true)}
+        onClose={() => setCandidates(null)}
+      />
     </ScrollView>
   );
 };
@@ -218,6 +460,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     backgroundColor: 'white',
   },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  inputText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  placeholderText: {
+    fontSize: 16,
+    color: '#999',
+  },
   textArea: {
     height: 80,
     textAlignVertical: 'top',
@@ -231,6 +484,56 @@ const styles = StyleSheet.create({
   picker: {
     height: 50,
   },
+  householdButton: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderStyle: 'dashed',
+    padding: 15,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    alignItems: 'center',
+  },
+  householdCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    gap: 12,
+  },
+  householdInfo: {
+    flex: 1,
+  },
+  householdName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  householdMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  removeText: {
+    color: '#FF3B30',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
   button: {
     backgroundColor: '#007AFF',
     padding: 15,
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import NotificationService from '../services/notificationService';
+import FieldError from '../components/FieldError';
+import SyndromePicker from '../components/SyndromePicker';
+import { validate } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const VITAL_INPUTS = [
+  { field: 'systolic', label: 'BP Systolic', unit: 'mmHg' },
+  { field: 'diastolic', label: 'BP Diastolic', unit: 'mmHg' },
+  { field: 'pulse', label: 'Pulse', unit: 'bpm' },
+  { field: 'temperature', label: 'Temperature', unit: '°F' },
+  { field: 'weight', label: 'Weight', unit: 'kg' },
+  { field: 'spo2', label: 'SpO2', unit: '%' },
+  { field: 'bloodSugar', label: 'Blood Sugar', unit: 'mg/dL' },
+];
+
+const AddVisitScreen = ({ route, navigation }) => {
+  const { patient } = route.params;
+  const [visitData, setVisitData] = useState({
+    visitDate: today(),
+    complaint: '',
+    notes: '',
+    nextFollowUpDate: '',
+  });
+  const [vitals, setVitals] = useState({});
+  const [syndromes, setSyndromes] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const updateField = (field, value) => {
+    setVisitData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const updateVital = (field, value) => {
+    setVitals(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    // Vital errors are keyed 'vitals.<field>'; a vital also satisfies "complaint, syndrome, notes or a vital"
+    setErrors(prev => ({ ...prev, [`vitals.${field}`]: undefined, complaint: undefined }));
+  };
+
+  const updateSyndromes = (value) => {
+    setSyndromes(value);
+    setErrors(prev => ({ ...prev, syndromes: undefined, complaint: undefined }));
+  };
+
+  const validateForm = () => {
+    const { errors: formErrors } = validate(schemas.visit, { ...visitData, vitals, syndromes });
+    setErrors(formErrors || {});
+    return !formErrors;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await ApiService.addVisit(patient._id, {
+        ...visitData,
+        nextFollowUpDate: visitData.nextFollowUpDate || undefined,
+        vitals,
+        syndromes,
+      });
+
+      if (response.success) {
+        // The visit completes the pending follow-up; schedule the next one, if any
+        await NotificationService.cancelPatientReminder(patient._id);
+        ApiService.syncFollowUpReminders();
+
+        Alert.alert('Success', 'Visit recorded successfully!', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else {
+        Alert.alert('Error', response.error || 'Failed to record visit');
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to record visit');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Visit for {patient.name}</Text>
+        <Text style={styles.subtitle}>{patient.age} years • {patient.village}</Text>
+      </View>
+
+      <View style={styles.form}>
+        <Text style={styles.label}>Visit Date *</Text>
+        <TextInput
+          style={[styles.input, errors.visitDate && styles.inputError]}
+          placeholder="YYYY-MM-DD"
+          value={visitData.visitDate}
+          onChangeText={(value) => updateField('visitDate', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.visitDate} />
+
+        <Text style={styles.label}>Complaint</Text>
+        <TextInput
+          style={[styles.input, styles.textArea, errors.complaint && styles.inputError]}
+          placeholder="Main complaint during this visit"
+          value={visitData.complaint}
+          onChangeText={(value) => updateField('complaint', value)}
+          multiline
+          numberOfLines={3}
+          editable={!loading}
+        />
+        <FieldError message={errors.complaint} />
+
+        <Text style={styles.label}>Symptoms seen (for disease surveillance)</Text>
+        <SyndromePicker selected={syndromes} onChange={updateSyndromes} disabled={loading} />
+        <FieldError message={errors.syndromes} />
+
+        <Text style={styles.sectionTitle}>Vitals</Text>
+        <View style={styles.vitalsGrid}>
+          {VITAL_INPUTS.map(({ field, label, unit }) => (
+            <View key={field} style={styles.vitalItem}>
+              <Text style={styles.vitalLabel}>{label} ({unit})</Text>
+              <TextInput
+                style={[styles.input, errors[`vitals.${field}`] && styles.inputError]}
+                value={vitals[field] || ''}
+                onChangeText={(value) => updateVital(field, value)}
+                keyboardType="decimal-pad"
+                editable={!loading}
+              />
+              <FieldError message={errors[`vitals.${field}`]} />
+            </View>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Notes</Text>
+        <TextInput
+          style={[styles.input, styles.textArea]}
+          placeholder="Advice given, medicines, referrals"
+          value={visitData.notes}
+          onChangeText={(value) => updateField('notes', value)}
+          multiline
+          numberOfLines={3}
+          editable={!loading}
+        />
+
+        <Text style={styles.label}>Next Follow-up Date</Text>
+        <TextInput
+          style={[styles.input, errors.nextFollowUpDate && styles.inputError]}
+          placeholder="YYYY-MM-DD (optional)"
+          value={visitData.nextFollowUpDate}
+          onChangeText={(value) => updateField('nextFollowUpDate', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.nextFollowUpDate} />
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Save Visit</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  form: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 20,
+    paddingBottom: 5,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  vitalsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  vitalItem: {
+    width: '48%',
+    marginTop: 10,
+  },
+  vitalLabel: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    borderRadius: 8,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 30,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default AddVisitScreen;
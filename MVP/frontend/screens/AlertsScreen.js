@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import ApiService from '../services/api';
+import { SYNDROME_LABELS } from '../components/SyndromePicker';
+
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  open: 'Open',
+  investigating: 'Investigating',
+  closed: 'Closed',
+};
+
+const STATUS_FILTERS = [
+  { id: 'open', label: 'Open' },
+  { id: 'investigating', label: 'Investigating' },
+  { id: 'closed', label: 'Closed' },
+  { id: null, label: 'All' },
+];
+
+const formatWeek = (weekStart) => new Date(weekStart)
+  .toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Outbreak alerts in the caller's villages, raised by the weekly surveillance job
+const AlertsScreen = ({ navigation }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await ApiService.getAlerts({ status, limit: PAGE_SIZE });
+      if (response.success) {
+        setAlerts(response.alerts || []);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load alerts');
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchAlerts().finally(() => setLoading(false));
+  }, [status]);
+
+  useEffect(() => {
+    // Follow-ups recorded on an alert change the list
+    const unsubscribe = navigation.addListener('focus', fetchAlerts);
+    return unsubscribe;
+  }, [navigation, status]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchAlerts();
+    setRefreshing(false);
+  };
+
+  const fetchMore = async () => {
+    if (!nextCursor || loadingMore || loading || refreshing) {
+      return;
+    }
+
+    setLoadingMore(true);
+    try {
+      const response = await ApiService.getAlerts({ status, limit: PAGE_SIZE, cursor: nextCursor });
+      if (response.success) {
+        setAlerts(prev => [...prev, ...(response.alerts || [])]);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      console.warn('Failed to load more alerts:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const renderAlert = ({ item }) => (
+    <TouchableOpacity
+      style={styles.alertCard}
+      onPress={() => navigation.navigate('OutbreakAlert', { alertId: item._id })}
+    >
+      <View style={styles.alertHeader}>
+        <Text style={styles.alertTitle}>
+          {SYNDROME_LABELS[item.syndrome] || item.syndrome} • {item.village}
+        </Text>
+        <Text style={[styles.statusBadge, styles[`status_${item.status}`]]}>
+          {STATUS_LABELS[item.status]}
+        </Text>
+      </View>
+      <Text style={styles.alertCases}>
+        {item.cases} cases in the week of {formatWeek(item.weekStart)}
+      </Text>
+      <Text style={styles.alertBaseline}>
+        Usual: {item.baseline.mean} a week over the previous {item.baseline.weeks} weeks • alert at {item.threshold}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  if (loading && alerts.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filterRow}>
+        {STATUS_FILTERS.map(filter => (
+          <TouchableOpacity
+            key={filter.label}
+            style={[styles.chip, status === filter.id && styles.chipActive]}
+            onPress={() => setStatus(filter.id)}
+          >
+            <Text style={[styles.chipText, status === filter.id && styles.chipTextActive]}>
+              {filter.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        data={alerts}
+        renderItem={renderAlert}
+        keyExtractor={(item) => item._id}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={<Text style={styles.emptyText}>No alerts</Text>}
+        onEndReached={fetchMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator size="small" color="#007AFF" style={styles.listFooter} />
+        ) : null}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: 'white',
+    padding: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 4,
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  listContainer: {
+    padding: 15,
+    flexGrow: 1,
+  },
+  listFooter: {
+    paddingVertical: 15,
+  },
+  alertCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  alertHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  alertTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 10,
+  },
+  alertCases: {
+    fontSize: 14,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginTop: 6,
+  },
+  alertBaseline: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  status_open: {
+    color: '#FF3B30',
+    backgroundColor: '#fdecea',
+  },
+  status_investigating: {
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+  },
+  status_closed: {
+    color: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 40,
+    fontSize: 15,
+  },
+});
+
+export default AlertsScreen;
@@ -0,0 +1,413 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import ApiService from '../services/api';
+import BarChart from '../components/BarChart';
+import VillagePicker from '../components/VillagePicker';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registration date ranges; the server picks days, weeks or months to match
+const RANGES = [
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: '1y', label: 'Last 12 months', days: 365 },
+  { id: 'all', label: 'All time', days: null },
+];
+
+const formatPeriod = (period, interval) => {
+  const date = new Date(period);
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+};
+
+// Supervisor dashboard: patient counts for the caller's villages from
+// GET /reports/summary, by registration date range and village
+const DashboardScreen = ({ navigation }) => {
+  const [rangeId, setRangeId] = useState('90d');
+  const [village, setVillage] = useState(null);
+  const [showVillagePicker, setShowVillagePicker] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchSummary = async () => {
+    const range = RANGES.find(item => item.id === rangeId);
+    const params = {};
+    if (range.days) {
+      params.from = new Date(Date.now() - range.days * DAY_MS).toISOString();
+    }
+    if (village) {
+      params.location = village._id;
+    }
+
+    try {
+      const response = await ApiService.getReportSummary(params);
+      if (response.success) {
+        setSummary(response);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the dashboard');
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchSummary().finally(() => setLoading(false));
+  }, [rangeId, village]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchSummary();
+    setRefreshing(false);
+  };
+
+  const handleVillageSelect = (selected) => {
+    setVillage(selected);
+    setShowVillagePicker(false);
+  };
+
+  const renderPyramid = (bands) => {
+    const max = Math.max(...bands.map(band => Math.max(band.male, band.female)), 1);
+    const others = bands.reduce((sum, band) => sum + band.other, 0);
+
+    return (
+      <View>
+        <View style={styles.pyramidLegend}>
+          <Text style={[styles.legendText, styles.maleText]}>Male</Text>
+          <Text style={[styles.legendText, styles.femaleText]}>Female</Text>
+        </View>
+        {[...bands].reverse().map(band => (
+          <View key={band.band} style={styles.pyramidRow}>
+            <Text style={styles.pyramidValue}>{band.male || ''}</Text>
+            <View style={[styles.pyramidSide, styles.pyramidLeft]}>
+              <View style={[styles.pyramidBar, styles.maleBar, { width: `${(band.male / max) * 100}%` }]} />
+            </View>
+            <Text style={styles.pyramidBand}>{band.band}</Text>
+            <View style={styles.pyramidSide}>
+              <View style={[styles.pyramidBar, styles.femaleBar, { width: `${(band.female / max) * 100}%` }]} />
+            </View>
+            <Text style={[styles.pyramidValue, styles.pyramidValueRight]}>{band.female || ''}</Text>
+          </View>
+        ))}
+        {others > 0 && <Text style={styles.note}>Other gender: {others}</Text>}
+      </View>
+    );
+  };
+
+  if (loading && !summary) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+        <Text style={styles.loadingText}>Loading dashboard...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <View style={styles.filters}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {RANGES.map(range => (
+            <TouchableOpacity
+              key={range.id}
+              style={[styles.chip, rangeId === range.id && styles.chipActive]}
+              onPress={() => setRangeId(range.id)}
+            >
+              <Text style={[styles.chipText, rangeId === range.id && styles.chipTextActive]}>
+                {range.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <View style={styles.villageRow}>
+          <TouchableOpacity style={styles.villageButton} onPress={() => setShowVillagePicker(true)}>
+            <Text style={styles.villageText}>{village ? village.name : 'All villages'}</Text>
+          </TouchableOpacity>
+          {village && (
+            <TouchableOpacity onPress={() => setVillage(null)} style={styles.clearButton}>
+              <Text style={styles.clearText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.linkRow} onPress={() => navigation.navigate('ActivityReports')}>
+        <Text style={styles.linkText}>Workers' monthly activity reports ›</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.linkRow} onPress={() => navigation.navigate('Alerts')}>
+        <Text style={styles.linkText}>Outbreak alerts ›</Text>
+      </TouchableOpacity>
+
+      {loading && <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />}
+
+      {summary && (
+        <>
+          <View style={styles.totals}>
+            <View style={styles.totalCard}>
+              <Text style={styles.totalValue}>{summary.totals.patients}</Text>
+              <Text style={styles.totalLabel}>Patients registered</Text>
+            </View>
+            <View style={styles.totalCard}>
+              <Text style={[styles.totalValue, summary.totals.overdueFollowUps > 0 && styles.overdueValue]}>
+                {summary.totals.overdueFollowUps}
+              </Text>
+              <Text style={styles.totalLabel}>Overdue follow-ups</Text>
+            </View>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Registrations</Text>
+            <BarChart
+              items={summary.registrations.periods.map(item => ({
+                key: item.period,
+                label: formatPeriod(item.period, summary.registrations.interval),
+                value: item.count,
+              }))}
+              emptyText="No registrations in this period"
+            />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Patients by village</Text>
+            <BarChart
+              items={summary.villages.map(item => ({ key: item.village, label: item.village, value: item.count }))}
+            />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Age and gender</Text>
+            {summary.totals.patients > 0
+              ? renderPyramid(summary.pyramid)
+              : <Text style={styles.note}>No data</Text>}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Top health issues</Text>
+            <BarChart
+              items={summary.healthIssues.map(item => ({ key: item.healthIssue, label: item.healthIssue, value: item.count }))}
+              color="#28a745"
+            />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Patients per worker</Text>
+            <BarChart
+              items={summary.workers.map(item => ({ key: String(item.workerId), label: item.name, value: item.count }))}
+            />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Overdue follow-ups</Text>
+            <BarChart
+              items={summary.overdueFollowUps.byVillage.map(item => ({ key: item.village, label: item.village, value: item.count }))}
+              color="#FF3B30"
+              emptyText="No overdue follow-ups"
+            />
+          </View>
+        </>
+      )}
+
+      <VillagePicker
+        visible={showVillagePicker}
+        onSelect={handleVillageSelect}
+        onClose={() => setShowVillagePicker(false)}
+      />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  loader: {
+    marginTop: 10,
+  },
+  filters: {
+    backgroundColor: 'white',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chipRow: {
+    paddingHorizontal: 15,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  villageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    marginTop: 10,
+  },
+  villageButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+  },
+  villageText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  clearButton: {
+    padding: 10,
+  },
+  clearText: {
+    color: '#007AFF',
+    fontSize: 15,
+  },
+  linkRow: {
+    backgroundColor: 'white',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  totals: {
+    flexDirection: 'row',
+    padding: 15,
+    paddingBottom: 0,
+  },
+  totalCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 15,
+    marginRight: 10,
+    alignItems: 'center',
+  },
+  totalValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  overdueValue: {
+    color: '#FF3B30',
+  },
+  totalLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    margin: 15,
+    marginBottom: 0,
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  note: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 6,
+  },
+  pyramidLegend: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  legendText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  maleText: {
+    color: '#007AFF',
+  },
+  femaleText: {
+    color: '#AF52DE',
+  },
+  pyramidRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 3,
+  },
+  pyramidSide: {
+    flex: 1,
+    height: 12,
+  },
+  pyramidLeft: {
+    alignItems: 'flex-end',
+  },
+  pyramidBar: {
+    height: 12,
+  },
+  maleBar: {
+    backgroundColor: '#007AFF',
+  },
+  femaleBar: {
+    backgroundColor: '#AF52DE',
+  },
+  pyramidBand: {
+    width: 50,
+    fontSize: 12,
+    color: '#333',
+    textAlign: 'center',
+  },
+  pyramidValue: {
+    width: 30,
+    fontSize: 12,
+    color: '#666',
+  },
+  pyramidValueRight: {
+    textAlign: 'right',
+  },
+});
+
+export default DashboardScreen;
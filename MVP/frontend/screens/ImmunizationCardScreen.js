@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const STATUS_LABELS = {
+  given: 'Given',
+  due: 'Due',
+  upcoming: 'Upcoming',
+  missed: 'Missed',
+};
+
+const formatAge = (dateOfBirth) => {
+  const days = Math.floor((Date.now() - new Date(dateOfBirth).getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 7 * 8) {
+    return `${Math.floor(days / 7)} weeks`;
+  }
+  if (days < 365 * 2) {
+    return `${Math.floor(days / 30.44)} months`;
+  }
+  return `${Math.floor(days / 365.25)} years`;
+};
+
+// Card rows grouped by the age at which they fall due, in schedule order
+const groupByAge = (card) => card.reduce((groups, item) => {
+  const group = groups.find(existing => existing.ageLabel === item.ageLabel);
+  if (group) {
+    group.items.push(item);
+  } else {
+    groups.push({ ageLabel: item.ageLabel, items: [item] });
+  }
+  return groups;
+}, []);
+
+const ImmunizationCardScreen = ({ route, navigation }) => {
+  const { childId } = route.params;
+  const [child, setChild] = useState(null);
+  const [card, setCard] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // Vaccine code being saved, to disable its button
+  const [savingVaccine, setSavingVaccine] = useState(null);
+
+  const fetchCard = async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getImmunizationCard(childId);
+      if (response.success) {
+        setChild(response.child);
+        setCard(response.card);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load immunization card');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchCard();
+    });
+
+    return unsubscribe;
+  }, [navigation]);
+
+  const applyResponse = (response) => {
+    if (response.success) {
+      setCard(response.child.card);
+      // Drops the vaccine from the due-list reminder
+      ApiService.syncFollowUpReminders();
+    } else {
+      Alert.alert('Error', response.error || 'Failed to update immunization card');
+    }
+  };
+
+  const markGivenToday = async (item) => {
+    setSavingVaccine(item.vaccine);
+    try {
+      applyResponse(await ApiService.recordImmunization(childId, item.vaccine));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to record vaccine');
+    } finally {
+      setSavingVaccine(null);
+    }
+  };
+
+  // Upcoming and missed doses need a confirmation; due ones are one tap
+  const confirmGiven = (item) => {
+    Alert.alert(
+      item.name,
+      item.status === 'missed'
+        ? `The last age for this vaccine was ${formatDate(item.lastDate)}. Record it as given today anyway?`
+        : `This vaccine is not due until ${formatDate(item.dueDate)}. Record it as given today?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Given today', onPress: () => markGivenToday(item) },
+      ]
+    );
+  };
+
+  const confirmRemove = (item) => {
+    Alert.alert(
+      'Remove Vaccination',
+      `Remove ${item.name} given on ${formatDate(item.givenDate)}? Use this only to correct a mistake.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setSavingVaccine(item.vaccine);
+            try {
+              applyResponse(await ApiService.removeImmunization(childId, item.vaccine));
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to remove vaccine');
+            } finally {
+              setSavingVaccine(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderVaccine = (item) => (
+    <TouchableOpacity
+      key={item.vaccine}
+      style={styles.vaccineRow}
+      onLongPress={() => item.status === 'given' && confirmRemove(item)}
+      disabled={item.status !== 'given'}
+    >
+      <View style={styles.vaccineInfo}>
+        <Text style={styles.vaccineName}>{item.name}</Text>
+        <Text style={styles.vaccineMeta}>
+          {item.status === 'given'
+            ? `Given ${formatDate(item.givenDate)}`
+            : item.status === 'missed'
+              ? `Last date was ${formatDate(item.lastDate)}`
+              : `Due ${formatDate(item.dueDate)}`}
+        </Text>
+      </View>
+
+      {item.status === 'due' ? (
+        <TouchableOpacity
+          style={[styles.givenButton, savingVaccine === item.vaccine && styles.buttonDisabled]}
+          onPress={() => markGivenToday(item)}
+          disabled={!!savingVaccine}
+        >
+          {savingVaccine === item.vaccine ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            <Text style={styles.givenButtonText}>Given today</Text>
+          )}
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          onPress={() => item.status !== 'given' && confirmGiven(item)}
+          disabled={item.status === 'given' || !!savingVaccine}
+        >
+          <Text style={[styles.statusBadge, styles[`status_${item.status}`]]}>
+            {STATUS_LABELS[item.status]}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+
+  if (!child) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const dueCount = card.filter(item => item.status === 'due').length;
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{child.name}</Text>
+        <Text style={styles.subtitle}>
+          {formatAge(child.dateOfBirth)} • {child.gender} • Born {formatDate(child.dateOfBirth)}
+        </Text>
+        {!!child.mother?.name && (
+          <Text style={styles.subtitle}>Mother: {child.mother.name}</Text>
+        )}
+        {loading && <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />}
+      </View>
+
+      <View style={[styles.summary, dueCount > 0 && styles.summaryDue]}>
+        <Text style={styles.summaryText}>
+          {dueCount > 0 ? `${dueCount} vaccine${dueCount === 1 ? '' : 's'} due now` : 'No vaccines due now'}
+        </Text>
+      </View>
+
+      {groupByAge(card).map(group => (
+        <View key={group.ageLabel} style={styles.group}>
+          <Text style={styles.groupTitle}>{group.ageLabel}</Text>
+          {group.items.map(renderVaccine)}
+        </View>
+      ))}
+
+      <Text style={styles.hint}>Long-press a given vaccine to correct a mistake</Text>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#666',
+    marginTop: 4,
+  },
+  loader: {
+    position: 'absolute',
+    right: 20,
+    top: 24,
+  },
+  summary: {
+    backgroundColor: '#e8f5e9',
+    padding: 12,
+    margin: 15,
+    marginBottom: 0,
+    borderRadius: 8,
+  },
+  summaryDue: {
+    backgroundColor: '#fff3cd',
+  },
+  summaryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  group: {
+    marginTop: 15,
+  },
+  groupTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    paddingHorizontal: 15,
+    marginBottom: 8,
+  },
+  vaccineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    marginHorizontal: 15,
+    marginBottom: 6,
+    borderRadius: 8,
+    padding: 12,
+  },
+  vaccineInfo: {
+    flex: 1,
+  },
+  vaccineName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  vaccineMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  givenButton: {
+    backgroundColor: '#28a745',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 6,
+    minWidth: 100,
+    alignItems: 'center',
+  },
+  givenButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  status_given: {
+    color: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  status_upcoming: {
+    color: '#666',
+    backgroundColor: '#f0f0f0',
+  },
+  status_missed: {
+    color: '#FF3B30',
+    backgroundColor: '#fdecea',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+});
+
+export default ImmunizationCardScreen;
@@ -9,19 +9,86 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import ApiService from '../services/api';
+import LocalAuthService from '../services/localAuth';
 
-const LoginScreen = ({ navigation }) => {
-  const [username, setUsername] = useState('');
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const LoginScreen = ({ navigation, route }) => {
+  // Pushed over the current screen when the session could not be renewed
+  const sessionExpired = !!route?.params?.sessionExpired;
+  const [username, setUsername] = useState(route?.params?.username || '');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [serverStatus, setServerStatus] = useState('checking');
   const [errorMessage, setErrorMessage] = useState('');
+  // Offline PIN unlock, from LocalAuthService.getStatus()
+  const [unlock, setUnlock] = useState({ state: 'none' });
+  const [usePassword, setUsePassword] = useState(sessionExpired);
+  const [pin, setPin] = useState('');
 
   // Check server connection on component mount
   useEffect(() => {
     checkServerConnection();
+    loadUnlockStatus();
   }, []);
 
+  const loadUnlockStatus = async () => {
+    const status = await LocalAuthService.getStatus();
+    setUnlock(status);
+    if (status.username && !username) {
+      setUsername(status.username);
+    }
+    // Re-login after a session expiry always needs the password
+    if (!sessionExpired && status.state === 'available' && status.biometricEnabled) {
+      handleBiometricUnlock();
+    }
+  };
+
+  // Unlocked locally: open the cached data. API calls renew the session
+  // through the stored refresh token once there is a connection.
+  const openApp = () => {
+    navigation.replace('PatientList');
+  };
+
+  const handlePinUnlock = async () => {
+    if (!LocalAuthService.isValidPin(pin)) {
+      Alert.alert('Error', 'Please enter your 4 to 6 digit PIN');
+      return;
+    }
+
+    setLoading(true);
+    const result = await LocalAuthService.unlockWithPin(pin);
+    setLoading(false);
+    setPin('');
+
+    if (result.success) {
+      openApp();
+    } else if (result.state === 'wiped') {
+      Alert.alert('Data Erased', 'Too many wrong PINs. Patient data on this phone has been erased. Please login with your password to continue.');
+      setUsePassword(true);
+      loadUnlockStatus();
+    } else if (result.state === 'locked') {
+      Alert.alert('Too Many Attempts', `PIN unlock is locked until ${formatTime(result.lockedUntil)}. You can login with your password instead.`);
+      loadUnlockStatus();
+    } else if (result.state === 'available') {
+      Alert.alert('Wrong PIN', `${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left before PIN unlock is locked`);
+    } else {
+      // Expired or removed since the screen loaded
+      loadUnlockStatus();
+    }
+  };
+
+  const handleBiometricUnlock = async () => {
+    try {
+      const result = await LocalAuthService.unlockWithBiometrics();
+      if (result.success) {
+        openApp();
+      }
+    } catch (error) {
+      console.warn('Biometric unlock failed:', error);
+    }
+  };
+
   const checkServerConnection = async () => {
     try {
       setServerStatus('checking');
@@ -40,7 +107,7 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
-  const handleLogin = async () => {
+  const handleLogin = async ({ discardUnsynced = false } = {}) => {
     if (!username.trim() || !password.trim()) {
       Alert.alert('Error', 'Please enter both username and password');
       return;
@@ -49,26 +116,124 @@ const LoginScreen = ({ navigation }) => {
     setLoading(true);
     
     try {
-      const response = await ApiService.login(username.trim(), password);
+      const response = await ApiService.login(username.trim(), password, { discardUnsynced });
       
-      if (response.success) {
-        navigation.replace('PatientList');
+      if (response.success && sessionExpired && navigation.canGoBack()) {
+        if (response.user?.username === route.params.username) {
+          // Back to the screen the user was on, with its unsaved input intact
+          navigation.goBack();
+        } else {
+          // Someone else logged in; don't show them the previous user's screens
+          navigation.reset({ index: 0, routes: [{ name: 'PatientList' }] });
+        }
+      } else if (response.success) {
+        const { state } = await LocalAuthService.getStatus();
+        // Offer a PIN for offline unlock until one is set
+        navigation.replace(state === 'none' ? 'SetPin' : 'PatientList');
       } else {
         Alert.alert('Login Failed', response.error || 'Invalid credentials');
       }
     } catch (error) {
-      Alert.alert('Error', error.message || 'Login failed');
+      if (error.code === 'UNSYNCED_DATA') {
+        // Logging in would erase patients that only exist on this phone
+        Alert.alert('Unsynced patients', error.message, [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Discard and login',
+            style: 'destructive',
+            onPress: () => handleLogin({ discardUnsynced: true }),
+          },
+        ]);
+      } else {
+        Alert.alert('Error', error.message || 'Login failed');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const pinMode = !usePassword && (unlock.state === 'available' || unlock.state === 'locked');
+
+  if (pinMode) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Welcome back{unlock.name ? `, ${unlock.name}` : ''}</Text>
+
+        <View style={styles.form}>
+          {unlock.state === 'locked' ? (
+            <View style={styles.sessionBanner}>
+              <Text style={styles.sessionText}>
+                Too many wrong PINs. PIN unlock is locked until {formatTime(unlock.lockedUntil)}.
+              </Text>
+            </View>
+          ) : (
+            <>
+              <TextInput
+                style={[styles.input, styles.pinInput]}
+                placeholder="Enter PIN"
+                value={pin}
+                onChangeText={(value) => setPin(value.replace(/\D/g, ''))}
+                keyboardType="number-pad"
+                maxLength={6}
+                secureTextEntry
+                editable={!loading}
+              />
+
+              <TouchableOpacity
+                style={[styles.button, loading && styles.buttonDisabled]}
+                onPress={handlePinUnlock}
+                disabled={loading}
+              >
+                {loading ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text style={styles.buttonText}>Unlock</Text>
+                )}
+              </TouchableOpacity>
+
+              {unlock.biometricEnabled && (
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={handleBiometricUnlock}
+                  disabled={loading}
+                >
+                  <Text style={styles.secondaryButtonText}>Use Fingerprint / Face</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+
+          <TouchableOpacity onPress={() => setUsePassword(true)} disabled={loading}>
+            <Text style={styles.linkText}>Login with password instead</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Welcome to SwasthyaLink</Text>
       <Text style={styles.title}>ASHA Worker Login</Text>
       
       <View style={styles.form}>
+        {!sessionExpired && unlock.state === 'expired' && (
+          <View style={styles.sessionBanner}>
+            <Text style={styles.sessionText}>
+              It has been more than {unlock.offlineUnlockDays} days since your last online login.
+              Login with your password to unlock with your PIN again.
+            </Text>
+          </View>
+        )}
+
+        {sessionExpired && (
+          <View style={styles.sessionBanner}>
+            <Text style={styles.sessionText}>
+              Your session has expired. Login again to continue where you left off - unsaved details are kept.
+            </Text>
+          </View>
+        )}
+
         {/* Server Status Display */}
         {/* <View style={styles.serverStatus}>
           <View style={styles.statusRow}>
@@ -126,7 +291,7 @@ const LoginScreen = ({ navigation }) => {
             styles.button, 
             (loading || serverStatus !== 'connected') && styles.buttonDisabled
           ]}
-          onPress={handleLogin}
+          onPress={() => handleLogin()}
           disabled={loading || serverStatus !== 'connected'}
         >
           {loading ? (
@@ -138,6 +303,12 @@ const LoginScreen = ({ navigation }) => {
           )}
         </TouchableOpacity>
 
+        {!sessionExpired && unlock.state !== 'none' && unlock.state !== 'expired' && (
+          <TouchableOpacity onPress={() => setUsePassword(false)} disabled={loading}>
+            <Text style={[styles.linkText, styles.linkSpacing]}>Unlock with PIN</Text>
+          </TouchableOpacity>
+        )}
+
         <Text style={styles.hint}>
           Default credentials:{' \n'}
           Username: asha_worker{'\n'}
@@ -172,6 +343,16 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  sessionBanner: {
+    backgroundColor: '#fff3cd',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  sessionText: {
+    fontSize: 13,
+    color: '#856404',
+  },
   input: {
     borderWidth: 1,
     borderColor: '#ddd',
@@ -190,6 +371,32 @@ const styles = StyleSheet.create({
   buttonDisabled: {
     backgroundColor: '#ccc',
   },
+  pinInput: {
+    fontSize: 20,
+    letterSpacing: 6,
+    textAlign: 'center',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  secondaryButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    textAlign: 'center',
+  },
+  linkSpacing: {
+    marginBottom: 20,
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
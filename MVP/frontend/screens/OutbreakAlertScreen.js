@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import { SYNDROME_LABELS } from '../components/SyndromePicker';
+
+const STATUS_LABELS = {
+  open: 'Open - not yet followed up',
+  investigating: 'Investigating',
+  closed: 'Closed',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// One outbreak alert: the week's cases against the village's usual count, the
+// patients behind it and its follow-up
+const OutbreakAlertScreen = ({ route, navigation }) => {
+  const { alertId } = route.params;
+  const [alert, setAlert] = useState(null);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    ApiService.getAlert(alertId)
+      .then(response => {
+        if (response.success) {
+          setAlert(response.alert);
+          setNote(response.alert.note || '');
+        }
+      })
+      .catch(error => Alert.alert('Error', error.message || 'Failed to load the alert'))
+      .finally(() => setLoading(false));
+  }, [alertId]);
+
+  const handleUpdate = async (status) => {
+    setSaving(true);
+    try {
+      const response = await ApiService.updateAlert(alertId, status, note.trim() || undefined);
+      if (response.success) {
+        setAlert(prev => ({ ...response.alert, patients: prev.patients }));
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update the alert');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !alert) {
+    return (
+      <View style={styles.loadingContainer}>
+        {loading
+          ? <ActivityIndicator size="large" color="#007AFF" />
+          : <Text style={styles.emptyText}>Alert not available</Text>}
+      </View>
+    );
+  }
+
+  const weekEnd = new Date(new Date(alert.weekEnd).getTime() - 1);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{SYNDROME_LABELS[alert.syndrome] || alert.syndrome}</Text>
+        <Text style={styles.subtitle}>
+          {alert.village} • {formatDate(alert.weekStart)} - {formatDate(weekEnd)}
+        </Text>
+        <Text style={[styles.status, styles[`status_${alert.status}`]]}>
+          {STATUS_LABELS[alert.status]}
+        </Text>
+        {alert.statusUpdatedAt && (
+          <Text style={styles.meta}>
+            Updated by {alert.statusUpdatedBy?.name || 'supervisor'} on {formatDate(alert.statusUpdatedAt)}
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.figures}>
+          <View style={styles.figure}>
+            <Text style={[styles.figureValue, styles.casesValue]}>{alert.cases}</Text>
+            <Text style={styles.figureLabel}>Cases this week</Text>
+          </View>
+          <View style={styles.figure}>
+            <Text style={styles.figureValue}>{alert.baseline.mean}</Text>
+            <Text style={styles.figureLabel}>Usual a week</Text>
+          </View>
+          <View style={styles.figure}>
+            <Text style={styles.figureValue}>{alert.threshold}</Text>
+            <Text style={styles.figureLabel}>Alert at</Text>
+          </View>
+        </View>
+        <Text style={styles.hint}>
+          Usual count: average of the previous {alert.baseline.weeks} weeks in {alert.village}
+        </Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Patients ({alert.patients.length})</Text>
+        {alert.patients.filter(Boolean).map(patient => (
+          <TouchableOpacity
+            key={patient._id}
+            style={styles.patientRow}
+            onPress={() => navigation.navigate('PatientDetail', { patientId: patient._id })}
+          >
+            <Text style={styles.patientName}>{patient.name}</Text>
+            <Text style={styles.patientMeta}>
+              {patient.age} years • {patient.gender} • {patient.healthIssue}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Follow-up</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Findings, e.g. suspected water source, samples sent"
+          value={note}
+          onChangeText={setNote}
+          multiline
+          maxLength={500}
+          editable={!saving}
+        />
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.button, styles.investigateButton, saving && styles.buttonDisabled]}
+            onPress={() => handleUpdate('investigating')}
+            disabled={saving}
+          >
+            <Text style={styles.buttonText}>Investigating</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.closeButton, saving && styles.buttonDisabled]}
+            onPress={() => handleUpdate('closed')}
+            disabled={saving}
+          >
+            <Text style={styles.buttonText}>Close alert</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    paddingBottom: 30,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  status: {
+    alignSelf: 'flex-start',
+    fontSize: 13,
+    fontWeight: '600',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+    marginTop: 10,
+  },
+  status_open: {
+    color: '#FF3B30',
+    backgroundColor: '#fdecea',
+  },
+  status_investigating: {
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+  },
+  status_closed: {
+    color: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    margin: 15,
+    marginBottom: 0,
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  figures: {
+    flexDirection: 'row',
+  },
+  figure: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  figureValue: {
+    fontSize: 26,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  casesValue: {
+    color: '#FF3B30',
+  },
+  figureLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 12,
+  },
+  patientRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  patientName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  patientMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 15,
+    minHeight: 60,
+    marginBottom: 10,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  investigateButton: {
+    backgroundColor: '#007AFF',
+    marginRight: 10,
+  },
+  closeButton: {
+    backgroundColor: '#28a745',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 15,
+  },
+});
+
+export default OutbreakAlertScreen;
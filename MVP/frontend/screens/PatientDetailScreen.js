@@ -0,0 +1,546 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import { SYNDROME_LABELS } from '../components/SyndromePicker';
+
+// Roles that can see who viewed and changed a record (GET /audit)
+const AUDIT_ROLES = ['anm_supervisor', 'medical_officer'];
+
+const PatientDetailScreen = ({ route, navigation }) => {
+  // Opened with a full patient from the list, or just an id from a reminder
+  const [patient, setPatient] = useState(route.params.patient || { _id: route.params.patientId });
+  const [loading, setLoading] = useState(false);
+  const [archiving, setArchiving] = useState(false);
+  const [linkingAbha, setLinkingAbha] = useState(false);
+  const [visits, setVisits] = useState([]);
+  // Most recent pregnancy, for female patients
+  const [pregnancy, setPregnancy] = useState(null);
+  const [children, setChildren] = useState([]);
+  const [canViewHistory, setCanViewHistory] = useState(false);
+
+  // Offline records only exist on the device until they sync
+  const isPending = !!patient.pendingSync;
+
+  const fetchPatient = async () => {
+    if (isPending) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [response, visitResponse] = await Promise.all([
+        ApiService.getPatient(patient._id),
+        ApiService.getVisits(patient._id),
+      ]);
+      if (response.success) {
+        setPatient(response.patient);
+      }
+      if (visitResponse.success) {
+        setVisits(visitResponse.visits || []);
+      }
+      if (response.success && response.patient.gender === 'Female') {
+        const [pregnancyResponse, childResponse] = await Promise.all([
+          ApiService.getPregnancies({ patient: patient._id, limit: 1 }),
+          ApiService.getChildren({ mother: patient._id }),
+        ]);
+        setPregnancy(pregnancyResponse.pregnancies?.[0] || null);
+        setChildren(childResponse.children || []);
+      }
+    } catch (error) {
+      console.warn('Failed to refresh patient:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    ApiService.getSessionUser().then(user => setCanViewHistory(AUDIT_ROLES.includes(user?.role)));
+  }, []);
+
+  useEffect(() => {
+    // Refresh when returning from the edit screen
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchPatient();
+    });
+
+    return unsubscribe;
+  }, [navigation]);
+
+  const handleEdit = () => {
+    navigation.navigate('AddPatient', { patient });
+  };
+
+  const handleAddVisit = () => {
+    navigation.navigate('AddVisit', { patient });
+  };
+
+  const handleRegisterPregnancy = () => {
+    navigation.navigate('RegisterPregnancy', { patient });
+  };
+
+  const formatVitals = (vitals = {}) => [
+    vitals.systolic && vitals.diastolic && `BP ${vitals.systolic}/${vitals.diastolic}`,
+    vitals.pulse && `Pulse ${vitals.pulse}`,
+    vitals.temperature && `Temp ${vitals.temperature}°F`,
+    vitals.weight && `Wt ${vitals.weight} kg`,
+    vitals.spo2 && `SpO2 ${vitals.spo2}%`,
+    vitals.bloodSugar && `Sugar ${vitals.bloodSugar} mg/dL`,
+  ].filter(Boolean).join(' • ');
+
+  const handleLinkAbha = async () => {
+    setLinkingAbha(true);
+    try {
+      const response = await ApiService.linkAbha(patient._id);
+      setPatient(response.patient);
+      Alert.alert('ABHA Linked', 'The ABHA account is now linked to this patient.');
+    } catch (error) {
+      Alert.alert('ABHA Not Linked', error.message || 'Failed to link ABHA');
+    } finally {
+      setLinkingAbha(false);
+    }
+  };
+
+  const handleArchive = () => {
+    Alert.alert(
+      'Archive Patient',
+      `Archive ${patient.name}? The record will be hidden from the list but kept on the server.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Archive',
+          style: 'destructive',
+          onPress: async () => {
+            setArchiving(true);
+            try {
+              await ApiService.archivePatient(patient._id);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to archive patient');
+            } finally {
+              setArchiving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (!patient.name) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{patient.name}</Text>
+        <Text style={styles.subtitle}>{patient.age} years • {patient.gender}</Text>
+        {loading && <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />}
+      </View>
+
+      {isPending && (
+        <View style={styles.pendingBanner}>
+          <Text style={styles.pendingText}>
+            This patient is saved on the device and has not synced yet. Editing is available after sync.
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Village: </Text>
+          {patient.village}
+        </Text>
+
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Health Issue: </Text>
+          {patient.healthIssue}
+        </Text>
+
+        {patient.syndromes?.length > 0 && (
+          <Text style={styles.detailRow}>
+            <Text style={styles.label}>Syndromes: </Text>
+            {patient.syndromes.map(syndrome => SYNDROME_LABELS[syndrome] || syndrome).join(', ')}
+          </Text>
+        )}
+
+        {!!(patient.abhaNumber || patient.abhaAddress) && (
+          <View style={styles.abhaRow}>
+            <Text style={[styles.detailRow, styles.abhaText]}>
+              <Text style={styles.label}>ABHA: </Text>
+              {[patient.abhaNumber, patient.abhaAddress].filter(Boolean).join(' • ')}
+            </Text>
+            {patient.abhaLinkedAt ? (
+              <Text style={styles.abhaLinked}>Linked</Text>
+            ) : !isPending && (
+              <TouchableOpacity onPress={handleLinkAbha} disabled={linkingAbha}>
+                {linkingAbha ? (
+                  <ActivityIndicator size="small" color="#007AFF" />
+                ) : (
+                  <Text style={styles.linkText}>Link</Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        <Text style={styles.dateText}>
+          Added: {new Date(patient.createdAt).toLocaleDateString()}
+        </Text>
+
+        {!!patient.nextFollowUpDate && (
+          <Text style={styles.followUpText}>
+            Next follow-up: {new Date(patient.nextFollowUpDate).toLocaleDateString()}
+            {patient.followUpReason ? ` - ${patient.followUpReason}` : ''}
+          </Text>
+        )}
+
+        {patient.updatedAt && patient.updatedAt !== patient.createdAt && (
+          <Text style={styles.dateText}>
+            Last updated: {new Date(patient.updatedAt).toLocaleDateString()}
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.button, isPending && styles.buttonDisabled]}
+          onPress={handleEdit}
+          disabled={isPending || archiving}
+        >
+          <Text style={styles.buttonText}>Edit</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.archiveButton, (isPending || archiving) && styles.buttonDisabled]}
+          onPress={handleArchive}
+          disabled={isPending || archiving}
+        >
+          {archiving ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Archive</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {canViewHistory && !isPending && (
+        <TouchableOpacity
+          onPress={() => navigation.navigate('PatientHistory', { patient })}
+          style={styles.registerLink}
+        >
+          <Text style={styles.linkText}>Record History</Text>
+        </TouchableOpacity>
+      )}
+
+      {patient.gender === 'Female' && !isPending && (
+        <>
+          {pregnancy && pregnancy.status !== 'closed' && (
+            <TouchableOpacity
+              style={[styles.card, styles.pregnancyCard]}
+              onPress={() => navigation.navigate('PregnancyDetail', { pregnancyId: pregnancy._id })}
+            >
+              <Text style={styles.label}>
+                {pregnancy.status === 'active'
+                  ? `🤰 ${pregnancy.gestationalWeeks} weeks pregnant`
+                  : '👶 Delivered - postnatal care'}
+              </Text>
+              <Text style={styles.detailRow}>
+                {pregnancy.status === 'active'
+                  ? `Expected delivery: ${new Date(pregnancy.edd).toLocaleDateString()}`
+                  : `Delivered: ${new Date(pregnancy.delivery.date).toLocaleDateString()}`}
+              </Text>
+              {pregnancy.isHighRisk && <Text style={styles.highRiskText}>High-risk pregnancy</Text>}
+            </TouchableOpacity>
+          )}
+          {pregnancy?.status !== 'active' && (
+            <TouchableOpacity onPress={handleRegisterPregnancy} style={styles.registerLink}>
+              <Text style={styles.linkText}>+ Register Pregnancy</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Children ({children.length})</Text>
+            <TouchableOpacity onPress={() => navigation.navigate('RegisterChild', { mother: patient })}>
+              <Text style={styles.linkText}>+ Register Child</Text>
+            </TouchableOpacity>
+          </View>
+          {children.map(child => {
+            const dueCount = child.card.filter(item => item.status === 'due').length;
+            return (
+              <TouchableOpacity
+                key={child._id}
+                style={styles.childRow}
+                onPress={() => navigation.navigate('ImmunizationCard', { childId: child._id })}
+              >
+                <Text style={styles.detailRow}>
+                  {child.name} • born {new Date(child.dateOfBirth).toLocaleDateString()}
+                </Text>
+                {dueCount > 0 && <Text style={styles.highRiskText}>{dueCount} vaccines due</Text>}
+              </TouchableOpacity>
+            );
+          })}
+        </>
+      )}
+
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>Visits ({visits.length})</Text>
+        {!isPending && (
+          <TouchableOpacity onPress={handleAddVisit}>
+            <Text style={styles.linkText}>+ Record Visit</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.timeline}>
+        {visits.length === 0 ? (
+          <Text style={styles.emptyText}>No visits recorded yet</Text>
+        ) : visits.map((visit, index) => (
+          <View key={visit._id} style={styles.timelineItem}>
+            <View style={styles.timelineMarker}>
+              <View style={styles.timelineDot} />
+              {index < visits.length - 1 && <View style={styles.timelineLine} />}
+            </View>
+            <View style={styles.timelineContent}>
+              <Text style={styles.visitDate}>
+                {new Date(visit.visitDate).toLocaleDateString()}
+                {visit.worker?.name ? ` • ${visit.worker.name}` : ''}
+              </Text>
+              {!!visit.complaint && <Text style={styles.detailRow}>{visit.complaint}</Text>}
+              {visit.syndromes?.length > 0 && (
+                <Text style={styles.notesText}>
+                  {visit.syndromes.map(syndrome => SYNDROME_LABELS[syndrome] || syndrome).join(', ')}
+                </Text>
+              )}
+              {!!formatVitals(visit.vitals) && (
+                <Text style={styles.vitalsText}>{formatVitals(visit.vitals)}</Text>
+              )}
+              {!!visit.notes && <Text style={styles.notesText}>{visit.notes}</Text>}
+              {!!visit.nextFollowUpDate && (
+                <Text style={styles.followUpText}>
+                  Follow-up: {new Date(visit.nextFollowUpDate).toLocaleDateString()}
+                </Text>
+              )}
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#666',
+    marginTop: 4,
+  },
+  loader: {
+    position: 'absolute',
+    right: 20,
+    top: 24,
+  },
+  pendingBanner: {
+    backgroundColor: '#fff3cd',
+    padding: 12,
+    margin: 15,
+    marginBottom: 0,
+    borderRadius: 8,
+  },
+  pendingText: {
+    fontSize: 13,
+    color: '#856404',
+  },
+  card: {
+    backgroundColor: 'white',
+    margin: 15,
+    borderRadius: 10,
+    padding: 15,
+    gap: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  detailRow: {
+    fontSize: 15,
+    color: '#444',
+    lineHeight: 20,
+  },
+  label: {
+    fontWeight: '600',
+    color: '#333',
+  },
+  abhaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  abhaText: {
+    flex: 1,
+  },
+  abhaLinked: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#28a745',
+  },
+  dateText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 15,
+    gap: 15,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  archiveButton: {
+    backgroundColor: '#FF3B30',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  pregnancyCard: {
+    marginBottom: 0,
+    borderLeftWidth: 4,
+    borderLeftColor: '#007AFF',
+  },
+  highRiskText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
+  childRow: {
+    backgroundColor: 'white',
+    marginHorizontal: 15,
+    marginBottom: 8,
+    borderRadius: 8,
+    padding: 12,
+    gap: 2,
+  },
+  registerLink: {
+    paddingHorizontal: 15,
+    marginTop: 15,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    marginTop: 25,
+    marginBottom: 10,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  timeline: {
+    paddingHorizontal: 15,
+    paddingBottom: 30,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  timelineItem: {
+    flexDirection: 'row',
+  },
+  timelineMarker: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#007AFF',
+    marginTop: 4,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#d0e3ff',
+  },
+  timelineContent: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginLeft: 8,
+    marginBottom: 12,
+    gap: 4,
+  },
+  visitDate: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  vitalsText: {
+    fontSize: 13,
+    color: '#007AFF',
+  },
+  notesText: {
+    fontSize: 13,
+    color: '#555',
+    fontStyle: 'italic',
+  },
+  followUpText: {
+    fontSize: 12,
+    color: '#8a6d00',
+  },
+});
+
+export default PatientDetailScreen;
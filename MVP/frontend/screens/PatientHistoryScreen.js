@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import ApiService from '../services/api';
+
+const PAGE_SIZE = 30;
+
+const ACTION_LABELS = {
+  create: 'Created',
+  read: 'Viewed',
+  list: 'Seen in a list',
+  update: 'Updated',
+  delete: 'Archived',
+  merge: 'Merged',
+  export: 'Exported',
+};
+
+// What a non-patient entry was about, as in "Viewed pregnancy record"
+const RESOURCE_LABELS = {
+  pregnancy: 'pregnancy record',
+  child: 'child record',
+  followup: 'follow-up list',
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  age: 'Age',
+  gender: 'Gender',
+  village: 'Village',
+  healthIssue: 'Health issue',
+  syndromes: 'Syndromes',
+  household: 'Household',
+  nextFollowUpDate: 'Next follow-up',
+  followUpReason: 'Follow-up reason',
+  abhaNumber: 'ABHA number',
+  abhaAddress: 'ABHA address',
+  abhaLinkedAt: 'ABHA linked',
+  archived: 'Archived',
+  mergedInto: 'Merged into',
+  visitDate: 'Visit date',
+  complaint: 'Complaint',
+  vitals: 'Vitals',
+  notes: 'Notes',
+};
+
+const formatTimestamp = (date) => new Date(date).toLocaleString();
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key} ${item}`).join(', ');
+  }
+  return String(value);
+};
+
+const describeEntry = (entry) => {
+  const label = ACTION_LABELS[entry.action] || entry.action;
+  if (entry.resource === 'visit') {
+    return `${label} visit${entry.action === 'read' ? 's' : ''}`;
+  }
+  return RESOURCE_LABELS[entry.resource] ? `${label} ${RESOURCE_LABELS[entry.resource]}` : label;
+};
+
+// Who viewed and changed a patient's record, from GET /audit (supervisors)
+const PatientHistoryScreen = ({ route }) => {
+  const { patient } = route.params;
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await ApiService.getAuditLog({ patient: patient._id, limit: PAGE_SIZE });
+      if (response.success) {
+        setEntries(response.entries || []);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load record history');
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchHistory().finally(() => setLoading(false));
+  }, []);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchHistory();
+    setRefreshing(false);
+  };
+
+  const fetchMore = async () => {
+    if (!nextCursor || loadingMore || loading || refreshing) {
+      return;
+    }
+
+    setLoadingMore(true);
+    try {
+      const response = await ApiService.getAuditLog({
+        patient: patient._id,
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+      });
+      if (response.success) {
+        setEntries(prev => [...prev, ...(response.entries || [])]);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      console.warn('Failed to load more history:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const renderEntry = ({ item }) => (
+    <View style={styles.entry}>
+      <View style={styles.entryHeader}>
+        <Text style={styles.action}>{describeEntry(item)}</Text>
+        <Text style={styles.timestamp}>{formatTimestamp(item.createdAt)}</Text>
+      </View>
+      <Text style={styles.actor}>
+        {item.actor?.name || item.actorUsername} ({item.role.replace(/_/g, ' ')})
+        {item.ip ? ` • ${item.ip}` : ''}
+      </Text>
+      {(item.changes || []).map(change => (
+        <Text key={change.field} style={styles.change}>
+          {FIELD_LABELS[change.field] || change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+        </Text>
+      ))}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      style={styles.container}
+      data={entries}
+      renderItem={renderEntry}
+      keyExtractor={(item) => item._id}
+      ListHeaderComponent={(
+        <View style={styles.header}>
+          <Text style={styles.title}>{patient.name}</Text>
+          <Text style={styles.subtitle}>Every view and change of this record</Text>
+        </View>
+      )}
+      ListEmptyComponent={<Text style={styles.emptyText}>No history recorded yet</Text>}
+      onEndReached={fetchMore}
+      onEndReachedThreshold={0.5}
+      ListFooterComponent={loadingMore ? (
+        <ActivityIndicator size="small" color="#007AFF" style={styles.listFooter} />
+      ) : null}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  entry: {
+    backgroundColor: 'white',
+    marginHorizontal: 15,
+    marginBottom: 8,
+    borderRadius: 8,
+    padding: 12,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  action: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  timestamp: {
+    fontSize: 12,
+    color: '#999',
+  },
+  actor: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  change: {
+    fontSize: 13,
+    color: '#333',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  listFooter: {
+    paddingVertical: 15,
+  },
+});
+
+export default PatientHistoryScreen;
@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
+  TextInput,
   FlatList,
   TouchableOpacity,
   StyleSheet,
@@ -14,23 +15,147 @@ import {
 import ApiService from '../services/api';
 import NotificationService from '../services/notificationService';
 
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 400;
+
+const VIEW_MODES = [
+  { id: 'patients', label: 'Patients' },
+  { id: 'households', label: 'Households' },
+  { id: 'children', label: 'Children' },
+];
+
+// Filter chips; chips in the same group are mutually exclusive
+const FILTER_CHIPS = [
+  { id: 'female', group: 'gender', label: 'Female', params: { gender: 'Female' } },
+  { id: 'male', group: 'gender', label: 'Male', params: { gender: 'Male' } },
+  { id: 'other', group: 'gender', label: 'Other', params: { gender: 'Other' } },
+  { id: 'under5', group: 'age', label: 'Under 5', params: { maxAge: 5 } },
+  { id: 'child', group: 'age', label: '6-18', params: { minAge: 6, maxAge: 18 } },
+  { id: 'adult', group: 'age', label: '19-59', params: { minAge: 19, maxAge: 59 } },
+  { id: 'elderly', group: 'age', label: '60+', params: { minAge: 60 } },
+  { id: 'recent', group: 'added', label: 'Added this week', params: () => ({
+    addedFrom: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+  }) },
+];
+
+// Roles that can open the dashboard (GET /reports); workers get their
+// monthly activity reports instead
+const REPORT_ROLES = ['anm_supervisor', 'medical_officer'];
+
 const PatientListScreen = ({ navigation }) => {
   const [patients, setPatients] = useState([]);
+  const [households, setHouseholds] = useState([]);
+  const [children, setChildren] = useState([]);
+  const [viewMode, setViewMode] = useState('patients');
+  const [isOffline, setIsOffline] = useState(false);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [activeChips, setActiveChips] = useState({});
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [showNotificationMenu, setShowNotificationMenu] = useState(false);
   const [sendingNotification, setSendingNotification] = useState(false);
+  const [canViewDashboard, setCanViewDashboard] = useState(false);
+  // Open outbreak alerts in the supervisor's villages
+  const [openAlerts, setOpenAlerts] = useState(0);
+
+  // Latest search params and view, read by the focus listener registered once on mount
+  const searchParamsRef = useRef({});
+  const viewModeRef = useRef('patients');
+  const hasFilters = !!searchText.trim() || Object.keys(activeChips).length > 0;
+
+  const buildSearchParams = () => {
+    const params = { q: searchText.trim() };
+    Object.values(activeChips).forEach(chip => {
+      Object.assign(params, typeof chip.params === 'function' ? chip.params() : chip.params);
+    });
+    return params;
+  };
+
+  const toggleChip = (chip) => {
+    setActiveChips(prev => {
+      const next = { ...prev };
+      if (next[chip.group]?.id === chip.id) {
+        delete next[chip.group];
+      } else {
+        next[chip.group] = chip;
+      }
+      return next;
+    });
+  };
+
+  const fetchHouseholds = async () => {
+    try {
+      const response = await ApiService.getHouseholds({
+        q: searchParamsRef.current.q,
+        limit: PAGE_SIZE,
+      });
+
+      if (response.success) {
+        setHouseholds(response.households || []);
+        setTotal(response.total ?? 0);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to fetch households');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const fetchChildren = async () => {
+    try {
+      const response = await ApiService.getChildren({
+        q: searchParamsRef.current.q,
+        limit: PAGE_SIZE,
+      });
+
+      if (response.success) {
+        setChildren(response.children || []);
+        setTotal(response.total ?? 0);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to fetch children');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
 
   const fetchPatients = async (showLoading = true) => {
     if (showLoading) {
       setLoading(true);
     }
+
+    if (viewModeRef.current === 'households') {
+      await fetchHouseholds();
+      return;
+    }
+
+    if (viewModeRef.current === 'children') {
+      await fetchChildren();
+      return;
+    }
     
     try {
-      const response = await ApiService.getPatients();
+      // Push any offline submissions first so the server list includes them
+      await ApiService.syncPendingPatients();
+
+      const params = searchParamsRef.current;
+      const isFiltered = Object.values(params).some(value => value !== '' && value !== undefined);
+      const response = await ApiService.getPatients({ ...params, limit: PAGE_SIZE });
       
       if (response.success) {
-        setPatients(response.patients || []);
+        // Offline records are only mixed into the unfiltered list
+        const pending = isFiltered ? [] : await ApiService.getPendingPatients();
+        setIsOffline(!!response.offline);
+        setPatients([...pending.reverse(), ...(response.patients || [])]);
+        setTotal((response.total ?? response.patients?.length ?? 0) + pending.length);
+        setNextCursor(response.nextCursor || null);
       } else {
         Alert.alert('Error', response.error || 'Failed to fetch patients');
       }
@@ -42,6 +167,65 @@ const PatientListScreen = ({ navigation }) => {
     }
   };
 
+  const fetchMorePatients = async () => {
+    if (!nextCursor || loadingMore || loading || refreshing) {
+      return;
+    }
+
+    setLoadingMore(true);
+    try {
+      if (viewModeRef.current === 'households') {
+        const response = await ApiService.getHouseholds({
+          q: searchParamsRef.current.q,
+          limit: PAGE_SIZE,
+          cursor: nextCursor,
+        });
+        if (response.success) {
+          setHouseholds(prev => [...prev, ...(response.households || [])]);
+          setNextCursor(response.nextCursor || null);
+        }
+        return;
+      }
+
+      if (viewModeRef.current === 'children') {
+        const response = await ApiService.getChildren({
+          q: searchParamsRef.current.q,
+          limit: PAGE_SIZE,
+          cursor: nextCursor,
+        });
+        if (response.success) {
+          setChildren(prev => [...prev, ...(response.children || [])]);
+          setNextCursor(response.nextCursor || null);
+        }
+        return;
+      }
+
+      const response = await ApiService.getPatients({
+        ...searchParamsRef.current,
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+      });
+
+      if (response.success) {
+        setPatients(prev => [...prev, ...(response.patients || [])]);
+        setNextCursor(response.nextCursor || null);
+      }
+    } catch (error) {
+      console.warn('Failed to load more patients:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Re-run the search when the query, chips or view change (debounced for typing)
+  useEffect(() => {
+    searchParamsRef.current = buildSearchParams();
+    viewModeRef.current = viewMode;
+    setNextCursor(null);
+    const timeoutId = setTimeout(() => fetchPatients(false), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchText, activeChips, viewMode]);
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     fetchPatients(false);
@@ -56,8 +240,31 @@ const PatientListScreen = ({ navigation }) => {
         {
           text: 'Logout',
           onPress: async () => {
-            await ApiService.logout();
-            navigation.replace('Login');
+            const result = await ApiService.logout();
+            if (result.success) {
+              navigation.replace('Login');
+              return;
+            }
+
+            // Logging out erases the phone's data, including unsynced patients
+            fetchPatients(false);
+            Alert.alert(
+              'Unsynced patients',
+              `${result.pending} patient(s) registered offline have not reached the server. ` +
+                'Connect to the internet, or fix the ones the server rejected, then logout again. ' +
+                'Logging out now deletes them.',
+              [
+                { text: 'Stay logged in', style: 'cancel' },
+                {
+                  text: 'Delete and logout',
+                  style: 'destructive',
+                  onPress: async () => {
+                    await ApiService.logout({ discardUnsynced: true });
+                    navigation.replace('Login');
+                  },
+                },
+              ]
+            );
           },
         },
       ]
@@ -109,6 +316,25 @@ const PatientListScreen = ({ navigation }) => {
     }
   };
 
+  const syncDueReminders = async () => {
+    try {
+      setSendingNotification(true);
+      const data = await ApiService.syncFollowUpReminders();
+
+      if (data?.success) {
+        Alert.alert(
+          '📅 Reminders Updated',
+          `${data.count} due or overdue item${data.count === 1 ? '' : 's'} scheduled (${data.overdueCount} overdue).`,
+          [{ text: 'OK' }]
+        );
+      } else {
+        Alert.alert('Offline', 'Could not reach the server. Existing reminders are kept.');
+      }
+    } finally {
+      setSendingNotification(false);
+    }
+  };
+
   const sendPatientNotification = async () => {
     if (patients.length === 0) {
       Alert.alert('No Patients', 'Add some patients first to test patient notifications!');
@@ -134,20 +360,49 @@ const PatientListScreen = ({ navigation }) => {
   };
 
   useEffect(() => {
-    fetchPatients();
-    
     // Focus listener to refresh data when returning to this screen
     const unsubscribe = navigation.addListener('focus', () => {
       fetchPatients(false);
+      // Keep local follow-up reminders in step with the server
+      ApiService.syncFollowUpReminders();
     });
 
     return unsubscribe;
   }, [navigation]);
 
+  useEffect(() => {
+    ApiService.getSessionUser().then(user => setCanViewDashboard(REPORT_ROLES.includes(user?.role)));
+    // Server notifications go to whoever signed in on this device last
+    ApiService.registerPushToken();
+  }, []);
+
+  useEffect(() => {
+    if (!canViewDashboard) {
+      return undefined;
+    }
+
+    const fetchOpenAlerts = () => ApiService.getAlerts({ status: 'open', limit: 1 })
+      .then(response => setOpenAlerts(response.total || 0))
+      .catch(error => console.warn('Failed to load outbreak alerts:', error));
+    fetchOpenAlerts();
+    return navigation.addListener('focus', fetchOpenAlerts);
+  }, [navigation, canViewDashboard]);
+
   const renderPatientItem = ({ item, index }) => (
-    <View style={styles.patientCard}>
+    <TouchableOpacity
+      style={styles.patientCard}
+      onPress={() => (item.duplicateCandidates
+        // Offline registration the server flagged as a possible duplicate
+        ? navigation.navigate('AddPatient', { pendingPatient: item })
+        : navigation.navigate('PatientDetail', { patient: item }))}
+    >
       <View style={styles.patientHeader}>
         <Text style={styles.patientName}>{item.name}</Text>
+        {item.pendingSync && (
+          <Text style={[styles.pendingBadge, item.lastError && styles.pendingBadgeError]}>
+            {item.lastError ? 'Sync failed' : 'Pending sync'}
+          </Text>
+        )}
         <Text style={styles.patientAge}>{item.age} years</Text>
       </View>
       
@@ -170,11 +425,100 @@ const PatientListScreen = ({ navigation }) => {
         <Text style={styles.dateAdded}>
           Added: {new Date(item.createdAt).toLocaleDateString()}
         </Text>
+
+        {item.lastError && (
+          <Text style={styles.syncError}>{item.lastError}</Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderHouseholdItem = ({ item }) => (
+    <View style={styles.patientCard}>
+      <View style={styles.patientHeader}>
+        <Text style={styles.patientName}>{item.headName}</Text>
+        {item.isBPL && <Text style={styles.bplBadge}>BPL</Text>}
+        <Text style={styles.patientAge}>{item.members?.length || 0} members</Text>
+      </View>
+
+      <Text style={styles.detailRow}>
+        <Text style={styles.label}>Village: </Text>
+        {[item.landmark || item.address, item.village].filter(Boolean).join(' • ')}
+      </Text>
+
+      {item.rationCardType && item.rationCardType !== 'None' && (
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Ration Card: </Text>
+          {item.rationCardType}{item.rationCardNumber ? ` (${item.rationCardNumber})` : ''}
+        </Text>
+      )}
+
+      <View style={styles.memberList}>
+        {(item.members || []).map(member => (
+          <TouchableOpacity
+            key={member._id}
+            style={styles.memberRow}
+            onPress={() => navigation.navigate('PatientDetail', { patient: member })}
+          >
+            <Text style={styles.memberName}>
+              {member.name}{item.head === member._id ? ' (Head)' : ''}
+            </Text>
+            <Text style={styles.memberMeta}>{member.age} yrs • {member.gender}</Text>
+          </TouchableOpacity>
+        ))}
       </View>
     </View>
   );
 
-  const renderEmptyState = () => (
+  const renderChildItem = ({ item }) => {
+    const due = item.card.filter(vaccine => vaccine.status === 'due');
+    return (
+      <TouchableOpacity
+        style={styles.patientCard}
+        onPress={() => navigation.navigate('ImmunizationCard', { childId: item._id })}
+      >
+        <View style={styles.patientHeader}>
+          <Text style={styles.patientName}>{item.name}</Text>
+          <Text style={styles.patientAge}>{item.gender}</Text>
+        </View>
+
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Born: </Text>
+          {new Date(item.dateOfBirth).toLocaleDateString()}
+          {item.mother?.name ? ` • Mother: ${item.mother.name}` : ''}
+        </Text>
+
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Village: </Text>
+          {item.village}
+        </Text>
+
+        {due.length > 0 && (
+          <Text style={styles.syncError}>
+            Due: {due.map(vaccine => vaccine.name).join(', ')}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmptyState = () => viewMode === 'children' ? (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyText}>
+        {hasFilters ? 'No children match your search' : 'No children registered yet'}
+      </Text>
+    </View>
+  ) : viewMode === 'households' ? (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyText}>
+        {hasFilters ? 'No households match your search' : 'No households added yet'}
+      </Text>
+    </View>
+  ) : hasFilters ? (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyText}>No patients match your search</Text>
+    </View>
+  ) : (
     <View style={styles.emptyState}>
       <Text style={styles.emptyText}>No patients added yet</Text>
       <TouchableOpacity
@@ -199,19 +543,101 @@ const PatientListScreen = ({ navigation }) => {
     <View style={styles.container}>
       <View style={styles.header}>
         <View>
-          <Text style={styles.title}>Patients ({patients.length})</Text>
+          <Text style={styles.title}>
+            {VIEW_MODES.find(mode => mode.id === viewMode).label} ({total})
+          </Text>
         </View>
-        <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
-          <Text style={styles.logoutText}>Logout</Text>
+        <View style={styles.headerActions}>
+          {canViewDashboard ? (
+            <TouchableOpacity onPress={() => navigation.navigate('Dashboard')} style={styles.dashboardButton}>
+              <Text style={styles.dashboardText}>Dashboard</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity onPress={() => navigation.navigate('ActivityReports')} style={styles.dashboardButton}>
+              <Text style={styles.dashboardText}>Reports</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
+            <Text style={styles.logoutText}>Logout</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {openAlerts > 0 && (
+        <TouchableOpacity style={styles.alertBanner} onPress={() => navigation.navigate('Alerts')}>
+          <Text style={styles.alertBannerText}>
+            {openAlerts} open outbreak alert{openAlerts === 1 ? '' : 's'} in your villages - tap to review
+          </Text>
         </TouchableOpacity>
+      )}
+
+      {isOffline && (
+        <View style={styles.offlineBanner}>
+          <Text style={styles.offlineText}>
+            Offline - showing saved patients. New records will sync when connected.
+          </Text>
+        </View>
+      )}
+
+      <View style={styles.searchSection}>
+        <View style={styles.viewToggle}>
+          {VIEW_MODES.map(mode => (
+            <TouchableOpacity
+              key={mode.id}
+              style={[styles.toggleButton, viewMode === mode.id && styles.toggleButtonActive]}
+              onPress={() => setViewMode(mode.id)}
+            >
+              <Text style={[styles.toggleText, viewMode === mode.id && styles.toggleTextActive]}>
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TextInput
+          style={styles.searchInput}
+          placeholder={viewMode === 'households' ? 'Search by head of household' : 'Search by name'}
+          value={searchText}
+          onChangeText={setSearchText}
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+        {viewMode === 'patients' && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.chipRow}
+          >
+            {FILTER_CHIPS.map(chip => {
+              const isActive = activeChips[chip.group]?.id === chip.id;
+              return (
+                <TouchableOpacity
+                  key={chip.id}
+                  style={[styles.chip, isActive && styles.chipActive]}
+                  onPress={() => toggleChip(chip)}
+                >
+                  <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+                    {chip.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
       </View>
 
       <FlatList
-        data={patients}
-        renderItem={renderPatientItem}
+        data={viewMode === 'households' ? households : viewMode === 'children' ? children : patients}
+        renderItem={viewMode === 'households'
+          ? renderHouseholdItem
+          : viewMode === 'children' ? renderChildItem : renderPatientItem}
         keyExtractor={(item) => item._id}
         contentContainerStyle={styles.listContainer}
         ListEmptyComponent={renderEmptyState}
+        onEndReached={fetchMorePatients}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator size="small" color="#007AFF" style={styles.listFooter} />
+        ) : null}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
@@ -220,7 +646,7 @@ const PatientListScreen = ({ navigation }) => {
       {/* Add Patient FAB */}
       <TouchableOpacity
         style={styles.fabButton}
-        onPress={() => navigation.navigate('AddPatient')}
+        onPress={() => navigation.navigate(viewMode === 'children' ? 'RegisterChild' : 'AddPatient')}
       >
         <Text style={styles.fabText}>+</Text>
       </TouchableOpacity>
@@ -323,13 +749,13 @@ const PatientListScreen = ({ navigation }) => {
               
               <TouchableOpacity 
                 style={styles.testButton}
-                onPress={() => sendTestNotification('health_check')}
+                onPress={() => syncDueReminders()}
                 disabled={sendingNotification}
               >
-                <Text style={styles.testButtonIcon}>🏥</Text>
+                <Text style={styles.testButtonIcon}>💉</Text>
                 <View style={styles.testButtonContent}>
-                  <Text style={styles.testButtonTitle}>Health Check</Text>
-                  <Text style={styles.testButtonDesc}>Weekly health rounds reminder</Text>
+                  <Text style={styles.testButtonTitle}>Due Reminders</Text>
+                  <Text style={styles.testButtonDesc}>Reschedule follow-up, ANC/PNC and vaccination reminders</Text>
                 </View>
               </TouchableOpacity>
               
@@ -384,6 +810,19 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dashboardButton: {
+    padding: 8,
+    marginRight: 4,
+  },
+  dashboardText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   logoutButton: {
     padding: 8,
   },
@@ -396,6 +835,103 @@ const styles = StyleSheet.create({
     padding: 15,
     flexGrow: 1,
   },
+  listFooter: {
+    paddingVertical: 15,
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    padding: 2,
+    marginBottom: 10,
+  },
+  toggleButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  toggleButtonActive: {
+    backgroundColor: 'white',
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  toggleTextActive: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  bplBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8a4b00',
+    backgroundColor: '#ffe8cc',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  memberList: {
+    marginTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  memberRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f7f7f7',
+  },
+  memberName: {
+    fontSize: 15,
+    color: '#007AFF',
+  },
+  memberMeta: {
+    fontSize: 13,
+    color: '#666',
+  },
+  searchSection: {
+    backgroundColor: 'white',
+    paddingHorizontal: 15,
+    paddingTop: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    fontSize: 15,
+    backgroundColor: '#fafafa',
+  },
+  chipRow: {
+    paddingVertical: 10,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#444',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
   patientCard: {
     backgroundColor: 'white',
     marginBottom: 15,
@@ -448,6 +984,47 @@ const styles = StyleSheet.create({
     marginTop: 8,
     fontStyle: 'italic',
   },
+  pendingBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8a6d00',
+    backgroundColor: '#fff3cd',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  pendingBadgeError: {
+    color: '#721c24',
+    backgroundColor: '#f8d7da',
+  },
+  syncError: {
+    fontSize: 12,
+    color: '#721c24',
+  },
+  offlineBanner: {
+    backgroundColor: '#fff3cd',
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffeeba',
+  },
+  offlineText: {
+    fontSize: 13,
+    color: '#856404',
+  },
+  alertBanner: {
+    backgroundColor: '#fdecea',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5c2c0',
+  },
+  alertBannerText: {
+    fontSize: 14,
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
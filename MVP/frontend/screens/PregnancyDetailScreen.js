@@ -0,0 +1,604 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import FieldError from '../components/FieldError';
+import { RISK_FLAG_LABELS } from './RegisterPregnancyScreen';
+import { validate } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
+
+const today = () => new Date().toISOString().slice(0, 10);
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const DOSE_BUTTONS = [
+  { type: 'TT1', label: 'TT 1' },
+  { type: 'TT2', label: 'TT 2' },
+  { type: 'TT_BOOSTER', label: 'TT Booster' },
+  { type: 'IFA', label: 'IFA Tablets' },
+];
+
+// Fields shown in the record modal for each kind of entry
+const MODAL_FIELDS = {
+  anc: [
+    { field: 'weight', label: 'Weight (kg)', numeric: true },
+    { field: 'systolic', label: 'BP Systolic (mmHg)', numeric: true },
+    { field: 'diastolic', label: 'BP Diastolic (mmHg)', numeric: true },
+    { field: 'hb', label: 'Haemoglobin (g/dL)', numeric: true },
+    { field: 'notes', label: 'Notes' },
+  ],
+  dose: [
+    { field: 'quantity', label: 'Tablets given', numeric: true, ifaOnly: true },
+  ],
+  pnc: [
+    { field: 'motherCondition', label: "Mother's condition" },
+    { field: 'babyCondition', label: "Baby's condition" },
+    { field: 'notes', label: 'Notes' },
+  ],
+};
+
+const MODAL_SCHEMAS = {
+  anc: schemas.ancCheckup,
+  dose: schemas.dose,
+  pnc: schemas.pncVisit,
+};
+
+const scheduleStatus = (item, startField = 'dueDate') => {
+  if (item.completedDate) {
+    return { label: `Done ${formatDate(item.completedDate)}`, style: styles.statusDone };
+  }
+  if (new Date(item.dueDate) < new Date()) {
+    return { label: `Overdue since ${formatDate(item.dueDate)}`, style: styles.statusOverdue };
+  }
+  if (new Date(item[startField]) <= new Date()) {
+    return { label: `Due by ${formatDate(item.dueDate)}`, style: styles.statusDue };
+  }
+  return { label: `From ${formatDate(item[startField])}`, style: styles.statusUpcoming };
+};
+
+const PregnancyDetailScreen = ({ route, navigation }) => {
+  const { pregnancyId } = route.params;
+  const [pregnancy, setPregnancy] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // { kind: 'anc' | 'dose' | 'pnc', key, title } while the record modal is open
+  const [recording, setRecording] = useState(null);
+  const [entry, setEntry] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fetchPregnancy = async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getPregnancy(pregnancyId);
+      if (response.success) {
+        setPregnancy(response.pregnancy);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load pregnancy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    // Refresh when returning from the delivery screen
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchPregnancy();
+    });
+
+    return unsubscribe;
+  }, [navigation]);
+
+  const openRecord = (kind, key, title) => {
+    setEntry({ date: today() });
+    setErrors({});
+    setRecording({ kind, key, title });
+  };
+
+  const updateEntry = (field, value) => {
+    setEntry(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSave = async () => {
+    // Doses carry their type from the button that opened the modal
+    const request = recording.kind === 'dose' ? { ...entry, type: recording.key } : entry;
+    const { errors: formErrors } = validate(MODAL_SCHEMAS[recording.kind], request);
+    setErrors(formErrors || {});
+    if (formErrors) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let response;
+      if (recording.kind === 'anc') {
+        response = await ApiService.recordAncCheckup(pregnancy._id, recording.key, entry);
+      } else if (recording.kind === 'pnc') {
+        response = await ApiService.recordPncVisit(pregnancy._id, recording.key, entry);
+      } else {
+        response = await ApiService.recordDose(pregnancy._id, request);
+      }
+
+      if (response.success) {
+        setPregnancy(response.pregnancy);
+        setRecording(null);
+        // Moves the reminder on to the next checkup or visit
+        ApiService.syncFollowUpReminders();
+      } else {
+        Alert.alert('Error', response.error || 'Failed to save');
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to save');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!pregnancy) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  const isActive = pregnancy.status === 'active';
+  const givenDoses = pregnancy.doses.map(dose => dose.type);
+  const ifaTablets = pregnancy.doses
+    .filter(dose => dose.type === 'IFA')
+    .reduce((total, dose) => total + dose.quantity, 0);
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{pregnancy.patient?.name}</Text>
+        <Text style={styles.subtitle}>
+          {isActive ? `${pregnancy.gestationalWeeks} weeks pregnant` : `Status: ${pregnancy.status}`}
+          {` • G${pregnancy.gravida} P${pregnancy.parity}`}
+        </Text>
+        {loading && <ActivityIndicator size="small" color="#007AFF" style={styles.loader} />}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>LMP: </Text>
+          {formatDate(pregnancy.lmp)}
+        </Text>
+        <Text style={styles.detailRow}>
+          <Text style={styles.label}>Expected delivery: </Text>
+          {formatDate(pregnancy.edd)}
+        </Text>
+        {pregnancy.isHighRisk && (
+          <View style={styles.flags}>
+            {pregnancy.highRiskFlags.map(flag => (
+              <View key={flag} style={styles.flagBadge}>
+                <Text style={styles.flagText}>{RISK_FLAG_LABELS[flag] || flag}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+
+      <Text style={styles.sectionTitle}>ANC Checkups</Text>
+      {pregnancy.ancCheckups.map(checkup => {
+        const status = scheduleStatus(checkup, 'windowStart');
+        return (
+          <View key={checkup.number} style={styles.scheduleItem}>
+            <View style={styles.scheduleInfo}>
+              <Text style={styles.scheduleTitle}>ANC {checkup.number}</Text>
+              <Text style={[styles.statusText, status.style]}>{status.label}</Text>
+              {!!checkup.completedDate && (
+                <Text style={styles.readings}>
+                  {[
+                    checkup.weight && `Wt ${checkup.weight} kg`,
+                    checkup.systolic && checkup.diastolic && `BP ${checkup.systolic}/${checkup.diastolic}`,
+                    checkup.hb && `Hb ${checkup.hb}`,
+                  ].filter(Boolean).join(' • ')}
+                </Text>
+              )}
+            </View>
+            {isActive && !checkup.completedDate && (
+              <TouchableOpacity
+                style={styles.smallButton}
+                onPress={() => openRecord('anc', checkup.number, `ANC Checkup ${checkup.number}`)}
+              >
+                <Text style={styles.smallButtonText}>Record</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      <Text style={styles.sectionTitle}>TT and IFA</Text>
+      <View style={styles.doseButtons}>
+        {DOSE_BUTTONS.map(({ type, label }) => {
+          const done = type !== 'IFA' && givenDoses.includes(type);
+          return (
+            <TouchableOpacity
+              key={type}
+              style={[styles.doseButton, done && styles.doseButtonDone]}
+              onPress={() => openRecord('dose', type, label)}
+              disabled={done}
+            >
+              <Text style={[styles.doseButtonText, done && styles.doseButtonTextDone]}>
+                {done ? `✓ ${label}` : `+ ${label}`}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {ifaTablets > 0 && (
+        <Text style={styles.hint}>{ifaTablets} IFA tablets given so far</Text>
+      )}
+
+      {isActive && (
+        <TouchableOpacity
+          style={styles.button}
+          onPress={() => navigation.navigate('RecordDelivery', { pregnancy })}
+        >
+          <Text style={styles.buttonText}>Record Delivery</Text>
+        </TouchableOpacity>
+      )}
+
+      {pregnancy.delivery && (
+        <>
+          <Text style={styles.sectionTitle}>Delivery</Text>
+          <View style={styles.card}>
+            <Text style={styles.detailRow}>
+              {formatDate(pregnancy.delivery.date)} • {pregnancy.delivery.place.replace('_', ' ')}
+              {pregnancy.delivery.facility ? ` (${pregnancy.delivery.facility})` : ''}
+            </Text>
+            <Text style={styles.detailRow}>
+              Outcome: {pregnancy.delivery.outcome.replace('_', ' ')}
+              {pregnancy.delivery.birthWeight ? ` • ${pregnancy.delivery.birthWeight} kg` : ''}
+            </Text>
+          </View>
+
+          <Text style={styles.sectionTitle}>PNC Visits</Text>
+          {pregnancy.pncVisits.map(visit => {
+            const status = scheduleStatus(visit);
+            return (
+              <View key={visit.day} style={styles.scheduleItem}>
+                <View style={styles.scheduleInfo}>
+                  <Text style={styles.scheduleTitle}>Day {visit.day}</Text>
+                  <Text style={[styles.statusText, status.style]}>{status.label}</Text>
+                  {!!visit.motherCondition && (
+                    <Text style={styles.readings}>Mother: {visit.motherCondition}</Text>
+                  )}
+                  {!!visit.babyCondition && (
+                    <Text style={styles.readings}>Baby: {visit.babyCondition}</Text>
+                  )}
+                </View>
+                {!visit.completedDate && (
+                  <TouchableOpacity
+                    style={styles.smallButton}
+                    onPress={() => openRecord('pnc', visit.day, `PNC Visit - Day ${visit.day}`)}
+                  >
+                    <Text style={styles.smallButtonText}>Record</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })}
+        </>
+      )}
+
+      <View style={styles.bottomSpacer} />
+
+      <Modal
+        visible={!!recording}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setRecording(null)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{recording?.title}</Text>
+              <TouchableOpacity onPress={() => setRecording(null)} style={styles.closeButton}>
+                <Text style={styles.closeButtonText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView style={styles.modalContent}>
+              <Text style={styles.inputLabel}>Date *</Text>
+              <TextInput
+                style={[styles.input, errors.date && styles.inputError]}
+                placeholder="YYYY-MM-DD"
+                value={entry.date}
+                onChangeText={(value) => updateEntry('date', value)}
+                editable={!saving}
+              />
+              <FieldError message={errors.date} />
+
+              {recording && MODAL_FIELDS[recording.kind]
+                .filter(({ ifaOnly }) => !ifaOnly || recording.key === 'IFA')
+                .map(({ field, label, numeric }) => (
+                  <View key={field}>
+                    <Text style={styles.inputLabel}>{label}</Text>
+                    <TextInput
+                      style={[styles.input, errors[field] && styles.inputError]}
+                      value={entry[field] || ''}
+                      onChangeText={(value) => updateEntry(field, value)}
+                      keyboardType={numeric ? 'decimal-pad' : 'default'}
+                      editable={!saving}
+                    />
+                    <FieldError message={errors[field]} />
+                  </View>
+                ))}
+
+              <TouchableOpacity
+                style={[styles.button, styles.modalButton, saving && styles.buttonDisabled]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text style={styles.buttonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#666',
+    marginTop: 4,
+  },
+  loader: {
+    position: 'absolute',
+    right: 20,
+    top: 24,
+  },
+  card: {
+    backgroundColor: 'white',
+    margin: 15,
+    borderRadius: 10,
+    padding: 15,
+    gap: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  detailRow: {
+    fontSize: 15,
+    color: '#444',
+    lineHeight: 20,
+  },
+  label: {
+    fontWeight: '600',
+    color: '#333',
+  },
+  flags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  flagBadge: {
+    backgroundColor: '#FF3B30',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  flagText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    paddingHorizontal: 15,
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  scheduleItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    marginHorizontal: 15,
+    marginBottom: 8,
+    borderRadius: 8,
+    padding: 12,
+  },
+  scheduleInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  scheduleTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  statusText: {
+    fontSize: 13,
+  },
+  statusDone: {
+    color: '#28a745',
+  },
+  statusOverdue: {
+    color: '#FF3B30',
+  },
+  statusDue: {
+    color: '#8a6d00',
+  },
+  statusUpcoming: {
+    color: '#999',
+  },
+  readings: {
+    fontSize: 13,
+    color: '#007AFF',
+  },
+  smallButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  doseButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 15,
+    gap: 8,
+  },
+  doseButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    backgroundColor: 'white',
+  },
+  doseButtonDone: {
+    borderColor: '#28a745',
+    backgroundColor: '#e8f5e9',
+  },
+  doseButtonText: {
+    fontSize: 13,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  doseButtonTextDone: {
+    color: '#28a745',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    paddingHorizontal: 15,
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 15,
+    marginTop: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  bottomSpacer: {
+    height: 30,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+    marginTop: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 15,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  modalButton: {
+    marginHorizontal: 0,
+    marginBottom: 30,
+  },
+});
+
+export default PregnancyDetailScreen;
@@ -0,0 +1,329 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import FieldError from '../components/FieldError';
+import { validate } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const PLACES = [
+  { value: 'institutional', label: 'Hospital / PHC' },
+  { value: 'home', label: 'Home' },
+  { value: 'in_transit', label: 'On the way' },
+];
+const MODES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'caesarean', label: 'Caesarean' },
+  { value: 'assisted', label: 'Assisted' },
+];
+const OUTCOMES = [
+  { value: 'live_birth', label: 'Live birth' },
+  { value: 'still_birth', label: 'Still birth' },
+  { value: 'abortion', label: 'Abortion / miscarriage' },
+];
+const GENDERS = [
+  { value: 'Male', label: 'Male' },
+  { value: 'Female', label: 'Female' },
+  { value: 'Other', label: 'Other' },
+];
+
+const RecordDeliveryScreen = ({ route, navigation }) => {
+  const { pregnancy } = route.params;
+  const [formData, setFormData] = useState({
+    date: today(),
+    place: 'institutional',
+    facility: '',
+    mode: 'normal',
+    outcome: 'live_birth',
+    babies: '1',
+    birthWeight: '',
+    babyGender: null,
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const renderOptions = (field, options) => (
+    <View style={styles.chips}>
+      {options.map(({ value, label }) => (
+        <TouchableOpacity
+          key={value}
+          style={[styles.chip, formData[field] === value && styles.chipActive]}
+          onPress={() => updateField(field, value)}
+          disabled={loading}
+        >
+          <Text style={[styles.chipText, formData[field] === value && styles.chipTextActive]}>
+            {label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Baby details are only sent for a live birth
+  const deliveryRequest = () => {
+    const isLiveBirth = formData.outcome === 'live_birth';
+    return {
+      ...formData,
+      babies: isLiveBirth ? formData.babies : 0,
+      birthWeight: isLiveBirth ? formData.birthWeight || undefined : undefined,
+      babyGender: isLiveBirth ? formData.babyGender || undefined : undefined,
+    };
+  };
+
+  const validateForm = () => {
+    const { errors: formErrors } = validate(schemas.delivery, deliveryRequest());
+    setErrors(formErrors || {});
+    return !formErrors;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const isLiveBirth = formData.outcome === 'live_birth';
+      const response = await ApiService.recordDelivery(pregnancy._id, deliveryRequest());
+
+      if (response.success) {
+        // Replaces the ANC reminder with the first PNC visit
+        ApiService.syncFollowUpReminders();
+
+        if (isLiveBirth) {
+          Alert.alert('Success', 'Delivery recorded. PNC visits have been scheduled.', [
+            { text: 'Later', style: 'cancel', onPress: () => navigation.goBack() },
+            {
+              text: 'Register Baby',
+              onPress: () => navigation.replace('RegisterChild', {
+                mother: pregnancy.patient,
+                pregnancyId: pregnancy._id,
+                dateOfBirth: formData.date,
+                gender: formData.babyGender || undefined,
+                birthWeight: formData.birthWeight || undefined,
+              }),
+            },
+          ]);
+        } else {
+          Alert.alert('Success', 'Delivery recorded. PNC visits have been scheduled.', [
+            { text: 'OK', onPress: () => navigation.goBack() },
+          ]);
+        }
+      } else {
+        Alert.alert('Error', response.error || 'Failed to record delivery');
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to record delivery');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Delivery for {pregnancy.patient?.name}</Text>
+        <Text style={styles.subtitle}>
+          Expected {new Date(pregnancy.edd).toLocaleDateString()}
+        </Text>
+      </View>
+
+      <View style={styles.form}>
+        <Text style={styles.label}>Delivery Date *</Text>
+        <TextInput
+          style={[styles.input, errors.date && styles.inputError]}
+          placeholder="YYYY-MM-DD"
+          value={formData.date}
+          onChangeText={(value) => updateField('date', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.date} />
+
+        <Text style={styles.label}>Outcome *</Text>
+        {renderOptions('outcome', OUTCOMES)}
+
+        <Text style={styles.label}>Place *</Text>
+        {renderOptions('place', PLACES)}
+
+        {formData.place === 'institutional' && (
+          <>
+            <Text style={styles.label}>Facility</Text>
+            <TextInput
+              style={[styles.input, errors.facility && styles.inputError]}
+              placeholder="Hospital or PHC name"
+              value={formData.facility}
+              onChangeText={(value) => updateField('facility', value)}
+              editable={!loading}
+            />
+            <FieldError message={errors.facility} />
+          </>
+        )}
+
+        <Text style={styles.label}>Mode</Text>
+        {renderOptions('mode', MODES)}
+
+        {formData.outcome === 'live_birth' && (
+          <>
+            <View style={styles.row}>
+              <View style={styles.rowItem}>
+                <Text style={styles.label}>Babies</Text>
+                <TextInput
+                  style={[styles.input, errors.babies && styles.inputError]}
+                  value={formData.babies}
+                  onChangeText={(value) => updateField('babies', value)}
+                  keyboardType="numeric"
+                  maxLength={1}
+                  editable={!loading}
+                />
+                <FieldError message={errors.babies} />
+              </View>
+              <View style={styles.rowItem}>
+                <Text style={styles.label}>Birth Weight (kg)</Text>
+                <TextInput
+                  style={[styles.input, errors.birthWeight && styles.inputError]}
+                  value={formData.birthWeight}
+                  onChangeText={(value) => updateField('birthWeight', value)}
+                  keyboardType="decimal-pad"
+                  editable={!loading}
+                />
+                <FieldError message={errors.birthWeight} />
+              </View>
+            </View>
+
+            <Text style={styles.label}>Baby's Gender</Text>
+            {renderOptions('babyGender', GENDERS)}
+          </>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Save Delivery</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  form: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    borderRadius: 8,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 15,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 30,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RecordDeliveryScreen;
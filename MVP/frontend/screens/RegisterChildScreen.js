@@ -0,0 +1,366 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import FieldError from '../components/FieldError';
+import { validate } from '../../shared/validation';
+import { GENDERS, schemas } from '../../shared/schemas';
+import HouseholdPicker from '../components/HouseholdPicker';
+import VillagePicker from '../components/VillagePicker';
+
+// Opened from a mother's detail screen or after a delivery (with `mother`,
+// `pregnancyId` and birth details), or from the children list with nothing
+const RegisterChildScreen = ({ route, navigation }) => {
+  const { mother, pregnancyId, dateOfBirth, gender, birthWeight } = route?.params || {};
+  const [childData, setChildData] = useState({
+    name: '',
+    dateOfBirth: dateOfBirth || '',
+    gender: gender || 'Male',
+    birthWeight: birthWeight ? String(birthWeight) : '',
+    village: mother?.village || '',
+    villageId: mother?.villageId,
+  });
+  const [household, setHousehold] = useState(null);
+  const [showHouseholdPicker, setShowHouseholdPicker] = useState(false);
+  const [showVillagePicker, setShowVillagePicker] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const updateField = (field, value) => {
+    setChildData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleHouseholdSelect = (selected) => {
+    setHousehold(selected);
+    setChildData(prev => ({ ...prev, village: selected.village, villageId: selected.villageId }));
+    setShowHouseholdPicker(false);
+  };
+
+  const handleVillageSelect = (selected) => {
+    setChildData(prev => ({ ...prev, village: selected.name, villageId: selected._id }));
+    setErrors(prev => ({ ...prev, village: undefined }));
+    setShowVillagePicker(false);
+  };
+
+  const validateForm = () => {
+    const { errors: formErrors } = validate(schemas.child, {
+      ...childData,
+      motherId: mother?._id,
+      householdId: household?._id,
+      pregnancyId,
+    });
+    setErrors(formErrors || {});
+    return !formErrors;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await ApiService.registerChild({
+        name: childData.name.trim(),
+        dateOfBirth: childData.dateOfBirth,
+        gender: childData.gender,
+        birthWeight: childData.birthWeight || undefined,
+        village: childData.village.trim() || undefined,
+        villageId: childData.villageId,
+        motherId: mother?._id,
+        householdId: household?._id,
+        pregnancyId,
+      });
+
+      if (response.success) {
+        // Birth doses are due straight away
+        ApiService.syncFollowUpReminders();
+        navigation.replace('ImmunizationCard', { childId: response.child._id });
+      } else {
+        Alert.alert('Error', response.error || 'Failed to register child');
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to register child');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      {mother && (
+        <View style={styles.header}>
+          <Text style={styles.title}>Child of {mother.name}</Text>
+          <Text style={styles.subtitle}>{mother.village}</Text>
+        </View>
+      )}
+
+      <View style={styles.form}>
+        <Text style={styles.label}>Child's Name *</Text>
+        <TextInput
+          style={[styles.input, errors.name && styles.inputError]}
+          placeholder="Name (e.g. Baby of Sita)"
+          value={childData.name}
+          onChangeText={(value) => updateField('name', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.name} />
+
+        <Text style={styles.label}>Date of Birth *</Text>
+        <TextInput
+          style={[styles.input, errors.dateOfBirth && styles.inputError]}
+          placeholder="YYYY-MM-DD"
+          value={childData.dateOfBirth}
+          onChangeText={(value) => updateField('dateOfBirth', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.dateOfBirth} />
+
+        <Text style={styles.label}>Gender *</Text>
+        <View style={styles.chips}>
+          {GENDERS.map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.chip, childData.gender === value && styles.chipActive]}
+              onPress={() => updateField('gender', value)}
+              disabled={loading}
+            >
+              <Text style={[styles.chipText, childData.gender === value && styles.chipTextActive]}>
+                {value}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Birth Weight (kg)</Text>
+        <TextInput
+          style={[styles.input, errors.birthWeight && styles.inputError]}
+          value={childData.birthWeight}
+          onChangeText={(value) => updateField('birthWeight', value)}
+          keyboardType="decimal-pad"
+          editable={!loading}
+        />
+        <FieldError message={errors.birthWeight} />
+
+        {!mother && (
+          <>
+            <Text style={styles.label}>Household</Text>
+            {household ? (
+              <View style={styles.householdCard}>
+                <View style={styles.householdInfo}>
+                  <Text style={styles.householdName}>{household.headName}</Text>
+                  <Text style={styles.householdMeta}>{household.village}</Text>
+                </View>
+                <TouchableOpacity onPress={() => setHousehold(null)} disabled={loading}>
+                  <Text style={[styles.linkText, styles.removeText]}>Remove</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <TouchableOpacity
+                style={styles.householdButton}
+                onPress={() => setShowHouseholdPicker(true)}
+                disabled={loading}
+              >
+                <Text style={styles.linkText}>Select or create household</Text>
+              </TouchableOpacity>
+            )}
+
+            {!household && (
+              <>
+                <Text style={styles.label}>Village *</Text>
+                <TouchableOpacity
+                  style={[styles.input, errors.village && styles.inputError]}
+                  onPress={() => setShowVillagePicker(true)}
+                  disabled={loading}
+                >
+                  <Text style={childData.village ? styles.inputText : styles.placeholderText}>
+                    {childData.village || 'Select village'}
+                  </Text>
+                </TouchableOpacity>
+                <FieldError message={errors.village} />
+              </>
+            )}
+          </>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Register Child</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <VillagePicker
+        visible={showVillagePicker}
+        onSelect={handleVillageSelect}
+        onClose={() => setShowVillagePicker(false)}
+      />
+
+      <HouseholdPicker
+        visible={showHouseholdPicker}
+        village={childData.village}
+        villageId={childData.villageId}
+        onSelect={handleHouseholdSelect}
+        onClose={() => setShowHouseholdPicker(false)}
+      />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  form: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    borderRadius: 8,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  inputText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  placeholderText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  householdButton: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderStyle: 'dashed',
+    padding: 15,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    alignItems: 'center',
+  },
+  householdCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    gap: 12,
+  },
+  householdInfo: {
+    flex: 1,
+  },
+  householdName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  householdMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  removeText: {
+    color: '#FF3B30',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 30,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RegisterChildScreen;
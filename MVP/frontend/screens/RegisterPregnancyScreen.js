@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import ApiService from '../services/api';
+import FieldError from '../components/FieldError';
+import { validate } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
+
+// Flags the worker has to report; age, parity, BP and Hb flags are added by the server
+export const RISK_FLAG_LABELS = {
+  age_below_18: 'Age below 18',
+  age_above_35: 'Age above 35',
+  hypertension: 'High BP',
+  severe_anaemia: 'Severe anaemia',
+  gestational_diabetes: 'Gestational diabetes',
+  previous_caesarean: 'Previous caesarean',
+  multiple_pregnancy: 'Twins / multiple',
+  malpresentation: 'Malpresentation',
+  antepartum_haemorrhage: 'Bleeding (APH)',
+  grand_multipara: '4+ previous births',
+  other: 'Other',
+};
+
+const MANUAL_FLAGS = [
+  'gestational_diabetes',
+  'previous_caesarean',
+  'multiple_pregnancy',
+  'malpresentation',
+  'antepartum_haemorrhage',
+  'other',
+];
+
+const RegisterPregnancyScreen = ({ route, navigation }) => {
+  const { patient } = route.params;
+  const [formData, setFormData] = useState({
+    lmp: '',
+    gravida: '1',
+    parity: '0',
+  });
+  const [flags, setFlags] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const toggleFlag = (flag) => {
+    setFlags(prev => (prev.includes(flag) ? prev.filter(item => item !== flag) : [...prev, flag]));
+  };
+
+  const validateForm = () => {
+    const { errors: formErrors } = validate(schemas.pregnancy, {
+      ...formData,
+      patientId: patient._id,
+      highRiskFlags: flags,
+    });
+    setErrors(formErrors || {});
+    return !formErrors;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await ApiService.registerPregnancy({
+        patientId: patient._id,
+        lmp: formData.lmp,
+        gravida: parseInt(formData.gravida),
+        parity: parseInt(formData.parity),
+        highRiskFlags: flags,
+      });
+
+      if (response.success) {
+        // Schedules the reminder for the first ANC checkup
+        ApiService.syncFollowUpReminders();
+        navigation.replace('PregnancyDetail', { pregnancyId: response.pregnancy._id });
+      } else {
+        Alert.alert('Error', response.error || 'Failed to register pregnancy');
+      }
+    } catch (error) {
+      if (error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      } else {
+        Alert.alert('Error', error.message || 'Failed to register pregnancy');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Pregnancy for {patient.name}</Text>
+        <Text style={styles.subtitle}>{patient.age} years • {patient.village}</Text>
+      </View>
+
+      <View style={styles.form}>
+        <Text style={styles.label}>Last Menstrual Period (LMP) *</Text>
+        <TextInput
+          style={[styles.input, errors.lmp && styles.inputError]}
+          placeholder="YYYY-MM-DD"
+          value={formData.lmp}
+          onChangeText={(value) => updateField('lmp', value)}
+          editable={!loading}
+        />
+        <FieldError message={errors.lmp} />
+        <Text style={styles.hint}>The due date and ANC schedule are calculated from the LMP</Text>
+
+        <View style={styles.row}>
+          <View style={styles.rowItem}>
+            <Text style={styles.label}>Gravida *</Text>
+            <TextInput
+              style={[styles.input, errors.gravida && styles.inputError]}
+              value={formData.gravida}
+              onChangeText={(value) => updateField('gravida', value)}
+              keyboardType="numeric"
+              maxLength={2}
+              editable={!loading}
+            />
+            <FieldError message={errors.gravida} />
+          </View>
+          <View style={styles.rowItem}>
+            <Text style={styles.label}>Parity *</Text>
+            <TextInput
+              style={[styles.input, errors.parity && styles.inputError]}
+              value={formData.parity}
+              onChangeText={(value) => updateField('parity', value)}
+              keyboardType="numeric"
+              maxLength={2}
+              editable={!loading}
+            />
+            <FieldError message={errors.parity} />
+          </View>
+        </View>
+
+        <Text style={styles.label}>High-risk Conditions</Text>
+        <View style={styles.chips}>
+          {MANUAL_FLAGS.map(flag => (
+            <TouchableOpacity
+              key={flag}
+              style={[styles.chip, flags.includes(flag) && styles.chipActive]}
+              onPress={() => toggleFlag(flag)}
+              disabled={loading}
+            >
+              <Text style={[styles.chipText, flags.includes(flag) && styles.chipTextActive]}>
+                {RISK_FLAG_LABELS[flag]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Register Pregnancy</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  form: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 15,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 5,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    borderRadius: 8,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 15,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  chipActive: {
+    backgroundColor: '#FF3B30',
+    borderColor: '#FF3B30',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 30,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RegisterPregnancyScreen;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import LocalAuthService from '../services/localAuth';
+
+// Offered after an online login so the worker can open the app offline later
+const SetPinScreen = ({ navigation }) => {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
+  const [offlineUnlockDays, setOfflineUnlockDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      const [available, record] = await Promise.all([
+        LocalAuthService.isBiometricAvailable(),
+        LocalAuthService.getRecord(),
+      ]);
+      setBiometricAvailable(available);
+      setOfflineUnlockDays(record?.offlineUnlockDays);
+    };
+
+    loadOptions();
+  }, []);
+
+  const continueToApp = () => {
+    navigation.replace('PatientList');
+  };
+
+  const handleSave = async () => {
+    if (!LocalAuthService.isValidPin(pin)) {
+      Alert.alert('Error', 'PIN must be 4 to 6 digits');
+      return;
+    }
+
+    if (pin !== confirmPin) {
+      Alert.alert('Error', 'The PINs do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await LocalAuthService.setPin(pin, { biometricEnabled: biometricAvailable && biometricEnabled });
+      continueToApp();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to set PIN');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Set an Unlock PIN</Text>
+
+      <View style={styles.form}>
+        <Text style={styles.description}>
+          Use a 4 to 6 digit PIN to open the app and see your patients without a network connection.
+          {offlineUnlockDays ? ` You will need to login online at least every ${offlineUnlockDays} days.` : ''}
+        </Text>
+
+        <TextInput
+          style={styles.input}
+          placeholder="PIN"
+          value={pin}
+          onChangeText={(value) => setPin(value.replace(/\D/g, ''))}
+          keyboardType="number-pad"
+          maxLength={6}
+          secureTextEntry
+          editable={!loading}
+        />
+
+        <TextInput
+          style={styles.input}
+          placeholder="Confirm PIN"
+          value={confirmPin}
+          onChangeText={(value) => setConfirmPin(value.replace(/\D/g, ''))}
+          keyboardType="number-pad"
+          maxLength={6}
+          secureTextEntry
+          editable={!loading}
+        />
+
+        {biometricAvailable && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Also unlock with fingerprint / face</Text>
+            <Switch
+              value={biometricEnabled}
+              onValueChange={setBiometricEnabled}
+              disabled={loading}
+            />
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSave}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>Save PIN</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={continueToApp} disabled={loading}>
+          <Text style={styles.skipText}>Not now</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: '#f5f5f5',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 40,
+    color: '#333',
+  },
+  form: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 10,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    borderRadius: 8,
+    marginBottom: 15,
+    fontSize: 18,
+    letterSpacing: 4,
+    textAlign: 'center',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#333',
+    flex: 1,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  skipText: {
+    color: '#007AFF',
+    fontSize: 15,
+    textAlign: 'center',
+  },
+});
+
+export default SetPinScreen;
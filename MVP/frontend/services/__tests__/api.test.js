@@ -0,0 +1,101 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import ApiService from '../api';
+import SecureStorage from '../secureStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('expo-secure-store');
+jest.mock('expo-crypto');
+jest.mock('expo-local-authentication', () => ({}));
+jest.mock('../notificationService', () => ({
+  clearFollowUpReminders: jest.fn(async () => {}),
+  notifySystemSync: jest.fn(async () => {}),
+  getPushToken: jest.fn(async () => null),
+}));
+jest.mock('../navigation', () => ({
+  showLoginForReauth: jest.fn(),
+}));
+
+const PATIENT = { clientId: 'c1', name: 'Sunita Devi', age: 32, gender: 'Female', village: 'Rampur', healthIssue: 'Anaemia' };
+
+const jsonResponse = (status, body) => ({
+  ok: status < 400,
+  status,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+  json: async () => body,
+});
+
+// The server as the app sees it: unreachable, or answering every request
+let serverUp;
+const requests = [];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  global.fetch = jest.fn(async (url, config = {}) => {
+    if (!serverUp) {
+      throw new TypeError('Network request failed');
+    }
+    const path = url.replace(ApiService.getBaseURL(), '');
+    requests.push(`${config.method || 'GET'} ${path}`);
+    return jsonResponse(path === '/patients' ? 201 : 200, { success: true, status: 'OK' });
+  });
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  SecureStore.__items.clear();
+  SecureStorage.lock();
+  requests.length = 0;
+  serverUp = true;
+  ApiService.isOnline = true;
+
+  await SecureStorage.unlockWithPassword('asha1', 'password123');
+  await ApiService.setSession({ token: 'access', refreshToken: 'refresh', user: { username: 'asha1' } });
+});
+
+describe('logout', () => {
+  it('keeps the phone\'s data while queued patients cannot be uploaded', async () => {
+    await ApiService.queuePatient(PATIENT);
+    serverUp = false;
+
+    const result = await ApiService.logout();
+
+    expect(result).toEqual({ success: false, pending: 1 });
+    expect(SecureStorage.isUnlocked()).toBe(true);
+    expect(await ApiService.getPendingPatients()).toHaveLength(1);
+  });
+
+  it('uploads queued patients before logging out', async () => {
+    await ApiService.queuePatient(PATIENT);
+
+    const result = await ApiService.logout();
+
+    expect(result).toEqual({ success: true });
+    expect(requests).toContain('POST /patients');
+    expect(SecureStorage.isUnlocked()).toBe(false);
+    expect(await AsyncStorage.getItem('keyring')).toBeNull();
+  });
+
+  it('discards queued patients only when asked to', async () => {
+    await ApiService.queuePatient(PATIENT);
+    serverUp = false;
+
+    const result = await ApiService.logout({ discardUnsynced: true });
+
+    expect(result).toEqual({ success: true });
+    expect(await AsyncStorage.getItem('enc:pendingPatients')).toBeNull();
+  });
+});
+
+it('removes the outbox once every queued patient is synced', async () => {
+  await ApiService.queuePatient(PATIENT);
+  expect(await SecureStorage.hasUnsyncedData()).toBe(true);
+
+  await ApiService.syncPendingPatients();
+
+  expect(await SecureStorage.hasUnsyncedData()).toBe(false);
+});
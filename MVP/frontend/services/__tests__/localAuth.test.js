@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import LocalAuthService from '../localAuth';
+import SecureStorage from '../secureStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('expo-secure-store');
+jest.mock('expo-crypto');
+jest.mock('expo-local-authentication', () => ({
+  hasHardwareAsync: jest.fn(async () => true),
+  isEnrolledAsync: jest.fn(async () => true),
+}));
+
+const USER = { username: 'asha1', name: 'Asha One', role: 'asha_worker' };
+
+const attempts = () => JSON.parse(SecureStore.__items.get('swasthyalink.unlockAttempts'));
+
+// Online login followed by setting a PIN, as LoginScreen and SetPinScreen do
+const loginWithPin = async (pin, policy = {}) => {
+  await SecureStorage.unlockWithPassword(USER.username, 'password123');
+  await LocalAuthService.recordOnlineLogin(USER, policy);
+  await LocalAuthService.setPin(pin);
+  SecureStorage.lock();
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  SecureStore.__items.clear();
+  jest.clearAllMocks();
+  SecureStorage.lock();
+});
+
+it('counts wrong PINs in the keystore, not in AsyncStorage', async () => {
+  await loginWithPin('4821');
+
+  const result = await LocalAuthService.unlockWithPin('1111');
+
+  expect(result).toMatchObject({ success: false, state: 'available', attemptsLeft: 4 });
+  expect(attempts()).toEqual({ failedAttempts: 1, lockedUntil: null });
+  const record = JSON.parse(await AsyncStorage.getItem('localAuth'));
+  expect(record.failedAttempts).toBeUndefined();
+  expect(record.lockedUntil).toBeUndefined();
+});
+
+it('locks PIN unlock after five wrong PINs and keeps it locked', async () => {
+  await loginWithPin('4821');
+
+  for (let i = 0; i < 4; i++) {
+    await LocalAuthService.unlockWithPin('1111');
+  }
+  const result = await LocalAuthService.unlockWithPin('1111');
+
+  expect(result).toMatchObject({ success: false, state: 'locked' });
+  expect((await LocalAuthService.getStatus()).state).toBe('locked');
+  expect(await LocalAuthService.unlockWithPin('4821')).toMatchObject({ success: false, state: 'locked' });
+});
+
+it('resets the count on a correct PIN', async () => {
+  await loginWithPin('4821');
+  await LocalAuthService.unlockWithPin('1111');
+
+  expect(await LocalAuthService.unlockWithPin('4821')).toEqual({ success: true });
+  expect(attempts()).toEqual({ failedAttempts: 0, lockedUntil: null });
+});
+
+it('wipes the local data after the maximum number of wrong PINs', async () => {
+  await loginWithPin('4821', { maxUnlockAttempts: 3 });
+
+  await LocalAuthService.unlockWithPin('1111');
+  await LocalAuthService.unlockWithPin('2222');
+  const result = await LocalAuthService.unlockWithPin('3333');
+
+  expect(result).toMatchObject({ success: false, state: 'wiped' });
+  expect(await AsyncStorage.getItem('keyring')).toBeNull();
+  expect(SecureStore.__items.has('swasthyalink.pinSlot')).toBe(false);
+  expect((await LocalAuthService.getStatus()).state).toBe('none');
+});
+
+it('unlocks with biometrics through the keystore prompt', async () => {
+  await SecureStorage.unlockWithPassword(USER.username, 'password123');
+  await LocalAuthService.recordOnlineLogin(USER);
+  await LocalAuthService.setPin('4821', { biometricEnabled: true });
+  SecureStorage.lock();
+
+  expect(await LocalAuthService.unlockWithBiometrics()).toEqual({ success: true, state: 'available' });
+  expect(SecureStore.getItemAsync).toHaveBeenCalledWith('swasthyalink.dataKey', {
+    requireAuthentication: true,
+    authenticationPrompt: 'Unlock as Asha One',
+  });
+  expect(SecureStorage.isUnlocked()).toBe(true);
+});
@@ -0,0 +1,205 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import SecureStorage from '../secureStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('expo-secure-store');
+jest.mock('expo-crypto');
+
+const PATIENTS = JSON.stringify([{ name: 'Sunita Devi', village: 'Rampur', healthIssue: 'Tuberculosis' }]);
+const TOKEN = 'eyJhbGciOiJIUzI1NiJ9.session-token';
+
+// Everything the app wrote to AsyncStorage, as it sits on the phone
+const rawStorage = async () => AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+
+const rawText = async () => (await rawStorage()).map(([key, value]) => `${key}=${value}`).join('\n');
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  SecureStore.__items.clear();
+  jest.clearAllMocks();
+  SecureStorage.lock();
+});
+
+describe('encryption at rest', () => {
+  it('stores values and the keyring without any plain text', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('cachedPatients', PATIENTS);
+    await SecureStorage.multiSet([['token', TOKEN], ['sessionUser', '{"username":"asha1"}']]);
+
+    const stored = await rawText();
+    expect(stored).not.toContain('Sunita');
+    expect(stored).not.toContain('Tuberculosis');
+    expect(stored).not.toContain(TOKEN);
+    expect(stored).not.toContain('password123');
+    expect(await AsyncStorage.getItem('enc:cachedPatients')).toMatch(/^v1:[0-9a-f]+$/);
+
+    expect(await SecureStorage.getItem('cachedPatients')).toBe(PATIENTS);
+  });
+
+  it('reads nothing while locked and opens again with the password', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('cachedPatients', PATIENTS);
+    SecureStorage.lock();
+
+    expect(await SecureStorage.getItem('cachedPatients')).toBeNull();
+    await expect(SecureStorage.setItem('cachedPatients', '[]')).rejects.toThrow('locked');
+
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    expect(await SecureStorage.getItem('cachedPatients')).toBe(PATIENTS);
+  });
+
+  it('rejects tampered blobs and blobs moved to another key', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('cachedPatients', PATIENTS);
+    await SecureStorage.setItem('token', TOKEN);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const blob = await AsyncStorage.getItem('enc:cachedPatients');
+    await AsyncStorage.setItem('enc:token', blob);
+    expect(await SecureStorage.getItem('token')).toBeNull();
+
+    const flipped = blob.slice(0, -1) + (blob.endsWith('0') ? '1' : '0');
+    await AsyncStorage.setItem('enc:cachedPatients', flipped);
+    expect(await SecureStorage.getItem('cachedPatients')).toBeNull();
+  });
+
+  it('encrypts values written in plain text by earlier versions', async () => {
+    await AsyncStorage.multiSet([['token', TOKEN], ['cachedPatients', PATIENTS]]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+
+    expect(await AsyncStorage.getItem('token')).toBeNull();
+    expect(await rawText()).not.toContain('Sunita');
+    expect(await SecureStorage.getItem('token')).toBe(TOKEN);
+  });
+});
+
+describe('PIN unlock', () => {
+  it('keeps the PIN-wrapped key in the keystore, not in AsyncStorage', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('cachedPatients', PATIENTS);
+    await SecureStorage.setPin('4821');
+    SecureStorage.lock();
+
+    expect(JSON.parse(await AsyncStorage.getItem('keyring')).pin).toBeUndefined();
+    expect(await rawText()).not.toContain('4821');
+    expect(SecureStore.__items.has('swasthyalink.pinSlot')).toBe(true);
+
+    expect(await SecureStorage.unlockWithPin('1111')).toBe(false);
+    expect(await SecureStorage.unlockWithPin('4821')).toBe(true);
+    expect(await SecureStorage.getItem('cachedPatients')).toBe(PATIENTS);
+  });
+
+  it('moves a PIN slot kept in the keyring by earlier versions to the keystore', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setPin('4821');
+    const keyring = JSON.parse(await AsyncStorage.getItem('keyring'));
+    await AsyncStorage.setItem('keyring', JSON.stringify({ ...keyring, pin: JSON.parse(SecureStore.__items.get('swasthyalink.pinSlot')) }));
+    SecureStore.__items.delete('swasthyalink.pinSlot');
+    SecureStorage.lock();
+
+    expect(await SecureStorage.unlockWithPin('4821')).toBe(true);
+    expect(JSON.parse(await AsyncStorage.getItem('keyring')).pin).toBeUndefined();
+    expect(SecureStore.__items.has('swasthyalink.pinSlot')).toBe(true);
+  });
+
+  it('removes the PIN slot and biometric key on wipe', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setPin('4821');
+    await SecureStorage.enableBiometric();
+
+    await SecureStorage.wipe();
+
+    expect(SecureStore.__items.size).toBe(0);
+    expect(await rawStorage()).toEqual([]);
+    expect(await SecureStorage.hasPin()).toBe(false);
+  });
+});
+
+describe('biometric unlock', () => {
+  it('stores the data key behind a biometric check', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.enableBiometric();
+
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith(
+      'swasthyalink.dataKey',
+      expect.any(String),
+      expect.objectContaining({ requireAuthentication: true })
+    );
+  });
+
+  it('asks the keystore for a biometric check on unlock', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('cachedPatients', PATIENTS);
+    await SecureStorage.enableBiometric();
+    SecureStorage.lock();
+
+    expect(await SecureStorage.unlockWithStoredKey('Unlock as Asha')).toBe(true);
+    expect(SecureStore.getItemAsync).toHaveBeenCalledWith('swasthyalink.dataKey', {
+      requireAuthentication: true,
+      authenticationPrompt: 'Unlock as Asha',
+    });
+    expect(await SecureStorage.getItem('cachedPatients')).toBe(PATIENTS);
+  });
+
+  it('stays locked when the biometric check fails', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.enableBiometric();
+    SecureStorage.lock();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SecureStore.getItemAsync.mockRejectedValueOnce(new Error('User canceled the authentication'));
+
+    expect(await SecureStorage.unlockWithStoredKey('Unlock as Asha')).toBe(false);
+    expect(SecureStorage.isUnlocked()).toBe(false);
+  });
+});
+
+describe('unsynced patients', () => {
+  const OUTBOX = JSON.stringify([{ clientId: 'c1', name: 'Sunita Devi' }]);
+
+  it('refuses to start a store for another worker over an unsynced outbox', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('pendingPatients', OUTBOX);
+    SecureStorage.lock();
+
+    await expect(SecureStorage.unlockWithPassword('asha2', 'secret456'))
+      .rejects.toMatchObject({ code: 'UNSYNCED_DATA' });
+    expect(await AsyncStorage.getItem('enc:pendingPatients')).not.toBeNull();
+
+    // The first worker can still open it
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    expect(await SecureStorage.getItem('pendingPatients')).toBe(OUTBOX);
+  });
+
+  it('refuses to drop the outbox after a password change while locked', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('pendingPatients', OUTBOX);
+    await SecureStorage.setPin('4821');
+    SecureStorage.lock();
+
+    await expect(SecureStorage.unlockWithPassword('asha1', 'newPassword1'))
+      .rejects.toThrow('Unlock with your PIN');
+
+    // Unlocking with the PIN first keeps the outbox through the new password
+    expect(await SecureStorage.unlockWithPin('4821')).toBe(true);
+    await SecureStorage.unlockWithPassword('asha1', 'newPassword1');
+    SecureStorage.lock();
+    await SecureStorage.unlockWithPassword('asha1', 'newPassword1');
+    expect(await SecureStorage.getItem('pendingPatients')).toBe(OUTBOX);
+  });
+
+  it('wipes the previous store when the caller discards unsynced data', async () => {
+    await SecureStorage.unlockWithPassword('asha1', 'password123');
+    await SecureStorage.setItem('pendingPatients', OUTBOX);
+    SecureStorage.lock();
+
+    await SecureStorage.unlockWithPassword('asha2', 'secret456', { discardUnsynced: true });
+
+    expect(await AsyncStorage.getItem('enc:pendingPatients')).toBeNull();
+    expect(JSON.parse(await AsyncStorage.getItem('keyring')).username).toBe('asha2');
+  });
+});
@@ -1,5 +1,11 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
+import * as Crypto from 'expo-crypto';
+import NotificationService from './notificationService';
+import LocalAuthService from './localAuth';
+import SecureStorage from './secureStorage';
+import { showLoginForReauth } from './navigation';
+import { validate, firstError } from '../../shared/validation';
+import { schemas } from '../../shared/schemas';
 
 // Dynamic base URL based on platform
 const getBaseURL = () => {
@@ -19,11 +25,70 @@ const getBaseURL = () => {
 // const BASE_URL = getBaseURL();
 const BASE_URL = 'http://10.22.16.51:3000'
 const REQUEST_TIMEOUT = 10000; // 10 seconds
+const PENDING_PATIENTS_KEY = 'pendingPatients';
+const CACHED_PATIENTS_KEY = 'cachedPatients';
+const CACHED_VILLAGES_KEY = 'cachedVillages';
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const SESSION_USER_KEY = 'sessionUser';
+
+// Endpoints that must not trigger a token refresh when they return 401
+const AUTH_ENDPOINTS = ['/login', '/auth/refresh', '/auth/logout'];
+
+// Errors thrown when the server could not be reached at all
+const networkError = (message) => {
+  const error = new Error(message);
+  error.isNetworkError = true;
+  return error;
+};
+
+// Thrown when the session could not be renewed and the user must log in again
+const sessionExpiredError = (message) => {
+  const error = new Error(message || 'Your session has expired. Please login again.');
+  error.status = 401;
+  error.sessionExpired = true;
+  return error;
+};
+
+// Thrown when a form fails the shared request schema; fieldErrors maps each
+// field to its message so screens can show it under the input
+const validationError = (errors) => {
+  const error = new Error(firstError(errors));
+  error.status = 400;
+  error.fieldErrors = errors;
+  return error;
+};
+
+// Build a query string from params, skipping empty values
+const toQueryString = (params) => Object.entries(params)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+  .join('&');
+
+// Approximates the server-side search over the offline cache
+const filterCachedPatients = (patients, params) => {
+  const contains = (value, text) => !text || (value || '').toLowerCase().includes(text.trim().toLowerCase());
+
+  return patients.filter(patient => (
+    contains(patient.name, params.q) &&
+    contains(patient.healthIssue, params.healthIssue) &&
+    (!params.village || patient.village === params.village) &&
+    (!params.gender || patient.gender === params.gender) &&
+    (params.minAge === undefined || patient.age >= params.minAge) &&
+    (params.maxAge === undefined || patient.age <= params.maxAge) &&
+    (!params.addedFrom || new Date(patient.createdAt) >= new Date(params.addedFrom))
+  ));
+};
 
 class ApiService {
   constructor() {
     this.isOnline = true;
     this.baseURL = BASE_URL;
+    this.isSyncing = false;
+    // Tail of the queued outbox updates, see updatePendingPatients
+    this.outboxUpdate = Promise.resolve();
+    // In-flight /auth/refresh call shared by every request that hit a 401
+    this.refreshPromise = null;
   }
 
   // Test server connectivity
@@ -48,6 +113,10 @@ class ApiService {
 
       if (response.ok) {
         this.isOnline = true;
+        // Replay anything captured while offline, without blocking the caller
+        this.syncPendingPatients().catch(error => {
+          console.warn('Background sync failed:', error);
+        });
         return { success: true, status: 'Server is reachable' };
       } else {
         return { success: false, status: 'Server returned error' };
@@ -65,7 +134,7 @@ class ApiService {
 
   async getToken() {
     try {
-      return await AsyncStorage.getItem('token');
+      return await SecureStorage.getItem(TOKEN_KEY);
     } catch (error) {
       console.error('Error retrieving token:', error);
       return null;
@@ -74,7 +143,7 @@ class ApiService {
 
   async setToken(token) {
     try {
-      return await AsyncStorage.setItem('token', token);
+      return await SecureStorage.setItem(TOKEN_KEY, token);
     } catch (error) {
       console.error('Error storing token:', error);
       throw new Error('Failed to store authentication token');
@@ -83,29 +152,141 @@ class ApiService {
 
   async removeToken() {
     try {
-      return await AsyncStorage.removeItem('token');
+      return await SecureStorage.removeItem(TOKEN_KEY);
     } catch (error) {
       console.error('Error removing token:', error);
     }
   }
 
-  async makeRequest(endpoint, options = {}) {
+  async getRefreshToken() {
+    try {
+      return await SecureStorage.getItem(REFRESH_TOKEN_KEY);
+    } catch (error) {
+      console.error('Error retrieving refresh token:', error);
+      return null;
+    }
+  }
+
+  // Store the token pair (and user) returned by /login and /auth/refresh
+  async setSession({ token, refreshToken, user }) {
+    await this.setToken(token);
+    try {
+      const entries = [[REFRESH_TOKEN_KEY, refreshToken]];
+      if (user) {
+        entries.push([SESSION_USER_KEY, JSON.stringify(user)]);
+      }
+      await SecureStorage.multiSet(entries);
+    } catch (error) {
+      console.error('Error storing session:', error);
+      throw new Error('Failed to store authentication token');
+    }
+  }
+
+  async clearSession() {
+    try {
+      await SecureStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY]);
+    } catch (error) {
+      console.error('Error clearing session:', error);
+    }
+  }
+
+  // The last logged-in user, kept after the session ends to prefill re-login
+  async getSessionUser() {
+    try {
+      const stored = await SecureStorage.getItem(SESSION_USER_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Error retrieving session user:', error);
+      return null;
+    }
+  }
+
+  // Exchange the refresh token for a new token pair. Resolves true when
+  // renewed, false when the server rejected the refresh token; throws a
+  // network error when the server could not be reached. Concurrent callers
+  // share one request, since each refresh token can only be used once.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestTokenRefresh() {
+    const refreshToken = await this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (error) {
+      this.isOnline = false;
+      throw networkError('Network Error: Cannot renew your session while offline.');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (response.status >= 500) {
+      throw new Error('Server error while renewing your session. Please try again later.');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      console.log('Token refresh rejected:', data.error);
+      return false;
+    }
+
+    await this.setSession(data);
+    console.log('Session renewed');
+    return true;
+  }
+
+  // The refresh token is gone or rejected: drop the session and show the
+  // login screen on top of the current one, so whatever the user was typing
+  // is still there after they log back in
+  async handleSessionExpired() {
+    await this.clearSession();
+    const user = await this.getSessionUser();
+    showLoginForReauth({ sessionExpired: true, username: user?.username });
+  }
+
+  // Requests that fail with 401 renew the session once via /auth/refresh and
+  // are retried; `retryOnAuthError` is false for that retry.
+  async makeRequest(endpoint, options = {}, { retryOnAuthError = true } = {}) {
     const url = `${this.baseURL}${endpoint}`;
     console.log(`Making request to: ${url}`);
 
     // Test connection first for critical requests
-    if (!this.isOnline && (endpoint === '/login' || endpoint === '/patients')) {
+    if (!this.isOnline && (endpoint === '/login' || endpoint.startsWith('/patients'))) {
       const connectionTest = await this.testConnection();
       if (!connectionTest.success) {
-        throw new Error(`Network Error: ${connectionTest.status}. Please check if the backend server is running on ${this.baseURL}`);
+        throw networkError(`Network Error: ${connectionTest.status}. Please check if the backend server is running on ${this.baseURL}`);
       }
     }
 
     const token = await this.getToken();
+    // Correlation id, echoed by the server in its logs and response header
+    const requestId = Crypto.randomUUID();
 
     const defaultHeaders = {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
+      'X-Request-Id': requestId,
     };
 
     if (token) {
@@ -155,18 +336,38 @@ class ApiService {
 
       if (!response.ok) {
         // Handle specific HTTP status codes
-        if (response.status === 401) {
-          await this.removeToken(); // Clear invalid token
-          throw new Error(data.error || 'Authentication failed. Please login again.');
+        let message;
+        if (response.status === 401 && !AUTH_ENDPOINTS.includes(endpoint)) {
+          if (retryOnAuthError && await this.refreshSession()) {
+            return await this.makeRequest(endpoint, options, { retryOnAuthError: false });
+          }
+          await this.handleSessionExpired();
+          throw sessionExpiredError(data.error && `${data.error}. Please login again.`);
+        } else if (response.status === 401) {
+          message = data.error || 'Authentication failed. Please login again.';
         } else if (response.status === 403) {
-          throw new Error(data.error || 'Access forbidden. Please check your permissions.');
+          message = data.error || 'Access forbidden. Please check your permissions.';
         } else if (response.status === 404) {
-          throw new Error(data.error || 'Requested resource not found.');
+          message = data.error || 'Requested resource not found.';
         } else if (response.status === 500) {
-          throw new Error(data.error || 'Server error. Please try again later.');
+          message = data.error || 'Server error. Please try again later.';
         } else {
-          throw new Error(data.error || `Request failed with status ${response.status}`);
+          message = data.error || `Request failed with status ${response.status}`;
         }
+        // Shown in error alerts so support can find the request in the server logs
+        const reference = response.headers.get('X-Request-Id') || requestId;
+        const error = new Error(`${message}\n\nReference: ${reference}`);
+        error.status = response.status;
+        error.requestId = reference;
+        // Field-keyed messages from the shared request schemas
+        if (data.errors) {
+          error.fieldErrors = data.errors;
+        }
+        // Existing patients that look like the one being registered (409)
+        if (data.candidates) {
+          error.candidates = data.candidates;
+        }
+        throw error;
       }
 
       this.isOnline = true;
@@ -179,13 +380,18 @@ class ApiService {
 
       // Handle different types of errors
       if (error.name === 'AbortError') {
-        throw new Error('Request timeout. Please check your internet connection.');
+        this.isOnline = false;
+        throw networkError('Request timeout. Please check your internet connection.');
+      }
+
+      if (error.isNetworkError) {
+        throw error;
       }
 
       if (error.message.includes('Network request failed') ||
         error.message.includes('fetch')) {
         this.isOnline = false;
-        throw new Error(`Network Error: Cannot connect to server at ${this.baseURL}. Please ensure the backend is running.`);
+        throw networkError(`Network Error: Cannot connect to server at ${this.baseURL}. Please ensure the backend is running.`);
       }
 
       if (error.message.includes('JSON')) {
@@ -197,7 +403,10 @@ class ApiService {
     }
   }
 
-  async login(username, password) {
+  // `discardUnsynced` lets the login erase patients another worker (or this
+  // worker, before a password change) registered offline and never synced;
+  // without it the login fails with an error whose code is UNSYNCED_DATA.
+  async login(username, password, { discardUnsynced = false } = {}) {
     try {
       console.log('Attempting login...');
 
@@ -215,7 +424,21 @@ class ApiService {
       });
 
       if (data.success && data.token) {
-        await this.setToken(data.token);
+        // Everything stored on the device is encrypted with a key the password unlocks
+        try {
+          await SecureStorage.unlockWithPassword(data.user.username, password.trim(), { discardUnsynced });
+        } catch (error) {
+          // Don't leave the session just issued open on the server
+          this.makeRequest('/auth/logout', {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${data.token}` },
+            body: JSON.stringify({ refreshToken: data.refreshToken }),
+          }).catch(logoutError => console.warn('Server logout failed:', logoutError));
+          throw error;
+        }
+        await this.setSession(data);
+        // Restarts the offline PIN unlock window
+        await LocalAuthService.recordOnlineLogin(data.user, data);
         console.log('Login successful, token stored');
       } else {
         throw new Error(data.error || 'Login failed');
@@ -232,50 +455,708 @@ class ApiService {
     try {
       console.log('Adding patient:', patientData);
 
-      // Input validation
-      const { name, age, gender, village, healthIssue } = patientData;
+      // Same rules as the server, so nothing invalid is queued offline
+      const { errors } = validate(schemas.patient, patientData);
+      if (errors) {
+        throw validationError(errors);
+      }
+
+      // The client id makes a later replay of this submission idempotent
+      const payload = {
+        ...patientData,
+        clientId: patientData.clientId || Crypto.randomUUID(),
+      };
+
+      try {
+        const data = await this.makeRequest('/patients', {
+          method: 'POST',
+          body: JSON.stringify(payload),
+        });
+
+        console.log('Patient added successfully');
+        // A resubmitted outbox entry (e.g. confirmed as a new person) is done
+        if (patientData.clientId) {
+          await this.removePendingPatient(patientData.clientId);
+        }
+        return data;
+      } catch (error) {
+        if (!error.isNetworkError) {
+          throw error;
+        }
 
-      if (!name?.trim()) {
-        throw new Error('Patient name is required');
+        const pendingPatient = await this.queuePatient(payload);
+        console.log('Server unreachable, patient queued for sync');
+        return {
+          success: true,
+          queued: true,
+          patient: pendingPatient,
+          message: 'Patient saved on device and will sync when online'
+        };
       }
-      if (!age || isNaN(parseInt(age)) || parseInt(age) <= 0) {
-        throw new Error('Valid age is required');
+    } catch (error) {
+      console.error('Add patient error:', error);
+      throw error;
+    }
+  }
+
+  // params: q, village, gender, minAge, maxAge, healthIssue, addedFrom, addedTo, limit, cursor
+  async getPatients(params = {}) {
+    const query = toQueryString(params);
+    // Only the unfiltered first page is kept for offline viewing
+    const isDefaultView = !toQueryString({ ...params, limit: undefined });
+
+    try {
+      console.log('Fetching patients...', query);
+      const data = await this.makeRequest(query ? `/patients?${query}` : '/patients');
+      console.log(`Retrieved ${data.patients?.length || 0} of ${data.total} patients`);
+      if (isDefaultView) {
+        await this.cachePatients(data.patients || []);
       }
-      if (!gender) {
-        throw new Error('Gender is required');
+      return data;
+    } catch (error) {
+      if (error.isNetworkError && !params.cursor) {
+        const patients = filterCachedPatients(await this.getCachedPatients(), params);
+        console.log(`Offline, serving ${patients.length} cached patients`);
+        return {
+          success: true,
+          offline: true,
+          patients,
+          count: patients.length,
+          total: patients.length,
+          nextCursor: null
+        };
       }
-      if (!village?.trim()) {
-        throw new Error('Village name is required');
+      console.error('Get patients error:', error);
+      throw error;
+    }
+  }
+
+  async getPatient(patientId) {
+    try {
+      console.log('Fetching patient:', patientId);
+      return await this.makeRequest(`/patients/${patientId}`);
+    } catch (error) {
+      console.error('Get patient error:', error);
+      throw error;
+    }
+  }
+
+  async updatePatient(patientId, updates) {
+    try {
+      console.log('Updating patient:', patientId);
+      const { errors } = validate(schemas.patient, updates, { partial: true });
+      if (errors) {
+        throw validationError(errors);
       }
-      if (!healthIssue?.trim()) {
-        throw new Error('Health issue description is required');
+      const data = await this.makeRequest(`/patients/${patientId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates),
+      });
+      console.log('Patient updated successfully');
+      return data;
+    } catch (error) {
+      console.error('Update patient error:', error);
+      throw error;
+    }
+  }
+
+  async linkAbha(patientId) {
+    try {
+      console.log('Linking ABHA for patient:', patientId);
+      const data = await this.makeRequest(`/patients/${patientId}/abha/link`, {
+        method: 'POST',
+      });
+      console.log('ABHA linked successfully');
+      return data;
+    } catch (error) {
+      console.error('Link ABHA error:', error);
+      throw error;
+    }
+  }
+
+  async archivePatient(patientId) {
+    try {
+      console.log('Archiving patient:', patientId);
+      const data = await this.makeRequest(`/patients/${patientId}`, {
+        method: 'DELETE',
+      });
+      console.log('Patient archived successfully');
+      return data;
+    } catch (error) {
+      console.error('Archive patient error:', error);
+      throw error;
+    }
+  }
+
+  async getFollowUps(days) {
+    try {
+      return await this.makeRequest(days !== undefined ? `/followups?days=${days}` : '/followups');
+    } catch (error) {
+      console.error('Get follow-ups error:', error);
+      throw error;
+    }
+  }
+
+  // Fetch due follow-ups and (re)schedule their local reminders
+  async syncFollowUpReminders() {
+    try {
+      const data = await this.getFollowUps();
+      if (data.success) {
+        await NotificationService.syncFollowUpReminders(data.followUps || []);
       }
+      return data;
+    } catch (error) {
+      // Reminders are best effort; keep the existing schedule when offline
+      console.warn('Follow-up reminder sync failed:', error);
+      return null;
+    }
+  }
 
-      const data = await this.makeRequest('/patients', {
+  // Register this device's push token so the server can reach the signed-in
+  // user (outbreak alerts, assignment changes, report reviews)
+  async registerPushToken() {
+    try {
+      const token = await NotificationService.getPushToken();
+      if (!token) {
+        return null;
+      }
+      return await this.makeRequest('/notifications/devices', {
         method: 'POST',
-        body: JSON.stringify(patientData),
+        body: JSON.stringify({ token, platform: Platform.OS }),
       });
+    } catch (error) {
+      // Push is best effort; local reminders still work without it
+      console.warn('Push token registration failed:', error);
+      return null;
+    }
+  }
+
+  async getVisits(patientId) {
+    try {
+      console.log('Fetching visits for patient:', patientId);
+      return await this.makeRequest(`/patients/${patientId}/visits`);
+    } catch (error) {
+      console.error('Get visits error:', error);
+      throw error;
+    }
+  }
 
-      console.log('Patient added successfully');
+  async addVisit(patientId, visitData) {
+    try {
+      console.log('Recording visit for patient:', patientId);
+      const data = await this.makeRequest(`/patients/${patientId}/visits`, {
+        method: 'POST',
+        body: JSON.stringify(visitData),
+      });
+      console.log('Visit recorded successfully');
       return data;
     } catch (error) {
-      console.error('Add patient error:', error);
+      console.error('Add visit error:', error);
       throw error;
     }
   }
 
-  async getPatients() {
+  // params: status, patient, highRisk, limit, cursor
+  async getPregnancies(params = {}) {
     try {
-      console.log('Fetching patients...');
-      const data = await this.makeRequest('/patients');
-      console.log(`Retrieved ${data.patients?.length || 0} patients`);
+      const query = toQueryString(params);
+      return await this.makeRequest(query ? `/pregnancies?${query}` : '/pregnancies');
+    } catch (error) {
+      console.error('Get pregnancies error:', error);
+      throw error;
+    }
+  }
+
+  async getPregnancy(pregnancyId) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}`);
+    } catch (error) {
+      console.error('Get pregnancy error:', error);
+      throw error;
+    }
+  }
+
+  async registerPregnancy(pregnancyData) {
+    try {
+      if (!pregnancyData.lmp) {
+        throw new Error('Last menstrual period (LMP) date is required');
+      }
+
+      const data = await this.makeRequest('/pregnancies', {
+        method: 'POST',
+        body: JSON.stringify(pregnancyData),
+      });
+      console.log('Pregnancy registered successfully');
       return data;
     } catch (error) {
-      console.error('Get patients error:', error);
+      console.error('Register pregnancy error:', error);
+      throw error;
+    }
+  }
+
+  async updatePregnancy(pregnancyId, updates) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates),
+      });
+    } catch (error) {
+      console.error('Update pregnancy error:', error);
+      throw error;
+    }
+  }
+
+  // checkup: date, weight, systolic, diastolic, hb, notes
+  async recordAncCheckup(pregnancyId, number, checkup) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}/anc/${number}`, {
+        method: 'POST',
+        body: JSON.stringify(checkup),
+      });
+    } catch (error) {
+      console.error('Record ANC checkup error:', error);
+      throw error;
+    }
+  }
+
+  // dose: type (TT1, TT2, TT_BOOSTER, IFA), date, quantity (IFA tablets)
+  async recordDose(pregnancyId, dose) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}/doses`, {
+        method: 'POST',
+        body: JSON.stringify(dose),
+      });
+    } catch (error) {
+      console.error('Record dose error:', error);
+      throw error;
+    }
+  }
+
+  async recordDelivery(pregnancyId, delivery) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}/delivery`, {
+        method: 'POST',
+        body: JSON.stringify(delivery),
+      });
+    } catch (error) {
+      console.error('Record delivery error:', error);
+      throw error;
+    }
+  }
+
+  async recordPncVisit(pregnancyId, day, visit) {
+    try {
+      return await this.makeRequest(`/pregnancies/${pregnancyId}/pnc/${day}`, {
+        method: 'POST',
+        body: JSON.stringify(visit),
+      });
+    } catch (error) {
+      console.error('Record PNC visit error:', error);
+      throw error;
+    }
+  }
+
+  // params: patient, actor, action, resource, resourceId, from, to, limit, cursor (supervisors)
+  async getAuditLog(params = {}) {
+    try {
+      const query = toQueryString(params);
+      return await this.makeRequest(query ? `/audit?${query}` : '/audit');
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      throw error;
+    }
+  }
+
+  // params: from, to, location, interval (supervisors and medical officers)
+  async getReportSummary(params = {}) {
+    try {
+      const query = toQueryString(params);
+      console.log('Fetching report summary...', query);
+      return await this.makeRequest(query ? `/reports/summary?${query}` : '/reports/summary');
+    } catch (error) {
+      console.error('Get report summary error:', error);
+      throw error;
+    }
+  }
+
+  // params: worker, month (YYYY-MM), status, limit, cursor
+  async getActivityReports(params = {}) {
+    try {
+      const query = toQueryString(params);
+      return await this.makeRequest(query ? `/activity-reports?${query}` : '/activity-reports');
+    } catch (error) {
+      console.error('Get activity reports error:', error);
+      throw error;
+    }
+  }
+
+  async getActivityReport(reportId) {
+    try {
+      return await this.makeRequest(`/activity-reports/${reportId}`);
+    } catch (error) {
+      console.error('Get activity report error:', error);
+      throw error;
+    }
+  }
+
+  // Build or rebuild the draft report of a month; supervisors pass a workerId
+  async generateActivityReport(month, workerId) {
+    try {
+      console.log('Generating activity report:', month);
+      return await this.makeRequest('/activity-reports', {
+        method: 'POST',
+        body: JSON.stringify({ month, workerId }),
+      });
+    } catch (error) {
+      console.error('Generate activity report error:', error);
+      throw error;
+    }
+  }
+
+  // decision: 'approve' or 'reject'; a rejection needs a note
+  async reviewActivityReport(reportId, decision, note) {
+    try {
+      return await this.makeRequest(`/activity-reports/${reportId}/${decision}`, {
+        method: 'POST',
+        body: JSON.stringify({ note }),
+      });
+    } catch (error) {
+      console.error('Review activity report error:', error);
+      throw error;
+    }
+  }
+
+  async getAlerts(params = {}) {
+    try {
+      const query = toQueryString(params);
+      return await this.makeRequest(query ? `/alerts?${query}` : '/alerts');
+    } catch (error) {
+      console.error('Get alerts error:', error);
+      throw error;
+    }
+  }
+
+  async getAlert(alertId) {
+    try {
+      return await this.makeRequest(`/alerts/${alertId}`);
+    } catch (error) {
+      console.error('Get alert error:', error);
+      throw error;
+    }
+  }
+
+  // Record the follow-up of an outbreak alert: 'investigating' or 'closed'
+  async updateAlert(alertId, status, note) {
+    try {
+      return await this.makeRequest(`/alerts/${alertId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status, note }),
+      });
+    } catch (error) {
+      console.error('Update alert error:', error);
+      throw error;
+    }
+  }
+
+  // params: q (name), village, mother, household, limit, cursor
+  async getChildren(params = {}) {
+    try {
+      const query = toQueryString(params);
+      return await this.makeRequest(query ? `/children?${query}` : '/children');
+    } catch (error) {
+      console.error('Get children error:', error);
+      throw error;
+    }
+  }
+
+  // childData: name, dateOfBirth, gender, birthWeight and a motherId, householdId
+  // or village to register against
+  async registerChild(childData) {
+    try {
+      if (!childData.name?.trim()) {
+        throw new Error('Child name is required');
+      }
+
+      const data = await this.makeRequest('/children', {
+        method: 'POST',
+        body: JSON.stringify(childData),
+      });
+      console.log('Child registered successfully');
+      return data;
+    } catch (error) {
+      console.error('Register child error:', error);
+      throw error;
+    }
+  }
+
+  async getImmunizationCard(childId) {
+    try {
+      return await this.makeRequest(`/children/${childId}/card`);
+    } catch (error) {
+      console.error('Get immunization card error:', error);
+      throw error;
+    }
+  }
+
+  // date defaults to today on the server
+  async recordImmunization(childId, vaccine, date) {
+    try {
+      return await this.makeRequest(`/children/${childId}/immunizations`, {
+        method: 'POST',
+        body: JSON.stringify({ vaccine, date }),
+      });
+    } catch (error) {
+      console.error('Record immunization error:', error);
+      throw error;
+    }
+  }
+
+  async removeImmunization(childId, vaccine) {
+    try {
+      return await this.makeRequest(`/children/${childId}/immunizations/${vaccine}`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      console.error('Remove immunization error:', error);
+      throw error;
+    }
+  }
+
+  // Villages the worker can register patients in, from the location master
+  // data. The list is kept so patients can still be registered offline.
+  async getVillages() {
+    try {
+      const data = await this.makeRequest('/locations/villages?limit=500');
+      await SecureStorage.setItem(CACHED_VILLAGES_KEY, JSON.stringify(data.villages || []))
+        .catch(cacheError => console.error('Error caching villages:', cacheError));
+      return data;
+    } catch (error) {
+      if (error.isNetworkError) {
+        const cached = await SecureStorage.getItem(CACHED_VILLAGES_KEY).catch(() => null);
+        console.log('Offline, serving cached villages');
+        return { success: true, offline: true, villages: cached ? JSON.parse(cached) : [] };
+      }
+      console.error('Get villages error:', error);
+      throw error;
+    }
+  }
+
+  // params: q (head name), village, limit, cursor
+  async getHouseholds(params = {}) {
+    try {
+      const query = toQueryString(params);
+      console.log('Fetching households...', query);
+      return await this.makeRequest(query ? `/households?${query}` : '/households');
+    } catch (error) {
+      console.error('Get households error:', error);
+      throw error;
+    }
+  }
+
+  async createHousehold(householdData) {
+    try {
+      if (!householdData.headName?.trim()) {
+        throw new Error('Head of household name is required');
+      }
+      if (!householdData.villageId && !householdData.village?.trim()) {
+        throw new Error('Village is required');
+      }
+
+      const data = await this.makeRequest('/households', {
+        method: 'POST',
+        body: JSON.stringify(householdData),
+      });
+      console.log('Household created successfully');
+      return data;
+    } catch (error) {
+      console.error('Create household error:', error);
       throw error;
     }
   }
 
+  // Adds the patient to the household, moving them out of any previous one
+  async addHouseholdMember(householdId, patientId) {
+    try {
+      return await this.makeRequest(`/households/${householdId}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ patientId }),
+      });
+    } catch (error) {
+      console.error('Add household member error:', error);
+      throw error;
+    }
+  }
+
+  async removeHouseholdMember(householdId, patientId) {
+    try {
+      return await this.makeRequest(`/households/${householdId}/members/${patientId}`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      console.error('Remove household member error:', error);
+      throw error;
+    }
+  }
+
+  async cachePatients(patients) {
+    try {
+      await SecureStorage.setItem(CACHED_PATIENTS_KEY, JSON.stringify(patients));
+    } catch (error) {
+      console.error('Error caching patients:', error);
+    }
+  }
+
+  async getCachedPatients() {
+    try {
+      const cached = await SecureStorage.getItem(CACHED_PATIENTS_KEY);
+      return cached ? JSON.parse(cached) : [];
+    } catch (error) {
+      console.error('Error reading cached patients:', error);
+      return [];
+    }
+  }
+
+  // Offline outbox - patients captured while the server was unreachable
+  async getPendingPatients() {
+    try {
+      const pending = await SecureStorage.getItem(PENDING_PATIENTS_KEY);
+      return pending ? JSON.parse(pending) : [];
+    } catch (error) {
+      console.error('Error reading pending patients:', error);
+      return [];
+    }
+  }
+
+  async savePendingPatients(pending) {
+    try {
+      await SecureStorage.setItem(PENDING_PATIENTS_KEY, JSON.stringify(pending));
+    } catch (error) {
+      console.error('Error storing pending patients:', error);
+      throw new Error('Failed to save patient on device');
+    }
+  }
+
+  // Read-modify-write of the outbox. Updates run one at a time so a patient
+  // queued while a sync is uploading is not overwritten by the sync's result.
+  updatePendingPatients(update) {
+    const run = this.outboxUpdate.then(async () => {
+      const pending = await this.getPendingPatients();
+      const updated = update(pending);
+      if (updated === pending) {
+        return;
+      }
+      if (updated.length > 0) {
+        await this.savePendingPatients(updated);
+      } else {
+        // An outbox that exists holds unsynced patients; see SecureStorage.hasUnsyncedData
+        await SecureStorage.removeItem(PENDING_PATIENTS_KEY);
+      }
+    });
+    this.outboxUpdate = run.catch(() => {});
+    return run;
+  }
+
+  async queuePatient(payload) {
+    const pendingPatient = {
+      ...payload,
+      _id: payload.clientId,
+      pendingSync: true,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.updatePendingPatients(pending => [
+      ...pending.filter(item => item.clientId !== payload.clientId),
+      pendingPatient,
+    ]);
+    return pendingPatient;
+  }
+
+  async removePendingPatient(clientId) {
+    await this.updatePendingPatients(pending => (
+      pending.some(item => item.clientId === clientId)
+        ? pending.filter(item => item.clientId !== clientId)
+        : pending
+    ));
+  }
+
+  // Replay the outbox in order; stops at the first network failure
+  async syncPendingPatients() {
+    if (this.isSyncing) {
+      return { synced: 0, failed: 0 };
+    }
+
+    const pending = await this.getPendingPatients();
+    if (pending.length === 0 || !(await this.isAuthenticated())) {
+      return { synced: 0, failed: 0 };
+    }
+
+    this.isSyncing = true;
+    let synced = 0;
+    let failed = 0;
+    // Outcome of each upload by clientId: null when synced, else the entry to
+    // keep with its error. Entries not uploaded stay as they are.
+    const outcomes = new Map();
+
+    try {
+      console.log(`Syncing ${pending.length} pending patients...`);
+
+      for (let i = 0; i < pending.length; i++) {
+        const { _id, pendingSync, createdAt, lastError, duplicateCandidates, ...payload } = pending[i];
+        // Syndromes were seen when the patient was captured, not when they sync
+        if (payload.syndromes?.length) {
+          payload.syndromesSeenAt = createdAt;
+        }
+
+        try {
+          await this.makeRequest('/patients', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+          });
+          synced++;
+          outcomes.set(pending[i].clientId, { uploaded: pending[i], entry: null });
+        } catch (error) {
+          if (error.isNetworkError || error.status === 401) {
+            // Connection dropped or session ended - keep the rest for next time
+            break;
+          }
+          // Rejected by the server; keep it so the worker can see and fix it.
+          // Possible duplicates are kept for the worker to review.
+          failed++;
+          outcomes.set(pending[i].clientId, {
+            uploaded: pending[i],
+            entry: {
+              ...pending[i],
+              lastError: error.message,
+              duplicateCandidates: error.candidates,
+            },
+          });
+        }
+      }
+
+      // Apply the results to the outbox as it is now: patients queued during
+      // the uploads, or queued again with edits, are left alone
+      await this.updatePendingPatients(current => current
+        .map(item => {
+          const outcome = outcomes.get(item.clientId);
+          return outcome && outcome.uploaded.createdAt === item.createdAt ? outcome.entry : item;
+        })
+        .filter(Boolean));
+    } finally {
+      this.isSyncing = false;
+    }
+
+    console.log(`Sync complete: ${synced} synced, ${failed} failed`);
+    if (synced > 0 || failed > 0) {
+      try {
+        await NotificationService.notifySystemSync(synced, failed);
+      } catch (error) {
+        console.warn('Failed to send sync notification:', error);
+      }
+    }
+
+    return { synced, failed };
+  }
+
   async checkServerHealth() {
     try {
       const data = await this.makeRequest('/health');
@@ -286,16 +1167,53 @@ class ApiService {
     }
   }
 
-  async logout() {
+  // Logging out erases everything on the phone, so patients in the outbox are
+  // uploaded first. Resolves { success: true }, or { success: false, pending }
+  // without logging out while some could not be; `discardUnsynced` logs out
+  // anyway.
+  async logout({ discardUnsynced = false } = {}) {
+    if (!discardUnsynced) {
+      await this.syncPendingPatients().catch(error => console.warn('Sync before logout failed:', error));
+      const pending = await this.getPendingPatients();
+      if (pending.length > 0) {
+        return { success: false, pending: pending.length };
+      }
+    }
+
     try {
       console.log('Logging out...');
-      await this.removeToken();
+      const [token, refreshToken, pushToken] = await Promise.all([
+        this.getToken(),
+        this.getRefreshToken(),
+        NotificationService.getPushToken(),
+      ]);
+      // Best effort: stop this user's push notifications to the phone, then
+      // revoke the session on the server, but never block logout. The token is
+      // passed explicitly because it is cleared below, and the device goes
+      // first because logging out revokes the token.
+      const unregisterDevice = pushToken && token
+        ? this.makeRequest(`/notifications/devices/${encodeURIComponent(pushToken)}`, {
+          method: 'DELETE',
+          headers: { Authorization: `Bearer ${token}` },
+        }).catch(error => console.warn('Push token removal failed:', error))
+        : Promise.resolve();
+      unregisterDevice.then(() => this.makeRequest('/auth/logout', {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: JSON.stringify({ refreshToken }),
+      })).catch(error => console.warn('Server logout failed:', error));
+      // Reminders belong to this worker's patients
+      await NotificationService.clearFollowUpReminders();
+      // An explicit logout erases this worker's data and PIN from the phone
+      await SecureStorage.wipe();
+      await LocalAuthService.clear();
       this.isOnline = true; // Reset connection status
       console.log('Logout successful');
     } catch (error) {
       console.error('Logout error:', error);
       // Don't throw error for logout, just log it
     }
+    return { success: true };
   }
 
   // Get current API base URL
@@ -305,8 +1223,8 @@ class ApiService {
 
   // Check if user is authenticated
   async isAuthenticated() {
-    const token = await this.getToken();
-    return !!token;
+    const [token, refreshToken] = await Promise.all([this.getToken(), this.getRefreshToken()]);
+    return !!(token || refreshToken);
   }
 }
 
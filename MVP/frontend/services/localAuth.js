@@ -0,0 +1,210 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as SecureStore from 'expo-secure-store';
+import SecureStorage from './secureStorage';
+
+// { username, name, role, biometricEnabled, lastOnlineAuthAt, offlineUnlockDays,
+//   maxUnlockAttempts } for the last online login. Kept unencrypted since it
+// is needed before unlocking; the PIN itself only exists as a key in
+// SecureStorage's keystore slot.
+const LOCAL_AUTH_KEY = 'localAuth';
+// { failedAttempts, lockedUntil }, in the OS keystore so the count of wrong
+// PINs can't be reset by restoring the app's files
+const UNLOCK_ATTEMPTS_KEY = 'swasthyalink.unlockAttempts';
+const NO_FAILED_ATTEMPTS = { failedAttempts: 0, lockedUntil: null };
+
+const PIN_PATTERN = /^\d{4,6}$/;
+const LOCKOUT_AFTER_ATTEMPTS = 5; // failures before a temporary lockout
+const LOCKOUT_MINUTES = 5;
+// Used until the server sends its policy
+const DEFAULT_OFFLINE_UNLOCK_DAYS = 7;
+const DEFAULT_MAX_UNLOCK_ATTEMPTS = 10; // failures before local data is wiped
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local unlock for returning users: after an online login a worker can set a
+// PIN (and optionally biometrics) to open the app offline, until
+// `offlineUnlockDays` have passed since their last online login.
+class LocalAuthService {
+  async getRecord() {
+    try {
+      const stored = await AsyncStorage.getItem(LOCAL_AUTH_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to read local unlock settings:', error);
+      return null;
+    }
+  }
+
+  async saveRecord(record) {
+    try {
+      await AsyncStorage.setItem(LOCAL_AUTH_KEY, JSON.stringify(record));
+    } catch (error) {
+      console.error('Failed to store local unlock settings:', error);
+      throw new Error('Failed to save PIN settings');
+    }
+  }
+
+  async getAttempts() {
+    try {
+      const stored = await SecureStore.getItemAsync(UNLOCK_ATTEMPTS_KEY);
+      return stored ? JSON.parse(stored) : NO_FAILED_ATTEMPTS;
+    } catch (error) {
+      console.error('Failed to read unlock attempts:', error);
+      return NO_FAILED_ATTEMPTS;
+    }
+  }
+
+  async saveAttempts(attempts) {
+    await SecureStore.setItemAsync(UNLOCK_ATTEMPTS_KEY, JSON.stringify(attempts), {
+      keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+  }
+
+  async clear() {
+    try {
+      await AsyncStorage.removeItem(LOCAL_AUTH_KEY);
+      await SecureStore.deleteItemAsync(UNLOCK_ATTEMPTS_KEY);
+    } catch (error) {
+      console.error('Failed to clear local unlock settings:', error);
+    }
+  }
+
+  // Called after every successful online login, with the policy from the
+  // /login response. A different user on the same phone starts without a PIN.
+  async recordOnlineLogin(user, { offlineUnlockDays, maxUnlockAttempts } = {}) {
+    const record = await this.getRecord();
+    const sameUser = record?.username === user.username;
+
+    await this.saveRecord({
+      ...(sameUser ? record : {}),
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      lastOnlineAuthAt: new Date().toISOString(),
+      offlineUnlockDays: offlineUnlockDays || record?.offlineUnlockDays || DEFAULT_OFFLINE_UNLOCK_DAYS,
+      maxUnlockAttempts: maxUnlockAttempts || record?.maxUnlockAttempts || DEFAULT_MAX_UNLOCK_ATTEMPTS,
+    });
+    await this.saveAttempts(NO_FAILED_ATTEMPTS);
+  }
+
+  isValidPin(pin) {
+    return PIN_PATTERN.test(pin);
+  }
+
+  async setPin(pin, { biometricEnabled = false } = {}) {
+    if (!this.isValidPin(pin)) {
+      throw new Error('PIN must be 4 to 6 digits');
+    }
+
+    const record = await this.getRecord();
+    if (!record || !SecureStorage.isUnlocked()) {
+      throw new Error('Login online before setting a PIN');
+    }
+
+    await SecureStorage.setPin(pin);
+    if (biometricEnabled) {
+      await SecureStorage.enableBiometric();
+    } else {
+      await SecureStorage.disableBiometric();
+    }
+
+    await this.saveRecord({ ...record, biometricEnabled });
+    await this.saveAttempts(NO_FAILED_ATTEMPTS);
+  }
+
+  async isBiometricAvailable() {
+    try {
+      const [hasHardware, isEnrolled] = await Promise.all([
+        LocalAuthentication.hasHardwareAsync(),
+        LocalAuthentication.isEnrolledAsync(),
+      ]);
+      return hasHardware && isEnrolled;
+    } catch (error) {
+      console.warn('Biometric check failed:', error);
+      return false;
+    }
+  }
+
+  // What LoginScreen should offer:
+  // - none: no PIN set, password login only
+  // - expired: too long since the last online login, password login required
+  // - locked: too many wrong PINs, try again after lockedUntil
+  // - available: PIN (and biometric if enabled) unlock
+  async getStatus() {
+    const record = await this.getRecord();
+    if (!record || !(await SecureStorage.hasPin())) {
+      return { state: 'none' };
+    }
+
+    const base = {
+      username: record.username,
+      name: record.name,
+      biometricEnabled: !!record.biometricEnabled,
+      offlineUnlockDays: record.offlineUnlockDays,
+    };
+
+    const lastOnline = new Date(record.lastOnlineAuthAt).getTime();
+    if (Date.now() - lastOnline > record.offlineUnlockDays * DAY_MS) {
+      return { ...base, state: 'expired' };
+    }
+
+    const { lockedUntil } = await this.getAttempts();
+    if (lockedUntil && new Date(lockedUntil) > new Date()) {
+      return { ...base, state: 'locked', lockedUntil };
+    }
+
+    return { ...base, state: 'available' };
+  }
+
+  // Resolves { success } or { success: false, state, attemptsLeft, lockedUntil }
+  async unlockWithPin(pin) {
+    const status = await this.getStatus();
+    if (status.state !== 'available') {
+      return { success: false, state: status.state, lockedUntil: status.lockedUntil };
+    }
+
+    // Counted before trying the PIN, so closing the app mid-check doesn't
+    // give a free attempt
+    const record = await this.getRecord();
+    const failedAttempts = ((await this.getAttempts()).failedAttempts || 0) + 1;
+    await this.saveAttempts({ failedAttempts, lockedUntil: null });
+
+    if (await SecureStorage.unlockWithPin(pin)) {
+      await this.saveAttempts(NO_FAILED_ATTEMPTS);
+      return { success: true };
+    }
+
+    // Too many wrong PINs: erase the local data along with the PIN, so only
+    // an online login gets back in
+    if (failedAttempts >= (record.maxUnlockAttempts || DEFAULT_MAX_UNLOCK_ATTEMPTS)) {
+      await SecureStorage.wipe();
+      await this.saveRecord({ ...record, biometricEnabled: false });
+      await this.saveAttempts(NO_FAILED_ATTEMPTS);
+      return { success: false, state: 'wiped', attemptsLeft: 0 };
+    }
+
+    const locked = failedAttempts % LOCKOUT_AFTER_ATTEMPTS === 0;
+    const lockedUntil = locked ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : null;
+    await this.saveAttempts({ failedAttempts, lockedUntil });
+
+    return {
+      success: false,
+      state: locked ? 'locked' : 'available',
+      attemptsLeft: LOCKOUT_AFTER_ATTEMPTS - (failedAttempts % LOCKOUT_AFTER_ATTEMPTS),
+      lockedUntil,
+    };
+  }
+
+  async unlockWithBiometrics() {
+    const status = await this.getStatus();
+    if (status.state !== 'available' || !status.biometricEnabled) {
+      return { success: false, state: status.state };
+    }
+
+    // The keystore shows the biometric prompt before it releases the key
+    const success = await SecureStorage.unlockWithStoredKey(`Unlock as ${status.name || status.username}`);
+    return { success, state: 'available' };
+  }
+}
+
+export default new LocalAuthService();
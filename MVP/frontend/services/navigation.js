@@ -0,0 +1,37 @@
+import { createNavigationContainerRef, StackActions } from '@react-navigation/native';
+
+// Lets services (e.g. notification handlers) navigate outside of a screen
+export const navigationRef = createNavigationContainerRef();
+
+let pendingNavigation = null;
+
+export function navigate(name, params) {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(name, params);
+  } else {
+    // App is still starting (e.g. opened from a notification); replay once ready
+    pendingNavigation = { name, params };
+  }
+}
+
+// Called from NavigationContainer's onReady
+export function flushPendingNavigation() {
+  if (pendingNavigation && navigationRef.isReady()) {
+    const { name, params } = pendingNavigation;
+    pendingNavigation = null;
+    navigationRef.navigate(name, params);
+  }
+}
+
+// Show the login screen on top of the current one instead of resetting the
+// stack, so screens underneath keep their state (e.g. a half-filled form)
+export function showLoginForReauth(params) {
+  if (!navigationRef.isReady()) {
+    pendingNavigation = { name: 'Login', params };
+    return;
+  }
+
+  if (navigationRef.getCurrentRoute()?.name !== 'Login') {
+    navigationRef.dispatch(StackActions.push('Login', params));
+  }
+}
@@ -1,5 +1,14 @@
 import * as Notifications from 'expo-notifications';
+import Constants from 'expo-constants';
 import { Platform, Alert } from 'react-native';
+import SecureStorage from './secureStorage';
+import { navigate } from './navigation';
+
+// follow-up id (e.g. "follow_up:<patientId>", "anc:<pregnancyId>:2",
+// "immunization:<childId>") -> { notificationId, followUpDate, reason } for
+// scheduled follow-up reminders
+const FOLLOW_UP_REMINDERS_KEY = 'followUpReminders';
+const REMINDER_HOUR = 9; // Follow-up reminders fire at 9 AM on the due date
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -15,6 +24,7 @@ class NotificationService {
     this.notificationListener = null;
     this.responseListener = null;
     this.isInitialized = false;
+    this.pushToken = null;
   }
 
   // Initialize notification service
@@ -69,10 +79,26 @@ class NotificationService {
           lightColor: '#28a745',
           sound: 'default',
         });
+
+        // Pushed by the server when a village crosses an outbreak threshold
+        await Notifications.setNotificationChannelAsync('outbreak-alerts', {
+          name: 'Outbreak Alerts',
+          description: 'Unusual numbers of cases in your villages',
+          importance: Notifications.AndroidImportance.MAX,
+          vibrationPattern: [0, 500, 250, 500, 250, 500],
+          lightColor: '#FF3B30',
+          sound: 'default',
+        });
       }
 
       // Set up notification listeners
       this.setupListeners();
+
+      // App was opened by tapping a notification while it was closed
+      const lastResponse = await Notifications.getLastNotificationResponseAsync();
+      if (lastResponse) {
+        this.handleNotificationResponse(lastResponse);
+      }
       
       this.isInitialized = true;
       console.log('✅ Notification service initialized successfully');
@@ -94,19 +120,57 @@ class NotificationService {
     // Listener for when user taps on notification
     this.responseListener = Notifications.addNotificationResponseReceivedListener(response => {
       console.log('👆 Notification tapped:', response);
-      
-      const data = response.notification.request.content.data;
-      
-      // Handle different notification types
-      if (data?.type === 'patient_reminder') {
-        // Navigate to patient details or reminder screen
-        console.log('Patient reminder tapped:', data.patientId);
-      } else if (data?.type === 'system_alert') {
-        console.log('System alert tapped:', data.message);
-      }
+      this.handleNotificationResponse(response);
     });
   }
 
+  // Route a tapped notification to the relevant screen
+  handleNotificationResponse(response) {
+    const data = response.notification.request.content.data;
+
+    // Handle different notification types
+    if (data?.type === 'patient_reminder' && data.childId) {
+      navigate('ImmunizationCard', { childId: data.childId });
+    } else if (data?.type === 'patient_reminder' && data.pregnancyId) {
+      navigate('PregnancyDetail', { pregnancyId: data.pregnancyId });
+    } else if (data?.type === 'patient_reminder' && data.patientId) {
+      navigate('PatientDetail', { patientId: data.patientId });
+    } else if (data?.type === 'outbreak_alert' && data.alertId) {
+      navigate('OutbreakAlert', { alertId: data.alertId });
+    } else if (data?.type === 'activity_report_reviewed' && data.reportId) {
+      navigate('ActivityReport', { reportId: data.reportId });
+    } else if (data?.type === 'outbreak_notice' || data?.type === 'assignment_changed') {
+      // The patient list reloads the worker's villages when it gains focus
+      navigate('PatientList');
+    } else if (data?.type === 'system_alert') {
+      console.log('System alert tapped:', data.message);
+    }
+  }
+
+  // Expo push token the server sends this device's notifications to, or null
+  // when notifications are not permitted or the app has no EAS project id
+  // (expo.extra.eas.projectId in app.json, set by `eas init`)
+  async getPushToken() {
+    if (this.pushToken) {
+      return this.pushToken;
+    }
+
+    try {
+      const { status } = await Notifications.getPermissionsAsync();
+      if (status !== 'granted') {
+        return null;
+      }
+
+      const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+      const { data } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+      this.pushToken = data;
+      return data;
+    } catch (error) {
+      console.warn('⚠️ Could not get a push token:', error);
+      return null;
+    }
+  }
+
   // Schedule a local notification
   async scheduleNotification({
     title,
@@ -155,7 +219,8 @@ class NotificationService {
     });
   }
 
-  // Test notification with different types
+  // Test notification with different types. They carry no record ids, so
+  // tapping one does not open a patient that does not exist.
   async sendTestNotification(type = 'basic') {
     const notifications = {
       basic: {
@@ -166,22 +231,16 @@ class NotificationService {
       patient_added: {
         title: '✅ Patient Added Successfully',
         body: 'New patient John Doe (25) from Village ABC has been registered.',
-        data: { type: 'patient_added', patientId: 'test-123' },
+        data: { type: 'patient_added' },
         channelId: 'system-alerts'
       },
       patient_reminder: {
         title: '⏰ Patient Follow-up Reminder',
         body: 'Follow-up required for patient Jane Smith - High blood pressure check.',
-        data: { type: 'patient_reminder', patientId: 'test-456' },
+        data: { type: 'patient_reminder' },
         channelId: 'patient-reminders',
         priority: 'high'
       },
-      health_check: {
-        title: '🏥 Health Check Reminder',
-        body: 'Time for weekly health check rounds in your assigned villages.',
-        data: { type: 'health_check', route: 'health-checks' },
-        channelId: 'patient-reminders'
-      },
       system_status: {
         title: '📊 System Update',
         body: 'Patient data has been synced successfully. 5 new records uploaded.',
@@ -269,24 +328,133 @@ class NotificationService {
     );
   }
 
-  async notifyPatientReminder(patientName, condition, daysOverdue = 0) {
+  // trigger: null fires immediately, or a trigger input for a future date
+  async notifyPatientReminder(patientName, condition, daysOverdue = 0, { patientId, pregnancyId, childId, trigger = null } = {}) {
     const urgency = daysOverdue > 7 ? '🚨 URGENT' : daysOverdue > 3 ? '⚠️ Important' : '📅 Reminder';
+    const overdueText = daysOverdue > 0 ? ` (${daysOverdue} days overdue)` : '';
     
     return await this.scheduleNotification({
-      title: `${urgency}: Follow-up Required`,
-      body: `Patient ${patientName} needs follow-up for ${condition}${daysOverdue > 0 ? ` (${daysOverdue} days overdue)` : ''}`,
+      title: `${urgency}: ${childId ? 'Vaccination Due' : 'Follow-up Required'}`,
+      body: childId
+        ? `${patientName} - ${condition}${overdueText}`
+        : `Patient ${patientName} needs follow-up for ${condition}${overdueText}`,
       data: { 
         type: 'patient_reminder', 
+        patientId,
+        pregnancyId,
+        childId,
         patientName,
         condition,
         daysOverdue,
         timestamp: new Date().toISOString()
       },
+      trigger,
       channelId: 'patient-reminders',
       priority: daysOverdue > 3 ? 'high' : 'normal'
     });
   }
 
+  async getFollowUpReminders() {
+    try {
+      const stored = await SecureStorage.getItem(FOLLOW_UP_REMINDERS_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to read follow-up reminders:', error);
+      return {};
+    }
+  }
+
+  async saveFollowUpReminders(reminders) {
+    try {
+      await SecureStorage.setItem(FOLLOW_UP_REMINDERS_KEY, JSON.stringify(reminders));
+    } catch (error) {
+      console.error('Failed to store follow-up reminders:', error);
+    }
+  }
+
+  // Reconcile scheduled reminders with the follow-ups from GET /followups:
+  // new or moved follow-ups are (re)scheduled, ones no longer due are cancelled,
+  // unchanged ones are left alone so overdue reminders only fire once.
+  async syncFollowUpReminders(followUps) {
+    if (!this.isInitialized) {
+      console.warn('⚠️ Notification service not initialized');
+      return;
+    }
+
+    const reminders = await this.getFollowUpReminders();
+    const next = {};
+
+    for (const followUp of followUps) {
+      const key = followUp.id || `follow_up:${followUp.patientId}`;
+      const existing = reminders[key];
+
+      if (existing && existing.followUpDate === followUp.followUpDate && existing.reason === followUp.reason) {
+        next[key] = existing;
+        continue;
+      }
+
+      if (existing) {
+        await this.cancelNotification(existing.notificationId);
+      }
+
+      const remindAt = new Date(followUp.followUpDate);
+      remindAt.setHours(REMINDER_HOUR, 0, 0, 0);
+      const trigger = remindAt > new Date()
+        ? { type: Notifications.SchedulableTriggerInputTypes.DATE, date: remindAt }
+        : null;
+
+      try {
+        const notificationId = await this.notifyPatientReminder(
+          followUp.patientName,
+          followUp.reason,
+          followUp.daysOverdue,
+          {
+            patientId: followUp.patientId ? String(followUp.patientId) : undefined,
+            pregnancyId: followUp.pregnancyId,
+            childId: followUp.childId,
+            trigger,
+          }
+        );
+        next[key] = { notificationId, followUpDate: followUp.followUpDate, reason: followUp.reason };
+      } catch (error) {
+        console.error('Failed to schedule follow-up reminder:', error);
+      }
+    }
+
+    // Follow-ups that were completed or moved out of the window
+    for (const [key, reminder] of Object.entries(reminders)) {
+      if (!next[key]) {
+        await this.cancelNotification(reminder.notificationId);
+      }
+    }
+
+    await this.saveFollowUpReminders(next);
+    console.log(`📅 Follow-up reminders synced: ${Object.keys(next).length} active`);
+  }
+
+  // Cancel the general follow-up reminder for one patient, e.g. once a visit
+  // has been logged (ANC/PNC reminders are cleared by the next sync)
+  async cancelPatientReminder(patientId) {
+    const reminders = await this.getFollowUpReminders();
+    const key = `follow_up:${patientId}`;
+    const reminder = reminders[key];
+
+    if (reminder) {
+      await this.cancelNotification(reminder.notificationId);
+      delete reminders[key];
+      await this.saveFollowUpReminders(reminders);
+    }
+  }
+
+  // Cancel every follow-up reminder, e.g. on logout
+  async clearFollowUpReminders() {
+    const reminders = await this.getFollowUpReminders();
+    for (const reminder of Object.values(reminders)) {
+      await this.cancelNotification(reminder.notificationId);
+    }
+    await this.saveFollowUpReminders({});
+  }
+
   async notifySystemSync(syncedCount, failedCount = 0) {
     const title = failedCount > 0 ? '⚠️ Partial Sync Complete' : '✅ Data Sync Complete';
     const body = `${syncedCount} patients synced successfully${failedCount > 0 ? `, ${failedCount} failed` : ''}`;
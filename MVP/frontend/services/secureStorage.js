@@ -0,0 +1,354 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { gcm } from '@noble/ciphers/aes';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+
+// Wrapped copies of the data key: { username, password: slot }, where a slot
+// is { salt, wrapped } and `wrapped` decrypts to the data key under a key
+// derived from the password or PIN
+const KEYRING_KEY = 'keyring';
+// The PIN slot lives in the OS keystore, not the keyring: a 4-6 digit PIN is
+// guessed offline in seconds by anyone who copies the app's files
+const PIN_SLOT_KEY = 'swasthyalink.pinSlot';
+// Values are stored as `v1:<hex nonce + AES-GCM ciphertext>` under this prefix
+const ENCRYPTED_PREFIX = 'enc:';
+const FORMAT_VERSION = 'v1';
+// The data key itself, held by the OS keystore behind a biometric check, for
+// biometric unlock
+const BIOMETRIC_KEY = 'swasthyalink.dataKey';
+const KEYSTORE_OPTIONS = { keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY };
+
+const KEY_BYTES = 32; // AES-256
+const NONCE_BYTES = 12;
+const SALT_BYTES = 16;
+// PBKDF2 runs in JS on the phone; this keeps an unlock to about a second
+const KDF_ITERATIONS = 50000;
+
+// Keys written in plain text by earlier versions of the app. They are moved
+// into the encrypted store the first time it is unlocked.
+const LEGACY_PLAIN_KEYS = [
+  'token',
+  'refreshToken',
+  'sessionUser',
+  'cachedPatients',
+  'pendingPatients',
+  'followUpReminders',
+];
+
+// Values that exist only on this phone until they are uploaded (the offline
+// outbox; ApiService removes it once empty). Starting a new store over them
+// needs the caller's explicit consent.
+const UNSYNCED_KEYS = ['pendingPatients'];
+
+const unsyncedDataError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNSYNCED_DATA';
+  return error;
+};
+
+const randomBytes = (length) => Crypto.getRandomBytes(length);
+
+const deriveKey = (secret, salt) => pbkdf2Async(sha256, utf8ToBytes(secret), hexToBytes(salt), {
+  c: KDF_ITERATIONS,
+  dkLen: KEY_BYTES,
+});
+
+// AES-GCM with a random nonce; `aad` binds the blob to where it is stored so
+// blobs can't be swapped between keys
+const encrypt = (key, plaintext, aad) => {
+  const nonce = randomBytes(NONCE_BYTES);
+  const ciphertext = gcm(key, nonce, utf8ToBytes(aad)).encrypt(plaintext);
+  return `${FORMAT_VERSION}:${bytesToHex(nonce)}${bytesToHex(ciphertext)}`;
+};
+
+// Throws when the key is wrong or the blob was tampered with
+const decrypt = (key, blob, aad) => {
+  const [version, payload] = blob.split(':');
+  if (version !== FORMAT_VERSION || !payload) {
+    throw new Error('Unknown storage format');
+  }
+  const bytes = hexToBytes(payload);
+  return gcm(key, bytes.slice(0, NONCE_BYTES), utf8ToBytes(aad)).decrypt(bytes.slice(NONCE_BYTES));
+};
+
+const storageKey = (key) => `${ENCRYPTED_PREFIX}${key}`;
+
+// Encrypted replacement for AsyncStorage. Everything is encrypted with a random
+// data key that only lives in memory while the app is unlocked; at rest it is
+// kept wrapped by keys derived from the worker's password and PIN. getItem
+// returns null while locked; writes throw.
+class SecureStorageService {
+  constructor() {
+    this.dataKey = null;
+  }
+
+  isUnlocked() {
+    return !!this.dataKey;
+  }
+
+  lock() {
+    this.dataKey = null;
+  }
+
+  async getKeyring() {
+    try {
+      const stored = await AsyncStorage.getItem(KEYRING_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to read keyring:', error);
+      return null;
+    }
+  }
+
+  async saveKeyring(keyring) {
+    await AsyncStorage.setItem(KEYRING_KEY, JSON.stringify(keyring));
+  }
+
+  async wrapDataKey(secret, aad) {
+    const salt = bytesToHex(randomBytes(SALT_BYTES));
+    return { salt, wrapped: encrypt(await deriveKey(secret, salt), this.dataKey, aad) };
+  }
+
+  // Resolves the data key, or null when the secret is wrong
+  async unwrapDataKey(slot, secret, aad) {
+    try {
+      return decrypt(await deriveKey(secret, slot.salt), slot.wrapped, aad);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The PIN-wrapped data key, or null when no PIN is set. Earlier versions
+  // kept it in the keyring; it is moved to the keystore on first read.
+  async getPinSlot() {
+    try {
+      const stored = await SecureStore.getItemAsync(PIN_SLOT_KEY);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+
+      const keyring = await this.getKeyring();
+      if (!keyring?.pin) {
+        return null;
+      }
+      const { pin, ...rest } = keyring;
+      await this.savePinSlot(pin);
+      await this.saveKeyring(rest);
+      return pin;
+    } catch (error) {
+      console.error('Failed to read PIN slot:', error);
+      return null;
+    }
+  }
+
+  async savePinSlot(slot) {
+    await SecureStore.setItemAsync(PIN_SLOT_KEY, JSON.stringify(slot), KEYSTORE_OPTIONS);
+  }
+
+  // Whether data that was never uploaded is stored, readable while locked
+  async hasUnsyncedData() {
+    const stored = await AsyncStorage.multiGet(UNSYNCED_KEYS.flatMap(key => [storageKey(key), key]));
+    return stored.some(([, value]) => value !== null);
+  }
+
+  // Called after a successful online login. Opens this worker's store, or
+  // starts a new one on first login, wiping any other worker's data. Throws
+  // an error with code UNSYNCED_DATA instead of wiping data that was never
+  // uploaded, unless `discardUnsynced` is set.
+  async unlockWithPassword(username, password, { discardUnsynced = false } = {}) {
+    const keyring = await this.getKeyring();
+    const sameUser = keyring?.username === username;
+    const dataKey = sameUser ? await this.unwrapDataKey(keyring.password, password, 'password') : null;
+
+    if (dataKey) {
+      this.dataKey = dataKey;
+    } else if (sameUser && this.isUnlocked()) {
+      // The password was changed on the server while the store was open
+      // (re-login after a session expiry, or after a PIN or biometric
+      // unlock); wrap the open key with the new one, keeping everything
+      await this.saveKeyring({ ...keyring, password: await this.wrapDataKey(password, 'password') });
+    } else {
+      // First login, another worker, or a password change while locked (the
+      // old password is needed to read the data, so it can't be kept)
+      if (keyring && !discardUnsynced && await this.hasUnsyncedData()) {
+        if (!sameUser) {
+          throw unsyncedDataError(`Patients registered on this phone by ${keyring.username} have not been synced yet. ` +
+            'They need to log in and sync them first, or the patients can be discarded.');
+        }
+        throw unsyncedDataError('Your password has changed, and patients registered on this phone have not been synced yet. ' +
+          ((await this.getPinSlot())
+            ? 'Unlock with your PIN to sync them first, or discard them.'
+            : 'They can only be opened with your previous password, so they must be discarded to continue.'));
+      }
+      if (keyring) {
+        await this.wipe();
+      } else {
+        // Keystore entries can outlive the app's files (e.g. on iOS)
+        await this.removePin();
+      }
+      this.dataKey = randomBytes(KEY_BYTES);
+      await this.saveKeyring({ username, password: await this.wrapDataKey(password, 'password') });
+    }
+
+    await this.migratePlainItems();
+  }
+
+  // Resolves false when the PIN is wrong
+  async unlockWithPin(pin) {
+    const slot = await this.getPinSlot();
+    if (!slot) {
+      return false;
+    }
+
+    const dataKey = await this.unwrapDataKey(slot, pin, 'pin');
+    if (!dataKey) {
+      return false;
+    }
+
+    this.dataKey = dataKey;
+    await this.migratePlainItems();
+    return true;
+  }
+
+  async hasPin() {
+    return !!(await this.getPinSlot());
+  }
+
+  async setPin(pin) {
+    this.requireUnlocked();
+    await this.savePinSlot(await this.wrapDataKey(pin, 'pin'));
+  }
+
+  async removePin() {
+    try {
+      await SecureStore.deleteItemAsync(PIN_SLOT_KEY);
+    } catch (error) {
+      console.warn('Failed to remove PIN slot:', error);
+    }
+    await this.disableBiometric();
+  }
+
+  // The OS keystore releases the data key only after it has checked the
+  // worker's fingerprint or face (setting it may prompt too)
+  async enableBiometric() {
+    this.requireUnlocked();
+    await SecureStore.setItemAsync(BIOMETRIC_KEY, bytesToHex(this.dataKey), {
+      ...KEYSTORE_OPTIONS,
+      requireAuthentication: true,
+      authenticationPrompt: 'Confirm to enable biometric unlock',
+    });
+  }
+
+  async disableBiometric() {
+    try {
+      await SecureStore.deleteItemAsync(BIOMETRIC_KEY);
+    } catch (error) {
+      console.warn('Failed to remove biometric key:', error);
+    }
+  }
+
+  // Shows the biometric prompt. Resolves false when it is cancelled or fails,
+  // or when the key was invalidated by a change to the enrolled biometrics.
+  async unlockWithStoredKey(promptMessage) {
+    const keyring = await this.getKeyring();
+    if (!keyring) {
+      return false;
+    }
+
+    let stored;
+    try {
+      stored = await SecureStore.getItemAsync(BIOMETRIC_KEY, {
+        requireAuthentication: true,
+        authenticationPrompt: promptMessage,
+      });
+    } catch (error) {
+      console.warn('Biometric unlock failed:', error);
+      return false;
+    }
+    if (!stored) {
+      return false;
+    }
+
+    this.dataKey = hexToBytes(stored);
+    await this.migratePlainItems();
+    return true;
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Secure storage is locked');
+    }
+  }
+
+  async getItem(key) {
+    if (!this.isUnlocked()) {
+      return null;
+    }
+
+    const blob = await AsyncStorage.getItem(storageKey(key));
+    if (!blob) {
+      return null;
+    }
+
+    try {
+      return bytesToUtf8(decrypt(this.dataKey, blob, key));
+    } catch (error) {
+      console.error(`Failed to decrypt ${key}:`, error);
+      return null;
+    }
+  }
+
+  async setItem(key, value) {
+    this.requireUnlocked();
+    await AsyncStorage.setItem(storageKey(key), encrypt(this.dataKey, utf8ToBytes(value), key));
+  }
+
+  async multiSet(entries) {
+    this.requireUnlocked();
+    await AsyncStorage.multiSet(entries.map(([key, value]) => (
+      [storageKey(key), encrypt(this.dataKey, utf8ToBytes(value), key)]
+    )));
+  }
+
+  async removeItem(key) {
+    await AsyncStorage.removeItem(storageKey(key));
+  }
+
+  async multiRemove(keys) {
+    await AsyncStorage.multiRemove(keys.map(storageKey));
+  }
+
+  async migratePlainItems() {
+    try {
+      const found = (await AsyncStorage.multiGet(LEGACY_PLAIN_KEYS)).filter(([, value]) => value !== null);
+      if (found.length > 0) {
+        await this.multiSet(found);
+        await AsyncStorage.multiRemove(found.map(([key]) => key));
+        console.log(`Encrypted ${found.length} previously unencrypted item(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to encrypt stored data:', error);
+    }
+  }
+
+  // Remove every encrypted value and every way of opening them
+  async wipe() {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove([
+        KEYRING_KEY,
+        ...LEGACY_PLAIN_KEYS,
+        ...keys.filter(key => key.startsWith(ENCRYPTED_PREFIX)),
+      ]);
+    } catch (error) {
+      console.error('Failed to wipe secure storage:', error);
+    }
+    await this.removePin();
+    this.lock();
+  }
+}
+
+export default new SecureStorageService();
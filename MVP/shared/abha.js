@@ -0,0 +1,78 @@
+// ABHA (Ayushman Bharat Health Account) identifiers, shared by the backend and
+// the app. An ABHA number is 14 digits, written 12-3456-7890-1234, whose last
+// digit is a Verhoeff check digit. An ABHA address is a user name of 8-18
+// letters and digits (optionally one . or _ inside) followed by @abdm, or @sbx
+// in the ABDM sandbox.
+
+const ABHA_NUMBER_LENGTH = 14;
+const ABHA_ADDRESS = /^(?=[a-z0-9._]{8,18}@)[a-z0-9]+(?:[._][a-z0-9]+)?@(abdm|sbx)$/;
+
+// Verhoeff tables: d is multiplication in the dihedral group D5, p the
+// position permutation and inv the inverse of each element
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+const verhoeff = (digits, offset) => digits
+  .split('')
+  .reverse()
+  .reduce((check, digit, index) => VERHOEFF_D[check][VERHOEFF_P[(index + offset) % 8][Number(digit)]], 0);
+
+// Check digit to append to a string of digits
+const verhoeffDigit = (digits) => String(VERHOEFF_INV[verhoeff(digits, 1)]);
+
+const isVerhoeffValid = (digits) => verhoeff(digits, 0) === 0;
+
+const formatAbhaNumber = (digits) => (
+  `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6, 10)}-${digits.slice(10)}`
+);
+
+// Schema parser for an ABHA number typed with or without hyphens and spaces.
+// Valid numbers are stored in the hyphenated form.
+const parseAbhaNumber = (text) => {
+  const digits = text.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || digits.length !== ABHA_NUMBER_LENGTH) {
+    return { error: 'ABHA number must be 14 digits (e.g. 12-3456-7890-1234)' };
+  }
+  if (!isVerhoeffValid(digits)) {
+    return { error: 'ABHA number is not valid; please check the digits' };
+  }
+  return { value: formatAbhaNumber(digits) };
+};
+
+// Schema parser for an ABHA address; stored in lower case
+const parseAbhaAddress = (text) => {
+  const address = text.toLowerCase();
+  if (!ABHA_ADDRESS.test(address)) {
+    return { error: 'ABHA address must look like name@abdm (8-18 letters or digits before @)' };
+  }
+  return { value: address };
+};
+
+module.exports = {
+  verhoeffDigit,
+  isVerhoeffValid,
+  formatAbhaNumber,
+  parseAbhaNumber,
+  parseAbhaAddress
+};
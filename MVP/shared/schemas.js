@@ -0,0 +1,384 @@
+// Request schemas for each resource, enforced by the backend routes and used by
+// the app's forms to show errors under each field. See validation.js for the
+// rule format.
+
+const { parseAbhaNumber, parseAbhaAddress } = require('./abha');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const ROLES = ['asha_worker', 'anm_supervisor', 'medical_officer'];
+const RATION_CARD_TYPES = ['None', 'APL', 'BPL', 'AAY'];
+// Levels of the location master data, from the top down
+const LOCATION_TYPES = ['district', 'block', 'phc', 'sub_centre', 'village'];
+
+const HIGH_RISK_FLAGS = [
+  'age_below_18',
+  'age_above_35',
+  'hypertension',
+  'severe_anaemia',
+  'gestational_diabetes',
+  'previous_caesarean',
+  'multiple_pregnancy',
+  'malpresentation',
+  'antepartum_haemorrhage',
+  'grand_multipara',
+  'other'
+];
+const DOSE_TYPES = ['TT1', 'TT2', 'TT_BOOSTER', 'IFA'];
+const DELIVERY_PLACES = ['institutional', 'home', 'in_transit'];
+const DELIVERY_MODES = ['normal', 'caesarean', 'assisted'];
+const DELIVERY_OUTCOMES = ['live_birth', 'still_birth', 'abortion'];
+const MAX_GESTATION_WEEKS = 44;
+// Syndromes of the IDSP S form (syndromic surveillance by health workers),
+// captured alongside the free-text health issue and complaint
+const SYNDROMES = [
+  'fever',
+  'fever_rash',
+  'fever_bleeding',
+  'fever_altered_sensorium',
+  'cough',
+  'diarrhoea',
+  'bloody_diarrhoea',
+  'jaundice',
+  'acute_flaccid_paralysis',
+  'animal_bite',
+  'unusual_symptoms'
+];
+const ALERT_STATUSES = ['open', 'investigating', 'closed'];
+const PUSH_PLATFORMS = ['android', 'ios', 'web'];
+
+const text = (label, extra = {}) => ({ type: 'string', label, ...extra });
+const pastDate = (label, extra = {}) => ({ type: 'date', label, past: true, ...extra });
+
+// Records in a village give its villageId from the location master data; a
+// village name is accepted instead when it matches exactly one village
+const villageRequired = (values, data, { partial }) => (!partial && !values.village && !values.villageId
+  ? { village: 'Village is required' }
+  : null);
+
+const patient = {
+  fields: {
+    name: text('Patient name', { required: true }),
+    age: { type: 'integer', label: 'Age', required: true, min: 1, max: 150 },
+    gender: text('Gender', { required: true, oneOf: GENDERS }),
+    village: text('Village name'),
+    villageId: { type: 'objectId', label: 'Village' },
+    healthIssue: text('Health issue description', { required: true }),
+    syndromes: { type: 'array', label: 'Syndromes', oneOf: SYNDROMES },
+    // When the syndromes were seen; the app sends the time it captured an
+    // offline registration. Defaults to the time the server saves them.
+    syndromesSeenAt: pastDate('Syndromes seen at', { nullable: true }),
+    household: { type: 'objectId', label: 'Household', nullable: true },
+    isHeadOfHousehold: { type: 'boolean', label: 'Head of household' },
+    nextFollowUpDate: { type: 'date', label: 'Next follow-up date', nullable: true },
+    followUpReason: text('Follow-up reason', { nullable: true }),
+    abhaNumber: text('ABHA number', { nullable: true, parse: parseAbhaNumber }),
+    abhaAddress: text('ABHA address', { nullable: true, parse: parseAbhaAddress }),
+    clientId: text('Client id', { max: 64 }),
+    // Registers the patient even when possible duplicates are found
+    confirmedNew: { type: 'boolean', label: 'Confirmed new patient' }
+  },
+  checks: [villageRequired]
+};
+
+// POST /patients/:id/merge
+const patientMerge = {
+  fields: {
+    duplicateId: { type: 'objectId', label: 'Duplicate patient', required: true }
+  }
+};
+
+const visit = {
+  fields: {
+    visitDate: pastDate('Visit date'),
+    complaint: text('Complaint'),
+    syndromes: { type: 'array', label: 'Syndromes', oneOf: SYNDROMES },
+    notes: text('Notes'),
+    vitals: {
+      type: 'object',
+      label: 'Vitals',
+      fields: {
+        systolic: { type: 'number', label: 'BP systolic', min: 50, max: 300 },
+        diastolic: { type: 'number', label: 'BP diastolic', min: 30, max: 200 },
+        pulse: { type: 'number', label: 'Pulse', min: 20, max: 250 },
+        temperature: { type: 'number', label: 'Temperature', min: 90, max: 110 },
+        weight: { type: 'number', label: 'Weight', min: 0.5, max: 300 },
+        spo2: { type: 'number', label: 'SpO2', min: 50, max: 100 },
+        bloodSugar: { type: 'number', label: 'Blood sugar', min: 20, max: 600 }
+      }
+    },
+    nextFollowUpDate: { type: 'date', label: 'Next follow-up date' }
+  },
+  checks: [
+    (values) => (!values.complaint && !values.notes && !values.syndromes?.length &&
+      Object.keys(values.vitals || {}).length === 0
+      ? { complaint: 'A visit needs a complaint, syndrome, notes or at least one vital' }
+      : null),
+    (values) => (values.nextFollowUpDate && values.nextFollowUpDate < (values.visitDate || new Date())
+      ? { nextFollowUpDate: 'Next follow-up date must be after the visit date' }
+      : null)
+  ]
+};
+
+const household = {
+  fields: {
+    headName: text('Head of household name', { required: true }),
+    village: text('Village name'),
+    villageId: { type: 'objectId', label: 'Village' },
+    address: text('Address'),
+    landmark: text('Landmark'),
+    rationCardNumber: text('Ration card number'),
+    rationCardType: text('Ration card type', { oneOf: RATION_CARD_TYPES }),
+    isBPL: { type: 'boolean', label: 'BPL' },
+    // PATCH only: a member patient, or null to clear the head
+    head: { type: 'objectId', label: 'Head of household', nullable: true }
+  },
+  checks: [villageRequired]
+};
+
+const householdMember = {
+  fields: {
+    patientId: { type: 'objectId', label: 'Patient', required: true }
+  }
+};
+
+const child = {
+  fields: {
+    name: text('Name', { required: true }),
+    dateOfBirth: pastDate('Date of birth', { required: true }),
+    gender: text('Gender', { required: true, oneOf: GENDERS }),
+    birthWeight: { type: 'number', label: 'Birth weight', min: 0.3, max: 6, nullable: true },
+    motherId: { type: 'objectId', label: 'Mother' },
+    householdId: { type: 'objectId', label: 'Household' },
+    pregnancyId: { type: 'objectId', label: 'Pregnancy' },
+    village: text('Village'),
+    villageId: { type: 'objectId', label: 'Village' }
+  },
+  checks: [
+    (values, data, { partial }) => (!partial && !values.motherId && !values.householdId && !values.village && !values.villageId
+      ? { village: 'Village is required when no mother or household is given' }
+      : null)
+  ]
+};
+
+const immunization = {
+  fields: {
+    vaccine: text('Vaccine', { required: true }),
+    date: pastDate('Vaccination date')
+  }
+};
+
+const pregnancyFields = {
+  lmp: pastDate('LMP', { required: true }),
+  gravida: { type: 'integer', label: 'Gravida', required: true, min: 1, max: 20 },
+  parity: { type: 'integer', label: 'Parity', required: true, min: 0, max: 20 },
+  highRiskFlags: { type: 'array', label: 'High-risk flags', oneOf: HIGH_RISK_FLAGS }
+};
+
+// Parity counts previous births, so it is always below gravida
+const parityBelowGravida = (values) => (
+  values.parity !== undefined && values.gravida !== undefined && values.parity >= values.gravida
+    ? { parity: 'Parity must be less than gravida' }
+    : null
+);
+
+const pregnancy = {
+  fields: {
+    patientId: { type: 'objectId', label: 'Patient', required: true },
+    ...pregnancyFields
+  },
+  checks: [
+    parityBelowGravida,
+    (values) => (values.lmp && Date.now() - values.lmp.getTime() > MAX_GESTATION_WEEKS * 7 * DAY_MS
+      ? { lmp: `LMP cannot be more than ${MAX_GESTATION_WEEKS} weeks ago` }
+      : null)
+  ]
+};
+
+// PATCH /pregnancies/:id; status only accepts closing the record
+const pregnancyUpdate = {
+  fields: {
+    ...pregnancyFields,
+    status: text('Status', { oneOf: ['closed'], message: 'Only an active pregnancy can be closed' })
+  },
+  checks: [parityBelowGravida]
+};
+
+const ancCheckup = {
+  fields: {
+    date: pastDate('Checkup date'),
+    weight: { type: 'number', label: 'Weight', min: 20, max: 200 },
+    systolic: { type: 'number', label: 'BP systolic', min: 50, max: 300 },
+    diastolic: { type: 'number', label: 'BP diastolic', min: 30, max: 200 },
+    hb: { type: 'number', label: 'Hb', min: 2, max: 20 },
+    notes: text('Notes')
+  }
+};
+
+const dose = {
+  fields: {
+    type: text('Dose type', { required: true, oneOf: DOSE_TYPES }),
+    date: pastDate('Dose date'),
+    quantity: { type: 'integer', label: 'Number of IFA tablets', min: 1 }
+  },
+  checks: [
+    (values) => (values.type === 'IFA' && values.quantity === undefined
+      ? { quantity: 'Number of IFA tablets is required' }
+      : null)
+  ]
+};
+
+const delivery = {
+  fields: {
+    date: pastDate('Delivery date', { required: true }),
+    place: text('Place of delivery', { required: true, oneOf: DELIVERY_PLACES }),
+    facility: text('Facility'),
+    mode: text('Mode of delivery', { oneOf: DELIVERY_MODES }),
+    outcome: text('Outcome', { required: true, oneOf: DELIVERY_OUTCOMES }),
+    babies: { type: 'integer', label: 'Number of babies', min: 0, max: 5 },
+    birthWeight: { type: 'number', label: 'Birth weight', min: 0.3, max: 6 },
+    babyGender: text('Baby gender', { oneOf: GENDERS })
+  }
+};
+
+const pncVisit = {
+  fields: {
+    date: pastDate('Visit date'),
+    motherCondition: text('Mother condition'),
+    babyCondition: text('Baby condition'),
+    notes: text('Notes')
+  }
+};
+
+const user = {
+  fields: {
+    username: text('Username', { required: true }),
+    name: text('Name', { required: true }),
+    phone: text('Phone', { required: true }),
+    password: { type: 'string', label: 'Password', required: true, min: 8 },
+    role: text('Role', { oneOf: ROLES }),
+    assignedVillages: { type: 'array', label: 'Assigned villages' }
+  }
+};
+
+// POST /locations; PATCH takes name, code and active
+const location = {
+  fields: {
+    type: text('Location type', { required: true, oneOf: LOCATION_TYPES }),
+    name: text('Name', { required: true, max: 100 }),
+    // Government (LGD) code, when known
+    code: text('Code', { nullable: true, max: 20 }),
+    parent: { type: 'objectId', label: 'Parent location' },
+    active: { type: 'boolean', label: 'Active' }
+  }
+};
+
+// A calendar month as YYYY-MM, not after the current one
+const parseMonth = (value) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+  if (!match) {
+    return { error: 'Month must be given as YYYY-MM' };
+  }
+  const now = new Date();
+  if (Number(match[1]) * 12 + Number(match[2]) > now.getFullYear() * 12 + now.getMonth() + 1) {
+    return { error: 'Month cannot be in the future' };
+  }
+  return { value };
+};
+
+// POST /activity-reports; workers leave out workerId
+const activityReport = {
+  fields: {
+    month: text('Month', { required: true, parse: parseMonth }),
+    workerId: { type: 'objectId', label: 'Worker' }
+  }
+};
+
+// POST /activity-reports/:id/approve and /reject; a rejection needs a reason
+const activityReportReview = {
+  fields: {
+    note: text('Note', { max: 500 })
+  }
+};
+
+const activityReportRejection = {
+  fields: {
+    note: text('Reason', { required: true, max: 500 })
+  }
+};
+
+// PATCH /alerts/:id - follow up an outbreak alert
+const alertUpdate = {
+  fields: {
+    status: text('Status', { required: true, oneOf: ALERT_STATUSES }),
+    note: text('Note', { max: 500 })
+  }
+};
+
+// PATCH /users/:id/villages - each entry is a village id or name
+const userVillages = {
+  fields: {
+    assignedVillages: { type: 'array', label: 'Assigned villages', required: true }
+  }
+};
+
+// Expo push tokens look like ExponentPushToken[xxxxxxxx]
+const parsePushToken = (value) => (/^Expo(nent)?PushToken\[[^\]]+\]$/.test(value)
+  ? { value }
+  : { error: 'Invalid push token' });
+
+// POST /notifications/devices
+const pushDevice = {
+  fields: {
+    token: text('Push token', { required: true, parse: parsePushToken }),
+    platform: text('Platform', { oneOf: PUSH_PLATFORMS })
+  }
+};
+
+const login = {
+  fields: {
+    username: text('Username', { required: true }),
+    password: { type: 'string', label: 'Password', required: true }
+  }
+};
+
+module.exports = {
+  GENDERS,
+  ROLES,
+  RATION_CARD_TYPES,
+  LOCATION_TYPES,
+  HIGH_RISK_FLAGS,
+  DOSE_TYPES,
+  DELIVERY_PLACES,
+  DELIVERY_MODES,
+  DELIVERY_OUTCOMES,
+  MAX_GESTATION_WEEKS,
+  SYNDROMES,
+  ALERT_STATUSES,
+  PUSH_PLATFORMS,
+  schemas: {
+    patient,
+    patientMerge,
+    visit,
+    household,
+    householdMember,
+    child,
+    immunization,
+    pregnancy,
+    pregnancyUpdate,
+    ancCheckup,
+    dose,
+    delivery,
+    pncVisit,
+    user,
+    location,
+    activityReport,
+    activityReportReview,
+    activityReportRejection,
+    alertUpdate,
+    userVillages,
+    pushDevice,
+    login
+  }
+};
@@ -0,0 +1,208 @@
+// Declarative request validation shared by the backend and the app. A schema
+// describes each field of a resource; validate() checks a payload against it
+// and returns the normalised values plus an error message per failing field.
+//
+// Field rules:
+//   type      'string' | 'integer' | 'number' | 'boolean' | 'date' | 'objectId' | 'array' | 'object'
+//   label     Name used in generated messages ("Age must be ...")
+//   required  The field must be present and non-empty
+//   nullable  null or '' clears the field (the value becomes null)
+//   min, max  Range for numbers, length for strings
+//   oneOf     Allowed values (for arrays, allowed items)
+//   past      Dates cannot be in the future
+//   fields    Nested field rules for 'object'; errors are keyed 'parent.child'
+//   parse     For strings: a function of the trimmed text returning { value }
+//             or { error }, for formats such as identifiers
+//   message   Replaces every generated message for the field
+//
+// A schema may also list `checks`: functions of (values, data, { partial })
+// for rules that span fields, returning { field: message } or null.
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && !value.trim());
+
+const parseDateValue = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value !== 'string' || !ISO_DATE.test(value.trim())) {
+    return null;
+  }
+  const date = new Date(value.trim());
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  // Date rolls impossible days over (2024-02-30 is 1 March), so the calendar
+  // date must come back unchanged
+  const [year, month, day] = value.trim().slice(0, 10).split('-').map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCFullYear() !== year || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const parseNumberValue = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const number = Number(value.trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+const describeRange = (label, rule, unit = '') => {
+  if (rule.min !== undefined && rule.max !== undefined) {
+    return `${label} must be between ${rule.min} and ${rule.max}${unit}`;
+  }
+  return rule.min !== undefined
+    ? `${label} must be at least ${rule.min}${unit}`
+    : `${label} must be at most ${rule.max}${unit}`;
+};
+
+const outOfRange = (number, rule) => (rule.min !== undefined && number < rule.min) ||
+  (rule.max !== undefined && number > rule.max);
+
+// Check one present, non-empty value. Returns { value } or { error }.
+const checkValue = (rule, raw, label) => {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const number = parseNumberValue(raw);
+      if (number === null || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `${label} must be a ${rule.type === 'integer' ? 'whole number' : 'number'}` };
+      }
+      if (outOfRange(number, rule)) {
+        return { error: describeRange(label, rule) };
+      }
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      if (raw === 'true' || raw === 'false') {
+        return { value: raw === 'true' };
+      }
+      return { error: `${label} must be true or false` };
+
+    case 'date': {
+      const date = parseDateValue(raw);
+      if (!date) {
+        return { error: `${label} must be a valid date (YYYY-MM-DD)` };
+      }
+      if (rule.past && date > new Date()) {
+        return { error: `${label} cannot be in the future` };
+      }
+      return { value: date };
+    }
+
+    case 'objectId':
+      if (typeof raw !== 'string' || !OBJECT_ID.test(raw)) {
+        return { error: `Invalid ${label.toLowerCase()}` };
+      }
+      return { value: raw };
+
+    case 'array':
+      if (!Array.isArray(raw)) {
+        return { error: `${label} must be a list` };
+      }
+      if (rule.oneOf && raw.some(item => !rule.oneOf.includes(item))) {
+        return { error: `${label} must be a list of: ${rule.oneOf.join(', ')}` };
+      }
+      return { value: [...new Set(raw)] };
+
+    case 'string':
+    default: {
+      if (typeof raw !== 'string') {
+        return { error: `${label} must be text` };
+      }
+      const text = raw.trim();
+      if (rule.oneOf && !rule.oneOf.includes(text)) {
+        return { error: `${label} must be one of: ${rule.oneOf.join(', ')}` };
+      }
+      if (outOfRange(text.length, rule)) {
+        return { error: describeRange(label, rule, ' characters') };
+      }
+      return rule.parse ? rule.parse(text) : { value: text };
+    }
+  }
+};
+
+// Validate data against schema. With partial, fields missing from data are
+// skipped (PATCH); otherwise required fields must be present (POST/PUT).
+// Returns { values, errors } where errors is null when data is valid.
+const validate = (schema, data = {}, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+  const source = data || {};
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const raw = source[field];
+    const label = rule.label || field;
+
+    if (partial && raw === undefined) {
+      return;
+    }
+
+    if (isEmpty(raw)) {
+      if (rule.required) {
+        errors[field] = rule.message || `${label} is required`;
+      } else if (rule.nullable && raw !== undefined) {
+        values[field] = null;
+      }
+      return;
+    }
+
+    if (rule.type === 'object') {
+      if (typeof raw !== 'object' || Array.isArray(raw)) {
+        errors[field] = rule.message || `${label} must be an object`;
+        return;
+      }
+      const nested = validate({ fields: rule.fields }, raw);
+      values[field] = nested.values;
+      Object.entries(nested.errors || {}).forEach(([key, message]) => {
+        errors[`${field}.${key}`] = message;
+      });
+      return;
+    }
+
+    const result = checkValue(rule, raw, label);
+    if (result.error) {
+      errors[field] = rule.message || result.error;
+    } else {
+      values[field] = result.value;
+    }
+  });
+
+  // Cross-field rules only run once every field they read is valid
+  if (Object.keys(errors).length === 0) {
+    (schema.checks || []).forEach(check => {
+      Object.entries(check(values, source, { partial }) || {}).forEach(([field, message]) => {
+        if (!errors[field]) {
+          errors[field] = message;
+        }
+      });
+    });
+  }
+
+  return {
+    values,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+};
+
+// The message to show when only one error can be displayed
+const firstError = (errors) => (errors ? Object.values(errors)[0] : null);
+
+module.exports = {
+  validate,
+  firstError,
+  parseDateValue
+};